@@ -0,0 +1,5 @@
+// Test del client in un fuso con l'ora legale (i giorni del cambio durano 23 o 25 ore),
+// qualunque sia il fuso della macchina
+module.exports = async () => {
+  process.env.TZ = 'Europe/Rome';
+};
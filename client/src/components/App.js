@@ -4,6 +4,10 @@ import Login from './Login';
 import CommandInput from './CommandInput';
 import ResponseDisplay from './ResponseDisplay';
 import CalendarView from './CalendarView';
+import EventEditDialog from './EventEditDialog';
+
+// Fuso orario del browser, inviato al server per interpretare date e orari dei comandi
+const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
 
 function App() {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
@@ -12,6 +16,11 @@ function App() {
   const [commandResponse, setCommandResponse] = useState(null);
   const [error, setError] = useState(null);
   const [events, setEvents] = useState([]);
+  const [editingEvent, setEditingEvent] = useState(null);
+  // Incrementato a ogni possibile modifica del calendario, per aggiornare la griglia
+  const [calendarRefreshKey, setCalendarRefreshKey] = useState(0);
+
+  const refreshCalendar = () => setCalendarRefreshKey(key => key + 1);
 
   useEffect(() => {
     // Verifica se l'utente è già autenticato
@@ -79,6 +88,7 @@ function App() {
         body: JSON.stringify({
           command: command,
           accessToken: accessToken,
+          timeZone: browserTimeZone,
         }),
       });
       
@@ -89,10 +99,11 @@ function App() {
       const data = await response.json();
       setCommandResponse(data.result);
       
-      // Se il risultato contiene eventi, aggiorniamo la vista del calendario
+      // Se il risultato contiene eventi, li evidenziamo nella vista del calendario
       if (data.result.events) {
         setEvents(data.result.events);
       }
+      refreshCalendar();
       
     } catch (err) {
       setError(err.message);
@@ -102,6 +113,169 @@ function App() {
     }
   };
 
+  const handleConfirm = async (confirmationToken, confirmed) => {
+    setLoading(true);
+    setError(null);
+    
+    try {
+      const response = await fetch('/api/confirm-command', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          confirmationToken,
+          confirmed,
+          timeZone: browserTimeZone,
+        }),
+      });
+      
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Errore nella conferma dell\'operazione');
+      }
+      
+      setCommandResponse(data.result);
+      
+      if (data.result.events) {
+        setEvents(data.result.events);
+      }
+      refreshCalendar();
+    } catch (err) {
+      setError(err.message);
+      setCommandResponse(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUndo = async () => {
+    setLoading(true);
+    setError(null);
+    
+    try {
+      const response = await fetch('/api/undo', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ timeZone: browserTimeZone }),
+      });
+      
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Errore nell\'annullamento dell\'operazione');
+      }
+      
+      setCommandResponse(data.result);
+      refreshCalendar();
+    } catch (err) {
+      setError(err.message);
+      setCommandResponse(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Pagina successiva dei risultati di una ricerca, aggiunta a quelli già mostrati
+  const handleLoadMore = async () => {
+    setLoading(true);
+    setError(null);
+    
+    try {
+      const query = new URLSearchParams({
+        ...commandResponse.search,
+        pageToken: commandResponse.nextPageToken,
+      });
+      const response = await fetch(`/api/events/search?${query}`);
+      
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Errore nella ricerca degli eventi');
+      }
+      
+      const allEvents = [...commandResponse.events, ...data.result.events];
+      setCommandResponse({
+        ...data.result,
+        events: allEvents,
+        message: `Trovati ${data.result.total} eventi, mostrati ${allEvents.length}`,
+      });
+      setEvents(allEvents);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Indirizzo REST di un evento, nel suo calendario
+  const getEventUrl = (event) => `/api/events/${encodeURIComponent(event.id)}?${new URLSearchParams({ calendarId: event.calendarId })}`;
+
+  // Modifica diretta di un evento dalla vista del calendario (PATCH /api/events/:eventId)
+  const handleEventSave = async (event, changes) => {
+    setLoading(true);
+    setError(null);
+    
+    try {
+      const response = await fetch(getEventUrl(event), {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ ...changes, timeZone: browserTimeZone }),
+      });
+      
+      const data = await response.json();
+      
+      if (!response.ok) {
+        // Errori di validazione: uno per campo
+        const details = Array.isArray(data.details) ? data.details.map(detail => detail.message).join('; ') : data.details;
+        throw new Error(details || data.error || 'Errore nella modifica dell\'evento');
+      }
+      
+      setCommandResponse({ success: true, message: data.result.message, eventLink: data.result.eventLink });
+      setEvents(current => current.map(item => (item.id === event.id && item.calendarId === event.calendarId
+        ? { ...data.result.event, calendar: item.calendar }
+        : item)));
+      setEditingEvent(null);
+      refreshCalendar();
+    } catch (err) {
+      setError(err.message);
+      setEditingEvent(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Eliminazione diretta di un evento dalla vista del calendario (DELETE /api/events/:eventId)
+  const handleEventDelete = async (event) => {
+    setLoading(true);
+    setError(null);
+    
+    try {
+      const response = await fetch(getEventUrl(event), { method: 'DELETE' });
+      
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Errore nell\'eliminazione dell\'evento');
+      }
+      
+      setCommandResponse(data.result);
+      setEvents(current => current.filter(item => !(item.id === event.id && item.calendarId === event.calendarId)));
+      setEditingEvent(null);
+      refreshCalendar();
+    } catch (err) {
+      setError(err.message);
+      setEditingEvent(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleLogout = () => {
     sessionStorage.removeItem('accessToken');
     setIsAuthenticated(false);
@@ -142,7 +316,12 @@ function App() {
           <Box sx={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
             {/* Input comandi */}
             <Paper elevation={3} sx={{ p: 3 }}>
-              <CommandInput onSubmit={handleCommandSubmit} onLogout={handleLogout} />
+              <CommandInput
+                onSubmit={handleCommandSubmit}
+                onUndo={handleUndo}
+                onLogout={handleLogout}
+                placeholder={commandResponse?.needsDisambiguation ? 'Quale evento intendi? Es. «la seconda»' : undefined}
+              />
             </Paper>
             
             {/* Display risposta */}
@@ -151,16 +330,26 @@ function App() {
                 <ResponseDisplay 
                   response={commandResponse} 
                   error={error} 
+                  onConfirm={handleConfirm}
+                  onLoadMore={handleLoadMore}
+                  loading={loading}
                 />
               </Paper>
             )}
             
             {/* Vista calendario */}
-            {events.length > 0 && (
-              <Paper elevation={3} sx={{ p: 3 }}>
-                <CalendarView events={events} />
-              </Paper>
-            )}
+            <Paper elevation={3} sx={{ p: 3 }}>
+              <CalendarView highlightedEvents={events} refreshKey={calendarRefreshKey} onEditEvent={setEditingEvent} />
+            </Paper>
+            
+            <EventEditDialog
+              event={editingEvent}
+              open={!!editingEvent}
+              onClose={() => setEditingEvent(null)}
+              onSave={handleEventSave}
+              onDelete={handleEventDelete}
+              loading={loading}
+            />
           </Box>
         )}
       </Container>
@@ -0,0 +1,102 @@
+import React from 'react';
+import { Box, Typography, ButtonBase, Link } from '@mui/material';
+import { formatTime, toDateKey } from '../utils/dateFormatter';
+import { getEventColor } from '../utils/eventFormatter';
+import { isSameDay } from '../utils/calendarGrid';
+
+// Eventi mostrati in ogni giorno; gli altri si vedono nella vista del giorno
+const MAX_EVENTS_PER_DAY = 3;
+
+const WEEKDAYS = ['lun', 'mar', 'mer', 'gio', 'ven', 'sab', 'dom'];
+
+function CalendarMonthGrid({ days, month, eventsByDay, highlightedIds, onSelectEvent, onSelectDay }) {
+  const today = new Date();
+
+  return (
+    <Box sx={{ border: 1, borderColor: 'divider', borderRadius: 1 }}>
+      <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(7, minmax(0, 1fr))' }}>
+        {WEEKDAYS.map(weekday => (
+          <Typography
+            key={weekday}
+            variant="caption"
+            color="text.secondary"
+            align="center"
+            sx={{ py: 0.5, textTransform: 'uppercase', borderBottom: 1, borderColor: 'divider' }}
+          >
+            {weekday}
+          </Typography>
+        ))}
+
+        {days.map(day => {
+          const dayEvents = eventsByDay[toDateKey(day)] || [];
+          const hiddenCount = dayEvents.length - MAX_EVENTS_PER_DAY;
+
+          return (
+            <Box
+              key={toDateKey(day)}
+              sx={{
+                minHeight: 110,
+                p: 0.5,
+                borderTop: 1,
+                borderLeft: day.getDay() === 1 ? 0 : 1,
+                borderColor: 'divider',
+                bgcolor: day.getMonth() === month ? 'background.paper' : 'grey.50',
+                overflow: 'hidden'
+              }}
+            >
+              <ButtonBase onClick={() => onSelectDay(day)} sx={{ borderRadius: '50%', width: 28, height: 28, mb: 0.5 }}>
+                <Typography
+                  variant="body2"
+                  color={day.getMonth() === month ? 'text.primary' : 'text.disabled'}
+                  sx={isSameDay(day, today)
+                    ? { bgcolor: 'primary.main', color: 'common.white', borderRadius: '50%', width: 28, lineHeight: '28px' }
+                    : undefined}
+                >
+                  {day.getDate()}
+                </Typography>
+              </ButtonBase>
+
+              {dayEvents.slice(0, MAX_EVENTS_PER_DAY).map(event => (
+                <ButtonBase
+                  key={`${event.calendarId}-${event.id}`}
+                  onClick={() => onSelectEvent(event)}
+                  sx={{
+                    display: 'flex',
+                    justifyContent: 'flex-start',
+                    width: '100%',
+                    px: 0.5,
+                    mb: 0.25,
+                    borderRadius: 1,
+                    outline: highlightedIds.has(event.id) ? 2 : 0,
+                    outlineColor: 'warning.main',
+                    ...(event.allDay
+                      ? { bgcolor: getEventColor(event) || 'primary.main', color: 'common.white' }
+                      : { '&:hover': { bgcolor: 'action.hover' } })
+                  }}
+                >
+                  {!event.allDay && (
+                    <Box
+                      component="span"
+                      sx={{ width: 8, height: 8, mr: 0.5, flexShrink: 0, borderRadius: '50%', bgcolor: getEventColor(event) || 'primary.main' }}
+                    />
+                  )}
+                  <Typography variant="caption" noWrap>
+                    {event.allDay ? event.title : `${formatTime(event.start)} ${event.title}`}
+                  </Typography>
+                </ButtonBase>
+              ))}
+
+              {hiddenCount > 0 && (
+                <Link component="button" variant="caption" onClick={() => onSelectDay(day)} sx={{ pl: 0.5 }}>
+                  altri {hiddenCount}
+                </Link>
+              )}
+            </Box>
+          );
+        })}
+      </Box>
+    </Box>
+  );
+}
+
+export default CalendarMonthGrid;
@@ -0,0 +1,171 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Box, Typography, ButtonBase } from '@mui/material';
+import { formatTime, toDateKey } from '../utils/dateFormatter';
+import { getEventColor } from '../utils/eventFormatter';
+import { HOUR_HEIGHT, isAllDayInGrid, isSameDay, layoutDayEvents } from '../utils/calendarGrid';
+
+// Ora mostrata in alto all'apertura della griglia
+const FIRST_VISIBLE_HOUR = 8;
+
+// Larghezza della colonna con le ore (pixel)
+const HOURS_COLUMN_WIDTH = 56;
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+// Evento nella griglia: colorato come in Google Calendar, evidenziato se citato dall'ultimo comando
+const eventBoxSx = (event, highlighted) => ({
+  display: 'block',
+  width: '100%',
+  textAlign: 'left',
+  overflow: 'hidden',
+  borderRadius: 1,
+  px: 0.5,
+  color: 'common.white',
+  bgcolor: getEventColor(event) || 'primary.main',
+  boxShadow: highlighted ? 3 : 0,
+  outline: highlighted ? 2 : 0,
+  outlineColor: 'warning.main',
+  '&:hover': { filter: 'brightness(0.92)' }
+});
+
+function CalendarTimeGrid({ days, eventsByDay, highlightedIds, onSelectEvent, onSelectDay }) {
+  const scrollRef = useRef(null);
+  const [now, setNow] = useState(new Date());
+
+  // All'apertura si parte dall'inizio della giornata lavorativa
+  useEffect(() => {
+    if (scrollRef.current) {
+      scrollRef.current.scrollTop = FIRST_VISIBLE_HOUR * HOUR_HEIGHT;
+    }
+  }, []);
+
+  // Linea dell'ora corrente, aggiornata ogni minuto
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const columns = `${HOURS_COLUMN_WIDTH}px repeat(${days.length}, minmax(0, 1fr))`;
+  const dayEvents = (day) => eventsByDay[toDateKey(day)] || [];
+  const hasAllDayEvents = days.some(day => dayEvents(day).some(isAllDayInGrid));
+
+  return (
+    <Box sx={{ border: 1, borderColor: 'divider', borderRadius: 1 }}>
+      {/* Intestazione dei giorni */}
+      <Box sx={{ display: 'grid', gridTemplateColumns: columns, borderBottom: 1, borderColor: 'divider' }}>
+        <Box />
+        {days.map(day => (
+          <ButtonBase
+            key={toDateKey(day)}
+            onClick={() => onSelectDay(day)}
+            sx={{ flexDirection: 'column', py: 1, borderLeft: 1, borderColor: 'divider' }}
+          >
+            <Typography variant="caption" color="text.secondary" sx={{ textTransform: 'uppercase' }}>
+              {new Intl.DateTimeFormat('it-IT', { weekday: 'short' }).format(day)}
+            </Typography>
+            <Typography
+              variant="h6"
+              sx={isSameDay(day, now)
+                ? { bgcolor: 'primary.main', color: 'common.white', borderRadius: '50%', width: 36, height: 36, lineHeight: '36px' }
+                : undefined}
+            >
+              {day.getDate()}
+            </Typography>
+          </ButtonBase>
+        ))}
+      </Box>
+
+      {/* Eventi di tutto il giorno o di più giorni */}
+      {hasAllDayEvents && (
+        <Box sx={{ display: 'grid', gridTemplateColumns: columns, borderBottom: 1, borderColor: 'divider' }}>
+          <Typography variant="caption" color="text.secondary" sx={{ p: 0.5, textAlign: 'right' }}>
+            Tutto il giorno
+          </Typography>
+          {days.map(day => (
+            <Box key={toDateKey(day)} sx={{ borderLeft: 1, borderColor: 'divider', p: 0.25, display: 'flex', flexDirection: 'column', gap: 0.25 }}>
+              {dayEvents(day).filter(isAllDayInGrid).map(event => (
+                <ButtonBase
+                  key={`${event.calendarId}-${event.id}`}
+                  onClick={() => onSelectEvent(event)}
+                  sx={eventBoxSx(event, highlightedIds.has(event.id))}
+                >
+                  <Typography variant="caption" noWrap component="div">{event.title}</Typography>
+                </ButtonBase>
+              ))}
+            </Box>
+          ))}
+        </Box>
+      )}
+
+      {/* Griglia oraria */}
+      <Box ref={scrollRef} sx={{ maxHeight: 12 * HOUR_HEIGHT, overflowY: 'auto' }}>
+        <Box sx={{ display: 'grid', gridTemplateColumns: columns, position: 'relative' }}>
+          <Box>
+            {HOURS.map(hour => (
+              <Box key={hour} sx={{ height: HOUR_HEIGHT, pr: 1, textAlign: 'right' }}>
+                <Typography variant="caption" color="text.secondary" sx={{ position: 'relative', top: -8 }}>
+                  {hour > 0 ? `${String(hour).padStart(2, '0')}:00` : ''}
+                </Typography>
+              </Box>
+            ))}
+          </Box>
+
+          {days.map(day => (
+            <Box key={toDateKey(day)} sx={{ position: 'relative', borderLeft: 1, borderColor: 'divider' }}>
+              {HOURS.map(hour => (
+                <Box key={hour} sx={{ height: HOUR_HEIGHT, borderTop: hour > 0 ? 1 : 0, borderColor: 'divider' }} />
+              ))}
+
+              {layoutDayEvents(dayEvents(day).filter(event => !isAllDayInGrid(event)), day).map(({ event, top, height, left, width }) => (
+                <ButtonBase
+                  key={`${event.calendarId}-${event.id}`}
+                  onClick={() => onSelectEvent(event)}
+                  sx={{
+                    ...eventBoxSx(event, highlightedIds.has(event.id)),
+                    position: 'absolute',
+                    alignItems: 'flex-start',
+                    top,
+                    height,
+                    left: `calc(${left * 100}% + 1px)`,
+                    width: `calc(${width * 100}% - 2px)`,
+                    border: 1,
+                    borderColor: 'background.paper'
+                  }}
+                >
+                  <Box>
+                    <Typography variant="caption" component="div" noWrap sx={{ fontWeight: 'bold' }}>
+                      {event.title}
+                    </Typography>
+                    {height >= 2 * 18 && (
+                      <Typography variant="caption" component="div" noWrap>
+                        {formatTime(event.start)} - {formatTime(event.end)}
+                      </Typography>
+                    )}
+                  </Box>
+                </ButtonBase>
+              ))}
+
+              {/* Ora corrente */}
+              {isSameDay(day, now) && (
+                <Box
+                  sx={{
+                    position: 'absolute',
+                    left: 0,
+                    right: 0,
+                    top: (now.getHours() + now.getMinutes() / 60) * HOUR_HEIGHT,
+                    borderTop: 2,
+                    borderColor: 'error.main',
+                    zIndex: 1,
+                    pointerEvents: 'none'
+                  }}
+                />
+              )}
+            </Box>
+          ))}
+        </Box>
+      </Box>
+    </Box>
+  );
+}
+
+export default CalendarTimeGrid;
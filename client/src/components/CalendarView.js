@@ -1,162 +1,191 @@
-import React, { useState, useEffect } from 'react';
-import { 
-  Box, 
-  Typography, 
-  Paper, 
-  Table, 
-  TableBody, 
-  TableCell, 
-  TableContainer, 
-  TableHead, 
-  TableRow,
-  Tab,
-  Tabs
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  Tooltip,
+  ToggleButton,
+  ToggleButtonGroup,
+  LinearProgress,
+  Alert
 } from '@mui/material';
 import EventIcon from '@mui/icons-material/Event';
-import AccessTimeIcon from '@mui/icons-material/AccessTime';
-import GroupIcon from '@mui/icons-material/Group';
-import SubjectIcon from '@mui/icons-material/Subject';
+import ChevronLeftIcon from '@mui/icons-material/ChevronLeft';
+import ChevronRightIcon from '@mui/icons-material/ChevronRight';
+import CalendarMonthGrid from './CalendarMonthGrid';
+import CalendarTimeGrid from './CalendarTimeGrid';
+import EventDetailPanel from './EventDetailPanel';
+import { parseEventDate } from '../utils/dateFormatter';
+import { VIEWS, formatViewTitle, getViewDays, getViewRange, groupEventsByDay, shiftDate } from '../utils/calendarGrid';
 
-function CalendarView({ events }) {
-  const [groupedEvents, setGroupedEvents] = useState({});
-  const [selectedTab, setSelectedTab] = useState(0);
-  const [tabLabels, setTabLabels] = useState([]);
+// Eventi richiesti per ogni periodo (tutti i calendari dell'utente)
+const MAX_EVENTS_PER_VIEW = 2500;
 
+// Nessun evento citato dall'ultimo comando
+const NO_EVENTS = [];
+
+const VIEW_LABELS = {
+  [VIEWS.MONTH]: 'Mese',
+  [VIEWS.WEEK]: 'Settimana',
+  [VIEWS.DAY]: 'Giorno'
+};
+
+function CalendarView({ highlightedEvents = NO_EVENTS, refreshKey = 0, onEditEvent }) {
+  const [view, setView] = useState(VIEWS.WEEK);
+  const [currentDate, setCurrentDate] = useState(() => new Date());
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedEvent, setSelectedEvent] = useState(null);
+
+  // Gli eventi citati dall'ultimo comando portano la griglia al loro periodo
+  useEffect(() => {
+    if (highlightedEvents.length > 0) {
+      setCurrentDate(parseEventDate(highlightedEvents[0].start));
+    }
+  }, [highlightedEvents]);
+
+  const range = useMemo(() => getViewRange(view, currentDate), [view, currentDate]);
+
+  // Eventi del periodo mostrato, richiesti di nuovo a ogni modifica del calendario
   useEffect(() => {
-    if (!events || events.length === 0) return;
-
-    // Raggruppa eventi per data
-    const grouped = events.reduce((acc, event) => {
-      const date = new Date(event.start);
-      const dateKey = date.toISOString().split('T')[0];
-      
-      if (!acc[dateKey]) {
-        acc[dateKey] = [];
+    let cancelled = false;
+
+    const loadEvents = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const query = new URLSearchParams({ ...range, calendar: 'tutti', maxResults: MAX_EVENTS_PER_VIEW });
+        const response = await fetch(`/api/events?${query}`);
+
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.details || data.error || 'Errore nel recupero degli eventi');
+        }
+
+        if (!cancelled) {
+          setEvents(data.result.events);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message);
+          setEvents([]);
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
       }
-      
-      acc[dateKey].push(event);
-      return acc;
-    }, {});
-
-    // Ordina le chiavi per data
-    const sortedKeys = Object.keys(grouped).sort();
-    
-    // Crea etichette per le tab
-    const labels = sortedKeys.map(key => {
-      const date = new Date(key);
-      return new Intl.DateTimeFormat('it-IT', { weekday: 'short', day: 'numeric', month: 'short' }).format(date);
-    });
-
-    setGroupedEvents(grouped);
-    setTabLabels(labels);
-    setSelectedTab(0);
+    };
+
+    loadEvents();
+    return () => {
+      cancelled = true;
+    };
+  }, [range, refreshKey]);
+
+  // Un evento aperto nel pannello si aggiorna con la griglia (o si chiude se eliminato)
+  useEffect(() => {
+    setSelectedEvent(current => current && (events.find(event => event.id === current.id && event.calendarId === current.calendarId) || null));
   }, [events]);
 
-  const formatTime = (dateString) => {
-    if (!dateString) return '';
-    const date = new Date(dateString);
-    return new Intl.DateTimeFormat('it-IT', {
-      hour: '2-digit',
-      minute: '2-digit'
-    }).format(date);
-  };
+  // In ogni giorno, gli eventi di tutto il giorno precedono quelli con orario
+  const eventsByDay = useMemo(() => {
+    const grouped = groupEventsByDay(events);
+    Object.values(grouped).forEach(dayEvents => dayEvents.sort((a, b) =>
+      (b.allDay ? 1 : 0) - (a.allDay ? 1 : 0) || parseEventDate(a.start) - parseEventDate(b.start)));
+    return grouped;
+  }, [events]);
+
+  const highlightedIds = useMemo(() => new Set(highlightedEvents.map(event => event.id)), [highlightedEvents]);
+  const days = getViewDays(view, currentDate);
 
-  const handleTabChange = (event, newValue) => {
-    setSelectedTab(newValue);
+  const handleViewChange = (e, newView) => {
+    if (newView) {
+      setView(newView);
+    }
   };
 
-  // Se non ci sono eventi raggruppati, non mostriamo nulla
-  if (Object.keys(groupedEvents).length === 0) {
-    return null;
-  }
+  // Un giorno scelto nella griglia si apre nella vista del giorno
+  const handleSelectDay = (day) => {
+    setCurrentDate(day);
+    setView(VIEWS.DAY);
+  };
 
-  // Ottieni la data corrente per la tab selezionata
-  const currentDateKey = Object.keys(groupedEvents).sort()[selectedTab];
-  const currentEvents = groupedEvents[currentDateKey] || [];
+  const handleEdit = (event) => {
+    setSelectedEvent(null);
+    onEditEvent(event);
+  };
 
   return (
     <Box>
-      <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center' }}>
-        <EventIcon sx={{ mr: 1 }} />
-        Eventi nel calendario
-      </Typography>
-
-      <Box sx={{ borderBottom: 1, borderColor: 'divider', mb: 2 }}>
-        <Tabs 
-          value={selectedTab} 
-          onChange={handleTabChange}
-          variant="scrollable"
-          scrollButtons="auto"
-        >
-          {tabLabels.map((label, index) => (
-            <Tab key={index} label={label} />
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1, mb: 2 }}>
+        <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', mr: 1 }}>
+          <EventIcon sx={{ mr: 1 }} />
+          Calendario
+        </Typography>
+        <Button variant="outlined" size="small" onClick={() => setCurrentDate(new Date())}>
+          Oggi
+        </Button>
+        <Tooltip title="Periodo precedente">
+          <IconButton size="small" onClick={() => setCurrentDate(shiftDate(view, currentDate, -1))}>
+            <ChevronLeftIcon />
+          </IconButton>
+        </Tooltip>
+        <Tooltip title="Periodo successivo">
+          <IconButton size="small" onClick={() => setCurrentDate(shiftDate(view, currentDate, 1))}>
+            <ChevronRightIcon />
+          </IconButton>
+        </Tooltip>
+        <Typography variant="subtitle1" sx={{ flexGrow: 1, '&::first-letter': { textTransform: 'uppercase' } }}>
+          {formatViewTitle(view, currentDate)}
+        </Typography>
+        <ToggleButtonGroup value={view} exclusive size="small" onChange={handleViewChange}>
+          {Object.values(VIEWS).map(value => (
+            <ToggleButton key={value} value={value}>{VIEW_LABELS[value]}</ToggleButton>
           ))}
-        </Tabs>
+        </ToggleButtonGroup>
+      </Box>
+
+      <Box sx={{ height: 4, mb: 1 }}>
+        {loading && <LinearProgress />}
       </Box>
 
-      <TableContainer component={Paper}>
-        <Table>
-          <TableHead>
-            <TableRow>
-              <TableCell>Orario</TableCell>
-              <TableCell>Titolo</TableCell>
-              <TableCell>Descrizione</TableCell>
-              <TableCell>Partecipanti</TableCell>
-            </TableRow>
-          </TableHead>
-          <TableBody>
-            {currentEvents.length > 0 ? (
-              currentEvents.map((event) => (
-                <TableRow key={event.id} hover>
-                  <TableCell>
-                    <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                      <AccessTimeIcon fontSize="small" sx={{ mr: 1, color: 'text.secondary' }} />
-                      {formatTime(event.start)} - {formatTime(event.end)}
-                    </Box>
-                  </TableCell>
-                  <TableCell>
-                    <Typography variant="body1">{event.title}</Typography>
-                  </TableCell>
-                  <TableCell>
-                    {event.description ? (
-                      <Box sx={{ display: 'flex', alignItems: 'flex-start' }}>
-                        <SubjectIcon fontSize="small" sx={{ mr: 1, mt: 0.3, color: 'text.secondary' }} />
-                        <Typography variant="body2" sx={{ maxWidth: 200, maxHeight: 80, overflow: 'hidden', textOverflow: 'ellipsis' }}>
-                          {event.description}
-                        </Typography>
-                      </Box>
-                    ) : (
-                      <Typography variant="body2" color="text.disabled">Nessuna descrizione</Typography>
-                    )}
-                  </TableCell>
-                  <TableCell>
-                    {event.attendees && event.attendees.length > 0 ? (
-                      <Box sx={{ display: 'flex', alignItems: 'flex-start' }}>
-                        <GroupIcon fontSize="small" sx={{ mr: 1, mt: 0.3, color: 'text.secondary' }} />
-                        <Typography variant="body2">
-                          {event.attendees.length} partecipant{event.attendees.length === 1 ? 'e' : 'i'}
-                        </Typography>
-                      </Box>
-                    ) : (
-                      <Typography variant="body2" color="text.disabled">Nessun partecipante</Typography>
-                    )}
-                  </TableCell>
-                </TableRow>
-              ))
-            ) : (
-              <TableRow>
-                <TableCell colSpan={4} align="center">
-                  <Typography variant="body1" color="text.secondary">
-                    Nessun evento in questa data
-                  </Typography>
-                </TableCell>
-              </TableRow>
-            )}
-          </TableBody>
-        </Table>
-      </TableContainer>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {view === VIEWS.MONTH ? (
+        <CalendarMonthGrid
+          days={days}
+          month={currentDate.getMonth()}
+          eventsByDay={eventsByDay}
+          highlightedIds={highlightedIds}
+          onSelectEvent={setSelectedEvent}
+          onSelectDay={handleSelectDay}
+        />
+      ) : (
+        <CalendarTimeGrid
+          days={days}
+          eventsByDay={eventsByDay}
+          highlightedIds={highlightedIds}
+          onSelectEvent={setSelectedEvent}
+          onSelectDay={handleSelectDay}
+        />
+      )}
+
+      <EventDetailPanel
+        event={selectedEvent}
+        onClose={() => setSelectedEvent(null)}
+        onEdit={onEditEvent ? handleEdit : undefined}
+      />
     </Box>
   );
 }
 
-export default CalendarView;
\ No newline at end of file
+export default CalendarView;
@@ -12,8 +12,9 @@ import MicIcon from '@mui/icons-material/Mic';
 import MicOffIcon from '@mui/icons-material/MicOff';
 import SendIcon from '@mui/icons-material/Send';
 import LogoutIcon from '@mui/icons-material/Logout';
+import UndoIcon from '@mui/icons-material/Undo';
 
-function CommandInput({ onSubmit, onLogout }) {
+function CommandInput({ onSubmit, onUndo, onLogout, placeholder = 'Es. Crea una riunione con Mario domani alle 15' }) {
   const [command, setCommand] = useState('');
   const [isListening, setIsListening] = useState(false);
   const [isSending, setIsSending] = useState(false);
@@ -86,7 +87,7 @@ function CommandInput({ onSubmit, onLogout }) {
             multiline
             rows={2}
             variant="outlined"
-            placeholder="Es. Crea una riunione con Mario domani alle 15"
+            placeholder={placeholder}
             value={command}
             onChange={(e) => setCommand(e.target.value)}
             disabled={isSending}
@@ -116,6 +117,16 @@ function CommandInput({ onSubmit, onLogout }) {
               </Tooltip>
             )}
             
+            <Tooltip title="Annulla ultima operazione">
+              <IconButton 
+                color="default"
+                onClick={onUndo}
+                disabled={isSending}
+              >
+                <UndoIcon />
+              </IconButton>
+            </Tooltip>
+            
             <Tooltip title="Logout">
               <IconButton 
                 color="default"
@@ -142,6 +153,12 @@ function CommandInput({ onSubmit, onLogout }) {
         <Typography variant="body2" color="text.secondary">
           • "Sposta la riunione di domani alle 16"
         </Typography>
+        <Typography variant="body2" color="text.secondary">
+          • "Trovami un'ora libera giovedì pomeriggio" e poi "Prenota il primo"
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          • "Annulla" (annulla l'ultima operazione)
+        </Typography>
       </Box>
     </Box>
   );
@@ -0,0 +1,114 @@
+import React from 'react';
+import { Drawer, Box, Typography, IconButton, Button, Divider, Link } from '@mui/material';
+import CloseIcon from '@mui/icons-material/Close';
+import AccessTimeIcon from '@mui/icons-material/AccessTime';
+import EventIcon from '@mui/icons-material/Event';
+import GroupIcon from '@mui/icons-material/Group';
+import SubjectIcon from '@mui/icons-material/Subject';
+import PlaceIcon from '@mui/icons-material/Place';
+import VideocamIcon from '@mui/icons-material/Videocam';
+import EditIcon from '@mui/icons-material/Edit';
+import { formatEventPeriod } from '../utils/dateFormatter';
+import { formatEventFlags, formatReminders, getEventColor } from '../utils/eventFormatter';
+
+// Riga del pannello con un'icona e il suo contenuto
+const DetailRow = ({ icon, children }) => (
+  <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1.5, mb: 1.5 }}>
+    <Box sx={{ color: 'text.secondary', display: 'flex', mt: 0.25 }}>{icon}</Box>
+    <Box sx={{ minWidth: 0 }}>{children}</Box>
+  </Box>
+);
+
+function EventDetailPanel({ event, onClose, onEdit }) {
+  const flags = event ? [...formatEventFlags(event), formatReminders(event.reminders)].filter(Boolean) : [];
+
+  return (
+    <Drawer anchor="right" open={!!event} onClose={onClose}>
+      {event && (
+        <Box sx={{ width: { xs: '100vw', sm: 380 }, p: 3 }}>
+          <Box sx={{ display: 'flex', alignItems: 'flex-start', mb: 2 }}>
+            <Box sx={{ width: 14, height: 14, borderRadius: 0.5, mt: 1, mr: 1.5, flexShrink: 0, bgcolor: getEventColor(event) || 'primary.main' }} />
+            <Typography variant="h6" sx={{ flexGrow: 1, wordBreak: 'break-word' }}>
+              {event.title}
+            </Typography>
+            <IconButton onClick={onClose} size="small" aria-label="Chiudi">
+              <CloseIcon />
+            </IconButton>
+          </Box>
+
+          <DetailRow icon={<AccessTimeIcon fontSize="small" />}>
+            <Typography variant="body2">{formatEventPeriod(event)}</Typography>
+            {event.recurring && (
+              <Typography variant="caption" color="text.secondary">Evento ricorrente</Typography>
+            )}
+          </DetailRow>
+
+          {event.calendar && (
+            <DetailRow icon={<EventIcon fontSize="small" />}>
+              <Typography variant="body2">{event.calendar}</Typography>
+            </DetailRow>
+          )}
+
+          {event.location && (
+            <DetailRow icon={<PlaceIcon fontSize="small" />}>
+              <Typography variant="body2">{event.location}</Typography>
+            </DetailRow>
+          )}
+
+          {event.attendees && event.attendees.length > 0 && (
+            <DetailRow icon={<GroupIcon fontSize="small" />}>
+              {event.attendees.map(attendee => (
+                <Typography key={attendee} variant="body2" noWrap>{attendee}</Typography>
+              ))}
+            </DetailRow>
+          )}
+
+          {event.description && (
+            <DetailRow icon={<SubjectIcon fontSize="small" />}>
+              <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                {event.description}
+              </Typography>
+            </DetailRow>
+          )}
+
+          {flags.length > 0 && (
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1.5 }}>
+              {flags.join(' · ')}
+            </Typography>
+          )}
+
+          {event.conferenceLink && (
+            <Button
+              variant="outlined"
+              size="small"
+              startIcon={<VideocamIcon />}
+              href={event.conferenceLink}
+              target="_blank"
+              rel="noopener"
+              sx={{ mb: 2 }}
+            >
+              Partecipa con Google Meet
+            </Button>
+          )}
+
+          <Divider sx={{ mb: 2 }} />
+
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            {event.link ? (
+              <Link href={event.link} target="_blank" rel="noopener" variant="body2">
+                Apri in Google Calendar
+              </Link>
+            ) : <span />}
+            {onEdit && (
+              <Button variant="contained" size="small" startIcon={<EditIcon />} onClick={() => onEdit(event)}>
+                Modifica
+              </Button>
+            )}
+          </Box>
+        </Box>
+      )}
+    </Drawer>
+  );
+}
+
+export default EventDetailPanel;
@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControlLabel,
+  Switch,
+  Box,
+  Button,
+  Alert
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { getEventDays, parseEventDate, toDateKey, toTimeKey } from '../utils/dateFormatter';
+
+// Valori del modulo per un evento (giorni e orari locali)
+const toFormValues = (event) => {
+  const start = parseEventDate(event.start);
+  const end = parseEventDate(event.end) || start;
+  const days = getEventDays(event);
+
+  return {
+    title: event.title || '',
+    allDay: !!event.allDay,
+    startDate: toDateKey(start),
+    endDate: event.allDay ? days[days.length - 1] : toDateKey(end),
+    startTime: event.allDay ? '09:00' : toTimeKey(start),
+    endTime: event.allDay ? '10:00' : toTimeKey(end),
+    location: event.location || '',
+    description: event.description || ''
+  };
+};
+
+// Spostando il giorno di inizio, anche quello di fine si sposta e l'evento mantiene i propri giorni
+const shiftEndDate = (values, field, value) => {
+  if (field !== 'startDate' || !value || !values.startDate || !values.endDate) {
+    return {};
+  }
+
+  const end = parseEventDate(values.endDate);
+  end.setDate(end.getDate() + Math.round((parseEventDate(value) - parseEventDate(values.startDate)) / (24 * 60 * 60 * 1000)));
+  return { endDate: toDateKey(end) };
+};
+
+// Campi del modulo che determinano inizio e fine dell'evento
+const TIMING_FIELDS = ['allDay', 'startDate', 'endDate', 'startTime', 'endTime'];
+
+// Corpo della richiesta PATCH /api/events/:eventId: orari ISO, fine esclusa per i giorni interi;
+// inizio e fine si inviano solo se sono cambiati, così l'evento conserva i propri orari
+const toRequestBody = (values, initialValues) => {
+  const body = {
+    title: values.title.trim(),
+    location: values.location.trim(),
+    description: values.description.trim()
+  };
+
+  if (TIMING_FIELDS.every(field => values[field] === initialValues[field])) {
+    return body;
+  }
+
+  if (values.allDay) {
+    const end = parseEventDate(values.endDate || values.startDate);
+    end.setDate(end.getDate() + 1);
+    return { ...body, allDay: true, start: values.startDate, end: toDateKey(end) };
+  }
+
+  const start = new Date(`${values.startDate}T${values.startTime}`);
+  const end = new Date(`${values.endDate || values.startDate}T${values.endTime}`);
+
+  // Nello stesso giorno, una fine precedente all'inizio cade nel giorno successivo ("dalle 22 alle 1")
+  if (end <= start && (values.endDate || values.startDate) === values.startDate) {
+    end.setDate(end.getDate() + 1);
+  }
+
+  return { ...body, start: start.toISOString(), end: end.toISOString() };
+};
+
+function EventEditDialog({ event, open, onClose, onSave, onDelete, loading = false }) {
+  const [values, setValues] = useState(null);
+  const [initialValues, setInitialValues] = useState(null);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  useEffect(() => {
+    if (event && open) {
+      setValues(toFormValues(event));
+      setInitialValues(toFormValues(event));
+      setConfirmDelete(false);
+    }
+  }, [event, open]);
+
+  if (!event || !values) {
+    return null;
+  }
+
+  const handleChange = (field) => (e) => {
+    const value = field === 'allDay' ? e.target.checked : e.target.value;
+    setValues(current => ({ ...current, [field]: value, ...shiftEndDate(current, field, value) }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(event, toRequestBody(values, initialValues));
+  };
+
+  const invalid = !values.title.trim() || !values.startDate ||
+    (values.endDate && values.endDate < values.startDate);
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <form onSubmit={handleSubmit}>
+        <DialogTitle>Modifica evento</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+            <TextField label="Titolo" value={values.title} onChange={handleChange('title')} required autoFocus />
+            <FormControlLabel
+              control={<Switch checked={values.allDay} onChange={handleChange('allDay')} />}
+              label="Tutto il giorno"
+            />
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                label={values.allDay ? 'Dal' : 'Inizio'}
+                type="date"
+                value={values.startDate}
+                onChange={handleChange('startDate')}
+                InputLabelProps={{ shrink: true }}
+                required
+                fullWidth
+              />
+              {!values.allDay && (
+                <TextField
+                  label="Ora di inizio"
+                  type="time"
+                  value={values.startTime}
+                  onChange={handleChange('startTime')}
+                  InputLabelProps={{ shrink: true }}
+                  required
+                  fullWidth
+                />
+              )}
+            </Box>
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                label={values.allDay ? 'Al' : 'Fine'}
+                type="date"
+                value={values.endDate}
+                onChange={handleChange('endDate')}
+                InputLabelProps={{ shrink: true }}
+                fullWidth
+              />
+              {!values.allDay && (
+                <TextField
+                  label="Ora di fine"
+                  type="time"
+                  value={values.endTime}
+                  onChange={handleChange('endTime')}
+                  InputLabelProps={{ shrink: true }}
+                  required
+                  fullWidth
+                />
+              )}
+            </Box>
+            <TextField label="Luogo" value={values.location} onChange={handleChange('location')} />
+            <TextField label="Descrizione" value={values.description} onChange={handleChange('description')} multiline minRows={2} />
+            {confirmDelete && (
+              <Alert severity="warning">
+                {event.recurring
+                  ? 'Verrà eliminata solo questa occorrenza dell\'evento ricorrente. Confermi?'
+                  : 'L\'evento verrà eliminato. Confermi?'}
+              </Alert>
+            )}
+          </Box>
+        </DialogContent>
+        <DialogActions sx={{ justifyContent: 'space-between', px: 3, pb: 2 }}>
+          <Button
+            color="error"
+            startIcon={<DeleteIcon />}
+            onClick={() => (confirmDelete ? onDelete(event) : setConfirmDelete(true))}
+            disabled={loading}
+          >
+            {confirmDelete ? 'Conferma eliminazione' : 'Elimina'}
+          </Button>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button onClick={onClose} disabled={loading}>Annulla</Button>
+            <Button type="submit" variant="contained" disabled={loading || invalid}>Salva</Button>
+          </Box>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+}
+
+export default EventEditDialog;
@@ -3,19 +3,26 @@ import {
   Box, 
   Typography, 
   Alert, 
+  Button,
   Link, 
   Divider, 
   Paper,
   List,
   ListItem,
   ListItemText,
-  ListItemIcon
+  ListItemIcon,
+  Chip
 } from '@mui/material';
 import EventIcon from '@mui/icons-material/Event';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
 import ErrorIcon from '@mui/icons-material/Error';
+import WarningAmberIcon from '@mui/icons-material/WarningAmber';
+import EventAvailableIcon from '@mui/icons-material/EventAvailable';
+import VideocamIcon from '@mui/icons-material/Videocam';
+import { formatEventPeriod } from '../utils/dateFormatter';
+import { formatEventFlags, formatReminders, getEventColor } from '../utils/eventFormatter';
 
-function ResponseDisplay({ response, error }) {
+function ResponseDisplay({ response, error, onConfirm, onLoadMore, loading = false }) {
   if (error) {
     return (
       <Alert severity="error" sx={{ mb: 2 }}>
@@ -37,13 +44,266 @@ function ResponseDisplay({ response, error }) {
     }).format(date);
   };
 
+  // Pulsante per partecipare alla videoconferenza Google Meet di un evento
+  const renderConferenceButton = (conferenceLink) => (
+    <Button
+      variant="outlined"
+      size="small"
+      startIcon={<VideocamIcon />}
+      href={conferenceLink}
+      target="_blank"
+      rel="noopener"
+    >
+      Partecipa con Google Meet
+    </Button>
+  );
+
+  // Comando composto: un esito per ogni passo, nell'ordine di esecuzione
+  const renderSteps = (steps) => (
+    <List dense sx={{ mb: 2 }}>
+      {steps.map((step) => (
+        <ListItem key={step.step} sx={{ px: 0 }}>
+          <ListItemIcon>
+            {step.result.success ? (
+              <CheckCircleIcon color="success" />
+            ) : (
+              <ErrorIcon color={step.skipped ? 'disabled' : 'warning'} />
+            )}
+          </ListItemIcon>
+          <ListItemText
+            primary={`${step.step}. ${step.command}`}
+            secondary={step.result.message}
+          />
+        </ListItem>
+      ))}
+    </List>
+  );
+
+  // Operazione su più eventi: esito di ciascun evento
+  const renderResults = (results) => (
+    <List dense sx={{ mb: 2 }}>
+      {results.map((result) => (
+        <ListItem key={`${result.calendarId}/${result.eventId}`} sx={{ px: 0 }}>
+          <ListItemIcon>
+            {result.success ? <CheckCircleIcon color="success" /> : <ErrorIcon color="warning" />}
+          </ListItemIcon>
+          <ListItemText
+            primary={result.title || result.eventId}
+            secondary={result.success ? null : result.error}
+          />
+        </ListItem>
+      ))}
+    </List>
+  );
+
+  // Slot liberi proposti, prenotabili con "prenota il primo", "prenota il secondo"...
+  const renderSlots = (slots) => (
+    <Box sx={{ mt: 2 }}>
+      <List dense>
+        {slots.map((slot, index) => (
+          <ListItem key={slot.start} sx={{ px: 0 }}>
+            <ListItemIcon>
+              <EventAvailableIcon color={slot.buffered ? 'success' : 'primary'} />
+            </ListItemIcon>
+            <ListItemText
+              primary={`${index + 1}. ${formatDate(slot.start)} - ${new Intl.DateTimeFormat('it-IT', { timeStyle: 'short' }).format(new Date(slot.end))}`}
+              secondary={slot.buffered ? null : 'A ridosso di un altro impegno'}
+            />
+          </ListItem>
+        ))}
+      </List>
+      <Typography variant="body2" color="text.secondary">
+        Per fissare un impegno scrivi ad esempio «prenota il primo».
+      </Typography>
+    </Box>
+  );
+
+  // Etichette delle alternative proposte in caso di sovrapposizioni
+  const alternativeLabel = (alternative) => {
+    switch (alternative.type) {
+      case 'NEXT_FREE_SLOT':
+        return `Usa il primo orario libero (${formatDate(alternative.start)})`;
+      case 'FORCE':
+        return 'Procedi comunque';
+      default:
+        return alternative.type;
+    }
+  };
+
+  // Impegni sovrapposti e alternative eseguibili con un clic
+  const renderConflicts = (conflicts, alternatives = []) => (
+    <Box sx={{ mt: 1 }}>
+      <List dense>
+        {conflicts.map((event) => (
+          <ListItem key={`${event.calendarId}-${event.id}`} sx={{ px: 0 }}>
+            <ListItemIcon>
+              <EventIcon color="warning" />
+            </ListItemIcon>
+            <ListItemText
+              primary={event.calendar ? `${event.title} (${event.calendar})` : event.title}
+              secondary={formatEventPeriod(event)}
+            />
+          </ListItem>
+        ))}
+      </List>
+      
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+        {alternatives.map((alternative) => (
+          <Button
+            key={alternative.confirmationToken}
+            variant={alternative.type === 'FORCE' ? 'outlined' : 'contained'}
+            color={alternative.type === 'FORCE' ? 'warning' : 'primary'}
+            onClick={() => onConfirm(alternative.confirmationToken, true)}
+            disabled={loading}
+          >
+            {alternativeLabel(alternative)}
+          </Button>
+        ))}
+      </Box>
+    </Box>
+  );
+
+  // Nome ambiguo: un pulsante per ogni contatto della rubrica
+  const renderContactChoices = (contactChoices) => (
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+      {contactChoices.candidates.map((candidate) => (
+        <Button
+          key={candidate.confirmationToken}
+          variant="outlined"
+          onClick={() => onConfirm(candidate.confirmationToken, true)}
+          disabled={loading}
+        >
+          {candidate.name} ({candidate.email})
+        </Button>
+      ))}
+    </Box>
+  );
+
+  // Data ambigua: un pulsante per ogni data possibile
+  const renderDateChoices = (dateChoices) => (
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+      {dateChoices.candidates.map((candidate) => (
+        <Button
+          key={candidate.confirmationToken}
+          variant="outlined"
+          onClick={() => onConfirm(candidate.confirmationToken, true)}
+          disabled={loading}
+        >
+          {candidate.label}
+        </Button>
+      ))}
+    </Box>
+  );
+
+  // Titolo ambiguo: eventi candidati, scelti con un clic o scrivendo «la seconda»
+  const renderEventChoices = (candidates) => (
+    <Box sx={{ mb: 2 }}>
+      <Alert severity="info" sx={{ mb: 2 }}>
+        <Typography variant="body1">{response.message}</Typography>
+      </Alert>
+      
+      <List dense>
+        {candidates.map((candidate, index) => (
+          <ListItem key={candidate.confirmationToken || candidate.id} sx={{ px: 0 }}>
+            <ListItemIcon>
+              <EventIcon color="primary" />
+            </ListItemIcon>
+            <ListItemText
+              primary={`${index + 1}. ${candidate.calendar ? `${candidate.title} (${candidate.calendar})` : candidate.title}`}
+              secondary={formatEventPeriod(candidate)}
+            />
+            {candidate.confirmationToken && (
+              <Button
+                variant="outlined"
+                size="small"
+                onClick={() => onConfirm(candidate.confirmationToken, true)}
+                disabled={loading}
+              >
+                Scegli
+              </Button>
+            )}
+          </ListItem>
+        ))}
+      </List>
+      
+      <Typography variant="body2" color="text.secondary">
+        Puoi anche scrivere ad esempio «la seconda».
+      </Typography>
+    </Box>
+  );
+
+  // Anteprima di un'azione distruttiva: eventi coinvolti (con il nuovo orario, se
+  // la modifica riguarda più eventi) e pulsanti Conferma/Annulla
+  const renderPlan = (plan) => {
+    const changes = Array.isArray(plan.changes) ? plan.changes : null;
+
+    return (
+      <Box sx={{ mb: 2 }}>
+        <Alert severity={response.dryRun ? 'info' : 'warning'} icon={<WarningAmberIcon />} sx={{ mb: 2 }}>
+          <Typography variant="body1">{response.message}</Typography>
+        </Alert>
+      
+        <List dense>
+          {plan.events.map((event, index) => (
+            <ListItem key={event.id} sx={{ px: 0 }}>
+              <ListItemIcon>
+                <EventIcon color={plan.action === 'DELETE_EVENT' ? 'error' : 'primary'} />
+              </ListItemIcon>
+              <ListItemText
+                primary={event.title}
+                secondary={changes && changes[index]
+                  ? `${formatEventPeriod(event)} → ${formatEventPeriod(changes[index])}`
+                  : formatEventPeriod(event)}
+              />
+            </ListItem>
+          ))}
+        </List>
+      
+        {plan.changes && !changes && (
+          <Box sx={{ mb: 2 }}>
+            <Typography variant="subtitle2">Dopo la modifica:</Typography>
+            <Typography variant="body2" color="text.secondary">
+              {plan.changes.title} — {formatEventPeriod(plan.changes)}
+            </Typography>
+          </Box>
+        )}
+      
+        {response.requiresConfirmation && (
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button
+              variant="contained"
+              color={plan.action === 'DELETE_EVENT' ? 'error' : 'primary'}
+              onClick={() => onConfirm(response.confirmationToken, true)}
+              disabled={loading}
+            >
+              Conferma
+            </Button>
+            <Button
+              variant="outlined"
+              onClick={() => onConfirm(response.confirmationToken, false)}
+              disabled={loading}
+            >
+              Annulla
+            </Button>
+          </Box>
+        )}
+      </Box>
+    );
+  };
+
   return (
     <Box>
       <Typography variant="h6" gutterBottom>
         Risultato
       </Typography>
       
-      {response.success ? (
+      {response.steps && renderSteps(response.steps)}
+      
+      {response.results && response.results.length > 0 && renderResults(response.results)}
+      
+      {response.plan ? renderPlan(response.plan) : response.needsDisambiguation ? (
+        renderEventChoices(response.candidates)
+      ) : response.success ? (
         <Box>
           <Alert severity="success" sx={{ mb: 2 }}>
             <Box sx={{ display: 'flex', alignItems: 'center' }}>
@@ -61,11 +321,17 @@ function ResponseDisplay({ response, error }) {
             </Box>
           )}
           
-          {/* Se abbiamo un elenco di eventi, li mostriamo */}
+          {/* Link per partecipare alla videoconferenza */}
+          {response.conferenceLink && renderConferenceButton(response.conferenceLink)}
+          
+          {/* Se abbiamo degli slot liberi, li proponiamo */}
+          {response.slots && response.slots.length > 0 && renderSlots(response.slots)}
+          
+          {/* Se abbiamo un elenco di eventi, li mostriamo (per le domande, quelli su cui si basa la risposta) */}
           {response.events && response.events.length > 0 && (
             <Box sx={{ mt: 2 }}>
               <Typography variant="subtitle1" gutterBottom>
-                Eventi trovati:
+                {response.queryType ? 'Eventi considerati:' : 'Eventi trovati:'}
               </Typography>
               
               <List>
@@ -73,16 +339,35 @@ function ResponseDisplay({ response, error }) {
                   <Paper key={event.id} elevation={1} sx={{ mb: 2, p: 2 }}>
                     <ListItem alignItems="flex-start" sx={{ px: 0 }}>
                       <ListItemIcon>
-                        <EventIcon color="primary" />
+                        <EventIcon
+                          color={getEventColor(event) ? undefined : 'primary'}
+                          sx={getEventColor(event) ? { color: getEventColor(event) } : undefined}
+                        />
                       </ListItemIcon>
                       <ListItemText
-                        primary={event.title}
+                        primary={
+                          <Box component="span" sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1 }}>
+                            {event.title}
+                            {formatEventFlags(event).map(flag => (
+                              <Chip key={flag} label={flag} size="small" variant="outlined" />
+                            ))}
+                          </Box>
+                        }
                         secondary={
                           <React.Fragment>
                             <Typography component="span" variant="body2" color="text.primary">
-                              {formatDate(event.start)}
-                              {event.end ? ` - ${formatDate(event.end)}` : ''}
+                              {formatEventPeriod(event)}
                             </Typography>
+                            {event.location && (
+                              <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block' }}>
+                                Luogo: {event.location}
+                              </Typography>
+                            )}
+                            {event.reminders && (
+                              <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block' }}>
+                                {formatReminders(event.reminders)}
+                              </Typography>
+                            )}
                             {event.description && (
                               <>
                                 <Divider sx={{ my: 1 }} />
@@ -108,9 +393,22 @@ function ResponseDisplay({ response, error }) {
                         </Link>
                       </Box>
                     )}
+                    
+                    {event.conferenceLink && (
+                      <Box sx={{ ml: 9, mt: 1 }}>
+                        {renderConferenceButton(event.conferenceLink)}
+                      </Box>
+                    )}
                   </Paper>
                 ))}
               </List>
+              
+              {/* Ricerca con altri risultati: pagina successiva */}
+              {response.nextPageToken && (
+                <Button variant="outlined" onClick={onLoadMore} disabled={loading}>
+                  Altri risultati
+                </Button>
+              )}
             </Box>
           )}
         </Box>
@@ -127,6 +425,11 @@ function ResponseDisplay({ response, error }) {
               Dettagli: {response.details}
             </Typography>
           )}
+          {response.conflicts && response.conflicts.length > 0 && (
+            renderConflicts(response.conflicts, response.alternatives)
+          )}
+          {response.contactChoices && renderContactChoices(response.contactChoices)}
+          {response.dateChoices && renderDateChoices(response.dateChoices)}
         </Alert>
       )}
     </Box>
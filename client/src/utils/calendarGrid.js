@@ -0,0 +1,161 @@
+/**
+ * Utility per la griglia del calendario: intervalli delle viste (mese, settimana,
+ * giorno), navigazione tra i periodi e disposizione degli eventi sovrapposti
+ */
+
+import { getEventDays, parseEventDate, toDateKey } from './dateFormatter';
+
+// Viste disponibili
+export const VIEWS = {
+  MONTH: 'month',
+  WEEK: 'week',
+  DAY: 'day'
+};
+
+// Altezza di un'ora nella griglia oraria (pixel)
+export const HOUR_HEIGHT = 48;
+
+// Durata minima rappresentata di un evento, perché resti cliccabile (minuti)
+const MIN_EVENT_MINUTES = 20;
+
+const MINUTE_MS = 60 * 1000;
+
+// Minuti dalla mezzanotte dell'ora locale di un istante: nei giorni del cambio
+// dell'ora legale (23 o 25 ore) l'orario non coincide con il tempo trascorso
+const getMinutesOfDay = (time) => {
+  const date = new Date(time);
+  return date.getHours() * 60 + date.getMinutes();
+};
+
+// Inizio del giorno locale di una data
+export const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Data spostata di alcuni giorni (gestisce i cambi dell'ora legale)
+export const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Lunedì della settimana di una data
+export const startOfWeek = (date) => addDays(date, -((date.getDay() + 6) % 7));
+
+// Giorni visibili in una vista: il giorno, la settimana da lunedì o le settimane intere del mese
+export const getViewDays = (view, date) => {
+  let first = startOfDay(date);
+  let count = 1;
+
+  if (view === VIEWS.WEEK) {
+    first = startOfWeek(date);
+    count = 7;
+  } else if (view === VIEWS.MONTH) {
+    first = startOfWeek(new Date(date.getFullYear(), date.getMonth(), 1));
+    const last = addDays(startOfWeek(new Date(date.getFullYear(), date.getMonth() + 1, 0)), 6);
+    count = Math.round((last - first) / (24 * 60 * MINUTE_MS)) + 1;
+  }
+
+  return Array.from({ length: count }, (_, index) => addDays(first, index));
+};
+
+// Estremi ISO (timeMin, timeMax) degli eventi da richiedere per una vista
+export const getViewRange = (view, date) => {
+  const days = getViewDays(view, date);
+  return {
+    timeMin: days[0].toISOString(),
+    timeMax: addDays(days[days.length - 1], 1).toISOString()
+  };
+};
+
+// Data del periodo precedente (step -1) o successivo (step 1) nella vista
+export const shiftDate = (view, date, step) => {
+  if (view === VIEWS.MONTH) {
+    return new Date(date.getFullYear(), date.getMonth() + step, 1);
+  }
+  return addDays(date, view === VIEWS.WEEK ? 7 * step : step);
+};
+
+// Titolo del periodo mostrato ("ottobre 2026", "19 – 25 ott 2026", "lunedì 19 ottobre 2026")
+export const formatViewTitle = (view, date) => {
+  if (view === VIEWS.MONTH) {
+    return new Intl.DateTimeFormat('it-IT', { month: 'long', year: 'numeric' }).format(date);
+  }
+
+  if (view === VIEWS.DAY) {
+    return new Intl.DateTimeFormat('it-IT', { dateStyle: 'full' }).format(date);
+  }
+
+  const days = getViewDays(view, date);
+  return new Intl.DateTimeFormat('it-IT', { day: 'numeric', month: 'short', year: 'numeric' })
+    .formatRange(days[0], days[days.length - 1]);
+};
+
+// Eventi per giorno (chiave AAAA-MM-GG): un evento di più giorni compare in ognuno
+export const groupEventsByDay = (events) => {
+  return events.reduce((acc, event) => {
+    getEventDays(event).forEach(dateKey => {
+      acc[dateKey] = [...(acc[dateKey] || []), event];
+    });
+    return acc;
+  }, {});
+};
+
+// Eventi di un giorno mostrati nella fascia in alto: di tutto il giorno o che superano la giornata
+export const isAllDayInGrid = (event) => event.allDay || getEventDays(event).length > 1;
+
+// Dispone gli eventi con orario di un giorno nella griglia oraria: gli eventi che
+// si sovrappongono formano un gruppo e si affiancano in colonne, ognuno nella
+// prima colonna libera, con la larghezza divisa tra le colonne del gruppo
+export const layoutDayEvents = (events, day) => {
+  const dayStart = startOfDay(day).getTime();
+  const dayEnd = addDays(day, 1).getTime();
+
+  const items = events
+    .map(event => {
+      const start = Math.max(parseEventDate(event.start).getTime(), dayStart);
+      const end = Math.min(Math.max(parseEventDate(event.end).getTime(), start + MIN_EVENT_MINUTES * MINUTE_MS), dayEnd);
+      return { event, start, end };
+    })
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const positioned = [];
+  let group = [];
+  let columns = [];
+  let groupEnd = 0;
+
+  // Chiude un gruppo di eventi sovrapposti: tutti hanno lo stesso numero di colonne
+  const closeGroup = () => {
+    group.forEach(item => positioned.push({ ...item, columns: columns.length }));
+    group = [];
+    columns = [];
+  };
+
+  items.forEach(item => {
+    if (group.length > 0 && item.start >= groupEnd) {
+      closeGroup();
+    }
+
+    let column = columns.findIndex(columnEnd => columnEnd <= item.start);
+    if (column === -1) {
+      column = columns.length;
+      columns.push(item.end);
+    } else {
+      columns[column] = item.end;
+    }
+
+    group.push({ ...item, column });
+    groupEnd = group.length === 1 ? item.end : Math.max(groupEnd, item.end);
+  });
+  closeGroup();
+
+  return positioned.map(({ event, start, end, column, columns: columnCount }) => {
+    const startMinutes = getMinutesOfDay(start);
+    const endMinutes = end >= dayEnd ? 24 * 60 : getMinutesOfDay(end);
+
+    return {
+      event,
+      top: (startMinutes / 60) * HOUR_HEIGHT,
+      height: Math.max(((endMinutes - startMinutes) / 60) * HOUR_HEIGHT, 18),
+      left: column / columnCount,
+      width: 1 / columnCount
+    };
+  });
+};
+
+// Verifica se due date cadono nello stesso giorno locale
+export const isSameDay = (a, b) => toDateKey(a) === toDateKey(b);
@@ -0,0 +1,76 @@
+import { VIEWS, HOUR_HEIGHT, getViewDays, getViewRange, shiftDate, layoutDayEvents } from './calendarGrid';
+
+// Evento con orario tra due istanti ISO
+const timedEvent = (id, start, end) => ({ id, start, end, allDay: false });
+
+describe('getViewDays', () => {
+  it('mostra le settimane intere del mese, da lunedì', () => {
+    const days = getViewDays(VIEWS.MONTH, new Date(2026, 9, 18));
+
+    expect(days).toHaveLength(35);
+    expect(days[0]).toEqual(new Date(2026, 8, 28));
+    expect(days[days.length - 1]).toEqual(new Date(2026, 10, 1));
+  });
+
+  it('mostra la settimana da lunedì anche attraverso il cambio dell\'ora', () => {
+    const days = getViewDays(VIEWS.WEEK, new Date(2026, 9, 25));
+
+    expect(days.map(day => day.getDate())).toEqual([19, 20, 21, 22, 23, 24, 25]);
+    expect(days.every(day => day.getHours() === 0)).toBe(true);
+  });
+});
+
+describe('getViewRange', () => {
+  it('va dalla mezzanotte del primo giorno a quella dopo l\'ultimo', () => {
+    expect(getViewRange(VIEWS.DAY, new Date(2026, 9, 25, 15, 0))).toEqual({
+      timeMin: '2026-10-24T22:00:00.000Z',
+      timeMax: '2026-10-25T23:00:00.000Z'
+    });
+  });
+});
+
+describe('shiftDate', () => {
+  it('passa al periodo precedente o successivo della vista', () => {
+    expect(shiftDate(VIEWS.MONTH, new Date(2026, 0, 31), 1)).toEqual(new Date(2026, 1, 1));
+    expect(shiftDate(VIEWS.WEEK, new Date(2026, 9, 19), -1)).toEqual(new Date(2026, 9, 12));
+    expect(shiftDate(VIEWS.DAY, new Date(2026, 9, 25), 1)).toEqual(new Date(2026, 9, 26));
+  });
+});
+
+describe('layoutDayEvents', () => {
+  it('posiziona gli eventi secondo l\'orario anche nei giorni del cambio dell\'ora', () => {
+    const [autumn] = layoutDayEvents([timedEvent('a', '2026-10-25T10:00:00+01:00', '2026-10-25T11:00:00+01:00')], new Date(2026, 9, 25));
+    const [spring] = layoutDayEvents([timedEvent('b', '2026-03-29T10:00:00+02:00', '2026-03-29T11:30:00+02:00')], new Date(2026, 2, 29));
+
+    expect([autumn.top, autumn.height]).toEqual([10 * HOUR_HEIGHT, HOUR_HEIGHT]);
+    expect([spring.top, spring.height]).toEqual([10 * HOUR_HEIGHT, 1.5 * HOUR_HEIGHT]);
+  });
+
+  it('taglia alla giornata gli eventi che iniziano prima o finiscono dopo', () => {
+    const [item] = layoutDayEvents([timedEvent('a', '2026-10-18T22:00:00+02:00', '2026-10-20T01:00:00+02:00')], new Date(2026, 9, 19));
+
+    expect([item.top, item.height]).toEqual([0, 24 * HOUR_HEIGHT]);
+  });
+
+  it('affianca in colonne gli eventi sovrapposti', () => {
+    const layout = layoutDayEvents([
+      timedEvent('a', '2026-10-19T09:00:00+02:00', '2026-10-19T10:00:00+02:00'),
+      timedEvent('b', '2026-10-19T09:30:00+02:00', '2026-10-19T10:30:00+02:00'),
+      timedEvent('c', '2026-10-19T10:00:00+02:00', '2026-10-19T11:00:00+02:00'),
+      timedEvent('d', '2026-10-19T14:00:00+02:00', '2026-10-19T15:00:00+02:00')
+    ], new Date(2026, 9, 19));
+
+    expect(layout.map(({ event, left, width }) => [event.id, left, width])).toEqual([
+      ['a', 0, 0.5],
+      ['b', 0.5, 0.5],
+      ['c', 0, 0.5],
+      ['d', 0, 1]
+    ]);
+  });
+
+  it('dà un\'altezza minima agli eventi brevi, perché restino cliccabili', () => {
+    const [item] = layoutDayEvents([timedEvent('a', '2026-10-19T09:00:00+02:00', '2026-10-19T09:05:00+02:00')], new Date(2026, 9, 19));
+
+    expect(item.height).toBe(18);
+  });
+});
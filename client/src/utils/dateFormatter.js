@@ -6,7 +6,7 @@
 export const formatDate = (dateString) => {
     if (!dateString) return '';
     
-    const date = new Date(dateString);
+    const date = parseEventDate(dateString);
     
     // Controlla se la data è valida
     if (isNaN(date.getTime())) {
@@ -39,7 +39,7 @@ export const formatDate = (dateString) => {
   export const formatDateTime = (dateString) => {
     if (!dateString) return '';
     
-    const date = new Date(dateString);
+    const date = parseEventDate(dateString);
     
     // Controlla se la data è valida
     if (isNaN(date.getTime())) {
@@ -52,6 +52,64 @@ export const formatDate = (dateString) => {
     }).format(date);
   };
   
+  // Interpreta l'inizio o la fine di un evento: le date senza orario
+  // (eventi di tutto il giorno, "2026-10-24") sono giorni locali, non UTC
+  export const parseEventDate = (dateString) => {
+    if (!dateString) return null;
+    
+    const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateString);
+    if (dateOnly) {
+      return new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]));
+    }
+    
+    return new Date(dateString);
+  };
+  
+  // Chiave AAAA-MM-GG del giorno locale di una data
+  export const toDateKey = (date) => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  };
+  
+  // Orario HH:MM locale di una data
+  export const toTimeKey = (date) => {
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  };
+  
+  // Giorni (chiavi AAAA-MM-GG) occupati da un evento; per gli eventi
+  // di tutto il giorno la data di fine è esclusiva
+  export const getEventDays = (event) => {
+    const start = parseEventDate(event.start);
+    if (!start || isNaN(start.getTime())) return [];
+    
+    const end = parseEventDate(event.end) || start;
+    const lastDay = new Date(event.allDay ? end.getTime() - 1 : Math.max(start.getTime(), end.getTime() - 1));
+    
+    const days = [];
+    const current = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    while (current <= lastDay || days.length === 0) {
+      days.push(toDateKey(current));
+      current.setDate(current.getDate() + 1);
+    }
+    
+    return days;
+  };
+  
+  // Descrive quando si svolge un evento ("sabato 24 ottobre 2026, tutto il giorno")
+  export const formatEventPeriod = (event) => {
+    if (!event.allDay) {
+      return `${formatDateTime(event.start)}${event.end ? ` - ${formatDateTime(event.end)}` : ''}`;
+    }
+    
+    const days = getEventDays(event);
+    if (days.length <= 1) {
+      return `${formatDate(event.start)}, tutto il giorno`;
+    }
+    
+    return `dal ${formatDate(days[0])} al ${formatDate(days[days.length - 1])}`;
+  };
+  
   // Verifica se una data è oggi
   export const isToday = (dateString) => {
     const date = new Date(dateString);
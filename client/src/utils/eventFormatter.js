@@ -0,0 +1,52 @@
+/**
+ * Utility per la presentazione delle opzioni degli eventi
+ * (colore, promemoria, visibilità e disponibilità)
+ */
+
+// Colori degli eventi di Google Calendar per colorId
+export const EVENT_COLORS = {
+  '1': '#7986cb',
+  '2': '#33b679',
+  '3': '#8e24aa',
+  '4': '#e67c73',
+  '5': '#f6bf26',
+  '6': '#f4511e',
+  '7': '#039be5',
+  '8': '#616161',
+  '9': '#3f51b5',
+  '10': '#0b8043',
+  '11': '#d50000'
+};
+
+// Colore di un evento (null se usa quello del calendario)
+export const getEventColor = (event) => EVENT_COLORS[event.colorId] || null;
+
+// Descrive l'anticipo di un promemoria ("30 minuti prima", "1 giorno prima")
+const formatReminderOffset = (minutes) => {
+  if (minutes === 0) return 'all\'inizio';
+  if (minutes % 1440 === 0) return `${minutes / 1440} ${minutes === 1440 ? 'giorno' : 'giorni'} prima`;
+  if (minutes % 60 === 0) return `${minutes / 60} ${minutes === 60 ? 'ora' : 'ore'} prima`;
+  return `${minutes} minuti prima`;
+};
+
+// Descrive i promemoria personalizzati di un evento (vuoto se usa quelli predefiniti)
+export const formatReminders = (reminders) => {
+  if (!reminders) return '';
+  if (reminders.length === 0) return 'Nessun promemoria';
+
+  return `Promemoria: ${reminders
+    .map(reminder => `${formatReminderOffset(reminder.minutes)}${reminder.method === 'email' ? ' (email)' : ''}`)
+    .join(', ')}`;
+};
+
+// Etichette di visibilità e disponibilità diverse da quelle predefinite
+export const formatEventFlags = (event) => {
+  const flags = [];
+
+  if (event.visibility === 'private') flags.push('Privato');
+  if (event.visibility === 'confidential') flags.push('Riservato');
+  if (event.visibility === 'public') flags.push('Pubblico');
+  if (event.transparency === 'transparent') flags.push('Disponibile');
+
+  return flags;
+};
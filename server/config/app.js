@@ -2,6 +2,8 @@
  * Configurazione generale dell'applicazione
  */
 
+const path = require('path');
+
 // Impostazioni di base dell'app
 const appConfig = {
     port: process.env.PORT || 3001,
@@ -29,6 +31,44 @@ const appConfig = {
     credentials: true
   };
   
+  // Configurazione della rubrica usata per risolvere i partecipanti
+  const contactsConfig = {
+    provider: process.env.CONTACTS_PROVIDER || 'file', // file, google
+    file: process.env.CONTACTS_FILE || path.join(__dirname, '../data/contacts.json')
+  };
+  
+  // Configurazione del modello linguistico che interpreta i comandi
+  const llmConfig = {
+    provider: process.env.LLM_PROVIDER || 'gemini', // gemini, openai, local
+    gemini: {
+      apiKey: process.env.GEMINI_API_KEY,
+      baseUrl: process.env.GEMINI_API_URL || 'https://generativelanguage.googleapis.com/v1beta/models',
+      model: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+      timeout: parseInt(process.env.LLM_TIMEOUT, 10) || 10000
+    },
+    openai: {
+      baseUrl: process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || 'llama3.1',
+      timeout: parseInt(process.env.LLM_TIMEOUT, 10) || 30000
+    }
+  };
+  
+  // Numero intero da una variabile d'ambiente: il valore predefinito vale solo se manca
+  // o non è un numero (uno 0 esplicito resta 0)
+  const parseIntegerEnv = (value, defaultValue) => {
+    const parsed = parseInt(value, 10);
+    return isNaN(parsed) ? defaultValue : parsed;
+  };
+  
+  // Configurazione della ricerca di eventi: orizzonte predefinito (giorni nel passato
+  // e nel futuro) e risultati per pagina
+  const searchConfig = {
+    pastDays: parseIntegerEnv(process.env.SEARCH_PAST_DAYS, 365),
+    futureDays: parseIntegerEnv(process.env.SEARCH_FUTURE_DAYS, 365),
+    pageSize: parseInt(process.env.SEARCH_PAGE_SIZE, 10) || 20
+  };
+  
   // Configurazione limiti richieste API
   const apiLimits = {
     windowMs: 15 * 60 * 1000, // 15 minuti
@@ -41,5 +81,8 @@ const appConfig = {
     appConfig,
     sessionConfig,
     corsConfig,
+    contactsConfig,
+    llmConfig,
+    searchConfig,
     apiLimits
   };
\ No newline at end of file
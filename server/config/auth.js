@@ -3,11 +3,14 @@
  */
 
 const { google } = require('googleapis');
+const { contactsConfig } = require('./app');
 
 // Scopes richiesti per l'accesso alle API di Google Calendar
+// (e ai contatti, se sono la rubrica dei partecipanti)
 const SCOPES = [
   'https://www.googleapis.com/auth/calendar',
-  'https://www.googleapis.com/auth/calendar.events'
+  'https://www.googleapis.com/auth/calendar.events',
+  ...(contactsConfig.provider === 'google' ? ['https://www.googleapis.com/auth/contacts.readonly'] : [])
 ];
 
 // Crea e configura il client OAuth2
@@ -18,6 +18,7 @@ const { appConfig, sessionConfig, corsConfig } = require('./config/app');
 // Importa route
 const authRoutes = require('./routes/auth');
 const calendarRoutes = require('./routes/calendar');
+const eventRoutes = require('./routes/events');
 
 // Importa utility
 const { createLogger } = require('./utils/logger');
@@ -52,6 +53,7 @@ if (appConfig.isDevelopment) {
 
 // Registra route
 app.use('/api/auth', authRoutes);
+app.use('/api/events', eventRoutes);
 app.use('/api', calendarRoutes);
 
 // Servi file statici in produzione
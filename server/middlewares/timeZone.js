@@ -0,0 +1,54 @@
+/**
+ * Middleware per la gestione del fuso orario dell'utente
+ */
+
+const calendarService = require('../services/calendarService');
+const timeZoneUtils = require('../utils/timeZoneUtils');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('time-zone-middleware');
+
+/**
+ * Middleware che determina il fuso orario dell'utente e lo salva nella sessione:
+ * quello inviato dal browser (campo "timeZone" della richiesta) oppure, se non
+ * ancora noto, quello delle preferenze di Google Calendar
+ */
+const resolveUserTimeZone = async (req, res, next) => {
+  const browserTimeZone = req.body && req.body.timeZone;
+  
+  if (timeZoneUtils.isValidTimeZone(browserTimeZone)) {
+    if (req.session.timeZone !== browserTimeZone) {
+      logger.debug('Fuso orario inviato dal browser:', browserTimeZone);
+      req.session.timeZone = browserTimeZone;
+    }
+    return next();
+  }
+  
+  return resolveSessionTimeZone(req, res, next);
+};
+
+/**
+ * Middleware che, se non ancora noto, salva nella sessione il fuso orario delle
+ * preferenze di Google Calendar, senza leggere la richiesta: per le richieste
+ * in cui "timeZone" riguarda solo l'evento (API REST degli eventi)
+ */
+const resolveSessionTimeZone = async (req, res, next) => {
+  if (!req.session.timeZone) {
+    try {
+      const calendarTimeZone = await calendarService.getUserTimeZone(req.oauth2Client);
+      if (timeZoneUtils.isValidTimeZone(calendarTimeZone)) {
+        req.session.timeZone = calendarTimeZone;
+      }
+    } catch (error) {
+      // Si riproverà alla prossima richiesta: nel frattempo vale il fuso predefinito
+      logger.warn('Fuso orario non disponibile, uso quello predefinito:', error.message);
+    }
+  }
+  
+  next();
+};
+
+module.exports = {
+  resolveUserTimeZone,
+  resolveSessionTimeZone
+};
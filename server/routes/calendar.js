@@ -5,8 +5,16 @@
 const express = require('express');
 const router = express.Router();
 const { requireAuth } = require('../middlewares/auth');
+const { resolveUserTimeZone } = require('../middlewares/timeZone');
 const calendarService = require('../services/calendarService');
 const geminiService = require('../services/geminiService');
+const confirmationService = require('../services/confirmationService');
+const historyService = require('../services/historyService');
+const contextService = require('../services/contextService');
+const contactService = require('../services/contactService');
+const commandPreprocessor = require('../utils/commandPreprocessor');
+const dateUtils = require('../utils/dateUtils');
+const timeZoneUtils = require('../utils/timeZoneUtils');
 const { createLogger } = require('../utils/logger');
 
 const logger = createLogger('calendar-routes');
@@ -15,8 +23,8 @@ const logger = createLogger('calendar-routes');
  * POST /api/process-command
  * Elabora un comando in linguaggio naturale e lo esegue sul calendario
  */
-router.post('/process-command', requireAuth, async (req, res) => {
-  const { command } = req.body;
+router.post('/process-command', requireAuth, resolveUserTimeZone, async (req, res) => {
+  const { command, dryRun = false } = req.body;
   
   if (!command) {
     return res.status(400).json({ error: 'Comando mancante' });
@@ -37,31 +45,41 @@ router.post('/process-command', requireAuth, async (req, res) => {
     
     logger.debug('Token disponibile, continuo con l\'elaborazione');
     
+    // Risposta a una scelta tra eventi proposti ("la seconda")
+    let chosenAction;
+    try {
+      chosenAction = confirmationService.selectEventChoice(req.session, command);
+    } catch (choiceError) {
+      logger.warn('Scelta non valida:', choiceError.message);
+      return res.status(400).json({ 
+        error: 'Scelta non valida',
+        details: choiceError.message 
+      });
+    }
+    
+    if (chosenAction) {
+      logger.info('Evento scelto tra quelli proposti:', chosenAction.parsedCommand.parameters.eventId);
+      const result = await executePendingAction(chosenAction, req.oauth2Client, req.session);
+      return res.json({ result });
+    }
+    
     // Nuova funzionalità: preprocessamento del comando
-    const commandPreprocessor = require('../utils/commandPreprocessor');
     const preprocessed = commandPreprocessor.preprocessCommand(command);
     logger.trace('Preprocessamento', command, preprocessed);
     
-    // Se il preprocessore ha identificato una risposta diretta, usala
-    if (preprocessed.metadata.isSpecialCommand && preprocessed.metadata.directResponse) {
-      logger.debug('Rilevato comando speciale con risposta diretta');
-      const result = await executeCalendarAction(
-        preprocessed.metadata.directResponse, 
-        req.oauth2Client
-      );
-      logger.debug('Risultato operazione da comando speciale:', result);
+    // Comandi composti ("e poi", ";"): ogni sotto-comando viene eseguito in ordine
+    if (preprocessed.metadata.hasMultipleActions && preprocessed.metadata.subCommands?.length > 1) {
+      logger.debug('Rilevato comando composto da', preprocessed.metadata.subCommands.length, 'passi');
+      const result = await executeMultiStepCommand(preprocessed.metadata.subCommands, req.oauth2Client, req.session);
+      logger.debug('Risultato comando composto:', result);
       return res.json({ result });
     }
     
-    // Arricchisci il comando prima di inviarlo a Gemini
-    const enrichedCommand = commandPreprocessor.enrichCommand(preprocessed);
-    logger.trace('Arricchimento', command, enrichedCommand);
-    
     // Utilizza Gemini per interpretare il comando
-    logger.debug('Inizio interpretazione comando con Gemini');
+    logger.debug('Inizio interpretazione comando');
     let parsedCommand;
     try {
-      parsedCommand = await geminiService.processCommand(enrichedCommand);
+      parsedCommand = await interpretCommand(command, { timeZone: req.session.timeZone }, preprocessed);
       logger.debug('Comando interpretato:', parsedCommand);
     } catch (geminiError) {
       logger.error('Errore specifico nell\'interpretazione del comando:', geminiError);
@@ -80,15 +98,42 @@ router.post('/process-command', requireAuth, async (req, res) => {
       });
     }
     
-    // Arricchisci i parametri con metadati dal preprocessore
-    if (preprocessed.metadata.hasTemporalContext && parsedCommand.parameters) {
-      enrichParametersWithTemporalContext(parsedCommand.parameters, preprocessed.metadata);
+    applyUserTimeZone(parsedCommand, req.session);
+    
+    // Pronomi e ordinali ("spostala", "il secondo") si riferiscono alla conversazione dell'utente
+    try {
+      contextService.resolveReferences(req.session, command, parsedCommand);
+    } catch (referenceError) {
+      logger.warn('Riferimento non risolto:', referenceError.message);
+      return res.status(400).json({ 
+        error: 'Impossibile individuare l\'evento',
+        details: referenceError.message 
+      });
+    }
+    
+    // Data ambigua o inesistente: l'utente sceglie o corregge prima di procedere
+    const dateIssue = resolveCommandDates(parsedCommand, req.session);
+    if (dateIssue) {
+      logger.info('Data del comando da chiarire:', dateIssue.message);
+      return res.json({ result: dateIssue });
     }
     
     // Esegui l'azione appropriata
     logger.debug('Esecuzione azione sul calendario:', parsedCommand.action);
     try {
-      const result = await executeCalendarAction(parsedCommand, req.oauth2Client);
+      // Le azioni distruttive (e le prove) restituiscono un'anteprima da confermare
+      if (dryRun || confirmationService.requiresConfirmation(parsedCommand)) {
+        const result = await requestCommandConfirmation(
+          parsedCommand,
+          req.oauth2Client,
+          req.session,
+          { dryRun, context: { command } }
+        );
+        logger.debug('Anteprima operazione:', result);
+        return res.json({ result });
+      }
+      
+      const result = await executeCalendarAction(parsedCommand, req.oauth2Client, req.session);
       logger.debug('Risultato operazione:', result);
       res.json({ result });
     } catch (actionError) {
@@ -111,6 +156,348 @@ router.post('/process-command', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/confirm-command
+ * Esegue (o annulla) un'azione in attesa di conferma
+ */
+router.post('/confirm-command', requireAuth, resolveUserTimeZone, async (req, res) => {
+  const { confirmationToken, confirmed = true } = req.body;
+  
+  if (!confirmationToken) {
+    return res.status(400).json({ error: 'Token di conferma mancante' });
+  }
+  
+  const pendingAction = confirmationService.consumePendingAction(req.session, confirmationToken);
+  
+  if (!pendingAction) {
+    return res.status(404).json({ 
+      error: 'Conferma non valida',
+      details: 'L\'operazione è scaduta o è già stata eseguita' 
+    });
+  }
+  
+  if (!confirmed) {
+    logger.info('Operazione annullata dall\'utente');
+    return res.json({ result: { success: true, cancelled: true, message: 'Operazione annullata' } });
+  }
+  
+  try {
+    logger.info('Esecuzione azione confermata:', pendingAction.parsedCommand.action);
+    const result = await executePendingAction(pendingAction, req.oauth2Client, req.session);
+    logger.debug('Risultato operazione confermata:', result);
+    res.json({ result });
+  } catch (error) {
+    logger.error('Errore nell\'esecuzione dell\'azione confermata:', error);
+    res.status(500).json({ 
+      error: 'Errore nell\'esecuzione dell\'azione sul calendario',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * POST /api/undo
+ * Annulla l'ultima azione eseguita nella sessione
+ */
+router.post('/undo', requireAuth, resolveUserTimeZone, async (req, res) => {
+  try {
+    const result = await executeCalendarAction({ action: 'UNDO', parameters: {} }, req.oauth2Client, req.session);
+    logger.debug('Risultato annullamento:', result);
+    res.json({ result });
+  } catch (error) {
+    logger.error('Errore nell\'annullamento dell\'ultima operazione:', error);
+    res.status(500).json({ 
+      error: 'Errore nell\'annullamento dell\'operazione',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * GET /api/calendars
+ * Elenca i calendari dell'utente (per indicarli nei comandi, es. "nel calendario Lavoro")
+ */
+router.get('/calendars', requireAuth, async (req, res) => {
+  try {
+    const result = await calendarService.listCalendars(req.oauth2Client);
+    res.json({ result });
+  } catch (error) {
+    logger.error('Errore nel recupero dei calendari:', error);
+    res.status(500).json({ 
+      error: 'Errore nel recupero dei calendari',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * Esegue un'azione confermata o scelta dall'utente e, per i comandi composti,
+ * riprende dai passi successivi
+ * @param {Object} pendingAction - Azione in attesa con il comando da eseguire e il contesto associato
+ * @param {Object} auth - Client OAuth2 autenticato
+ * @param {Object} session - Sessione dell'utente
+ * @returns {Object} Risultato dell'operazione
+ */
+const executePendingAction = async (pendingAction, auth, session) => {
+  const { parsedCommand } = pendingAction;
+  
+  // Contatto scelto tra più omonimi: non verrà chiesto di nuovo
+  if (pendingAction.learnAlias) {
+    contactService.learnAlias(session, pendingAction.learnAlias.alias, pendingAction.learnAlias.contact);
+  }
+  
+  // Data, contatto o evento scelti tra quelli proposti: le azioni distruttive passano comunque dall'anteprima
+  if ((pendingAction.dateChosen || pendingAction.learnAlias || pendingAction.eventChosen) &&
+      confirmationService.requiresConfirmation(parsedCommand)) {
+    return await requestCommandConfirmation(parsedCommand, auth, session, { context: getStepProgress(pendingAction) });
+  }
+  
+  const result = await executeCalendarAction(parsedCommand, auth, session, getStepProgress(pendingAction));
+  
+  // Comando composto: riprendi dai passi successivi a quello confermato
+  if (pendingAction.remainingCommands) {
+    const steps = [
+      ...pendingAction.completedSteps,
+      { step: pendingAction.completedSteps.length + 1, command: pendingAction.command, action: parsedCommand.action, result }
+    ];
+    
+    return await executeMultiStepCommand(
+      pendingAction.remainingCommands,
+      auth,
+      session,
+      { steps, stepContext: buildStepContext(parsedCommand, result, pendingAction.stepContext) }
+    );
+  }
+  
+  return result;
+};
+
+/**
+ * Contesto di un comando composto conservato in un'azione in attesa: il passo
+ * in sospeso, quelli già eseguiti e quelli da riprendere dopo la risposta dell'utente
+ * @param {Object} pendingAction - Azione in attesa
+ * @returns {Object} Contesto dei passi (vuoto per un comando singolo)
+ */
+const getStepProgress = (pendingAction) => {
+  if (!pendingAction.remainingCommands) return {};
+  
+  const { command, completedSteps, remainingCommands, stepContext } = pendingAction;
+  return { command, completedSteps, remainingCommands, stepContext };
+};
+
+/**
+ * Interpreta un comando: risposta diretta del preprocessore oppure l'interprete configurato
+ * @param {String} command - Comando in linguaggio naturale
+ * @param {Object} context - Contesto dell'utente (timeZone)
+ * @param {Object} preprocessed - Comando già pre-elaborato (opzionale)
+ * @returns {Object} Comando interpretato (azione e parametri)
+ */
+const interpretCommand = async (command, context = {}, preprocessed = commandPreprocessor.preprocessCommand(command)) => {
+  // Se il preprocessore ha identificato una risposta diretta, usala
+  if (preprocessed.metadata.isSpecialCommand && preprocessed.metadata.directResponse) {
+    logger.debug('Rilevato comando speciale con risposta diretta');
+    return preprocessed.metadata.directResponse;
+  }
+  
+  // Arricchisci il comando prima di inviarlo all'interprete
+  const enrichedCommand = commandPreprocessor.enrichCommand(preprocessed);
+  logger.trace('Arricchimento', command, enrichedCommand);
+  
+  const parsedCommand = await geminiService.processCommand(enrichedCommand, context);
+  
+  // Arricchisci i parametri con metadati dal preprocessore
+  if (parsedCommand && parsedCommand.parameters && preprocessed.metadata.hasTemporalContext) {
+    enrichParametersWithTemporalContext(parsedCommand.parameters, preprocessed.metadata);
+  }
+  
+  return parsedCommand;
+};
+
+/**
+ * Esegue in ordine i sotto-comandi di un comando composto,
+ * passando a ogni passo il contesto del passo precedente
+ * @param {Array} subCommands - Sotto-comandi rilevati dal preprocessore
+ * @param {Object} auth - Client OAuth2 autenticato
+ * @param {Object} session - Sessione dell'utente (per le azioni da confermare)
+ * @param {Object} progress - Passi già eseguiti e relativo contesto (ripresa dopo una conferma)
+ * @returns {Object} Risultato complessivo con l'elenco ordinato dei passi
+ */
+const executeMultiStepCommand = async (subCommands, auth, session, progress = {}) => {
+  const commands = subCommands.map(subCommand => subCommand.trim()).filter(Boolean);
+  const steps = [...(progress.steps || [])];
+  let stepContext = progress.stepContext || null;
+  
+  for (const [index, subCommand] of commands.entries()) {
+    const step = { step: steps.length + 1, command: subCommand };
+    
+    // Un passo in attesa di conferma (o della scelta di un evento) sospende la sequenza
+    if (steps.some(previous => isPendingResult(previous.result))) {
+      steps.push({ ...step, pending: true, result: { success: false, message: 'In attesa di conferma' } });
+      continue;
+    }
+    
+    // Un passo fallito interrompe la sequenza: i successivi potrebbero dipenderne
+    if (steps.some(previous => !previous.result.success)) {
+      steps.push({ ...step, skipped: true, result: { success: false, message: 'Passo non eseguito' } });
+      continue;
+    }
+    
+    try {
+      const parsedCommand = await interpretCommand(subCommand, { timeZone: session && session.timeZone });
+      
+      if (!parsedCommand || !parsedCommand.action) {
+        throw new Error('Impossibile interpretare il comando');
+      }
+      
+      applyUserTimeZone(parsedCommand, session);
+      
+      // Il passo precedente ha la precedenza sul contesto della conversazione
+      applyStepContext(parsedCommand, stepContext);
+      contextService.resolveReferences(session, subCommand, parsedCommand);
+      logger.debug(`Passo ${step.step} interpretato:`, parsedCommand);
+      
+      // Passi da riprendere quando l'utente conferma o sceglie
+      const stepProgress = {
+        command: subCommand,
+        completedSteps: [...steps],
+        remainingCommands: commands.slice(index + 1),
+        stepContext
+      };
+      
+      const dateIssue = resolveCommandDates(parsedCommand, session, stepProgress);
+      if (dateIssue) {
+        steps.push({ ...step, action: parsedCommand.action, result: dateIssue });
+        continue;
+      }
+      
+      // Azione distruttiva: anteprima e ripresa dei passi successivi alla conferma
+      if (confirmationService.requiresConfirmation(parsedCommand)) {
+        const result = await requestCommandConfirmation(parsedCommand, auth, session, { context: stepProgress });
+        steps.push({ ...step, action: parsedCommand.action, result });
+        continue;
+      }
+      
+      const result = await executeCalendarAction(parsedCommand, auth, session, stepProgress);
+      steps.push({ ...step, action: parsedCommand.action, result });
+      
+      stepContext = buildStepContext(parsedCommand, result, stepContext);
+    } catch (error) {
+      logger.error(`Errore nel passo ${step.step} del comando composto:`, error);
+      steps.push({ ...step, result: { success: false, message: error.message } });
+    }
+  }
+  
+  const completed = steps.filter(step => step.result.success && !isPendingResult(step.result)).length;
+  const events = steps.flatMap(step => step.result.events || []);
+  const pendingStep = steps.find(step => isPendingResult(step.result));
+  
+  // La conferma (o la scelta) del passo in sospeso viene esposta come per i comandi singoli
+  if (pendingStep) {
+    const {
+      success, requiresConfirmation, confirmationToken, plan, needsDisambiguation, candidates, ambiguousDate, dateChoices, contactChoices
+    } = pendingStep.result;
+    return {
+      success,
+      requiresConfirmation,
+      confirmationToken,
+      plan,
+      needsDisambiguation,
+      candidates,
+      ambiguousDate,
+      dateChoices,
+      contactChoices,
+      message: `Passo ${pendingStep.step}: ${pendingStep.result.message}`,
+      steps,
+      ...(events.length > 0 && { events })
+    };
+  }
+  
+  return {
+    success: completed === steps.length,
+    message: `Eseguiti ${completed} passi su ${steps.length}`,
+    steps,
+    ...(events.length > 0 && { events })
+  };
+};
+
+/**
+ * Verifica se il risultato di un passo attende una risposta dell'utente
+ * @param {Object} result - Risultato del passo
+ * @returns {Boolean} True se il passo attende una conferma o la scelta di un evento, di una data o di un contatto
+ */
+const isPendingResult = (result) => !!(result.requiresConfirmation || result.needsDisambiguation || result.ambiguousDate || result.contactChoices);
+
+/**
+ * Costruisce il contesto da passare al passo successivo di un comando composto
+ * @param {Object} parsedCommand - Comando interpretato del passo
+ * @param {Object} result - Risultato del passo
+ * @param {Object} previousContext - Contesto del passo precedente
+ * @returns {Object} Contesto aggiornato
+ */
+const buildStepContext = (parsedCommand, result, previousContext) => {
+  const parameters = parsedCommand.parameters || {};
+  
+  // Un'eliminazione invalida l'evento di riferimento
+  if (parsedCommand.action === 'DELETE_EVENT') {
+    return previousContext ? { ...previousContext, eventId: null, calendarId: null, title: null } : null;
+  }
+  
+  // Evento creato/modificato dal passo, o unico evento elencato
+  const listedEvent = result.events && result.events.length === 1 ? result.events[0] : null;
+  const currentEvent = result.eventId ? { id: result.eventId, calendarId: result.calendarId } : listedEvent;
+  
+  return {
+    eventId: currentEvent ? currentEvent.id : previousContext?.eventId || null,
+    calendarId: currentEvent ? currentEvent.calendarId || null : previousContext?.calendarId || null,
+    title: parameters.title || previousContext?.title || null,
+    date: parameters.date || previousContext?.date || null
+  };
+};
+
+/**
+ * Applica il contesto del passo precedente ai parametri del passo corrente
+ * (es. "crea una riunione domani alle 10 e poi spostala alle 11")
+ * @param {Object} parsedCommand - Comando interpretato del passo corrente
+ * @param {Object} stepContext - Contesto del passo precedente
+ */
+const applyStepContext = (parsedCommand, stepContext) => {
+  if (!stepContext) return;
+  
+  const parameters = parsedCommand.parameters = parsedCommand.parameters || {};
+  const action = parsedCommand.action;
+  
+  // Modifiche ed eliminazioni senza riferimento esplicito agiscono sull'evento precedente
+  if ((action === 'UPDATE_EVENT' || action === 'DELETE_EVENT') && !parameters.eventId && !parameters.filter &&
+      stepContext.eventId && (!parameters.title || parameters.title === 'Nuovo evento')) {
+    parameters.eventId = stepContext.eventId;
+    if (stepContext.calendarId) {
+      parameters.calendarId = stepContext.calendarId;
+    }
+    delete parameters.title;
+    logger.debug('Evento del passo precedente usato come riferimento:', stepContext.eventId);
+  }
+  
+  // Una creazione senza data eredita quella del passo precedente
+  if (action === 'CREATE_EVENT' && !parameters.date && stepContext.date) {
+    parameters.date = stepContext.date;
+  }
+};
+
+/**
+ * Imposta nei parametri il fuso orario dell'utente salvato nella sessione,
+ * usato per interpretare date e orari del comando
+ * @param {Object} parsedCommand - Comando interpretato (modificato sul posto)
+ * @param {Object} session - Sessione dell'utente
+ */
+const applyUserTimeZone = (parsedCommand, session) => {
+  if (!session || !session.timeZone) return;
+  
+  const parameters = parsedCommand.parameters = parsedCommand.parameters || {};
+  if (!parameters.timeZone) {
+    parameters.timeZone = session.timeZone;
+  }
+};
+
 /**
  * Arricchisce i parametri con informazioni temporali dal preprocessore
  * @param {Object} parameters - Parametri dell'azione
@@ -124,11 +511,26 @@ const enrichParametersWithTemporalContext = (parameters, metadata) => {
     parameters.startTime = metadata.detectedEntities.specificTime;
   }
   
+  // Fine o durata dell'intervallo rilevato ("dalle 10 alle 11:30", "per due ore"), se riferite allo stesso inizio
+  if (parameters.startTime === metadata.detectedEntities.specificTime) {
+    if (metadata.detectedEntities.specificEndTime && !parameters.endTime) {
+      parameters.endTime = metadata.detectedEntities.specificEndTime;
+    }
+    if (metadata.detectedEntities.durationMinutes && !parameters.duration && !parameters.endTime) {
+      parameters.duration = metadata.detectedEntities.durationMinutes;
+    }
+  }
+  
   // Se c'è una data specifica
   if (metadata.detectedEntities.specificDate && !parameters.date) {
     parameters.date = metadata.detectedEntities.specificDate;
   }
   
+  // Se c'è un periodo ("questa settimana", "questo mese") e nessun intervallo esplicito
+  if (metadata.detectedEntities.period && !parameters.period && !parameters.startDate && !parameters.endDate && !parameters.date) {
+    parameters.period = metadata.detectedEntities.period;
+  }
+  
   // Se c'è un modificatore temporale
   if (metadata.detectedEntities.modifier) {
     if (!parameters.timeModification) {
@@ -144,11 +546,137 @@ const enrichParametersWithTemporalContext = (parameters, metadata) => {
 
 /**
  * Esegue l'azione sul calendario in base al comando interpretato
+ * e registra le modifiche nello storico e nel contesto della sessione
  * @param {Object} parsedCommand - Comando interpretato
  * @param {Object} auth - Client OAuth2 autenticato
+ * @param {Object} session - Sessione dell'utente
+ * @param {Object} stepProgress - Passi di un comando composto da riprendere dopo una scelta (opzionale)
  * @returns {Object} Risultato dell'operazione
  */
-const executeCalendarAction = async (parsedCommand, auth) => {
+const executeCalendarAction = async (parsedCommand, auth, session, stepProgress = {}) => {
+  // Partecipanti non individuabili con certezza: si chiede all'utente prima di procedere
+  const attendeesIssue = await resolveCommandAttendees(parsedCommand, auth, session, stepProgress);
+  if (attendeesIssue) {
+    return attendeesIssue;
+  }
+  
+  const { journal, ...result } = await runCalendarAction(parsedCommand, auth, session);
+  
+  // Titolo che individua più eventi: l'utente sceglie, come nelle anteprime da confermare
+  if (result.candidates) {
+    return confirmationService.offerEventChoices({
+      command: { action: parsedCommand.action, parameters: result.parameters },
+      candidates: result.candidates
+    }, session, stepProgress);
+  }
+  
+  historyService.recordAction(session, parsedCommand, journal);
+  contextService.updateContext(session, parsedCommand, result, journal);
+  
+  // Sovrapposizioni: le alternative proposte si eseguono come un'azione da confermare
+  if (result.conflicts) {
+    return confirmationService.offerAlternatives(parsedCommand, result, session);
+  }
+  
+  return result;
+};
+
+// Parametri con un'espressione di data, nel comando e nel suo filtro
+const DATE_FIELDS = ['date', 'startDate', 'endDate'];
+
+/**
+ * Verifica le date del comando prima di eseguirlo: una data ambigua (es. "lunedì
+ * 3 novembre" se il 3 è martedì) diventa una scelta per l'utente, una data
+ * inesistente (es. "31 novembre") un messaggio da correggere
+ * @param {Object} parsedCommand - Comando interpretato
+ * @param {Object} session - Sessione dell'utente
+ * @param {Object} stepProgress - Passi di un comando composto da riprendere dopo la scelta (opzionale)
+ * @returns {Object|null} Risultato da mostrare all'utente se una data va chiarita
+ */
+const resolveCommandDates = (parsedCommand, session, stepProgress = {}) => {
+  const parameters = parsedCommand.parameters || {};
+  const today = timeZoneUtils.nowInTimeZone(parameters.timeZone || timeZoneUtils.DEFAULT_TIME_ZONE);
+  
+  const fields = [
+    ...DATE_FIELDS.map(field => ({ field, inFilter: false, text: parameters[field] })),
+    ...DATE_FIELDS.map(field => ({ field, inFilter: true, text: parameters.filter && parameters.filter[field] }))
+  ];
+  
+  for (const { field, inFilter, text } of fields) {
+    const parsed = typeof text === 'string' ? dateUtils.parseItalianDate(text, today) : null;
+    
+    if (parsed && parsed.ambiguous) {
+      return confirmationService.offerDateChoices(parsedCommand, { field, inFilter, text, ...parsed }, session, today, stepProgress);
+    }
+    
+    if (parsed && parsed.invalid) {
+      return { success: false, invalidDate: true, message: parsed.message };
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Prepara l'anteprima da confermare di un comando, con i partecipanti già risolti:
+ * l'anteprima mostra gli indirizzi e la conferma non richiede altre scelte
+ * @param {Object} parsedCommand - Comando interpretato
+ * @param {Object} auth - Client OAuth2 autenticato
+ * @param {Object} session - Sessione dell'utente
+ * @param {Object} options - dryRun e contesto da conservare (es. passi successivi)
+ * @returns {Object} Anteprima da confermare o scelta del contatto
+ */
+const requestCommandConfirmation = async (parsedCommand, auth, session, options = {}) => {
+  // Una prova non propone scelte: ogni scelta eseguirebbe il comando
+  const attendeesIssue = options.dryRun ? null : await resolveCommandAttendees(parsedCommand, auth, session, options.context);
+  if (attendeesIssue) {
+    return attendeesIssue;
+  }
+  
+  return await confirmationService.requestConfirmation(parsedCommand, auth, session, options);
+};
+
+/**
+ * Sostituisce i nomi dei partecipanti con gli indirizzi della rubrica
+ * @param {Object} parsedCommand - Comando interpretato (modificato sul posto)
+ * @param {Object} auth - Client OAuth2 autenticato
+ * @param {Object} session - Sessione dell'utente
+ * @param {Object} stepProgress - Passi di un comando composto da riprendere dopo la scelta (opzionale)
+ * @returns {Object|null} Risultato da mostrare all'utente se un nome è ambiguo o sconosciuto
+ */
+const resolveCommandAttendees = async (parsedCommand, auth, session, stepProgress = {}) => {
+  const parameters = parsedCommand.parameters || {};
+  
+  if (!['CREATE_EVENT', 'UPDATE_EVENT'].includes(parsedCommand.action) || !parameters.attendees?.length) {
+    return null;
+  }
+  
+  const resolution = await contactService.resolveAttendees(parameters.attendees, auth, session);
+  
+  if (resolution.unresolved.length > 0) {
+    return {
+      success: false,
+      message: `Nessun contatto in rubrica per ${resolution.unresolved.map(name => `"${name}"`).join(', ')}: indica l'indirizzo email`,
+      unresolvedAttendees: resolution.unresolved
+    };
+  }
+  
+  if (resolution.ambiguous.length > 0) {
+    return confirmationService.offerContactChoices(parsedCommand, resolution.ambiguous[0], session, stepProgress);
+  }
+  
+  parameters.attendees = resolution.attendees;
+  return null;
+};
+
+/**
+ * Invoca il servizio corrispondente all'azione
+ * @param {Object} parsedCommand - Comando interpretato
+ * @param {Object} auth - Client OAuth2 autenticato
+ * @param {Object} session - Sessione dell'utente
+ * @returns {Object} Risultato dell'operazione (con eventuale registro delle modifiche)
+ */
+const runCalendarAction = async (parsedCommand, auth, session) => {
   const { action, parameters } = parsedCommand;
   
   switch (action) {
@@ -158,8 +686,16 @@ const executeCalendarAction = async (parsedCommand, auth) => {
       return await calendarService.updateEvent(auth, parameters);
     case 'VIEW_EVENTS':
       return await calendarService.listEvents(auth, parameters);
+    case 'SEARCH_EVENTS':
+      return await calendarService.searchEvents(auth, parameters);
+    case 'FIND_SLOT':
+      return await calendarService.findFreeSlots(auth, parameters);
+    case 'QUERY':
+      return await calendarService.answerQuery(auth, parameters);
     case 'DELETE_EVENT':
       return await calendarService.deleteEvent(auth, parameters);
+    case 'UNDO':
+      return await historyService.undoLastAction(auth, session);
     default:
       return { 
         success: false,
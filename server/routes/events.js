@@ -0,0 +1,288 @@
+/**
+ * Route REST per la gestione diretta degli eventi (interfaccia e automazioni):
+ * corpi JSON validati e orari ISO 8601, senza interpretazione del linguaggio naturale
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middlewares/auth');
+const { resolveUserTimeZone, resolveSessionTimeZone } = require('../middlewares/timeZone');
+const calendarService = require('../services/calendarService');
+const historyService = require('../services/historyService');
+const contextService = require('../services/contextService');
+const eventRequestUtils = require('../utils/eventRequestUtils');
+const searchUtils = require('../utils/searchUtils');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('event-routes');
+
+// Numero massimo di eventi per elenco
+const MAX_LIST_RESULTS = 2500;
+
+/**
+ * GET /api/events
+ * Elenca gli eventi tra timeMin e timeMax (ISO 8601; in mancanza, i prossimi 7 giorni),
+ * eventualmente di un calendario (calendar o calendarId) e contenenti un testo (q)
+ */
+router.get('/', requireAuth, resolveUserTimeZone, async (req, res) => {
+  const { timeMin, timeMax, calendar, calendarId, q } = req.query;
+  const errors = eventRequestUtils.validateListRange(req.query);
+  const maxResults = req.query.maxResults !== undefined ? Number(req.query.maxResults) : undefined;
+
+  if (maxResults !== undefined && !(Number.isInteger(maxResults) && maxResults >= 1 && maxResults <= MAX_LIST_RESULTS)) {
+    errors.push({ path: 'query.maxResults', message: `deve essere un numero intero tra 1 e ${MAX_LIST_RESULTS}` });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Parametri non validi', details: errors });
+  }
+
+  try {
+    const result = await calendarService.listEvents(req.oauth2Client, {
+      timeMin,
+      timeMax,
+      calendar,
+      calendarId,
+      query: q,
+      maxResults,
+      timeZone: req.session.timeZone
+    });
+    res.json({ result });
+  } catch (error) {
+    logger.error('Errore nel recupero degli eventi:', error);
+    res.status(500).json({
+      error: 'Errore nel recupero degli eventi',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/events/search
+ * Cerca eventi passati e futuri per testo (q), partecipanti (attendees, separati da
+ * virgola), luogo, descrizione, calendario e periodo o orizzonte (pastDays, futureDays),
+ * in ordine di pertinenza; le pagine successive si chiedono con pageToken
+ */
+router.get('/search', requireAuth, resolveUserTimeZone, async (req, res) => {
+  const { q, query, pageToken, maxResults, calendar, ...criteria } = req.query;
+  const params = { ...criteria, query: q || query, calendar, pageToken, maxResults };
+
+  if (!searchUtils.hasCriteria(searchUtils.normalizeSearch(params))) {
+    return res.status(400).json({ error: 'Criteri di ricerca mancanti' });
+  }
+
+  if (searchUtils.decodePageToken(pageToken) === null) {
+    return res.status(400).json({ error: 'Token di pagina non valido' });
+  }
+
+  try {
+    const result = await calendarService.searchEvents(req.oauth2Client, {
+      ...params,
+      timeZone: req.session.timeZone
+    });
+    res.json({ result });
+  } catch (error) {
+    logger.error('Errore nella ricerca degli eventi:', error);
+    res.status(500).json({
+      error: 'Errore nella ricerca degli eventi',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/events/:eventId
+ * Restituisce un evento (del calendario indicato con calendar o calendarId)
+ */
+router.get('/:eventId', requireAuth, async (req, res) => {
+  try {
+    const result = await calendarService.getEvent(req.oauth2Client, getEventTarget(req));
+
+    if (!result.success) {
+      return res.status(404).json({ error: result.message });
+    }
+
+    res.json({ result });
+  } catch (error) {
+    logger.error('Errore nel recupero dell\'evento:', error);
+    res.status(500).json({
+      error: 'Errore nel recupero dell\'evento',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/events
+ * Crea un evento: title e start obbligatori, end facoltativo (un'ora dopo l'inizio);
+ * le sovrapposizioni e i possibili duplicati rispondono 409 (si conferma con force)
+ */
+router.post('/', requireAuth, resolveSessionTimeZone, async (req, res) => {
+  const errors = eventRequestUtils.validateEventRequest(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Evento non valido', details: errors });
+  }
+
+  try {
+    const params = eventRequestUtils.toServiceParams(req.body, req.body.timeZone || req.session.timeZone);
+    const result = await applyChange(req, { action: 'CREATE_EVENT', parameters: params }, calendarService.createEvent);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    const { event } = await calendarService.getEvent(req.oauth2Client, { eventId: result.eventId, calendarId: result.calendarId });
+    res.status(201).json({ result: { ...result, event } });
+  } catch (error) {
+    logger.error('Errore nella creazione dell\'evento:', error);
+    res.status(500).json({
+      error: 'Errore nella creazione dell\'evento',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/events/:eventId
+ * Modifica i campi indicati di un evento; con start senza end la durata resta invariata,
+ * per gli eventi ricorrenti recurrenceScope indica l'ambito (THIS, FOLLOWING, ALL)
+ */
+router.patch('/:eventId', requireAuth, resolveSessionTimeZone, async (req, res) => {
+  const errors = eventRequestUtils.validateEventRequest(req.body, { partial: true });
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Modifica non valida', details: errors });
+  }
+
+  try {
+    const target = getEventTarget(req);
+    const existing = await calendarService.getEvent(req.oauth2Client, target);
+
+    if (!existing.success) {
+      return res.status(404).json({ error: existing.message });
+    }
+
+    const params = {
+      ...eventRequestUtils.toServiceParams(req.body, req.body.timeZone || req.session.timeZone),
+      eventId: existing.event.id,
+      calendarId: existing.event.calendarId
+    };
+    const result = await applyChange(req, { action: 'UPDATE_EVENT', parameters: params }, calendarService.updateEvent);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    const { event } = await calendarService.getEvent(req.oauth2Client, { eventId: result.eventId, calendarId: result.calendarId });
+    res.json({ result: { ...result, event } });
+  } catch (error) {
+    logger.error('Errore nella modifica dell\'evento:', error);
+    res.status(500).json({
+      error: 'Errore nella modifica dell\'evento',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/events/:eventId
+ * Elimina un evento; per gli eventi ricorrenti recurrenceScope indica l'ambito
+ */
+router.delete('/:eventId', requireAuth, async (req, res) => {
+  const { recurrenceScope } = req.query;
+  const errors = recurrenceScope !== undefined
+    ? eventRequestUtils.validateEventRequest({ recurrenceScope }, { partial: true })
+    : [];
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Parametri non validi', details: errors });
+  }
+
+  try {
+    const existing = await calendarService.getEvent(req.oauth2Client, getEventTarget(req));
+
+    if (!existing.success) {
+      return res.status(404).json({ error: existing.message });
+    }
+
+    const params = {
+      eventId: existing.event.id,
+      calendarId: existing.event.calendarId,
+      title: existing.event.title,
+      recurrenceScope
+    };
+    const result = await applyChange(req, { action: 'DELETE_EVENT', parameters: params }, calendarService.deleteEvent);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({ result });
+  } catch (error) {
+    logger.error('Errore nell\'eliminazione dell\'evento:', error);
+    res.status(500).json({
+      error: 'Errore nell\'eliminazione dell\'evento',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Individua l'evento indicato nell'indirizzo e il suo calendario
+ * @param {Object} req - Richiesta (eventId nel percorso, calendar o calendarId nei parametri)
+ * @returns {Object} Parametri per il recupero dell'evento
+ */
+const getEventTarget = (req) => ({
+  eventId: req.params.eventId,
+  calendarId: req.query.calendarId,
+  calendar: req.query.calendar
+});
+
+/**
+ * Esegue una modifica sul calendario e la registra nello storico e nel contesto
+ * della sessione, come i comandi in linguaggio naturale (annullabile con /api/undo)
+ * @param {Object} req - Richiesta
+ * @param {Object} parsedCommand - Azione e parametri del servizio
+ * @param {Function} operation - Funzione del servizio del calendario
+ * @returns {Object} Risultato dell'operazione (senza il registro delle modifiche)
+ */
+const applyChange = async (req, parsedCommand, operation) => {
+  const { journal, ...result } = await operation(req.oauth2Client, parsedCommand.parameters);
+
+  historyService.recordAction(req.session, parsedCommand, journal);
+  contextService.updateContext(req.session, parsedCommand, result, journal);
+
+  return result;
+};
+
+/**
+ * Risponde a una modifica non eseguita: 409 per sovrapposizioni e possibili duplicati,
+ * 404 se l'evento non esiste più, 400 negli altri casi
+ * @param {Object} res - Risposta
+ * @param {Object} result - Risultato dell'operazione
+ */
+const sendFailure = (res, result) => {
+  if (result.conflicts || result.potentialDuplicate) {
+    return res.status(409).json(toConflictResponse(result));
+  }
+
+  return res.status(result.notFound ? 404 : 400).json({
+    error: result.message || 'Operazione non eseguita',
+    ...(result.results && { details: result.results })
+  });
+};
+
+/**
+ * Risposta a una modifica non eseguita per sovrapposizioni o possibile duplicato
+ * @param {Object} result - Risultato dell'operazione
+ * @returns {Object} Corpo della risposta 409
+ */
+const toConflictResponse = (result) => ({
+  error: result.potentialDuplicate ? 'Possibile evento duplicato' : 'Sovrapposizione con altri eventi',
+  details: result.message,
+  conflicts: result.conflicts || [],
+  existingEventId: result.existingEventId || null
+});
+
+module.exports = router;
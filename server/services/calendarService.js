@@ -2,21 +2,67 @@
  * Servizio per le operazioni sul calendario Google
  */
 
+const crypto = require('crypto');
 const { google } = require('googleapis');
 const { createLogger } = require('../utils/logger');
 const dateUtils = require('../utils/dateUtils');
+const recurrenceUtils = require('../utils/recurrenceUtils');
+const timeZoneUtils = require('../utils/timeZoneUtils');
+const schedulingUtils = require('../utils/schedulingUtils');
+const eventOptionsUtils = require('../utils/eventOptionsUtils');
+const queryUtils = require('../utils/queryUtils');
+const eventFilterUtils = require('../utils/eventFilterUtils');
+const searchUtils = require('../utils/searchUtils');
+const { searchConfig } = require('../config/app');
 
 const logger = createLogger('calendar-service');
 
-/**
- * Aggiunto: variabile per memorizzare l'ultimo evento gestito
- * Aggiungi questo all'inizio del file, dopo le importazioni
- */
-let lastHandledEventContext = {
-  id: null,
-  title: null,
-  timestamp: null
-};
+// Calendario usato quando il comando non ne indica uno
+const DEFAULT_CALENDAR_ID = 'primary';
+
+// Nomi con cui l'utente indica tutti i propri calendari
+const ALL_CALENDARS_KEYWORDS = ['tutti', 'tutti i calendari', 'all'];
+
+// Durata predefinita di uno slot cercato (minuti) e giorni esaminati senza data
+const DEFAULT_SLOT_DURATION = 60;
+const DEFAULT_SLOT_SEARCH_DAYS = 5;
+
+// Giorni esaminati dalle domande sul calendario senza periodo esplicito
+const DEFAULT_QUERY_SEARCH_DAYS = 365;
+const DEFAULT_FREE_SLOT_QUERY_DAYS = 7;
+
+// Numero massimo di eventi elencati per un periodo di più giorni, se non indicato
+const DEFAULT_RANGE_MAX_RESULTS = 50;
+
+// Calendari in cui cercare sovrapposizioni: quelli dell'utente, non quelli solo consultabili (festività, condivisi)
+const CONFLICT_ACCESS_ROLES = ['owner', 'writer'];
+
+// Durata di un giorno in millisecondi
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ricerca per titolo: punteggio minimo di una corrispondenza e distacco del primo
+// candidato oltre il quale non serve chiedere all'utente quale evento intende
+const MIN_TITLE_SCORE = 20;
+const DISAMBIGUATION_MARGIN = 20;
+const MAX_DISAMBIGUATION_CANDIDATES = 5;
+
+// Riunioni considerate quando il titolo indica solo "la riunione"
+const RECENT_MEETING_WINDOW = 3 * DAY_MS;
+
+// Operazioni su più eventi: ricerca predefinita (prossimi 90 giorni), eventi per pagina
+// dell'API, eventi esaminati al massimo da un filtro in tutti i calendari insieme
+// e chiamate in parallelo per gruppo
+const DEFAULT_BULK_SEARCH_DAYS = 90;
+const MAX_BULK_EVENTS = 250;
+const MAX_FILTER_EVENTS = 2500;
+const BULK_BATCH_SIZE = 10;
+
+// Ricerca di eventi: eventi esaminati al massimo da una ricerca, in tutti i calendari
+// insieme (pagine dell'API da 250), e risultati al massimo per pagina
+const MAX_SEARCH_EVENTS = 2500;
+const MAX_SEARCH_PAGE_SIZE = 100;
+
+const ALL_DAY_SHIFT_ERROR = 'Un evento di tutto il giorno si può spostare solo di giorni interi';
 
 /**
  * Crea un evento nel calendario
@@ -29,16 +75,60 @@ const createEvent = async (auth, params) => {
   
   try {
     const calendar = google.calendar({ version: 'v3', auth });
+    const calendarId = await resolveCalendarId(calendar, params);
+    const timeZone = params.timeZone || timeZoneUtils.DEFAULT_TIME_ZONE;
     
-    // Prepara date e orari
-    const startDateTime = prepareDateTime(params.date, params.startTime);
-    const endDateTime = params.endTime 
-      ? prepareDateTime(params.date, params.endTime)
-      : new Date(startDateTime.getTime() + 60 * 60 * 1000); // +1 ora di default
+    let startDateTime;
+    let endDateTime;
+    let eventTimes;
+    
+    if (params.allDay) {
+      // Evento di tutto il giorno, anche su più giorni ("ferie dal 10 al 14 agosto")
+      const days = resolveAllDayRange(params, timeZoneUtils.nowInTimeZone(timeZone));
+      
+      if (params.recurrence) {
+        const alignedStart = recurrenceUtils.alignDateToRecurrence(days.start, params.recurrence);
+        days.end = dateUtils.addDays(days.end, Math.round((alignedStart - days.start) / DAY_MS));
+        days.start = alignedStart;
+      }
+      
+      // Per l'API la data di fine è esclusiva: il giorno successivo all'ultimo
+      const endDay = dateUtils.addDays(days.end, 1);
+      startDateTime = timeZoneUtils.fromZonedTime(days.start, timeZone);
+      endDateTime = timeZoneUtils.fromZonedTime(endDay, timeZone);
+      eventTimes = {
+        start: { date: dateUtils.toIsoDate(days.start) },
+        end: { date: dateUtils.toIsoDate(endDay) }
+      };
+    } else {
+      // Prepara date e orari (nel fuso orario dell'utente)
+      const times = resolveEventTimes(params);
+      startDateTime = prepareDateTime(params.date, times.startTime, timeZone);
+      
+      // Per le ricorrenze su giorni specifici, la prima occorrenza cade nel primo giorno valido
+      if (params.recurrence) {
+        const alignedStart = recurrenceUtils.alignDateToRecurrence(timeZoneUtils.toZonedTime(startDateTime, timeZone), params.recurrence);
+        startDateTime = timeZoneUtils.fromZonedTime(alignedStart, timeZone);
+      }
+      
+      endDateTime = times.endTime
+        ? prepareDateTime(resolveTimedEndDay(startDateTime, params, timeZone), times.endTime, timeZone)
+        : new Date(startDateTime.getTime() + 60 * 60 * 1000); // +1 ora di default
+      
+      // Un orario di fine precedente all'inizio cade nel giorno successivo ("dalle 22 alle 1")
+      if (endDateTime <= startDateTime) {
+        endDateTime = new Date(endDateTime.getTime() + DAY_MS);
+      }
+      
+      eventTimes = {
+        start: { dateTime: startDateTime.toISOString(), timeZone },
+        end: { dateTime: endDateTime.toISOString(), timeZone }
+      };
+    }
       
     // Verifica se esiste già un evento con titolo simile nella stessa data/ora
-    const existingEvents = await calendar.events.list({
-      calendarId: 'primary',
+    const existingEvents = params.force ? { data: {} } : await calendar.events.list({
+      calendarId,
       timeMin: startDateTime.toISOString(),
       timeMax: new Date(startDateTime.getTime() + 5 * 60 * 1000).toISOString(), // Finestra di 5 minuti
       q: params.title
@@ -53,35 +143,63 @@ const createEvent = async (auth, params) => {
       };
     }
     
+    // Verifica sovrapposizioni con altri impegni (salvo creazione forzata):
+    // un evento di tutto il giorno non occupa l'agenda
+    if (!params.force && !params.allDay) {
+      const conflictCheck = await findConflicts(calendar, startDateTime, endDateTime, { timeZone });
+      if (conflictCheck.conflicts.length > 0) {
+        return buildConflictResult(conflictCheck, { ...params, calendarId }, timeZone);
+      }
+    }
+    
     // Prepara risorsa evento
     const event = {
       summary: params.title || 'Nuovo evento',
       description: params.description || '',
-      start: {
-        dateTime: startDateTime.toISOString(),
-        timeZone: 'Europe/Rome',
-      },
-      end: {
-        dateTime: endDateTime.toISOString(),
-        timeZone: 'Europe/Rome',
-      },
-      attendees: prepareAttendees(params.attendees)
+      ...eventTimes,
+      attendees: prepareAttendees(params.attendees),
+      // Luogo, promemoria, colore, visibilità e disponibilità
+      ...eventOptionsUtils.buildEventOptions(params)
     };
+    
+    // Videoconferenza Google Meet, generata dall'API insieme all'evento
+    if (params.conference) {
+      event.conferenceData = buildConferenceRequest();
+    }
+    
+    // Regola di ricorrenza (RRULE)
+    if (params.recurrence) {
+      const rrule = recurrenceUtils.buildRRule(params.recurrence, startDateTime, timeZone);
+      if (rrule) {
+        event.recurrence = [rrule];
+      }
+    }
 
     logger.debug('Richiesta creazione evento:', event);
     
     const response = await calendar.events.insert({
-      calendarId: 'primary',
+      calendarId,
       resource: event,
+      conferenceDataVersion: event.conferenceData ? 1 : 0,
     });
     
     logger.info('Evento creato con successo:', response.data.id);
     
+    const conferenceLink = getConferenceLink(response.data);
+    
     return {
       success: true,
-      message: 'Evento creato con successo',
+      message: describeConferenceOutcome(
+        event.recurrence ? 'Evento ricorrente creato con successo' : 'Evento creato con successo',
+        params.conference,
+        conferenceLink
+      ),
       eventId: response.data.id,
-      eventLink: response.data.htmlLink
+      calendarId,
+      eventLink: response.data.htmlLink,
+      conferenceLink,
+      recurrence: event.recurrence,
+      journal: [{ type: 'created', calendarId, eventId: response.data.id }]
     };
   } catch (error) {
     logger.error('Errore nella creazione dell\'evento:', error);
@@ -90,86 +208,14 @@ const createEvent = async (auth, params) => {
 };
 
 /**
- * Aggiunto: Aggiorna il contesto dell'ultimo evento gestito
- * Aggiungi questa funzione nuova al file
- */
-const updateEventContext = (eventId, eventTitle) => {
-  if (eventId && eventTitle) {
-    lastHandledEventContext = {
-      id: eventId,
-      title: eventTitle,
-      timestamp: Date.now()
-    };
-    logger.debug('Contesto evento aggiornato:', lastHandledEventContext);
-  }
-};
-
-/**
- * Aggiunto: Ottiene l'ID dell'ultimo evento dal contesto se è ancora valido
- * Aggiungi questa funzione nuova al file
- */
-const getLastEventIdFromContext = () => {
-  const contextTimeValid = 5 * 60 * 1000; // 5 minuti
-  
-  if (lastHandledEventContext.id && 
-      lastHandledEventContext.timestamp && 
-      (Date.now() - lastHandledEventContext.timestamp) < contextTimeValid) {
-    logger.debug('Utilizzando contesto evento:', lastHandledEventContext);
-    return lastHandledEventContext.id;
-  }
-  
-  return null;
-};
-
-/**
- * Aggiunto: Trova l'evento più recente per tipo
- * Aggiungi questa funzione nuova al file
- */
-const findMostRecentEventByType = async (calendar, eventType) => {
-  const now = new Date();
-  const threeDaysAgo = new Date(now.getTime() - 3 * 24 * 60 * 60 * 1000);
-  const threeDaysAhead = new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000);
-  
-  logger.debug(`Ricerca eventi recenti di tipo "${eventType}"`);
-  
-  const searchResponse = await calendar.events.list({
-    calendarId: 'primary',
-    timeMin: threeDaysAgo.toISOString(),
-    timeMax: threeDaysAhead.toISOString(),
-    maxResults: 10,
-    singleEvents: true,
-    orderBy: 'startTime',
-  });
-  
-  if (!searchResponse.data.items || searchResponse.data.items.length === 0) {
-    throw new Error(`Nessun evento trovato nel periodo corrente`);
-  }
-  
-  // Filtra per tipo e ordina per prossimità alla data corrente
-  const filteredEvents = searchResponse.data.items.filter(event => 
-    event.summary.toLowerCase().includes(eventType.toLowerCase())
-  );
-  
-  if (filteredEvents.length === 0) {
-    throw new Error(`Nessun evento di tipo "${eventType}" trovato`);
-  }
-  
-  // Ordina per prossimità alla data corrente
-  filteredEvents.sort((a, b) => {
-    const dateA = new Date(a.start.dateTime || a.start.date);
-    const dateB = new Date(b.start.dateTime || b.start.date);
-    return Math.abs(dateA - now) - Math.abs(dateB - now);
-  });
-  
-  logger.debug(`Trovato evento più recente di tipo "${eventType}": ${filteredEvents[0].summary}`);
-  return filteredEvents[0].id;
-};
-
-/**
- * SOSTITUISCI COMPLETAMENTE questa funzione findEventByTitle esistente
- * con questa versione migliorata
+ * Cerca gli eventi che corrispondono a un titolo e li ordina per punteggio:
+ * corrispondenza esatta, parole in comune e vicinanza alla data corrente
+ * @param {Object} calendar - Client Calendar API
+ * @param {String} title - Titolo indicato dall'utente
+ * @param {String} calendarId - ID del calendario in cui cercare
+ * @returns {Array} Candidati { event, score } in ordine di punteggio decrescente
  */
-const findEventByTitle = async (calendar, title) => {
+const rankEventsByTitle = async (calendar, title, calendarId = DEFAULT_CALENDAR_ID) => {
   logger.debug('Ricerca evento per titolo:', title);
   
   // Cerca eventi recenti in un intervallo più ampio
@@ -179,7 +225,7 @@ const findEventByTitle = async (calendar, title) => {
   
   // Aumenta il numero di risultati per una ricerca più ampia
   const searchResponse = await calendar.events.list({
-    calendarId: 'primary',
+    calendarId,
     timeMin: twoWeeksAgo.toISOString(),
     timeMax: oneMonthAhead.toISOString(),
     maxResults: 50,  // Aumentato da 20 a 50
@@ -214,14 +260,10 @@ const findEventByTitle = async (calendar, title) => {
   }
   
   logger.debug('Varianti di ricerca:', searchVariants);
-
-  // Prima tenta con corrispondenza esatta
-  let bestMatch = null;
-  let bestMatchScore = 0;
   
   // Implementa un sistema di punteggio per trovare la migliore corrispondenza
-  for (const event of searchResponse.data.items) {
-    const eventTitle = event.summary.toLowerCase();
+  const scored = searchResponse.data.items.map(event => {
+    const eventTitle = (event.summary || '').toLowerCase();
     let score = 0;
     
     // Corrispondenza esatta
@@ -244,41 +286,289 @@ const findEventByTitle = async (calendar, title) => {
     }
     
     logger.debug(`Punteggio per "${event.summary}": ${score}`);
-    
-    if (score > bestMatchScore) {
-      bestMatchScore = score;
-      bestMatch = event;
-    }
-  }
+    return { event, score };
+  });
   
   // Utilizza una soglia minima per considerare una corrispondenza valida
-  if (bestMatch && bestMatchScore > 20) {
-    logger.debug(`Migliore corrispondenza: "${bestMatch.summary}" con punteggio ${bestMatchScore}`);
-    return bestMatch.id;
+  const ranked = scored
+    .filter(candidate => candidate.score > MIN_TITLE_SCORE)
+    .sort((a, b) => b.score - a.score);
+  
+  if (ranked.length > 0) {
+    return ranked;
+  }
+  
+  // Fallback: "la riunione" senza altri dettagli indica una delle riunioni dei giorni vicini
+  if (/\b(riunione|meeting)\b/.test(searchTitle)) {
+    return scored
+      .filter(({ event }) => /\briunione\b/.test((event.summary || '').toLowerCase()))
+      .map(({ event }) => ({ event, distance: Math.abs(new Date(event.start.dateTime || event.start.date) - now) }))
+      .filter(({ distance }) => distance <= RECENT_MEETING_WINDOW)
+      .sort((a, b) => a.distance - b.distance)
+      .map(({ event }) => ({ event, score: 0 }));
+  }
+  
+  return [];
+};
+
+/**
+ * Verifica se il primo candidato di una ricerca per titolo prevale chiaramente sugli altri
+ * @param {Array} ranked - Candidati { event, score } in ordine di punteggio
+ * @returns {Boolean} True se la scelta non richiede conferma dell'utente
+ */
+const isClearMatch = (ranked) => ranked.length === 1 || ranked[0].score - ranked[1].score >= DISAMBIGUATION_MARGIN;
+
+/**
+ * Individua l'evento indicato per titolo oppure, se più eventi sono plausibili
+ * e nessuno prevale chiaramente, i candidati tra cui far scegliere l'utente
+ * @param {Object} calendar - Client Calendar API
+ * @param {String} title - Titolo indicato dall'utente
+ * @param {String} calendarId - ID del calendario in cui cercare
+ * @returns {Object} ID dell'evento (eventId) o candidati con punteggio (candidates)
+ */
+const resolveEventByTitle = async (calendar, title, calendarId = DEFAULT_CALENDAR_ID) => {
+  const ranked = await rankEventsByTitle(calendar, title, calendarId);
+  
+  if (ranked.length === 0) {
+    throw new Error(`Evento "${title}" non trovato. Prova a specificare un titolo più preciso.`);
+  }
+  
+  if (isClearMatch(ranked)) {
+    return { eventId: ranked[0].event.id };
+  }
+  
+  logger.info(`Più eventi corrispondono a "${title}":`, ranked.length);
+  return {
+    candidates: ranked.slice(0, MAX_DISAMBIGUATION_CANDIDATES).map(({ event, score }) => ({
+      ...formatEventForResponse(event, { id: calendarId }),
+      score: Math.round(score)
+    }))
+  };
+};
+
+/**
+ * Individua l'evento da modificare o eliminare: ID esplicito o ricerca per titolo
+ * (i riferimenti al contesto della conversazione sono già risolti in un ID)
+ * @param {Object} calendar - Client Calendar API
+ * @param {Object} params - Parametri dell'operazione
+ * @param {String} calendarId - ID del calendario in cui cercare
+ * @returns {Object} ID dell'evento (eventId) o, se il titolo è ambiguo, candidati tra cui scegliere (candidates)
+ */
+const resolveEventTarget = async (calendar, params, calendarId) => {
+  if (params.eventId) {
+    return { eventId: params.eventId };
+  }
+  
+  if (!params.title) {
+    throw new Error('ID evento non specificato e impossibile trovare evento dal titolo');
+  }
+  
+  logger.debug('Tentativo di trovare evento per titolo:', params.title);
+  return await resolveEventByTitle(calendar, params.title, calendarId);
+};
+
+/**
+ * Risultato di un'operazione non eseguita perché il titolo individua più eventi:
+ * l'utente sceglie tra i candidati e il comando si ripete sull'evento scelto
+ * @param {Object} params - Parametri dell'operazione
+ * @param {String} calendarId - ID del calendario in cui si è cercato
+ * @param {Array} candidates - Eventi candidati
+ * @returns {Object} Risultato con i candidati
+ */
+const toAmbiguousResult = (params, calendarId, candidates) => ({
+  success: false,
+  message: `Più eventi corrispondono a "${params.title}": quale intendi?`,
+  candidates,
+  parameters: { ...params, calendarId }
+});
+
+/**
+ * Applica a un evento le modifiche richieste, senza salvarle
+ * @param {Object} existingEvent - Evento attuale restituito dall'API
+ * @param {Object} params - Parametri della modifica
+ * @returns {Object} Risorsa evento aggiornata
+ */
+const applyEventChanges = (existingEvent, params) => {
+  // Orari richiesti e nuovi orari sono espressi nel fuso dell'utente
+  const timeZone = params.timeZone || existingEvent.start.timeZone || timeZoneUtils.DEFAULT_TIME_ZONE;
+  const isAllDay = !existingEvent.start.dateTime;
+  
+  // Calcoliamo la durata dell'evento originale (in millisecondi); un evento
+  // di tutto il giorno inizia e finisce alla mezzanotte del fuso dell'utente
+  const originalStartDate = isAllDay
+    ? timeZoneUtils.fromZonedTime(parseAllDayDate(existingEvent.start.date), timeZone)
+    : new Date(existingEvent.start.dateTime);
+  const originalEndDate = isAllDay
+    ? timeZoneUtils.fromZonedTime(parseAllDayDate(existingEvent.end.date), timeZone)
+    : new Date(existingEvent.end.dateTime);
+  const originalDuration = originalEndDate.getTime() - originalStartDate.getTime();
+  
+  logger.debug(`Durata originale dell'evento: ${originalDuration / 60000} minuti`);
+  
+  // Nuove date di un evento di tutto il giorno (senza un nuovo orario) o conversione in tutto il giorno
+  const allDayDatesChanged = isAllDay && !params.startTime &&
+    !!(params.date || params.period || params.startDate || params.endDate);
+  
+  // Prepara l'evento aggiornato
+  const updatedEvent = {
+    ...existingEvent,
+    summary: params.title || existingEvent.summary,
+    description: params.description !== undefined ? params.description : existingEvent.description,
+    // Luogo, promemoria, colore, visibilità e disponibilità indicati nella modifica
+    ...eventOptionsUtils.buildEventOptions(params)
+  };
+  
+  // Link Google Meet aggiunto a un evento che non ne ha ancora uno
+  if (params.conference && !existingEvent.conferenceData) {
+    updatedEvent.conferenceData = buildConferenceRequest();
   }
   
-  // Fallback: se cerchiamo "la riunione" e c'è solo una riunione oggi/domani, usala
-  if (searchTitle.includes('riunione') && !searchTitle.includes('con')) {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    const dayAfterTomorrow = new Date(tomorrow);
-    dayAfterTomorrow.setDate(dayAfterTomorrow.getDate() + 1);
+  // Gestione modifiche temporali
+  if (params.timeModification) {
+    handleTimeModification(params.timeModification, originalStartDate, originalEndDate, updatedEvent, originalDuration, timeZone);
+  }
+  // Gestione spostamento relativo (ore in avanti/indietro)
+  else if (params.hoursToShift) {
+    // Calcola nuovi orari sommando/sottraendo ore
+    const hoursToAdd = params.hoursToShift;
     
-    const recentMeetings = searchResponse.data.items.filter(event => {
-      const eventDate = new Date(event.start.dateTime || event.start.date);
-      return eventDate >= today && eventDate < dayAfterTomorrow && 
-             event.summary.toLowerCase().includes('riunione');
-    });
+    if (isAllDay) {
+      // Un evento di tutto il giorno si sposta solo di giorni interi
+      if (hoursToAdd % 24 !== 0) {
+        throw new Error(ALL_DAY_SHIFT_ERROR);
+      }
+      
+      shiftAllDayEvent(updatedEvent, hoursToAdd / 24);
+    } else {
+      const newStartDateTime = new Date(originalStartDate.getTime() + hoursToAdd * 60 * 60 * 1000);
+      const newEndDateTime = new Date(originalEndDate.getTime() + hoursToAdd * 60 * 60 * 1000);
+      
+      updatedEvent.start = {
+        dateTime: newStartDateTime.toISOString(),
+        timeZone,
+      };
+      
+      updatedEvent.end = {
+        dateTime: newEndDateTime.toISOString(),
+        timeZone,
+      };
+      
+      logger.debug(`Spostamento relativo: ${hoursToAdd} ore. Nuovo orario: ${newStartDateTime.toLocaleTimeString()}`);
+    }
+  }
+  // Evento di tutto il giorno: nuove date, mantenendo il numero di giorni se non è indicata la fine
+  else if (params.allDay || allDayDatesChanged) {
+    applyAllDayDates(existingEvent, updatedEvent, params, timeZone);
+  }
+  // Aggiornamento orario specifico
+  else if (params.startTime) {
+    // Crea una nuova data di inizio con l'orario specificato, nel fuso dell'utente
+    const times = resolveEventTimes(params);
+    const startTimeParts = times.startTime.split(':').map(Number);
+    const zonedStart = timeZoneUtils.toZonedTime(originalStartDate, timeZone);
+    
+    // Nuovo giorno e nuovo orario insieme ("sposta a giovedì alle 15")
+    if (params.date) {
+      const targetDate = dateUtils.parseDateFromText(params.date, timeZoneUtils.nowInTimeZone(timeZone));
+      zonedStart.setFullYear(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate());
+    }
+    
+    zonedStart.setHours(startTimeParts[0], startTimeParts[1], 0, 0);
+    const newStartDateTime = timeZoneUtils.fromZonedTime(zonedStart, timeZone);
+    
+    // Calcola la nuova data di fine mantenendo la durata originale
+    // (un evento di tutto il giorno diventa di un'ora)
+    let newEndDateTime = new Date(newStartDateTime.getTime() + (isAllDay ? 60 * 60 * 1000 : originalDuration));
+    
+    // Se è fornito anche un orario di fine specifico (o una durata), usalo invece
+    if (times.endTime) {
+      const endTimeParts = times.endTime.split(':').map(Number);
+      const zonedEnd = new Date(zonedStart);
+      
+      // Evento su più giorni: la fine cade nel giorno indicato ("dal lunedì alle 10 al mercoledì alle 12")
+      if (params.date && params.endDate) {
+        const endDate = dateUtils.parseDateFromText(params.endDate, timeZoneUtils.nowInTimeZone(timeZone));
+        zonedEnd.setFullYear(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+      }
+      
+      zonedEnd.setHours(endTimeParts[0], endTimeParts[1], 0, 0);
+      
+      // Verifica che la nuova fine sia dopo l'inizio
+      if (zonedEnd <= zonedStart) {
+        // Se la fine è prima dell'inizio, aggiungi un giorno
+        zonedEnd.setDate(zonedEnd.getDate() + 1);
+      }
+      
+      newEndDateTime = timeZoneUtils.fromZonedTime(zonedEnd, timeZone);
+    }
+    
+    logger.debug(`Nuovo orario: ${newStartDateTime.toISOString()}, fine: ${newEndDateTime.toISOString()}`);
+    
+    updatedEvent.start = {
+      dateTime: newStartDateTime.toISOString(),
+      timeZone,
+    };
+    
+    updatedEvent.end = {
+      dateTime: newEndDateTime.toISOString(),
+      timeZone,
+    };
+  }
+  // Aggiornamento data specifica
+  else if (params.date) {
+    // Giorno richiesto, calcolato rispetto alla data corrente dell'utente
+    const targetDate = dateUtils.parseDateFromText(params.date, timeZoneUtils.nowInTimeZone(timeZone));
     
-    if (recentMeetings.length === 1) {
-      logger.debug(`Utilizzando l'unica riunione trovata: ${recentMeetings[0].summary}`);
-      return recentMeetings[0].id;
+    // Mantieni lo stesso orario originale (nel fuso dell'utente) ma aggiorna la data
+    const zonedOriginalStart = timeZoneUtils.toZonedTime(originalStartDate, timeZone);
+    const zonedStart = new Date(targetDate);
+    zonedStart.setHours(
+      zonedOriginalStart.getHours(),
+      zonedOriginalStart.getMinutes(),
+      zonedOriginalStart.getSeconds(),
+      0
+    );
+    
+    const newStartDateTime = timeZoneUtils.fromZonedTime(zonedStart, timeZone);
+    const newEndDateTime = new Date(newStartDateTime.getTime() + originalDuration);
+    
+    logger.debug(`Nuova data: ${newStartDateTime.toISOString()}`);
+    
+    updatedEvent.start = {
+      dateTime: newStartDateTime.toISOString(),
+      timeZone,
+    };
+    
+    updatedEvent.end = {
+      dateTime: newEndDateTime.toISOString(),
+      timeZone,
+    };
+  }
+  
+  // Gestione partecipanti con supporto per aggiunta vs. sostituzione
+  if (params.attendees && params.attendees.length > 0) {
+    if (params.attendeesAction === 'ADD') {
+      // Combina partecipanti esistenti e nuovi
+      const existingEmails = existingEvent.attendees ? existingEvent.attendees.map(a => a.email) : [];
+      const newAttendees = params.attendees.filter(email => !existingEmails.includes(email));
+      
+      updatedEvent.attendees = [
+        ...(existingEvent.attendees || []),
+        ...prepareAttendees(newAttendees)
+      ];
+      
+      logger.debug('Aggiunti nuovi partecipanti:', newAttendees);
+    } else {
+      // Sostituisci partecipanti (comportamento predefinito)
+      updatedEvent.attendees = prepareAttendees(params.attendees);
+      logger.debug('Sostituiti partecipanti con:', params.attendees);
     }
+  } else if (params.attendees && params.attendees.length === 0 && existingEvent.attendees) {
+    // Mantieni i partecipanti esistenti se l'array è vuoto
+    updatedEvent.attendees = existingEvent.attendees;
   }
   
-  throw new Error(`Evento "${title}" non trovato. Prova a specificare un titolo più preciso.`);
+  return updatedEvent;
 };
 
 /**
@@ -290,351 +580,1748 @@ const updateEvent = async (auth, params) => {
   
   try {
     const calendar = google.calendar({ version: 'v3', auth });
+    const calendarId = await resolveCalendarId(calendar, params);
     
-    // Prima dobbiamo trovare l'evento da aggiornare
-    let eventId = params.eventId;
-    
-    // Se non abbiamo un ID, proviamo a utilizzare il contesto
-    if (!eventId) {
-      eventId = getLastEventIdFromContext();
-      logger.debug('ID evento dal contesto:', eventId);
-    }
-    
-    // Se ancora non abbiamo un ID e abbiamo un titolo, cerchiamo per titolo
-    if (!eventId && params.title) {
-      logger.debug('Tentativo di trovare evento per titolo:', params.title);
-      try {
-        eventId = await findEventByTitle(calendar, params.title);
-        logger.debug('Evento trovato per titolo con ID:', eventId);
-      } catch (searchError) {
-        logger.warn('Errore nella ricerca per titolo:', searchError.message);
-        // Fallback: cerchiamo qualsiasi evento recente che corrisponda al tipo
-        if (params.title.includes('riunione') || params.title.toLowerCase().includes('meeting')) {
-          logger.debug('Tentativo di trovare una riunione recente');
-          try {
-            eventId = await findMostRecentEventByType(calendar, 'riunione');
-            logger.debug('Trovata riunione recente con ID:', eventId);
-          } catch (fallbackError) {
-            logger.error('Errore nel trovare evento recente:', fallbackError.message);
-            throw new Error(`Impossibile trovare l'evento da modificare: ${searchError.message}`);
-          }
-        } else {
-          throw searchError;
-        }
-      }
+    // Modifica multipla: eventi confermati da un'anteprima o individuati da un filtro
+    if (params.eventIds || params.filter) {
+      return await updateEventSet(calendar, params, calendarId);
     }
     
-    if (!eventId) {
-      throw new Error('ID evento non specificato e impossibile trovare evento dal titolo');
+    // Prima dobbiamo trovare l'evento da aggiornare
+    const target = await resolveEventTarget(calendar, params, calendarId);
+    if (target.candidates) {
+      return toAmbiguousResult(params, calendarId, target.candidates);
     }
+    const { eventId } = target;
     
     // Ottieni l'evento esistente
     const eventResponse = await calendar.events.get({
-      calendarId: 'primary',
+      calendarId,
       eventId: eventId,
     });
     
     const existingEvent = eventResponse.data;
     logger.debug('Evento esistente trovato:', existingEvent.id);
     
-    // Calcoliamo la durata dell'evento originale (in millisecondi)
-    const originalStartDate = new Date(existingEvent.start.dateTime || existingEvent.start.date);
-    const originalEndDate = new Date(existingEvent.end.dateTime || existingEvent.end.date);
-    const originalDuration = originalEndDate.getTime() - originalStartDate.getTime();
+    // Prepara l'evento aggiornato
+    const updatedEvent = applyEventChanges(existingEvent, params);
     
-    logger.debug(`Durata originale dell'evento: ${originalDuration / 60000} minuti`);
+    logger.debug('Richiesta aggiornamento evento:', updatedEvent);
     
-    // Prepara l'evento aggiornato
-    const updatedEvent = {
-      ...existingEvent,
-      summary: params.title || existingEvent.summary,
-      description: params.description !== undefined ? params.description : existingEvent.description,
-    };
+    // Spostamento: verifica sovrapposizioni nel nuovo orario (salvo modifica forzata)
+    const timesChanged = updatedEvent.start.dateTime !== existingEvent.start.dateTime ||
+      updatedEvent.end.dateTime !== existingEvent.end.dateTime;
     
-    // Gestione modifiche temporali
-    if (params.timeModification) {
-      handleTimeModification(params.timeModification, originalStartDate, originalEndDate, updatedEvent, originalDuration);
-    }
-    // Gestione spostamento relativo (ore in avanti/indietro)
-    else if (params.hoursToShift) {
-      // Calcola nuovi orari sommando/sottraendo ore
-      const hoursToAdd = params.hoursToShift;
-      const newStartDateTime = new Date(originalStartDate.getTime() + hoursToAdd * 60 * 60 * 1000);
-      const newEndDateTime = new Date(originalEndDate.getTime() + hoursToAdd * 60 * 60 * 1000);
-      
-      updatedEvent.start = {
-        dateTime: newStartDateTime.toISOString(),
-        timeZone: 'Europe/Rome',
-      };
-      
-      updatedEvent.end = {
-        dateTime: newEndDateTime.toISOString(),
-        timeZone: 'Europe/Rome',
-      };
-      
-      logger.debug(`Spostamento relativo: ${hoursToAdd} ore. Nuovo orario: ${newStartDateTime.toLocaleTimeString()}`);
-    }
-    // Aggiornamento orario specifico
-    else if (params.startTime) {
-      // Crea una nuova data di inizio con l'orario specificato
-      const startTimeParts = params.startTime.split(':').map(Number);
-      const newStartDateTime = new Date(originalStartDate);
-      newStartDateTime.setHours(startTimeParts[0], startTimeParts[1], 0, 0);
-      
-      // Calcola la nuova data di fine mantenendo la durata originale
-      const newEndDateTime = new Date(newStartDateTime.getTime() + originalDuration);
-      
-      logger.debug(`Nuovo orario: ${newStartDateTime.toLocaleTimeString()}, fine: ${newEndDateTime.toLocaleTimeString()}`);
-      
-      updatedEvent.start = {
-        dateTime: newStartDateTime.toISOString(),
-        timeZone: 'Europe/Rome',
-      };
-      
-      updatedEvent.end = {
-        dateTime: newEndDateTime.toISOString(),
-        timeZone: 'Europe/Rome',
-      };
-      
-      // Se è fornito anche un orario di fine specifico, usalo invece
-      if (params.endTime) {
-        const endTimeParts = params.endTime.split(':').map(Number);
-        newEndDateTime.setHours(endTimeParts[0], endTimeParts[1], 0, 0);
-        
-        // Verifica che la nuova fine sia dopo l'inizio
-        if (newEndDateTime <= newStartDateTime) {
-          // Se la fine è prima dell'inizio, aggiungi un giorno
-          newEndDateTime.setDate(newEndDateTime.getDate() + 1);
-        }
-        
-        updatedEvent.end = {
-          dateTime: newEndDateTime.toISOString(),
-          timeZone: 'Europe/Rome',
-        };
-      }
-    }
-    // Aggiornamento data specifica
-    else if (params.date) {
-      // Calcola la differenza in giorni tra la data originale e quella richiesta
-      const targetDate = dateUtils.parseDateFromText(params.date);
-      
-      // Mantieni gli stessi orari originali ma aggiorna la data
-      const newStartDateTime = new Date(targetDate);
-      newStartDateTime.setHours(
-        originalStartDate.getHours(),
-        originalStartDate.getMinutes(),
-        originalStartDate.getSeconds()
+    if (timesChanged && updatedEvent.start.dateTime && !params.force) {
+      const conflictCheck = await findConflicts(
+        calendar,
+        new Date(updatedEvent.start.dateTime),
+        new Date(updatedEvent.end.dateTime),
+        { timeZone: updatedEvent.start.timeZone, excludeEventId: eventId }
       );
       
-      // Calcola la differenza in giorni
-      const daysDiff = Math.floor((newStartDateTime - originalStartDate) / (24 * 60 * 60 * 1000));
-      
-      // Aggiorna anche la data di fine con lo stesso numero di giorni
-      const newEndDateTime = new Date(originalEndDate);
-      newEndDateTime.setDate(newEndDateTime.getDate() + daysDiff);
-      
-      logger.debug(`Spostamento di ${daysDiff} giorni. Nuova data: ${newStartDateTime.toLocaleDateString()}`);
-      
-      updatedEvent.start = {
-        dateTime: newStartDateTime.toISOString(),
-        timeZone: 'Europe/Rome',
-      };
-      
-      updatedEvent.end = {
-        dateTime: newEndDateTime.toISOString(),
-        timeZone: 'Europe/Rome',
-      };
-    }
-    
-    // Gestione partecipanti con supporto per aggiunta vs. sostituzione
-    if (params.attendees && params.attendees.length > 0) {
-      if (params.attendeesAction === 'ADD') {
-        // Combina partecipanti esistenti e nuovi
-        const existingEmails = existingEvent.attendees ? existingEvent.attendees.map(a => a.email) : [];
-        const newAttendees = params.attendees.filter(email => !existingEmails.includes(email));
-        
-        updatedEvent.attendees = [
-          ...(existingEvent.attendees || []),
-          ...prepareAttendees(newAttendees)
-        ];
-        
-        logger.debug('Aggiunti nuovi partecipanti:', newAttendees);
-      } else {
-        // Sostituisci partecipanti (comportamento predefinito)
-        updatedEvent.attendees = prepareAttendees(params.attendees);
-        logger.debug('Sostituiti partecipanti con:', params.attendees);
+      if (conflictCheck.conflicts.length > 0) {
+        const { timeModification, hoursToShift, ...resolvedParams } = params;
+        return buildConflictResult(conflictCheck, { ...resolvedParams, eventId, calendarId }, updatedEvent.start.timeZone);
       }
-    } else if (params.attendees && params.attendees.length === 0 && existingEvent.attendees) {
-      // Mantieni i partecipanti esistenti se l'array è vuoto
-      updatedEvent.attendees = existingEvent.attendees;
     }
     
-    logger.debug('Richiesta aggiornamento evento:', updatedEvent);
+    // Una nuova ricorrenza si applica di norma all'intera serie
+    const recurrenceScope = recurrenceUtils.normalizeRecurrenceScope(params.recurrenceScope) ||
+      (params.recurrence ? recurrenceUtils.RECURRENCE_SCOPES.ALL : recurrenceUtils.RECURRENCE_SCOPES.THIS);
     
-    const response = await calendar.events.update({
-      calendarId: 'primary',
-      eventId: eventId,
-      resource: updatedEvent,
-    });
+    let response;
+    let journal = [{ type: 'updated', calendarId, eventId, before: existingEvent }];
     
-    // Aggiorna il contesto dopo un'operazione riuscita
-    updateEventContext(response.data.id, updatedEvent.summary);
+    if (existingEvent.recurringEventId && recurrenceScope !== recurrenceUtils.RECURRENCE_SCOPES.THIS) {
+      // Occorrenza di una serie: la modifica si estende alla serie
+      ({ response, journal } = await updateRecurringSeries(calendar, calendarId, existingEvent, updatedEvent, recurrenceScope, params.recurrence));
+    } else {
+      if (params.recurrence && !existingEvent.recurringEventId) {
+        const rrule = recurrenceUtils.buildRRule(params.recurrence, new Date(updatedEvent.start.dateTime || updatedEvent.start.date), updatedEvent.start.timeZone);
+        if (rrule) {
+          updatedEvent.recurrence = [rrule];
+        }
+      }
+      
+      response = await calendar.events.update({
+        calendarId,
+        eventId: eventId,
+        resource: updatedEvent,
+        conferenceDataVersion: updatedEvent.conferenceData ? 1 : 0,
+      });
+    }
     
     logger.info('Evento aggiornato con successo:', response.data.id);
     
+    const conferenceLink = getConferenceLink(response.data);
+    
     return {
       success: true,
-      message: 'Evento aggiornato con successo',
+      message: describeConferenceOutcome(
+        existingEvent.recurringEventId
+          ? `Evento ricorrente aggiornato con successo (${describeRecurrenceScope(recurrenceScope)})`
+          : 'Evento aggiornato con successo',
+        params.conference,
+        conferenceLink
+      ),
       eventId: response.data.id,
-      eventLink: response.data.htmlLink
+      calendarId,
+      eventLink: response.data.htmlLink,
+      conferenceLink,
+      journal
     };
   } catch (error) {
+    // Evento eliminato nel frattempo (es. da un altro dispositivo)
+    if (error.code === 404 || error.code === 410) {
+      return { success: false, notFound: true, message: 'Evento non trovato' };
+    }
     logger.error('Errore nell\'aggiornamento dell\'evento:', error);
     throw new Error(`Impossibile aggiornare l'evento: ${error.message}`);
   }
 };
 
 /**
- * Elenca eventi nel calendario
- * @param {Object} auth - Client OAuth2 autenticato
- * @param {Object} params - Parametri di ricerca
- * @returns {Object} Risultato dell'operazione ed eventi trovati
+ * Applica le stesse modifiche a più eventi ("sposta tutti gli eventi di venerdì a lunedì"),
+ * senza verificare le sovrapposizioni: gli eventi coinvolti sono già stati confermati
+ * @param {Object} calendar - Client Calendar API
+ * @param {Object} params - Parametri della modifica (eventIds o filter e modifiche da applicare)
+ * @param {String} calendarId - Calendario dell'operazione
+ * @returns {Object} Risultato complessivo, esito per evento e registro delle modifiche
  */
-const listEvents = async (auth, params) => {
-  logger.debug('Ricerca eventi con parametri:', params);
+const updateEventSet = async (calendar, params, calendarId) => {
+  const { eventIds, filter, ...changes } = params;
+  const targets = eventIds
+    ? normalizeEventTargets(eventIds, calendarId)
+    : (await findEventsByFilter(calendar, params)).matches.map(toEventTarget);
   
-  try {
-    const calendar = google.calendar({ version: 'v3', auth });
-    
-    // Imposta intervallo di date
-    const now = new Date();
+  if (targets.length === 0) {
+    return { success: true, message: 'Nessun evento corrisponde ai criteri indicati', results: [] };
+  }
+  
+  const { results, journal } = await runBulkOperation(targets, async (target) => {
+    const eventResponse = await calendar.events.get({
+      calendarId: target.calendarId,
+      eventId: target.eventId,
+    });
     
-    // Date di inizio e fine predefinite (oggi -> +7 giorni)
-    let timeMin = now.toISOString();
-    let timeMax = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000).toISOString();
+    const updatedEvent = applyEventChanges(eventResponse.data, changes);
+    const response = await calendar.events.update({
+      calendarId: target.calendarId,
+      eventId: target.eventId,
+      resource: updatedEvent,
+      conferenceDataVersion: updatedEvent.conferenceData ? 1 : 0,
+    });
     
-    // Override con le date specificate nei parametri
-    if (params.date) {
-      const specificDate = dateUtils.parseDateFromText(params.date);
+    return {
+      title: response.data.summary,
+      journal: [{ type: 'updated', calendarId: target.calendarId, eventId: target.eventId, before: eventResponse.data }]
+    };
+  });
+  
+  logger.info('Modifica multipla completata:', results.length, 'eventi');
+  return { ...summarizeBulkResults(results, 'Aggiornati'), results, journal };
+};
+
+/**
+ * Elenca eventi nel calendario
+ * @param {Object} auth - Client OAuth2 autenticato
+ * @param {Object} params - Parametri di ricerca
+ * @returns {Object} Risultato dell'operazione ed eventi trovati
+ */
+const listEvents = async (auth, params) => {
+  logger.debug('Ricerca eventi con parametri:', params);
+  
+  try {
+    const calendar = google.calendar({ version: 'v3', auth });
+    
+    // Intervallo di date richiesto (nel fuso dell'utente)
+    const { timeMin, timeMax, multiDay } = resolveListingRange(params);
+    
+    logger.debug('Ricerca eventi dal', timeMin, 'al', timeMax);
+    
+    const maxResults = params.maxResults || (multiDay || params.filter ? DEFAULT_RANGE_MAX_RESULTS : 10);
+    const targetCalendars = params.filter ? [] : await resolveCalendarsForListing(calendar, params);
+    
+    // Eventi che soddisfano il filtro ("tutte le riunioni con Mario di questo mese")
+    const filtered = params.filter ? await findEventsByFilter(calendar, params) : { matches: [], truncated: false };
+    const events = filtered.matches.map(({ event, target }) => formatEventForResponse(event, target));
+    
+    // Eventi di ciascun calendario, contrassegnati con il calendario di provenienza
+    for (const target of targetCalendars) {
+      const response = await calendar.events.list({
+        calendarId: target.id,
+        timeMin: timeMin,
+        timeMax: timeMax,
+        maxResults,
+        singleEvents: true,
+        orderBy: 'startTime',
+        q: params.query || ''
+      });
       
-      // Se è una data specifica, mostra solo gli eventi di quel giorno
-      timeMin = new Date(specificDate.setHours(0, 0, 0, 0)).toISOString();
-      timeMax = new Date(specificDate.setHours(23, 59, 59, 999)).toISOString();
+      (response.data.items || []).forEach(event => {
+        events.push(formatEventForResponse(event, target));
+      });
+    }
+    
+    if (events.length === 0) {
+      return {
+        success: true,
+        message: 'Nessun evento trovato nel periodo specificato',
+        events: []
+      };
+    }
+    
+    // Unione dei calendari in ordine cronologico
+    const formattedEvents = events
+      .sort((a, b) => new Date(a.start) - new Date(b.start))
+      .slice(0, maxResults);
+    
+    logger.info('Eventi trovati:', formattedEvents.length);
+    let message = events.length > maxResults
+      ? `Trovati ${events.length} eventi, mostrati i primi ${maxResults}`
+      : `Trovati ${formattedEvents.length} eventi`;
+    if (filtered.truncated) {
+      message += ` (esaminati solo i primi ${MAX_FILTER_EVENTS} eventi del periodo: restringi i criteri per vederli tutti)`;
+    }
+    
+    return {
+      success: true,
+      message,
+      ...(filtered.truncated ? { truncated: true } : {}),
+      events: formattedEvents
+    };
+  } catch (error) {
+    logger.error('Errore nel recupero degli eventi:', error);
+    throw new Error(`Impossibile recuperare gli eventi: ${error.message}`);
+  }
+};
+
+/**
+ * Recupera un singolo evento dal suo ID
+ * @param {Object} auth - Client OAuth2 autenticato
+ * @param {Object} params - ID dell'evento (eventId) e calendario (calendarId o calendar)
+ * @returns {Object} Risultato dell'operazione ed evento trovato
+ */
+const getEvent = async (auth, params) => {
+  logger.debug('Recupero evento:', params.eventId);
+  
+  try {
+    const calendar = google.calendar({ version: 'v3', auth });
+    const calendarId = await resolveCalendarId(calendar, params);
+    
+    const response = await calendar.events.get({
+      calendarId,
+      eventId: params.eventId
+    });
+    
+    // Gli eventi eliminati restano consultabili con lo stato "cancelled"
+    if (response.data.status === 'cancelled') {
+      return { success: false, message: 'Evento non trovato' };
     }
     
+    return {
+      success: true,
+      message: 'Evento trovato',
+      event: formatEventForResponse(response.data, { id: calendarId, name: params.calendar || null })
+    };
+  } catch (error) {
+    if (error.code === 404 || error.code === 410) {
+      return { success: false, message: 'Evento non trovato' };
+    }
+    logger.error('Errore nel recupero dell\'evento:', error);
+    throw new Error(`Impossibile recuperare l'evento: ${error.message}`);
+  }
+};
+
+/**
+ * Cerca eventi passati e futuri per testo, partecipanti, luogo e descrizione,
+ * nei calendari indicati, e li restituisce per pertinenza una pagina alla volta
+ * @param {Object} auth - Client OAuth2 autenticato
+ * @param {Object} params - Criteri della ricerca (query, attendees, location, description, date, startDate,
+ * endDate, period, pastDays, futureDays, calendar), pagina (pageToken, maxResults) e timeZone
+ * @returns {Object} Risultato dell'operazione, eventi della pagina, totale e token della pagina successiva
+ */
+const searchEvents = async (auth, params) => {
+  logger.debug('Ricerca eventi con criteri:', params);
+  
+  try {
+    const calendar = google.calendar({ version: 'v3', auth });
+    const search = searchUtils.normalizeSearch(params);
+    
+    if (!searchUtils.hasCriteria(search)) {
+      throw new Error('Indica cosa cercare: parole del titolo, partecipanti, luogo, descrizione o periodo');
+    }
+    
+    const offset = searchUtils.decodePageToken(params.pageToken);
+    if (offset === null) {
+      throw new Error('Token di pagina non valido');
+    }
+    
+    const pageSize = Math.min(parseInt(params.maxResults, 10) || searchConfig.pageSize, MAX_SEARCH_PAGE_SIZE);
+    const { timeMin, timeMax } = resolveSearchRange(search, params.timeZone);
+    const targetCalendars = await resolveCalendarsForListing(calendar, params);
+    
     logger.debug('Ricerca eventi dal', timeMin, 'al', timeMax);
     
+    // Gli eventi dell'orizzonte, fino al massimo esaminabile: la pertinenza si calcola
+    // sull'insieme dei risultati
+    const matches = [];
+    let examined = 0;
+    let truncated = false;
+    for (const target of targetCalendars) {
+      if (examined >= MAX_SEARCH_EVENTS) {
+        truncated = true;
+        break;
+      }
+      
+      const listing = await listAllEvents(calendar, { calendarId: target.id, timeMin, timeMax }, MAX_SEARCH_EVENTS - examined);
+      examined += listing.items.length;
+      truncated = truncated || listing.truncated;
+      
+      listing.items
+        .filter(event => searchUtils.matchesSearch(event, search))
+        .forEach(event => matches.push({ event, target }));
+    }
+    
+    if (truncated) {
+      logger.warn(`Ricerca limitata ai primi ${examined} eventi dell'intervallo`);
+    }
+    
+    const ranked = searchUtils.rankResults(matches, search);
+    const page = ranked.slice(offset, offset + pageSize);
+    const nextOffset = offset + page.length;
+    
+    logger.info(`Risultati della ricerca: ${ranked.length}, pagina da ${offset + 1} a ${nextOffset}`);
+    
+    let message = 'Nessun evento corrisponde alla ricerca';
+    if (page.length > 0) {
+      message = page.length < ranked.length
+        ? `Trovati ${ranked.length} eventi, mostrati dal ${offset + 1} al ${nextOffset}`
+        : `Trovati ${ranked.length} eventi`;
+    }
+    if (truncated) {
+      message += ` (esaminati solo i primi ${examined} eventi del periodo: restringi la ricerca per vederli tutti)`;
+    }
+    
+    return {
+      success: true,
+      message,
+      ...(truncated ? { truncated: true } : {}),
+      events: page.map(({ event, target, score }) => ({ ...formatEventForResponse(event, target), relevance: score })),
+      total: ranked.length,
+      search: { ...search, ...(params.calendar ? { calendar: params.calendar } : {}) },
+      nextPageToken: nextOffset < ranked.length ? searchUtils.encodePageToken(nextOffset) : null
+    };
+  } catch (error) {
+    logger.error('Errore nella ricerca degli eventi:', error);
+    throw new Error(`Impossibile cercare gli eventi: ${error.message}`);
+  }
+};
+
+/**
+ * Determina l'intervallo di una ricerca: giorni indicati (date, startDate/endDate,
+ * period) o, in mancanza, l'orizzonte nel passato e nel futuro (pastDays, futureDays,
+ * con i valori predefiniti della configurazione)
+ * @param {Object} search - Criteri normalizzati della ricerca
+ * @param {String} timeZone - Fuso orario dell'utente
+ * @returns {Object} Estremi (timeMin, timeMax) in formato ISO
+ */
+const resolveSearchRange = (search, timeZone = timeZoneUtils.DEFAULT_TIME_ZONE) => {
+  const range = resolveRequestedDays(search, timeZoneUtils.nowInTimeZone(timeZone));
+  
+  if (range) {
+    return {
+      timeMin: timeZoneUtils.getDayRange(range.start, timeZone).timeMin,
+      timeMax: timeZoneUtils.getDayRange(range.end, timeZone).timeMax
+    };
+  }
+  
+  const now = Date.now();
+  const pastDays = search.pastDays !== undefined ? search.pastDays : searchConfig.pastDays;
+  const futureDays = search.futureDays !== undefined ? search.futureDays : searchConfig.futureDays;
+  
+  return {
+    timeMin: new Date(now - pastDays * DAY_MS).toISOString(),
+    timeMax: new Date(now + futureDays * DAY_MS).toISOString()
+  };
+};
+
+/**
+ * Elenca gli eventi di un calendario in un intervallo seguendo le pagine dell'API
+ * (nextPageToken), senza superare il numero di eventi indicato
+ * @param {Object} calendar - Client Calendar API
+ * @param {Object} request - Calendario e intervallo (calendarId, timeMin, timeMax)
+ * @param {Number} limit - Eventi da richiedere al massimo
+ * @returns {Object} Eventi in ordine cronologico (items) e se ne restano altri (truncated)
+ */
+const listAllEvents = async (calendar, request, limit) => {
+  const items = [];
+  let pageToken;
+  
+  do {
+    const response = await calendar.events.list({
+      ...request,
+      maxResults: Math.min(MAX_BULK_EVENTS, limit - items.length),
+      singleEvents: true,
+      orderBy: 'startTime',
+      ...(pageToken ? { pageToken } : {})
+    });
+    
+    items.push(...(response.data.items || []).slice(0, limit - items.length));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken && items.length < limit);
+  
+  return { items, truncated: !!pageToken };
+};
+
+/**
+ * Determina l'intervallo da elencare: istanti ISO (timeMin/timeMax), estremi espliciti (startDate/endDate),
+ * periodo ("next_week", "dal 3 al 10 novembre"), singolo giorno o, in mancanza,
+ * i prossimi 7 giorni
+ * @param {Object} params - Parametri della ricerca
+ * @returns {Object} Estremi (timeMin, timeMax) in formato ISO e se l'intervallo copre più giorni
+ */
+const resolveListingRange = (params) => {
+  // Estremi ISO già risolti (API REST): in mancanza della fine, una settimana
+  if (params.timeMin || params.timeMax) {
+    const timeMin = params.timeMin ? new Date(params.timeMin) : new Date();
+    const timeMax = params.timeMax ? new Date(params.timeMax) : new Date(timeMin.getTime() + 7 * 24 * 60 * 60 * 1000);
+    return {
+      timeMin: timeMin.toISOString(),
+      timeMax: timeMax.toISOString(),
+      multiDay: timeMax - timeMin > 24 * 60 * 60 * 1000
+    };
+  }
+  
+  const timeZone = params.timeZone || timeZoneUtils.DEFAULT_TIME_ZONE;
+  const range = resolveRequestedDays(params, timeZoneUtils.nowInTimeZone(timeZone));
+  
+  if (range) {
+    return {
+      timeMin: timeZoneUtils.getDayRange(range.start, timeZone).timeMin,
+      timeMax: timeZoneUtils.getDayRange(range.end, timeZone).timeMax,
+      multiDay: !range.singleDay
+    };
+  }
+  
+  // Date di inizio e fine predefinite (adesso -> +7 giorni)
+  const now = new Date();
+  return {
+    timeMin: now.toISOString(),
+    timeMax: new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+    multiDay: true
+  };
+};
+
+/**
+ * Determina i giorni indicati nel comando: estremi espliciti (startDate/endDate),
+ * periodo ("next_week", "dal 3 al 10 novembre") o singolo giorno (date)
+ * @param {Object} params - Parametri del comando
+ * @param {Date} today - Data di riferimento nel fuso dell'utente
+ * @returns {Object|null} Primo e ultimo giorno { start, end, singleDay, period } o null se non indicati
+ */
+const resolveRequestedDays = (params, today) => {
+  let range = null;
+  
+  if (params.startDate || params.endDate) {
+    const start = params.startDate ? dateUtils.parseDateFromText(params.startDate, today) : today;
+    const end = params.endDate ? dateUtils.parseDateFromText(params.endDate, today) : new Date(start.getTime());
+    
+    // Solo l'inizio: una settimana a partire da quel giorno
+    if (!params.endDate) {
+      end.setDate(end.getDate() + 6);
+    }
+    
+    range = { start, end };
+  } else if (params.period) {
+    const namedRange = dateUtils.getPeriodRange(params.period, today);
+    range = namedRange ? { ...namedRange, period: params.period } : dateUtils.parseDateRange(params.period, today);
+    
+    if (!range) {
+      logger.warn('Periodo non riconosciuto, uso l\'intervallo predefinito:', params.period);
+    }
+  }
+  
+  if (range) {
+    if (range.end < range.start) {
+      throw new Error('La data di fine del periodo precede quella di inizio');
+    }
+    
+    return range;
+  }
+  
+  // Se è una data specifica, solo quel giorno
+  if (params.date) {
+    const specificDate = dateUtils.parseDateFromText(params.date, today);
+    return { start: specificDate, end: new Date(specificDate.getTime()), singleDay: true };
+  }
+  
+  return null;
+};
+
+/**
+ * Cerca slot liberi nei calendari tramite l'API freebusy, nell'orario di lavoro
+ * o nella fascia richiesta ("un'ora giovedì pomeriggio")
+ * @param {Object} auth - Client OAuth2 autenticato
+ * @param {Object} params - Parametri della ricerca (date, days, duration, timeOfDay, earliestTime, latestTime, calendar)
+ * @returns {Object} Risultato dell'operazione e slot proposti in ordine di preferenza
+ */
+const findFreeSlots = async (auth, params) => {
+  logger.debug('Ricerca slot liberi con parametri:', params);
+  
+  try {
+    const calendar = google.calendar({ version: 'v3', auth });
+    const timeZone = params.timeZone || timeZoneUtils.DEFAULT_TIME_ZONE;
+    const duration = parseInt(params.duration, 10) || DEFAULT_SLOT_DURATION;
+    
+    // Intervalli di ricerca, calcolati nel fuso dell'utente
+    const now = timeZoneUtils.nowInTimeZone(timeZone);
+    const firstDay = params.date ? dateUtils.parseDateFromText(params.date, now) : now;
+    const days = parseInt(params.days, 10) || (params.date ? 1 : DEFAULT_SLOT_SEARCH_DAYS);
+    
+    const windows = schedulingUtils.buildSearchWindows(firstDay, days, {
+      timeOfDay: schedulingUtils.normalizeTimeOfDay(params.timeOfDay),
+      earliestTime: params.earliestTime,
+      latestTime: params.latestTime,
+      now
+    }).map(window => ({
+      start: timeZoneUtils.fromZonedTime(window.start, timeZone),
+      end: timeZoneUtils.fromZonedTime(window.end, timeZone)
+    }));
+    
+    if (windows.length === 0) {
+      return {
+        success: true,
+        message: 'Nessun orario disponibile nel periodo richiesto',
+        slots: []
+      };
+    }
+    
+    // Impegni di tutti i calendari coinvolti
+    const targetCalendars = await resolveCalendarsForListing(calendar, params);
+    const response = await calendar.freebusy.query({
+      resource: {
+        timeMin: windows[0].start.toISOString(),
+        timeMax: windows[windows.length - 1].end.toISOString(),
+        timeZone,
+        items: targetCalendars.map(target => ({ id: target.id }))
+      }
+    });
+    
+    const busy = [];
+    Object.entries(response.data.calendars || {}).forEach(([id, info]) => {
+      if (info.errors && info.errors.length > 0) {
+        logger.warn(`Disponibilità non accessibile per il calendario ${id}:`, info.errors);
+      }
+      busy.push(...(info.busy || []));
+    });
+    
+    const slots = schedulingUtils.findFreeSlots(windows, busy, duration, params.maxResults || 5)
+      .map(slot => ({
+        start: slot.start.toISOString(),
+        end: slot.end.toISOString(),
+        buffered: slot.buffered
+      }));
+    
+    logger.info('Slot liberi trovati:', slots.length);
+    return {
+      success: true,
+      message: slots.length > 0
+        ? `Trovati ${slots.length} slot liberi da ${duration} minuti`
+        : 'Nessuno slot libero nel periodo richiesto',
+      slots,
+      duration
+    };
+  } catch (error) {
+    logger.error('Errore nella ricerca degli slot liberi:', error);
+    throw new Error(`Impossibile cercare slot liberi: ${error.message}`);
+  }
+};
+
+// Fasce della giornata nelle risposte sul tempo libero
+const TIME_OF_DAY_SCOPES = {
+  MORNING: 'di mattina',
+  AFTERNOON: 'nel pomeriggio',
+  EVENING: 'di sera'
+};
+
+/**
+ * Risponde a una domanda sul calendario ("quando ho il dentista?",
+ * "quanto tempo libero ho domani?", "sono libero giovedì alle 15?")
+ * @param {Object} auth - Client OAuth2 autenticato
+ * @param {Object} params - Tipo di domanda (queryType), argomento (query) e periodo
+ * @returns {Object} Risposta in italiano (message) ed eventi su cui si basa
+ */
+const answerQuery = async (auth, params) => {
+  logger.debug('Domanda sul calendario con parametri:', params);
+  
+  try {
+    const calendar = google.calendar({ version: 'v3', auth });
+    const timeZone = params.timeZone || timeZoneUtils.DEFAULT_TIME_ZONE;
+    const queryType = queryUtils.normalizeQueryType(params.queryType) || (params.query ? 'NEXT_OCCURRENCE' : null);
+    const today = timeZoneUtils.nowInTimeZone(timeZone);
+    const context = {
+      calendar,
+      params,
+      timeZone,
+      today,
+      targetCalendars: await resolveCalendarsForListing(calendar, params)
+    };
+    
+    switch (queryType) {
+      case 'NEXT_OCCURRENCE':
+        return await answerNextOccurrence(context);
+      case 'BUSY_TIME':
+        return await answerBusyTime(context);
+      case 'FREE_TIME':
+        return await answerFreeTime(context);
+      case 'FIRST_FREE_SLOT':
+        return await answerFirstFreeSlot(context);
+      case 'IS_FREE':
+        return await answerAvailability(context);
+      default:
+        throw new Error('Tipo di domanda non riconosciuto');
+    }
+  } catch (error) {
+    logger.error('Errore nella risposta alla domanda:', error);
+    throw new Error(`Impossibile rispondere alla domanda: ${error.message}`);
+  }
+};
+
+/**
+ * Giorni della domanda nel fuso dell'utente, con un periodo predefinito a partire da oggi
+ * @param {Object} context - Contesto della domanda
+ * @param {Number} defaultDays - Giorni esaminati se il comando non indica un periodo
+ * @returns {Object} Primo e ultimo giorno { start, end, period }, estremi ISO (timeMin, timeMax) e periodo descritto (label)
+ */
+const resolveQueryRange = ({ params, timeZone, today }, defaultDays = 1) => {
+  const range = resolveRequestedDays(params, today) || { start: today, end: dateUtils.addDays(today, defaultDays - 1) };
+  
+  return {
+    ...range,
+    timeMin: timeZoneUtils.getDayRange(range.start, timeZone).timeMin,
+    timeMax: timeZoneUtils.getDayRange(range.end, timeZone).timeMax,
+    label: queryUtils.describePeriod(range, today)
+  };
+};
+
+/**
+ * Eventi dei calendari della domanda in un intervallo, in ordine cronologico
+ * @param {Object} context - Contesto della domanda
+ * @param {String} timeMin - Inizio dell'intervallo (ISO)
+ * @param {String} timeMax - Fine dell'intervallo (ISO)
+ * @param {Object} options - Testo da cercare (query), solo impegni che occupano l'agenda (blockingOnly)
+ * @returns {Array} Eventi nel formato della risposta
+ */
+const collectQueryEvents = async ({ calendar, targetCalendars }, timeMin, timeMax, options = {}) => {
+  const events = [];
+  
+  for (const target of targetCalendars) {
     const response = await calendar.events.list({
-      calendarId: 'primary',
-      timeMin: timeMin,
-      timeMax: timeMax,
-      maxResults: params.maxResults || 10,
+      calendarId: target.id,
+      timeMin,
+      timeMax,
+      maxResults: options.maxResults || 250,
       singleEvents: true,
       orderBy: 'startTime',
-      q: params.query || ''
+      q: options.query || ''
+    });
+    
+    (response.data.items || [])
+      .filter(event => event.status !== 'cancelled')
+      .filter(event => !options.blockingOnly || isBlockingEvent(event))
+      .forEach(event => events.push(formatEventForResponse(event, target)));
+  }
+  
+  return events.sort((a, b) => new Date(a.start) - new Date(b.start));
+};
+
+/**
+ * Intervalli di ricerca del tempo libero nei giorni della domanda: fascia richiesta
+ * o orario di lavoro, a partire da adesso
+ * @param {Object} context - Contesto della domanda
+ * @param {Object} range - Giorni della domanda
+ * @returns {Array} Intervalli { start, end } (istanti)
+ */
+const buildQueryWindows = ({ params, timeZone, today }, range) => {
+  const days = Math.round((Date.UTC(range.end.getFullYear(), range.end.getMonth(), range.end.getDate()) -
+    Date.UTC(range.start.getFullYear(), range.start.getMonth(), range.start.getDate())) / DAY_MS) + 1;
+  
+  return schedulingUtils.buildSearchWindows(range.start, days, {
+    timeOfDay: schedulingUtils.normalizeTimeOfDay(params.timeOfDay),
+    earliestTime: params.startTime,
+    latestTime: params.endTime,
+    now: today
+  }).map(window => ({
+    start: timeZoneUtils.fromZonedTime(window.start, timeZone),
+    end: timeZoneUtils.fromZonedTime(window.end, timeZone)
+  }));
+};
+
+/**
+ * Prossimo evento che corrisponde all'argomento della domanda
+ * @param {Object} context - Contesto della domanda
+ * @returns {Object} Risposta ed evento trovato
+ */
+const answerNextOccurrence = async (context) => {
+  const { params, timeZone, today } = context;
+  if (!params.query) {
+    throw new Error('Specifica cosa cercare nel calendario');
+  }
+  
+  const explicitRange = resolveRequestedDays(params, today);
+  const range = explicitRange
+    ? resolveQueryRange(context)
+    : { timeMin: new Date().toISOString(), timeMax: new Date(Date.now() + DEFAULT_QUERY_SEARCH_DAYS * DAY_MS).toISOString() };
+  
+  const events = (await collectQueryEvents(context, range.timeMin, range.timeMax, { query: params.query }))
+    .filter(event => new Date(event.end) > new Date());
+  const [nextEvent = null] = events;
+  
+  return {
+    success: true,
+    message: queryUtils.describeNextOccurrence(params.query, nextEvent, { timeZone, today, period: range.label }),
+    queryType: 'NEXT_OCCURRENCE',
+    events: nextEvent ? [nextEvent] : []
+  };
+};
+
+/**
+ * Tempo occupato dagli impegni nel periodo della domanda (predefinito: oggi)
+ * @param {Object} context - Contesto della domanda
+ * @returns {Object} Risposta, minuti occupati ed eventi considerati
+ */
+const answerBusyTime = async (context) => {
+  const { params } = context;
+  const range = resolveQueryRange(context);
+  
+  const events = await collectQueryEvents(context, range.timeMin, range.timeMax, {
+    query: params.query,
+    blockingOnly: true
+  });
+  
+  // Gli impegni sovrapposti si contano una volta sola, senza uscire dal periodo
+  const minutes = schedulingUtils.sumMinutes(schedulingUtils.mergeIntervals(events.map(event => ({
+    start: new Date(Math.max(new Date(event.start).getTime(), new Date(range.timeMin).getTime())),
+    end: new Date(Math.min(new Date(event.end).getTime(), new Date(range.timeMax).getTime()))
+  }))));
+  
+  return {
+    success: true,
+    message: queryUtils.describeBusyTime(minutes, events.length, { period: range.label, query: params.query }),
+    queryType: 'BUSY_TIME',
+    minutes,
+    events
+  };
+};
+
+/**
+ * Tempo libero nella fascia richiesta o nell'orario di lavoro del periodo della domanda
+ * @param {Object} context - Contesto della domanda
+ * @returns {Object} Risposta, minuti liberi, intervalli liberi ed eventi considerati
+ */
+const answerFreeTime = async (context) => {
+  const { params } = context;
+  const range = resolveQueryRange(context);
+  const windows = buildQueryWindows(context, range);
+  const timeOfDay = schedulingUtils.normalizeTimeOfDay(params.timeOfDay);
+  const scope = TIME_OF_DAY_SCOPES[timeOfDay] || 'nell\'orario di lavoro';
+  
+  const events = windows.length > 0
+    ? await collectQueryEvents(context, windows[0].start.toISOString(), windows[windows.length - 1].end.toISOString(), { blockingOnly: true })
+    : [];
+  const gaps = schedulingUtils.findFreeGaps(windows, events);
+  const minutes = schedulingUtils.sumMinutes(gaps);
+  
+  return {
+    success: true,
+    message: queryUtils.describeFreeTime(minutes, { period: range.label, scope }),
+    queryType: 'FREE_TIME',
+    minutes,
+    gaps: gaps.map(gap => ({ start: gap.start.toISOString(), end: gap.end.toISOString() })),
+    events
+  };
+};
+
+/**
+ * Primo intervallo libero della durata richiesta (predefinito: i prossimi 7 giorni)
+ * @param {Object} context - Contesto della domanda
+ * @returns {Object} Risposta, intervallo libero ed eventi considerati
+ */
+const answerFirstFreeSlot = async (context) => {
+  const { params, timeZone, today } = context;
+  const range = resolveQueryRange(context, DEFAULT_FREE_SLOT_QUERY_DAYS);
+  const windows = buildQueryWindows(context, range);
+  const duration = parseInt(params.duration, 10) || null;
+  
+  const events = windows.length > 0
+    ? await collectQueryEvents(context, windows[0].start.toISOString(), windows[windows.length - 1].end.toISOString(), { blockingOnly: true })
+    : [];
+  const gap = schedulingUtils.findFreeGaps(windows, events)
+    .find(candidate => !duration || candidate.end - candidate.start >= duration * 60000) || null;
+  
+  return {
+    success: true,
+    message: queryUtils.describeFirstFreeSlot(gap, { timeZone, today, period: range.label, duration }),
+    queryType: 'FIRST_FREE_SLOT',
+    slot: gap ? { start: gap.start.toISOString(), end: gap.end.toISOString() } : null,
+    events
+  };
+};
+
+/**
+ * Verifica se l'utente è libero nell'orario della domanda
+ * @param {Object} context - Contesto della domanda
+ * @returns {Object} Risposta, disponibilità e impegni nell'intervallo
+ */
+const answerAvailability = async (context) => {
+  const { params, timeZone, today } = context;
+  if (!params.startTime) {
+    throw new Error('Specifica l\'orario da verificare');
+  }
+  
+  const start = prepareDateTime(params.date, params.startTime, timeZone);
+  const end = params.endTime
+    ? prepareDateTime(params.date, params.endTime, timeZone)
+    : new Date(start.getTime() + (parseInt(params.duration, 10) || DEFAULT_SLOT_DURATION) * 60000);
+  
+  if (end <= start) {
+    throw new Error('L\'orario di fine deve essere successivo a quello di inizio');
+  }
+  
+  const conflicts = await collectQueryEvents(context, start.toISOString(), end.toISOString(), { blockingOnly: true });
+  
+  return {
+    success: true,
+    message: queryUtils.describeAvailability({ start, end }, conflicts, { timeZone, today }),
+    queryType: 'IS_FREE',
+    free: conflicts.length === 0,
+    events: conflicts
+  };
+};
+
+/**
+ * Verifica se un evento occupa il tempo dell'utente
+ * @param {Object} event - Evento restituito dall'API
+ * @param {String} excludeEventId - Evento da ignorare (quello che si sta spostando)
+ * @returns {Boolean} True se l'evento rende l'intervallo occupato
+ */
+const isBlockingEvent = (event, excludeEventId) => {
+  // Eventi di un giorno intero, annullati o segnati come "disponibile" non occupano l'agenda
+  if (event.status === 'cancelled' || event.transparency === 'transparent' || !event.start.dateTime) {
+    return false;
+  }
+  
+  if (excludeEventId && event.id === excludeEventId) {
+    return false;
+  }
+  
+  // Inviti rifiutati
+  const self = (event.attendees || []).find(attendee => attendee.self);
+  return !self || self.responseStatus !== 'declined';
+};
+
+/**
+ * Cerca nei calendari dell'utente gli impegni che si sovrappongono a un intervallo
+ * e il primo orario libero della stessa durata nel resto della giornata
+ * @param {Object} calendar - Client Calendar API
+ * @param {Date} start - Inizio dell'intervallo
+ * @param {Date} end - Fine dell'intervallo
+ * @param {Object} options - Fuso orario (timeZone) ed evento da ignorare (excludeEventId)
+ * @returns {Object} Impegni sovrapposti (conflicts) e orario alternativo (nextFreeSlot)
+ */
+const findConflicts = async (calendar, start, end, options = {}) => {
+  const { timeZone = timeZoneUtils.DEFAULT_TIME_ZONE, excludeEventId = null } = options;
+  
+  // Si esamina fino a fine giornata per proporre un orario alternativo
+  const { timeMax } = timeZoneUtils.getDayRange(timeZoneUtils.toZonedTime(start, timeZone), timeZone);
+  const searchEnd = new Date(Math.max(end.getTime(), new Date(timeMax).getTime()));
+  
+  const calendars = (await getCalendarList(calendar))
+    .filter(item => CONFLICT_ACCESS_ROLES.includes(item.accessRole));
+  
+  const busyEvents = [];
+  for (const target of calendars) {
+    try {
+      const response = await calendar.events.list({
+        calendarId: target.id,
+        timeMin: start.toISOString(),
+        timeMax: searchEnd.toISOString(),
+        singleEvents: true,
+        orderBy: 'startTime'
+      });
+      
+      (response.data.items || [])
+        .filter(event => isBlockingEvent(event, excludeEventId))
+        .forEach(event => busyEvents.push(formatEventForResponse(event, target)));
+    } catch (error) {
+      logger.warn(`Impossibile verificare le sovrapposizioni nel calendario ${target.id}:`, error.message);
+    }
+  }
+  
+  const conflicts = busyEvents.filter(event => new Date(event.start) < end && new Date(event.end) > start);
+  if (conflicts.length === 0) {
+    return { conflicts, nextFreeSlot: null };
+  }
+  
+  logger.info('Sovrapposizioni rilevate:', conflicts.map(event => event.title));
+  
+  const durationMinutes = Math.round((end.getTime() - start.getTime()) / 60000);
+  const nextFreeSlot = schedulingUtils.findNextFreeSlot({ start, end: searchEnd }, busyEvents, durationMinutes);
+  
+  return { conflicts, nextFreeSlot };
+};
+
+/**
+ * Prepara il risultato di un'operazione bloccata da sovrapposizioni, con le alternative
+ * eseguibili: il primo orario libero e la creazione/modifica forzata
+ * @param {Object} conflictCheck - Impegni sovrapposti e orario alternativo
+ * @param {Object} params - Parametri risolti dell'operazione
+ * @param {String} timeZone - Fuso orario dell'utente
+ * @returns {Object} Risultato con conflitti e alternative
+ */
+const buildConflictResult = (conflictCheck, params, timeZone = timeZoneUtils.DEFAULT_TIME_ZONE) => {
+  const { conflicts, nextFreeSlot } = conflictCheck;
+  const alternatives = [];
+  
+  if (nextFreeSlot) {
+    const slotStart = timeZoneUtils.formatZonedDateTime(nextFreeSlot.start, timeZone);
+    alternatives.push({
+      type: 'NEXT_FREE_SLOT',
+      start: nextFreeSlot.start.toISOString(),
+      end: nextFreeSlot.end.toISOString(),
+      parameters: {
+        ...params,
+        date: slotStart.date,
+        startTime: slotStart.time,
+        endTime: timeZoneUtils.formatZonedDateTime(nextFreeSlot.end, timeZone).time
+      }
+    });
+  }
+  
+  alternatives.push({
+    type: 'FORCE',
+    parameters: { ...params, force: true }
+  });
+  
+  return {
+    success: false,
+    message: conflicts.length === 1
+      ? `L'orario si sovrappone a "${conflicts[0].title}"`
+      : `L'orario si sovrappone a ${conflicts.length} impegni`,
+    conflicts,
+    alternatives
+  };
+};
+
+/**
+ * Elenca i calendari dell'utente
+ * @param {Object} auth - Client OAuth2 autenticato
+ * @returns {Object} Risultato dell'operazione e calendari disponibili
+ */
+const listCalendars = async (auth) => {
+  logger.debug('Recupero elenco calendari');
+  
+  try {
+    const calendar = google.calendar({ version: 'v3', auth });
+    const calendars = await getCalendarList(calendar);
+    
+    logger.info('Calendari trovati:', calendars.length);
+    return {
+      success: true,
+      message: `Trovati ${calendars.length} calendari`,
+      calendars
+    };
+  } catch (error) {
+    logger.error('Errore nel recupero dei calendari:', error);
+    throw new Error(`Impossibile recuperare i calendari: ${error.message}`);
+  }
+};
+
+/**
+ * Recupera il fuso orario impostato nelle preferenze di Google Calendar
+ * @param {Object} auth - Client OAuth2 autenticato
+ * @returns {String} Fuso orario IANA (es. "Europe/Rome")
+ */
+const getUserTimeZone = async (auth) => {
+  try {
+    const calendar = google.calendar({ version: 'v3', auth });
+    const response = await calendar.settings.get({ setting: 'timezone' });
+    
+    logger.debug('Fuso orario del calendario:', response.data.value);
+    return response.data.value;
+  } catch (error) {
+    logger.error('Errore nel recupero del fuso orario:', error);
+    throw new Error(`Impossibile recuperare il fuso orario: ${error.message}`);
+  }
+};
+
+/**
+ * Recupera e formatta l'elenco dei calendari tramite calendarList.list
+ * @param {Object} calendar - Client Calendar API
+ * @returns {Array} Calendari (id, nome, principale, permessi, colore)
+ */
+const getCalendarList = async (calendar) => {
+  const response = await calendar.calendarList.list();
+  
+  return (response.data.items || []).map(item => ({
+    id: item.id,
+    name: item.summaryOverride || item.summary,
+    primary: !!item.primary,
+    accessRole: item.accessRole,
+    color: item.backgroundColor
+  }));
+};
+
+/**
+ * Trova un calendario per nome (o ID) nell'elenco dei calendari
+ * @param {Array} calendars - Calendari dell'utente
+ * @param {String} name - Nome indicato nel comando
+ * @returns {Object} Calendario corrispondente
+ */
+const findCalendarByName = (calendars, name) => {
+  const searchName = String(name).toLowerCase().trim();
+  
+  // Prima la corrispondenza esatta, poi il calendario principale, infine quella parziale
+  const match = calendars.find(item => item.id === name || (item.name || '').toLowerCase() === searchName)
+    || (['principale', 'primary'].includes(searchName) ? calendars.find(item => item.primary) : null)
+    || calendars.find(item => (item.name || '').toLowerCase().includes(searchName));
+  
+  if (!match) {
+    throw new Error(`Calendario "${name}" non trovato`);
+  }
+  
+  logger.debug(`Calendario "${name}" risolto in:`, match.id);
+  return match;
+};
+
+/**
+ * Risolve il calendario di un'operazione: ID esplicito, nome indicato nel comando
+ * o calendario principale
+ * @param {Object} calendar - Client Calendar API
+ * @param {Object} params - Parametri dell'operazione (calendarId o calendar)
+ * @returns {String} ID del calendario
+ */
+const resolveCalendarId = async (calendar, params) => {
+  if (params.calendarId) return params.calendarId;
+  if (!params.calendar || Array.isArray(params.calendar)) return DEFAULT_CALENDAR_ID;
+  
+  const calendars = await getCalendarList(calendar);
+  return findCalendarByName(calendars, params.calendar).id;
+};
+
+/**
+ * Risolve i calendari da consultare per un elenco di eventi:
+ * uno, più d'uno ("Lavoro" e "Famiglia") o tutti
+ * @param {Object} calendar - Client Calendar API
+ * @param {Object} params - Parametri della ricerca
+ * @returns {Array} Calendari da consultare (id e nome)
+ */
+const resolveCalendarsForListing = async (calendar, params) => {
+  if (params.calendarId) return [{ id: params.calendarId, name: null }];
+  if (!params.calendar) return [{ id: DEFAULT_CALENDAR_ID, name: null }];
+  
+  const calendars = await getCalendarList(calendar);
+  // Più calendari come elenco o come nomi separati da virgola ("Lavoro, Famiglia")
+  const names = Array.isArray(params.calendar)
+    ? params.calendar
+    : String(params.calendar).split(',').map(name => name.trim()).filter(Boolean);
+  
+  if (names.some(name => ALL_CALENDARS_KEYWORDS.includes(String(name).toLowerCase().trim()))) {
+    return calendars;
+  }
+  
+  return names.map(name => findCalendarByName(calendars, name));
+};
+
+/**
+ * Normalizza gli eventi di un'operazione multipla: ID semplici, nel calendario
+ * dell'operazione, o riferimenti { eventId, calendarId } per eventi di calendari diversi
+ * @param {Array} eventIds - Eventi da eliminare o modificare
+ * @param {String} calendarId - Calendario dell'operazione
+ * @returns {Array} Riferimenti { eventId, calendarId }
+ */
+const normalizeEventTargets = (eventIds, calendarId) => {
+  return eventIds.map(target => typeof target === 'string'
+    ? { eventId: target, calendarId }
+    : { ...target, calendarId: target.calendarId || calendarId });
+};
+
+/**
+ * Elimina un evento dal calendario
+ * @param {Object} auth - Client OAuth2 autenticato
+ * @param {Object} params - Parametri dell'evento da eliminare
+ * @returns {Object} Risultato dell'operazione
+ */
+const deleteEvent = async (auth, params) => {
+  logger.debug('Eliminazione evento con parametri:', params);
+  
+  try {
+    const calendar = google.calendar({ version: 'v3', auth });
+    const calendarId = await resolveCalendarId(calendar, params);
+    
+    // Eliminazione multipla: eventi confermati da un'anteprima o individuati da un filtro
+    // (anche tutti gli eventi di una data, "elimina tutto per oggi")
+    const bulkEvents = params.eventIds ? null : await findBulkDeleteEvents(calendar, params);
+    if (params.eventIds || bulkEvents) {
+      const targets = params.eventIds ? normalizeEventTargets(params.eventIds, calendarId) : bulkEvents.matches.map(toEventTarget);
+      
+      if (targets.length === 0) {
+        return { success: true, message: 'Nessun evento corrisponde ai criteri indicati', results: [] };
+      }
+      
+      const { results, journal } = await runBulkOperation(targets, async (target) => {
+        // Copia dell'evento prima dell'eliminazione, per poterla annullare
+        const eventResponse = await calendar.events.get({
+          calendarId: target.calendarId,
+          eventId: target.eventId,
+        });
+        
+        await calendar.events.delete({
+          calendarId: target.calendarId,
+          eventId: target.eventId,
+        });
+        
+        return {
+          title: eventResponse.data.summary,
+          journal: [{ type: 'deleted', calendarId: target.calendarId, eventId: target.eventId, before: eventResponse.data }]
+        };
+      });
+      
+      logger.info('Eliminazione multipla completata:', results.length, 'eventi');
+      return { ...summarizeBulkResults(results, 'Eliminati'), results, journal };
+    }
+    
+    // Caso standard: eliminazione di un evento specifico
+    const target = await resolveEventTarget(calendar, params, calendarId);
+    if (target.candidates) {
+      return toAmbiguousResult(params, calendarId, target.candidates);
+    }
+    const { eventId } = target;
+    
+    // Copia dell'evento prima dell'eliminazione, per poterla annullare
+    const eventResponse = await calendar.events.get({
+      calendarId,
+      eventId: eventId,
+    });
+    
+    const recurrenceScope = recurrenceUtils.normalizeRecurrenceScope(params.recurrenceScope);
+    
+    // Per le serie, l'ambito determina quali occorrenze eliminare
+    if (eventResponse.data.recurringEventId && recurrenceScope &&
+        recurrenceScope !== recurrenceUtils.RECURRENCE_SCOPES.THIS) {
+      const journal = await deleteRecurringSeries(calendar, calendarId, eventResponse.data, recurrenceScope);
+      
+      logger.info('Serie ricorrente eliminata con successo:', recurrenceScope);
+      return {
+        success: true,
+        message: `Evento ricorrente eliminato con successo (${describeRecurrenceScope(recurrenceScope)})`,
+        journal
+      };
+    }
+    
+    logger.debug('Eliminazione evento con ID:', eventId);
+    await calendar.events.delete({
+      calendarId,
+      eventId: eventId,
+    });
+    
+    logger.info('Evento eliminato con successo');
+    return {
+      success: true,
+      message: 'Evento eliminato con successo',
+      journal: [{ type: 'deleted', calendarId, eventId, before: eventResponse.data }]
+    };
+  } catch (error) {
+    // Evento eliminato nel frattempo (es. da un altro dispositivo)
+    if (error.code === 404 || error.code === 410) {
+      return { success: false, notFound: true, message: 'Evento non trovato' };
+    }
+    logger.error('Errore nell\'eliminazione dell\'evento:', error);
+    throw new Error(`Impossibile eliminare l'evento: ${error.message}`);
+  }
+};
+
+/**
+ * Verifica se un'eliminazione riguarda tutti gli eventi di una data
+ * @param {Object} params - Parametri dell'eliminazione
+ * @returns {Boolean} True se l'eliminazione è multipla
+ */
+const isBulkDelete = (params) => {
+  return !!((params.date && !params.eventId && !params.title) || params.deleteAll);
+};
+
+/**
+ * Eventi di un'eliminazione multipla: quelli del filtro o, per "elimina tutto",
+ * quelli del giorno o del periodo indicato (oggi se non è indicato)
+ * @param {Object} calendar - Client Calendar API
+ * @param {Object} params - Parametri dell'eliminazione
+ * @returns {Object|null} Eventi trovati (matches) e se la ricerca è incompleta (truncated),
+ *                       o null se l'eliminazione non è multipla
+ */
+const findBulkDeleteEvents = async (calendar, params) => {
+  if (params.filter) {
+    return await findEventsByFilter(calendar, params);
+  }
+  
+  if (!isBulkDelete(params)) return null;
+  
+  const { date, startDate, endDate, period } = params;
+  const range = eventFilterUtils.getRangeParams({ date, startDate, endDate, period });
+  
+  return await findEventsByFilter(calendar, {
+    ...params,
+    filter: Object.keys(range).length > 0 ? range : { date: 'oggi' }
+  });
+};
+
+/**
+ * Cerca gli eventi che soddisfano un filtro: termini e partecipanti nell'intervallo
+ * indicato (in mancanza, i prossimi giorni) e nel calendario indicato, seguendo le
+ * pagine dell'API fino al massimo di eventi esaminabili
+ * @param {Object} calendar - Client Calendar API
+ * @param {Object} params - Parametri del comando con il filtro (filter, calendar, timeZone)
+ * @returns {Object} Eventi trovati { event, target } in ordine cronologico (matches)
+ *                   e se restano eventi non esaminati (truncated)
+ * @throws {Error} Se il filtro non pone alcun criterio
+ */
+const findEventsByFilter = async (calendar, params) => {
+  const filter = eventFilterUtils.normalizeFilter(params.filter);
+  
+  if (eventFilterUtils.isEmptyFilter(filter)) {
+    throw new Error('Indica quali eventi includere: titolo, partecipanti, periodo o calendario');
+  }
+  
+  const timeZone = params.timeZone || timeZoneUtils.DEFAULT_TIME_ZONE;
+  const range = resolveRequestedDays(eventFilterUtils.getRangeParams(filter), timeZoneUtils.nowInTimeZone(timeZone));
+  const now = new Date();
+  const timeMin = range ? timeZoneUtils.getDayRange(range.start, timeZone).timeMin : now.toISOString();
+  const timeMax = range
+    ? timeZoneUtils.getDayRange(range.end, timeZone).timeMax
+    : new Date(now.getTime() + DEFAULT_BULK_SEARCH_DAYS * DAY_MS).toISOString();
+  
+  // Il calendario del filtro prevale su quello del comando
+  const targetCalendars = await resolveCalendarsForListing(calendar, filter.calendar ? { calendar: filter.calendar } : params);
+  logger.debug('Ricerca eventi con filtro:', filter, 'dal', timeMin, 'al', timeMax);
+  
+  const matches = [];
+  let examined = 0;
+  let truncated = false;
+  for (const target of targetCalendars) {
+    if (examined >= MAX_FILTER_EVENTS) {
+      truncated = true;
+      break;
+    }
+    
+    const listing = await listAllEvents(calendar, { calendarId: target.id, timeMin, timeMax }, MAX_FILTER_EVENTS - examined);
+    examined += listing.items.length;
+    truncated = truncated || listing.truncated;
+    
+    listing.items
+      .filter(event => eventFilterUtils.matchesFilter(event, filter))
+      .forEach(event => matches.push({ event, target }));
+  }
+  
+  if (truncated) {
+    logger.warn(`Filtro limitato ai primi ${examined} eventi dell'intervallo`);
+  }
+  
+  matches.sort((a, b) =>
+    new Date(a.event.start.dateTime || a.event.start.date) - new Date(b.event.start.dateTime || b.event.start.date));
+  
+  return { matches, truncated };
+};
+
+/**
+ * Recupera gli eventi già individuati di un'operazione multipla
+ * @param {Object} calendar - Client Calendar API
+ * @param {Array} targets - Coppie { eventId, calendarId }
+ * @returns {Array} Eventi { event, target }
+ */
+const getEventsByTargets = async (calendar, targets) => {
+  const matches = [];
+  
+  for (const target of targets) {
+    const eventResponse = await calendar.events.get({
+      calendarId: target.calendarId,
+      eventId: target.eventId,
+    });
+    matches.push({ event: eventResponse.data, target: { id: target.calendarId } });
+  }
+  
+  return matches;
+};
+
+/**
+ * Riduce un evento trovato al riferimento { eventId, calendarId, title } usato dalle operazioni multiple
+ * @param {Object} match - Evento trovato { event, target }
+ * @returns {Object} Evento da elaborare
+ */
+const toEventTarget = ({ event, target }) => ({ eventId: event.id, calendarId: target.id, title: event.summary });
+
+/**
+ * Esegue un'operazione su più eventi, a gruppi di chiamate in parallelo:
+ * un evento non elaborato non interrompe gli altri
+ * @param {Array} targets - Eventi { eventId, calendarId, title }
+ * @param {Function} operation - Operazione asincrona su un evento, restituisce { title, journal }
+ * @returns {Object} Esito per evento ({ eventId, calendarId, title, success, error }) e registro complessivo
+ */
+const runBulkOperation = async (targets, operation) => {
+  const results = [];
+  const journal = [];
+  
+  for (let index = 0; index < targets.length; index += BULK_BATCH_SIZE) {
+    const batch = targets.slice(index, index + BULK_BATCH_SIZE);
+    const outcomes = await Promise.allSettled(batch.map(operation));
+    
+    outcomes.forEach((outcome, position) => {
+      const { eventId, calendarId, title } = batch[position];
+      
+      if (outcome.status === 'fulfilled') {
+        results.push({ eventId, calendarId, title: outcome.value.title || title, success: true });
+        journal.push(...outcome.value.journal);
+      } else {
+        logger.warn('Operazione non riuscita sull\'evento', eventId, outcome.reason.message);
+        results.push({ eventId, calendarId, title, success: false, error: outcome.reason.message });
+      }
     });
+  }
+  
+  return { results, journal };
+};
+
+/**
+ * Riepiloga l'esito di un'operazione su più eventi
+ * @param {Array} results - Esito per evento
+ * @param {String} verb - Operazione al participio ("Eliminati", "Aggiornati")
+ * @returns {Object} success (tutti gli eventi elaborati) e messaggio
+ */
+const summarizeBulkResults = (results, verb) => {
+  const succeeded = results.filter(result => result.success).length;
+  const failed = results.length - succeeded;
+  
+  return {
+    success: failed === 0,
+    message: failed === 0
+      ? `${verb} ${succeeded} eventi`
+      : `${verb} ${succeeded} eventi su ${results.length}: ${failed} non elaborati`
+  };
+};
+
+/**
+ * Prepara l'anteprima di un'eliminazione senza eseguirla
+ * @param {Object} auth - Client OAuth2 autenticato
+ * @param {Object} params - Parametri dell'evento da eliminare
+ * @returns {Object} Eventi che verrebbero eliminati (o candidati tra cui scegliere) e parametri risolti per l'esecuzione
+ */
+const previewDeleteEvent = async (auth, params) => {
+  logger.debug('Anteprima eliminazione con parametri:', params);
+  
+  try {
+    const calendar = google.calendar({ version: 'v3', auth });
+    const calendarId = await resolveCalendarId(calendar, params);
     
-    const events = response.data.items;
+    // Eventi già individuati (es. "cancellali" riferito all'ultimo elenco),
+    // del filtro o del giorno indicato ("elimina tutto per oggi")
+    const bulkEvents = params.eventIds
+      ? { matches: await getEventsByTargets(calendar, normalizeEventTargets(params.eventIds, calendarId)), truncated: false }
+      : await findBulkDeleteEvents(calendar, params);
     
-    if (!events || events.length === 0) {
+    if (bulkEvents) {
+      const { matches, truncated } = bulkEvents;
       return {
-        success: true,
-        message: 'Nessun evento trovato nel periodo specificato',
-        events: []
+        events: matches.map(({ event, target }) => formatEventForResponse(event, target)),
+        ...(truncated ? { truncated: true } : {}),
+        parameters: { eventIds: matches.map(toEventTarget) }
       };
     }
     
-    const formattedEvents = events.map(formatEventForResponse);
+    const target = await resolveEventTarget(calendar, params, calendarId);
+    if (target.candidates) {
+      return { events: [], candidates: target.candidates, parameters: { ...params, calendarId } };
+    }
+    const { eventId } = target;
+    
+    const eventResponse = await calendar.events.get({
+      calendarId,
+      eventId: eventId,
+    });
     
-    logger.info('Eventi trovati:', formattedEvents.length);
     return {
-      success: true,
-      message: `Trovati ${events.length} eventi`,
-      events: formattedEvents
+      events: [formatEventForResponse(eventResponse.data, { id: calendarId })],
+      parameters: { eventId, calendarId, recurrenceScope: params.recurrenceScope }
     };
   } catch (error) {
-    logger.error('Errore nel recupero degli eventi:', error);
-    throw new Error(`Impossibile recuperare gli eventi: ${error.message}`);
+    logger.error('Errore nella preparazione dell\'anteprima di eliminazione:', error);
+    throw new Error(`Impossibile preparare l'eliminazione: ${error.message}`);
   }
 };
 
 /**
- * Elimina un evento dal calendario
+ * Prepara l'anteprima di una modifica senza eseguirla
  * @param {Object} auth - Client OAuth2 autenticato
- * @param {Object} params - Parametri dell'evento da eliminare
- * @returns {Object} Risultato dell'operazione
+ * @param {Object} params - Parametri della modifica
+ * @returns {Object} Evento attuale (o candidati tra cui scegliere), evento modificato e parametri risolti per l'esecuzione
  */
-const deleteEvent = async (auth, params) => {
-  logger.debug('Eliminazione evento con parametri:', params);
+const previewUpdateEvent = async (auth, params) => {
+  logger.debug('Anteprima modifica con parametri:', params);
   
   try {
     const calendar = google.calendar({ version: 'v3', auth });
+    const calendarId = await resolveCalendarId(calendar, params);
     
-    // Se abbiamo una data ma non un ID o titolo specifico, o se è una richiesta di eliminazione completa
-    if ((params.date && !params.eventId && !params.title) || params.deleteAll) {
-      logger.debug('Eliminazione di tutti gli eventi per la data:', params.date);
-      
-      // Ottieni inizio e fine della data specificata
-      const dateObj = dateUtils.parseDateFromText(params.date);
-      const timeMin = new Date(dateObj.setHours(0, 0, 0, 0)).toISOString();
-      const timeMax = new Date(dateObj.setHours(23, 59, 59, 999)).toISOString();
-      
-      // Cerca gli eventi per quella data
-      const eventsResponse = await calendar.events.list({
-        calendarId: 'primary',
-        timeMin: timeMin,
-        timeMax: timeMax,
-        singleEvents: true
-      });
-      
-      const events = eventsResponse.data.items;
-      
-      if (!events || events.length === 0) {
-        return {
-          success: true,
-          message: 'Nessun evento trovato per la data specificata'
-        };
-      }
-      
-      // Elimina ogni evento trovato
-      for (const event of events) {
-        await calendar.events.delete({
-          calendarId: 'primary',
-          eventId: event.id,
-        });
-      }
+    // Modifica multipla: eventi attuali e modificati, uno per uno
+    if (params.eventIds || params.filter) {
+      const { eventIds, filter, ...changes } = params;
+      const { matches, truncated } = eventIds
+        ? { matches: await getEventsByTargets(calendar, normalizeEventTargets(eventIds, calendarId)), truncated: false }
+        : await findEventsByFilter(calendar, params);
       
       return {
-        success: true,
-        message: `Eliminati ${events.length} eventi per la data specificata`
+        events: matches.map(({ event, target }) => formatEventForResponse(event, target)),
+        ...(truncated ? { truncated: true } : {}),
+        changes: matches.map(({ event, target }) => formatEventForResponse(applyEventChanges(event, changes), target)),
+        parameters: { ...changes, eventIds: matches.map(toEventTarget) }
       };
     }
     
-    // Caso standard: eliminazione di un evento specifico
-    let eventId = params.eventId;
-    
-    if (!eventId && params.title) {
-      eventId = await findEventByTitle(calendar, params.title);
+    // Titolo ambiguo: l'utente sceglie l'evento prima di vedere l'anteprima
+    const target = await resolveEventTarget(calendar, params, calendarId);
+    if (target.candidates) {
+      return { events: [], candidates: target.candidates, parameters: { ...params, calendarId } };
     }
+    const { eventId } = target;
+    
+    const eventResponse = await calendar.events.get({
+      calendarId,
+      eventId: eventId,
+    });
+    
+    const existingEvent = eventResponse.data;
+    const updatedEvent = applyEventChanges(existingEvent, params);
     
-    if (!eventId) {
-      throw new Error('ID evento non specificato e impossibile trovare evento dal titolo');
+    return {
+      events: [formatEventForResponse(existingEvent, { id: calendarId })],
+      changes: formatEventForResponse(updatedEvent, { id: calendarId }),
+      parameters: { ...params, eventId, calendarId }
+    };
+  } catch (error) {
+    logger.error('Errore nella preparazione dell\'anteprima di modifica:', error);
+    throw new Error(`Impossibile preparare la modifica: ${error.message}`);
+  }
+};
+
+// Campi di un'occorrenza modificata applicati alla serie: titolo, descrizione, partecipanti
+// e le opzioni di buildEventOptions (luogo, colore, promemoria, visibilità, disponibilità, Meet)
+const SERIES_FIELDS = [
+  'summary', 'description', 'attendees', 'location', 'colorId', 'reminders',
+  'visibility', 'transparency', 'conferenceData'
+];
+
+/**
+ * Campi dell'evento gestiti da Google che non vanno copiati in un nuovo evento
+ */
+const READ_ONLY_EVENT_FIELDS = [
+  'id', 'iCalUID', 'etag', 'htmlLink', 'kind', 'created', 'updated',
+  'sequence', 'creator', 'organizer', 'recurringEventId', 'originalStartTime'
+];
+
+/**
+ * Descrive in italiano l'ambito di modifica di una serie
+ * @param {String} scope - Ambito (THIS, FOLLOWING, ALL)
+ * @returns {String} Descrizione
+ */
+const describeRecurrenceScope = (scope) => {
+  switch (scope) {
+    case recurrenceUtils.RECURRENCE_SCOPES.ALL:
+      return 'tutta la serie';
+    case recurrenceUtils.RECURRENCE_SCOPES.FOLLOWING:
+      return 'questa e le successive occorrenze';
+    default:
+      return 'solo questa occorrenza';
+  }
+};
+
+/**
+ * Recupera l'evento principale di una serie e l'inizio originale dell'occorrenza
+ * @param {Object} calendar - Client Calendar API
+ * @param {String} calendarId - ID del calendario della serie
+ * @param {Object} instance - Occorrenza della serie
+ * @returns {Object} Evento principale, suo inizio e inizio originale dell'occorrenza
+ */
+const getSeriesContext = async (calendar, calendarId, instance) => {
+  const masterResponse = await calendar.events.get({
+    calendarId,
+    eventId: instance.recurringEventId,
+  });
+  
+  const master = masterResponse.data;
+  const originalStart = instance.originalStartTime || instance.start;
+  
+  return {
+    master,
+    masterStart: new Date(master.start.dateTime || master.start.date),
+    instanceStart: new Date(originalStart.dateTime || originalStart.date)
+  };
+};
+
+/**
+ * Applica le modifiche di un'occorrenza alla serie (ALL) o alla parte successiva (FOLLOWING)
+ * @param {Object} calendar - Client Calendar API
+ * @param {String} calendarId - ID del calendario della serie
+ * @param {Object} instance - Occorrenza originale
+ * @param {Object} updatedInstance - Occorrenza con le modifiche richieste
+ * @param {String} scope - Ambito della modifica
+ * @param {Object} recurrence - Eventuale nuova ricorrenza richiesta
+ * @returns {Object} Risposta dell'API per l'evento aggiornato o creato e voci del registro
+ */
+const updateRecurringSeries = async (calendar, calendarId, instance, updatedInstance, scope, recurrence) => {
+  const { master, masterStart, instanceStart } = await getSeriesContext(calendar, calendarId, instance);
+  
+  // Spostamento e nuova durata ricavati dalle modifiche sull'occorrenza
+  const oldStart = new Date(instance.start.dateTime || instance.start.date);
+  const newStart = new Date(updatedInstance.start.dateTime || updatedInstance.start.date);
+  const newEnd = new Date(updatedInstance.end.dateTime || updatedInstance.end.date);
+  const shiftMs = newStart.getTime() - oldStart.getTime();
+  const duration = newEnd.getTime() - newStart.getTime();
+  const timeZone = master.start.timeZone || updatedInstance.start.timeZone || timeZoneUtils.DEFAULT_TIME_ZONE;
+  const dayShift = timeZoneUtils.toZonedTime(newStart, timeZone).getDay() - timeZoneUtils.toZonedTime(oldStart, timeZone).getDay();
+  
+  // Una serie di tutto il giorno resta tale: le date si spostano di giorni interi
+  const allDay = !!updatedInstance.start.date;
+  const daysBetween = (from, to) => Math.round((parseAllDayDate(to) - parseAllDayDate(from)) / DAY_MS);
+  const shiftDay = (date, days) => dateUtils.toIsoDate(dateUtils.addDays(parseAllDayDate(date), days));
+  
+  // Inizio e fine della serie nel formato dell'occorrenza modificata: giorno AAAA-MM-GG
+  // per le serie di tutto il giorno, altrimenti istante espresso nel fuso della serie
+  const seriesTimes = (start) => allDay
+    ? {
+      start: { date: start },
+      end: { date: shiftDay(start, daysBetween(updatedInstance.start.date, updatedInstance.end.date)) }
     }
+    : {
+      start: { dateTime: timeZoneUtils.formatZonedIsoString(start, timeZone), timeZone },
+      end: { dateTime: timeZoneUtils.formatZonedIsoString(new Date(start.getTime() + duration), timeZone), timeZone }
+    };
+  
+  const applyChanges = (base, start) => ({
+    ...base,
+    ...Object.fromEntries(SERIES_FIELDS.map(field => [field, updatedInstance[field]])),
+    ...seriesTimes(start)
+  });
+  
+  // Primo giorno o inizio della serie dopo lo spostamento dell'occorrenza
+  const seriesStart = allDay
+    ? shiftDay(master.start.date || timeZoneUtils.formatZonedDateTime(masterStart, timeZone).date,
+      daysBetween(instance.start.date || timeZoneUtils.formatZonedDateTime(oldStart, timeZone).date, updatedInstance.start.date))
+    : new Date(masterStart.getTime() + shiftMs);
+  
+  const newRecurrence = (rules) => {
+    const rrule = recurrence ? recurrenceUtils.buildRRule(recurrence, newStart, timeZone) : null;
+    return rrule ? [rrule] : recurrenceUtils.shiftRecurrenceWeekdays(rules, dayShift);
+  };
+  
+  // Modifica dell'intera serie (o della prima occorrenza con FOLLOWING)
+  if (scope === recurrenceUtils.RECURRENCE_SCOPES.ALL || instanceStart <= masterStart) {
+    const updatedMaster = applyChanges(master, seriesStart);
+    updatedMaster.recurrence = newRecurrence(master.recurrence);
     
-    logger.debug('Eliminazione evento con ID:', eventId);
+    logger.debug('Aggiornamento dell\'intera serie:', master.id);
+    const response = await calendar.events.update({
+      calendarId,
+      eventId: master.id,
+      resource: updatedMaster,
+      conferenceDataVersion: updatedMaster.conferenceData ? 1 : 0,
+    });
+    
+    return {
+      response,
+      journal: [{ type: 'updated', calendarId, eventId: master.id, before: master }]
+    };
+  }
+  
+  // Questa e le successive: la serie originale termina prima dell'occorrenza
+  // e ne inizia una nuova con le modifiche applicate
+  let elapsedCount = 0;
+  if ((master.recurrence || []).some(rule => rule.includes('COUNT='))) {
+    const previousInstances = await calendar.events.instances({
+      calendarId,
+      eventId: master.id,
+      timeMax: instanceStart.toISOString(),
+      maxResults: 2500
+    });
+    elapsedCount = (previousInstances.data.items || []).length;
+  }
+  
+  const followingSeries = applyChanges(master, allDay ? updatedInstance.start.date : newStart);
+  followingSeries.recurrence = newRecurrence(recurrenceUtils.continueRecurrence(master.recurrence, elapsedCount));
+  READ_ONLY_EVENT_FIELDS.forEach(field => delete followingSeries[field]);
+  
+  await calendar.events.update({
+    calendarId,
+    eventId: master.id,
+    resource: {
+      ...master,
+      recurrence: recurrenceUtils.truncateRecurrence(master.recurrence, instanceStart, !!master.start.date)
+    },
+  });
+  
+  logger.debug('Serie divisa, creazione della nuova serie dalla data:', newStart.toISOString());
+  const response = await calendar.events.insert({
+    calendarId,
+    resource: followingSeries,
+    conferenceDataVersion: followingSeries.conferenceData ? 1 : 0,
+  });
+  
+  return {
+    response,
+    journal: [
+      { type: 'updated', calendarId, eventId: master.id, before: master },
+      { type: 'created', calendarId, eventId: response.data.id }
+    ]
+  };
+};
+
+/**
+ * Elimina la serie (ALL) o le occorrenze da quella indicata in poi (FOLLOWING)
+ * @param {Object} calendar - Client Calendar API
+ * @param {String} calendarId - ID del calendario della serie
+ * @param {Object} instance - Occorrenza della serie
+ * @param {String} scope - Ambito dell'eliminazione
+ * @returns {Array} Voci del registro delle modifiche
+ */
+const deleteRecurringSeries = async (calendar, calendarId, instance, scope) => {
+  const { master, masterStart, instanceStart } = await getSeriesContext(calendar, calendarId, instance);
+  
+  if (scope === recurrenceUtils.RECURRENCE_SCOPES.ALL || instanceStart <= masterStart) {
+    logger.debug('Eliminazione dell\'intera serie:', master.id);
     await calendar.events.delete({
-      calendarId: 'primary',
-      eventId: eventId,
+      calendarId,
+      eventId: master.id,
+    });
+    return [{ type: 'deleted', calendarId, eventId: master.id, before: master }];
+  }
+  
+  logger.debug('Troncamento della serie prima di:', instanceStart.toISOString());
+  await calendar.events.update({
+    calendarId,
+    eventId: master.id,
+    resource: {
+      ...master,
+      recurrence: recurrenceUtils.truncateRecurrence(master.recurrence, instanceStart, !!master.start.date)
+    },
+  });
+  
+  return [{ type: 'updated', calendarId, eventId: master.id, before: master }];
+};
+
+/**
+ * Annulla una voce del registro: elimina l'evento creato, ripristina quello
+ * modificato o quello eliminato
+ * @param {Object} calendar - Client Calendar API
+ * @param {Object} entry - Voce del registro (type, calendarId, eventId, before)
+ */
+const revertEntry = async (calendar, entry) => {
+  const calendarId = entry.calendarId || DEFAULT_CALENDAR_ID;
+  
+  if (entry.type === 'created') {
+    await calendar.events.delete({
+      calendarId,
+      eventId: entry.eventId,
+    });
+  } else if (entry.type === 'updated') {
+    // Il numero di sequenza della copia è ormai superato: lascia che l'API lo aggiorni
+    const { etag, sequence, ...previousEvent } = entry.before;
+    await calendar.events.update({
+      calendarId,
+      eventId: entry.eventId,
+      resource: previousEvent,
     });
+  } else if (entry.type === 'deleted') {
+    await restoreDeletedEvent(calendar, entry);
+  }
+};
+
+/**
+ * Annulla le modifiche registrate per un'azione, in ordine inverso:
+ * elimina gli eventi creati, ripristina quelli modificati e quelli eliminati.
+ * Un evento che non esiste più (404, 410) è già annullato; gli altri errori
+ * non interrompono l'annullamento delle voci restanti
+ * @param {Object} auth - Client OAuth2 autenticato
+ * @param {Array} journal - Voci del registro (type, calendarId, eventId, before)
+ * @returns {Object} Risultato dell'operazione, con le voci non annullate (failedEntries) e il loro esito (results)
+ */
+const revertChanges = async (auth, journal) => {
+  logger.debug('Annullamento di', journal.length, 'modifiche');
+  
+  try {
+    const calendar = google.calendar({ version: 'v3', auth });
+    const failures = [];
     
-    logger.info('Evento eliminato con successo');
+    for (const entry of [...journal].reverse()) {
+      try {
+        await revertEntry(calendar, entry);
+      } catch (error) {
+        if (error.code === 404 || error.code === 410) {
+          logger.info('Evento non più presente, nulla da annullare:', entry.eventId);
+          continue;
+        }
+        logger.warn('Annullamento non riuscito per l\'evento', entry.eventId, error.message);
+        failures.push({ entry, error });
+      }
+    }
+    
+    if (failures.length > 0) {
+      return {
+        success: false,
+        message: `Operazione annullata solo in parte: ${failures.length} modifiche su ${journal.length} non annullate`,
+        results: failures.map(({ entry, error }) => ({
+          eventId: entry.eventId,
+          calendarId: entry.calendarId || DEFAULT_CALENDAR_ID,
+          title: entry.before ? entry.before.summary : null,
+          success: false,
+          error: error.message
+        })),
+        failedEntries: failures.map(({ entry }) => entry).reverse()
+      };
+    }
+    
+    logger.info('Modifiche annullate con successo');
     return {
       success: true,
-      message: 'Evento eliminato con successo'
+      message: 'Operazione annullata con successo'
     };
   } catch (error) {
-    logger.error('Errore nell\'eliminazione dell\'evento:', error);
-    throw new Error(`Impossibile eliminare l'evento: ${error.message}`);
+    logger.error('Errore nell\'annullamento delle modifiche:', error);
+    throw new Error(`Impossibile annullare l'operazione: ${error.message}`);
+  }
+};
+
+/**
+ * Ripristina un evento eliminato
+ * @param {Object} calendar - Client Calendar API
+ * @param {Object} entry - Voce del registro con la copia dell'evento
+ */
+const restoreDeletedEvent = async (calendar, entry) => {
+  const { etag, sequence, ...previousEvent } = entry.before;
+  const calendarId = entry.calendarId || DEFAULT_CALENDAR_ID;
+  
+  try {
+    // Gli eventi eliminati restano come "cancelled": riportarli a "confirmed" mantiene lo stesso ID
+    await calendar.events.update({
+      calendarId,
+      eventId: entry.eventId,
+      resource: { ...previousEvent, status: 'confirmed' },
+    });
+  } catch (error) {
+    // Altrimenti reinserisci una copia dell'evento
+    logger.warn('Ripristino diretto non riuscito, reinserimento dell\'evento:', error.message);
+    READ_ONLY_EVENT_FIELDS.forEach(field => delete previousEvent[field]);
+    await calendar.events.insert({
+      calendarId,
+      resource: { ...previousEvent, status: 'confirmed' },
+    });
   }
 };
 
@@ -642,9 +2329,34 @@ const deleteEvent = async (auth, params) => {
  * Aggiunto: Gestisce modifiche temporali relative (anticipo/posticipo)
  * Aggiungi questa funzione nuova al file
  */
-const handleTimeModification = (timeModification, originalStartDate, originalEndDate, updatedEvent, originalDuration) => {
+const handleTimeModification = (timeModification, originalStartDate, originalEndDate, updatedEvent, originalDuration, timeZone = timeZoneUtils.DEFAULT_TIME_ZONE) => {
   logger.debug('Applicazione modifica temporale:', timeModification);
   
+  // Spostamento di giorni interi: stesso orario (nel fuso dell'utente) in un altro giorno
+  if (timeModification.unit === 'DAY') {
+    const days = timeModification.direction === 'BACKWARD' ? -timeModification.amount : timeModification.amount;
+    
+    if (!updatedEvent.start.dateTime) {
+      shiftAllDayEvent(updatedEvent, days);
+      return;
+    }
+    
+    updatedEvent.start = {
+      dateTime: shiftZonedDays(originalStartDate, days, timeZone).toISOString(),
+      timeZone,
+    };
+    
+    updatedEvent.end = {
+      dateTime: shiftZonedDays(originalEndDate, days, timeZone).toISOString(),
+      timeZone,
+    };
+    return;
+  }
+  
+  if (!updatedEvent.start.dateTime) {
+    throw new Error(ALL_DAY_SHIFT_ERROR);
+  }
+  
   // Calcola lo spostamento in millisecondi
   let shiftMs = 0;
   
@@ -670,42 +2382,209 @@ const handleTimeModification = (timeModification, originalStartDate, originalEnd
   
   updatedEvent.start = {
     dateTime: newStartDateTime.toISOString(),
-    timeZone: 'Europe/Rome',
+    timeZone,
   };
   
   updatedEvent.end = {
     dateTime: newEndDateTime.toISOString(),
-    timeZone: 'Europe/Rome',
+    timeZone,
+  };
+};
+
+/**
+ * Sposta di un numero di giorni un istante, mantenendo l'orario nel fuso dell'utente
+ * @param {Date} date - Istante da spostare
+ * @param {Number} days - Giorni da aggiungere (negativi per anticipare)
+ * @param {String} timeZone - Fuso orario dell'utente
+ * @returns {Date} Istante spostato
+ */
+const shiftZonedDays = (date, days, timeZone) => {
+  const zonedDate = timeZoneUtils.toZonedTime(date, timeZone);
+  return timeZoneUtils.fromZonedTime(dateUtils.addDays(zonedDate, days), timeZone);
+};
+
+/**
+ * Interpreta la data (AAAA-MM-GG) di un evento di tutto il giorno come giorno locale
+ * @param {String} date - Data restituita dall'API
+ * @returns {Date} Mezzanotte del giorno indicato
+ */
+const parseAllDayDate = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Sposta di un numero intero di giorni un evento di tutto il giorno
+ * @param {Object} updatedEvent - Risorsa evento da aggiornare (con le date attuali)
+ * @param {Number} days - Giorni da aggiungere (negativi per anticipare)
+ */
+const shiftAllDayEvent = (updatedEvent, days) => {
+  updatedEvent.start = { date: dateUtils.toIsoDate(dateUtils.addDays(parseAllDayDate(updatedEvent.start.date), days)) };
+  updatedEvent.end = { date: dateUtils.toIsoDate(dateUtils.addDays(parseAllDayDate(updatedEvent.end.date), days)) };
+  
+  logger.debug(`Spostamento di ${days} giorni. Nuova data di inizio: ${updatedEvent.start.date}`);
+};
+
+/**
+ * Determina i giorni (primo e ultimo, inclusi) di un evento di tutto il giorno dai
+ * parametri: periodo ("dal 10 al 14 agosto"), estremi espliciti o singola data
+ * @param {Object} params - Parametri con period, startDate/endDate o date
+ * @param {Date} today - Data corrente nel fuso dell'utente
+ * @returns {Object} Primo (start) e ultimo (end) giorno a mezzanotte
+ * @throws {Error} Se il periodo non è riconosciuto o la fine precede l'inizio
+ */
+const resolveAllDayRange = (params, today) => {
+  let range;
+  
+  if (params.period) {
+    range = dateUtils.getPeriodRange(params.period, today) || dateUtils.parseDateRange(params.period, today);
+    if (!range) {
+      throw new Error(`Periodo non riconosciuto: "${params.period}"`);
+    }
+  } else if (params.startDate || params.endDate) {
+    const start = params.startDate || params.date
+      ? dateUtils.parseDateFromText(params.startDate || params.date, today)
+      : today;
+    range = {
+      start,
+      end: params.endDate ? dateUtils.parseDateFromText(params.endDate, today) : start
+    };
+  } else {
+    const day = params.date ? dateUtils.parseDateFromText(params.date, today) : today;
+    range = { start: day, end: day };
+  }
+  
+  const start = new Date(range.start.getFullYear(), range.start.getMonth(), range.start.getDate());
+  const end = new Date(range.end.getFullYear(), range.end.getMonth(), range.end.getDate());
+  
+  if (end < start) {
+    throw new Error('La data di fine del periodo precede quella di inizio');
+  }
+  
+  return { start, end };
+};
+
+/**
+ * Imposta le nuove date di un evento di tutto il giorno, o converte in tutto il giorno
+ * un evento con orario: senza una data di fine si mantiene il numero di giorni
+ * @param {Object} existingEvent - Evento attuale restituito dall'API
+ * @param {Object} updatedEvent - Risorsa evento da aggiornare
+ * @param {Object} params - Parametri della modifica (date, period, startDate, endDate)
+ * @param {String} timeZone - Fuso orario dell'utente
+ */
+const applyAllDayDates = (existingEvent, updatedEvent, params, timeZone) => {
+  const today = timeZoneUtils.nowInTimeZone(timeZone);
+  let range;
+  
+  if (params.period || params.startDate || params.endDate) {
+    range = resolveAllDayRange(params, today);
+  } else {
+    // Giorni attualmente occupati dall'evento (la fine delle API è esclusiva)
+    const currentStart = existingEvent.start.dateTime
+      ? timeZoneUtils.toZonedTime(new Date(existingEvent.start.dateTime), timeZone)
+      : parseAllDayDate(existingEvent.start.date);
+    const currentEnd = existingEvent.end.dateTime
+      ? timeZoneUtils.toZonedTime(new Date(new Date(existingEvent.end.dateTime).getTime() - 1), timeZone)
+      : dateUtils.addDays(parseAllDayDate(existingEvent.end.date), -1);
+    currentStart.setHours(0, 0, 0, 0);
+    currentEnd.setHours(0, 0, 0, 0);
+    
+    const span = Math.round((currentEnd - currentStart) / DAY_MS);
+    const start = params.date ? resolveAllDayRange({ date: params.date }, today).start : currentStart;
+    
+    range = { start, end: dateUtils.addDays(start, span) };
+  }
+  
+  updatedEvent.start = { date: dateUtils.toIsoDate(range.start) };
+  updatedEvent.end = { date: dateUtils.toIsoDate(dateUtils.addDays(range.end, 1)) };
+  
+  logger.debug(`Nuove date dell'evento di tutto il giorno: ${updatedEvent.start.date} - ${updatedEvent.end.date} (esclusa)`);
+};
+
+/**
+ * Determina orario di inizio e di fine di un evento dai parametri: l'orario di inizio
+ * può essere un'espressione ("3 del pomeriggio", "pomeriggio", "dalle 10 alle 11:30")
+ * e la fine può derivare dalla durata in minuti
+ * @param {Object} params - Parametri con startTime, endTime e duration
+ * @returns {Object} Orari di inizio e fine in formato HH:MM (null se non indicati)
+ * @throws {Error} Se un orario non è riconosciuto
+ */
+const resolveEventTimes = (params) => {
+  const expression = params.startTime ? dateUtils.parseTimeExpression(String(params.startTime)) : null;
+  if (params.startTime && !(expression && expression.startTime)) {
+    throw new Error(`Orario non riconosciuto: "${params.startTime}"`);
+  }
+  
+  const endTime = params.endTime ? dateUtils.normalizeTime(params.endTime) : null;
+  if (params.endTime && !endTime) {
+    throw new Error(`Orario non riconosciuto: "${params.endTime}"`);
+  }
+  
+  const startTime = expression ? expression.startTime : null;
+  const duration = parseInt(params.duration, 10) || (expression && expression.duration);
+  
+  if (endTime || !startTime) {
+    return { startTime, endTime };
+  }
+  
+  return {
+    startTime,
+    endTime: duration ? dateUtils.addMinutesToTime(startTime, duration) : expression.endTime || null
   };
 };
 
+/**
+ * Giorno in cui termina un evento con orario: quello dell'inizio o, per un evento su più
+ * giorni (date ed endDate), lo stesso numero di giorni dopo l'inizio (anche se questo è
+ * stato allineato a una ricorrenza)
+ * @param {Date} startDateTime - Inizio dell'evento
+ * @param {Object} params - Parametri con date ed endDate
+ * @param {String} timeZone - Fuso orario dell'utente
+ * @returns {Date} Istante nel giorno di fine, all'orario dell'inizio
+ */
+const resolveTimedEndDay = (startDateTime, params, timeZone) => {
+  if (!params.date || !params.endDate) {
+    return startDateTime;
+  }
+  
+  const today = timeZoneUtils.nowInTimeZone(timeZone);
+  const days = Math.round((dateUtils.parseDateFromText(params.endDate, today) - dateUtils.parseDateFromText(params.date, today)) / DAY_MS);
+  
+  return timeZoneUtils.fromZonedTime(dateUtils.addDays(timeZoneUtils.toZonedTime(startDateTime, timeZone), days), timeZone);
+};
+
 /**
  * Prepara una data/ora combinando una data e un orario
  * @param {String|Date} date - Data in formato stringa o oggetto Date
- * @param {String} time - Orario in formato HH:MM
+ * @param {String} time - Orario in formato HH:MM o espressione ("alle 3 del pomeriggio", "mezzogiorno")
+ * @param {String} timeZone - Fuso orario in cui interpretare data e orario
  * @returns {Date} Data combinata
+ * @throws {Error} Se l'orario non è riconosciuto
  */
-const prepareDateTime = (date, time) => {
-  // Per la data, accettiamo sia un oggetto Date che una stringa
+const prepareDateTime = (date, time, timeZone = timeZoneUtils.DEFAULT_TIME_ZONE) => {
+  // Per la data, accettiamo sia un oggetto Date che una stringa (relativa a oggi nel fuso dell'utente)
   let baseDate;
   
   if (date instanceof Date) {
-    baseDate = new Date(date);
+    baseDate = timeZoneUtils.toZonedTime(date, timeZone);
   } else if (typeof date === 'string') {
-    baseDate = dateUtils.parseDateFromText(date);
+    baseDate = dateUtils.parseDateFromText(date, timeZoneUtils.nowInTimeZone(timeZone));
   } else {
-    baseDate = new Date();
+    baseDate = timeZoneUtils.nowInTimeZone(timeZone);
   }
   
-  // Per l'orario, se abbiamo un formato HH:MM
+  // Orario HH:MM o espressione in italiano
   if (time && typeof time === 'string') {
-    const [hours, minutes] = time.split(':').map(Number);
-    if (!isNaN(hours) && !isNaN(minutes)) {
-      baseDate.setHours(hours, minutes, 0, 0);
+    const normalizedTime = dateUtils.normalizeTime(time);
+    if (!normalizedTime) {
+      throw new Error(`Orario non riconosciuto: "${time}"`);
     }
+    
+    const [hours, minutes] = normalizedTime.split(':').map(Number);
+    baseDate.setHours(hours, minutes, 0, 0);
   }
   
-  return baseDate;
+  return timeZoneUtils.fromZonedTime(baseDate, timeZone);
 };
 
 /**
@@ -719,31 +2598,85 @@ const prepareAttendees = (attendees) => {
   // Converti in array se è una stringa
   const attendeesList = Array.isArray(attendees) ? attendees : [attendees];
   
+  // I nomi sono già stati risolti nella rubrica: senza indirizzo non si può invitare
+  const invalidAttendees = attendeesList.filter(email => !email || !email.includes('@'));
+  if (invalidAttendees.length > 0) {
+    logger.warn('Partecipanti senza indirizzo email ignorati:', invalidAttendees);
+  }
+  
   // Formatta ogni partecipante come richiesto dall'API
-  return attendeesList.map(email => {
-    // Aggiungi dominio predefinito se manca
-    if (email && !email.includes('@')) {
-      email = `${email}@example.com`;
-    }
-    
-    return { email };
-  });
+  return attendeesList
+    .filter(email => email && email.includes('@'))
+    .map(email => ({ email }));
+};
+
+/**
+ * Prepara la richiesta di creazione di una videoconferenza Google Meet
+ * (richiede conferenceDataVersion: 1 nella chiamata all'API)
+ * @returns {Object} Campo conferenceData della risorsa evento
+ */
+const buildConferenceRequest = () => ({
+  createRequest: {
+    requestId: crypto.randomUUID(),
+    conferenceSolutionKey: { type: 'hangoutsMeet' }
+  }
+});
+
+/**
+ * Ricava il link per partecipare alla videoconferenza di un evento
+ * @param {Object} event - Evento restituito dall'API
+ * @returns {String|null} URL della videoconferenza
+ */
+const getConferenceLink = (event) => {
+  if (event.hangoutLink) return event.hangoutLink;
+  
+  const entryPoints = (event.conferenceData && event.conferenceData.entryPoints) || [];
+  const videoEntryPoint = entryPoints.find(entryPoint => entryPoint.entryPointType === 'video');
+  
+  return videoEntryPoint ? videoEntryPoint.uri : null;
+};
+
+/**
+ * Completa il messaggio di esito quando è stato chiesto un link Meet
+ * @param {String} message - Messaggio di esito dell'operazione
+ * @param {Boolean} conferenceRequested - Se l'utente ha chiesto la videoconferenza
+ * @param {String|null} conferenceLink - Link restituito dall'API
+ * @returns {String} Messaggio completo
+ */
+const describeConferenceOutcome = (message, conferenceRequested, conferenceLink) => {
+  if (!conferenceRequested) return message;
+  
+  // La creazione della videoconferenza può restare in attesa: il link comparirà nell'evento
+  return conferenceLink
+    ? `${message}, con link Google Meet`
+    : `${message}: il link Google Meet sarà disponibile a breve nell'evento`;
 };
 
 /**
  * Formatta un evento per la risposta all'utente
  * @param {Object} event - Evento da formattare
+ * @param {Object} sourceCalendar - Calendario di provenienza (id e nome, opzionale)
  * @returns {Object} Evento formattato
  */
-const formatEventForResponse = (event) => {
+const formatEventForResponse = (event, sourceCalendar = null) => {
   return {
     id: event.id,
     title: event.summary || 'Evento senza titolo',
     description: event.description || '',
     start: event.start.dateTime || event.start.date,
     end: event.end.dateTime || event.end.date,
+    allDay: !event.start.dateTime,
     link: event.htmlLink,
-    attendees: event.attendees ? event.attendees.map(a => a.email) : []
+    attendees: event.attendees ? event.attendees.map(a => a.email) : [],
+    location: event.location || '',
+    conferenceLink: getConferenceLink(event),
+    colorId: event.colorId || null,
+    visibility: event.visibility || 'default',
+    transparency: event.transparency || 'opaque',
+    reminders: event.reminders && !event.reminders.useDefault ? event.reminders.overrides || [] : null,
+    recurring: !!event.recurringEventId,
+    calendarId: sourceCalendar ? sourceCalendar.id : DEFAULT_CALENDAR_ID,
+    calendar: sourceCalendar ? sourceCalendar.name || null : null
   };
 };
 
@@ -751,9 +2684,15 @@ module.exports = {
   createEvent,
   updateEvent,
   listEvents,
+  getEvent,
+  searchEvents,
+  listCalendars,
+  getUserTimeZone,
+  findFreeSlots,
+  answerQuery,
   deleteEvent,
-  handleTimeModification, // Aggiungi questa
-  findMostRecentEventByType, // Aggiungi questa
-  updateEventContext, // Aggiungi questa
-  getLastEventIdFromContext // Aggiungi questa
+  previewDeleteEvent,
+  previewUpdateEvent,
+  revertChanges,
+  handleTimeModification // Aggiungi questa
 };
\ No newline at end of file
@@ -0,0 +1,389 @@
+/**
+ * Servizio per la conferma delle azioni distruttive sul calendario
+ * (anteprima delle modifiche ed esecuzione in due fasi) e delle scelte
+ * proposte all'utente (alternative alle sovrapposizioni, contatti ed eventi ambigui)
+ */
+
+const crypto = require('crypto');
+const calendarService = require('./calendarService');
+const contextService = require('./contextService');
+const dateUtils = require('../utils/dateUtils');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('confirmation-service');
+
+// Validità di un'azione in attesa di conferma
+const CONFIRMATION_TTL = 5 * 60 * 1000; // 5 minuti
+
+/**
+ * Verifica se un comando richiede conferma prima dell'esecuzione
+ * @param {Object} parsedCommand - Comando interpretato
+ * @returns {Boolean} True se l'azione va confermata
+ */
+const requiresConfirmation = (parsedCommand) => {
+  const parameters = parsedCommand.parameters || {};
+
+  switch (parsedCommand.action) {
+    case 'DELETE_EVENT':
+      return true;
+    case 'UPDATE_EVENT':
+      // Modifiche che individuano l'evento per titolo (corrispondenza approssimata) e modifiche multiple
+      return !parameters.eventId && !!(parameters.title || parameters.filter || parameters.eventIds);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Prepara il piano di esecuzione di un comando: gli eventi coinvolti
+ * e i parametri risolti da usare alla conferma
+ * @param {Object} parsedCommand - Comando interpretato
+ * @param {Object} auth - Client OAuth2 autenticato
+ * @returns {Object} Piano con eventi coinvolti e comando da eseguire
+ */
+const createPlan = async (parsedCommand, auth) => {
+  const { action, parameters = {} } = parsedCommand;
+  let preview = null;
+
+  if (action === 'DELETE_EVENT') {
+    preview = await calendarService.previewDeleteEvent(auth, parameters);
+  } else if (action === 'UPDATE_EVENT') {
+    preview = await calendarService.previewUpdateEvent(auth, parameters);
+  }
+
+  return {
+    action,
+    events: preview ? preview.events : [],
+    ...(preview && preview.candidates && { candidates: preview.candidates }),
+    ...(preview && preview.truncated && { truncated: true }),
+    changes: preview ? preview.changes : undefined,
+    recurrenceScope: parameters.recurrenceScope,
+    command: {
+      action,
+      parameters: preview ? preview.parameters : parameters
+    }
+  };
+};
+
+/**
+ * Descrive il piano in italiano
+ * @param {Object} plan - Piano di esecuzione
+ * @returns {String} Messaggio di conferma
+ */
+const describePlan = (plan) => {
+  const count = plan.events.length;
+  // Filtro su più eventi di quanti se ne possano esaminare: l'insieme non è completo
+  const note = plan.truncated ? ' (esaminati solo i primi eventi del periodo: restringi i criteri per includerli tutti)' : '';
+
+  switch (plan.action) {
+    case 'DELETE_EVENT':
+      return count === 1
+        ? `Verrà eliminato l'evento "${plan.events[0].title}"${note}. Confermi?`
+        : `Verranno eliminati ${count} eventi${note}. Confermi?`;
+    case 'UPDATE_EVENT':
+      return count === 1
+        ? `Verrà modificato l'evento "${plan.events[0].title}"${note}. Confermi?`
+        : `Verranno modificati ${count} eventi${note}. Confermi?`;
+    default:
+      return 'Anteprima del comando';
+  }
+};
+
+/**
+ * Rimuove dalla sessione le azioni in attesa scadute
+ * @param {Object} session - Sessione dell'utente
+ */
+const removeExpiredActions = (session) => {
+  const now = Date.now();
+  const pendingActions = session.pendingActions || {};
+
+  Object.keys(pendingActions).forEach(token => {
+    if (now - pendingActions[token].createdAt > CONFIRMATION_TTL) {
+      delete pendingActions[token];
+    }
+  });
+
+  session.pendingActions = pendingActions;
+};
+
+/**
+ * Registra un'azione in attesa di conferma nella sessione
+ * @param {Object} session - Sessione dell'utente
+ * @param {Object} pendingAction - Comando da eseguire e contesto associato
+ * @returns {String} Token di conferma
+ */
+const createPendingAction = (session, pendingAction) => {
+  removeExpiredActions(session);
+
+  const token = crypto.randomBytes(16).toString('hex');
+  session.pendingActions[token] = {
+    ...pendingAction,
+    createdAt: Date.now()
+  };
+
+  logger.debug('Azione in attesa di conferma registrata:', token);
+  return token;
+};
+
+/**
+ * Recupera e rimuove dalla sessione un'azione in attesa di conferma
+ * @param {Object} session - Sessione dell'utente
+ * @param {String} token - Token di conferma
+ * @returns {Object|null} Azione in attesa o null se scaduta/inesistente
+ */
+const consumePendingAction = (session, token) => {
+  removeExpiredActions(session);
+
+  const pendingAction = session.pendingActions[token];
+  if (!pendingAction) {
+    logger.warn('Token di conferma non valido o scaduto:', token);
+    return null;
+  }
+
+  delete session.pendingActions[token];
+
+  // Scelta tra più eventi: le altre opzioni proposte non sono più valide
+  if (pendingAction.choiceGroup) {
+    Object.keys(session.pendingActions).forEach(otherToken => {
+      if (session.pendingActions[otherToken].choiceGroup === pendingAction.choiceGroup) {
+        delete session.pendingActions[otherToken];
+      }
+    });
+    delete session.pendingChoice;
+  }
+
+  return pendingAction;
+};
+
+/**
+ * Prepara la risposta di conferma per un comando: anteprima e, se non è
+ * una prova (dry run), token per l'esecuzione tramite /api/confirm-command
+ * @param {Object} parsedCommand - Comando interpretato
+ * @param {Object} auth - Client OAuth2 autenticato
+ * @param {Object} session - Sessione dell'utente
+ * @param {Object} options - dryRun e contesto da conservare (es. passi successivi)
+ * @returns {Object} Risultato con il piano da confermare
+ */
+const requestConfirmation = async (parsedCommand, auth, session, options = {}) => {
+  const { dryRun = false, context = {} } = options;
+  const plan = await createPlan(parsedCommand, auth);
+
+  // Titolo ambiguo: prima di tutto l'utente sceglie l'evento
+  if (plan.candidates) {
+    return dryRun
+      ? { success: true, dryRun: true, needsDisambiguation: true, message: describeChoice(parsedCommand.parameters.title), candidates: plan.candidates }
+      : offerEventChoices(plan, session, context);
+  }
+
+  // Nessun evento coinvolto: non c'è nulla da confermare
+  if (requiresConfirmation(parsedCommand) && plan.events.length === 0) {
+    return {
+      success: true,
+      message: 'Nessun evento trovato: nessuna modifica da eseguire'
+    };
+  }
+
+  const { command, ...planDetails } = plan;
+
+  if (dryRun) {
+    return {
+      success: true,
+      dryRun: true,
+      message: describePlan(plan).replace(' Confermi?', ''),
+      plan: { ...planDetails, parameters: command.parameters }
+    };
+  }
+
+  const confirmationToken = createPendingAction(session, { ...context, parsedCommand: command });
+
+  return {
+    success: true,
+    requiresConfirmation: true,
+    confirmationToken,
+    message: describePlan(plan),
+    plan: planDetails
+  };
+};
+
+/**
+ * Rende eseguibili tramite /api/confirm-command le alternative proposte per
+ * un'operazione bloccata da sovrapposizioni (primo orario libero, forzatura)
+ * @param {Object} parsedCommand - Comando interpretato
+ * @param {Object} result - Risultato con conflitti e alternative
+ * @param {Object} session - Sessione dell'utente
+ * @returns {Object} Risultato con un token di conferma per ogni alternativa
+ */
+const offerAlternatives = (parsedCommand, result, session) => {
+  if (!session || !result.alternatives) return result;
+
+  const alternatives = result.alternatives.map(({ parameters, ...alternative }) => ({
+    ...alternative,
+    confirmationToken: createPendingAction(session, {
+      parsedCommand: { action: parsedCommand.action, parameters }
+    })
+  }));
+
+  return { ...result, alternatives };
+};
+
+/**
+ * Chiede all'utente quale contatto intende per un nome ambiguo: ogni candidato
+ * è un'esecuzione del comando, con quel contatto, tramite /api/confirm-command
+ * @param {Object} parsedCommand - Comando interpretato
+ * @param {Object} ambiguity - Nome ambiguo e contatti candidati
+ * @param {Object} session - Sessione dell'utente
+ * @param {Object} context - Contesto da conservare (es. passi successivi)
+ * @returns {Object} Risultato con un token di conferma per ogni candidato
+ */
+const offerContactChoices = (parsedCommand, ambiguity, session, context = {}) => {
+  const parameters = parsedCommand.parameters || {};
+
+  const candidates = ambiguity.candidates.map(candidate => ({
+    ...candidate,
+    confirmationToken: createPendingAction(session, {
+      ...context,
+      parsedCommand: {
+        action: parsedCommand.action,
+        parameters: {
+          ...parameters,
+          attendees: parameters.attendees.map(attendee => attendee === ambiguity.name ? candidate.email : attendee)
+        }
+      },
+      // La scelta vale anche per i comandi successivi
+      learnAlias: { alias: ambiguity.name, contact: candidate }
+    })
+  }));
+
+  return {
+    success: false,
+    message: `Più contatti corrispondono a "${ambiguity.name}": quale intendi?`,
+    contactChoices: { name: ambiguity.name, candidates }
+  };
+};
+
+/**
+ * Chiede all'utente quale data intende quando quella del comando è ambigua
+ * (es. "lunedì 3 novembre" se il 3 novembre è martedì): ogni data proposta è
+ * un'esecuzione del comando con quella data, tramite /api/confirm-command
+ * @param {Object} parsedCommand - Comando interpretato
+ * @param {Object} ambiguity - Parametro ambiguo (field, inFilter), messaggio e date candidate
+ * @param {Object} session - Sessione dell'utente
+ * @param {Date} today - Data corrente nel fuso dell'utente (per descrivere le date)
+ * @param {Object} context - Contesto da conservare (es. passi successivi)
+ * @returns {Object} Risultato con un token di conferma per ogni data
+ */
+const offerDateChoices = (parsedCommand, ambiguity, session, today = new Date(), context = {}) => {
+  const parameters = parsedCommand.parameters || {};
+
+  const candidates = ambiguity.candidates.map(date => {
+    const isoDate = dateUtils.toIsoDate(date);
+    const chosenParameters = ambiguity.inFilter
+      ? { ...parameters, filter: { ...parameters.filter, [ambiguity.field]: isoDate } }
+      : { ...parameters, [ambiguity.field]: isoDate };
+
+    return {
+      date: isoDate,
+      label: dateUtils.describeDay(date, today),
+      confirmationToken: createPendingAction(session, {
+        ...context,
+        parsedCommand: { action: parsedCommand.action, parameters: chosenParameters },
+        // Le azioni da confermare mostrano comunque l'anteprima con la data scelta
+        dateChosen: true
+      })
+    };
+  });
+
+  return {
+    success: false,
+    ambiguousDate: true,
+    message: ambiguity.message,
+    dateChoices: { text: ambiguity.text, candidates }
+  };
+};
+
+/**
+ * Domanda all'utente quando un titolo individua più eventi
+ * @param {String} title - Titolo indicato dall'utente
+ * @returns {String} Messaggio in italiano
+ */
+const describeChoice = (title) => `Più eventi corrispondono a "${title}": quale intendi?`;
+
+/**
+ * Chiede all'utente quale evento intende quando il titolo ne individua più d'uno:
+ * ogni candidato è un'esecuzione del comando su quell'evento, tramite
+ * /api/confirm-command o rispondendo con la sua posizione ("la seconda")
+ * @param {Object} plan - Piano con i candidati e il comando da eseguire
+ * @param {Object} session - Sessione dell'utente
+ * @param {Object} context - Contesto da conservare (es. passi successivi)
+ * @returns {Object} Risultato con un token di conferma per ogni candidato
+ */
+const offerEventChoices = (plan, session, context = {}) => {
+  const { action, parameters } = plan.command;
+  const choiceGroup = crypto.randomBytes(8).toString('hex');
+
+  // Il titolo serviva solo a individuare l'evento
+  const { title, ...otherParameters } = parameters;
+
+  const candidates = plan.candidates.map(candidate => ({
+    ...candidate,
+    confirmationToken: createPendingAction(session, {
+      ...context,
+      choiceGroup,
+      parsedCommand: {
+        action,
+        parameters: { ...otherParameters, eventId: candidate.id, calendarId: candidate.calendarId }
+      },
+      // Le azioni da confermare mostrano comunque l'anteprima dell'evento scelto
+      eventChosen: true
+    })
+  }));
+
+  session.pendingChoice = {
+    tokens: candidates.map(candidate => candidate.confirmationToken),
+    createdAt: Date.now()
+  };
+
+  return {
+    success: true,
+    needsDisambiguation: true,
+    message: describeChoice(title),
+    candidates
+  };
+};
+
+/**
+ * Riconosce nel comando la scelta di uno degli eventi proposti ("la seconda")
+ * e recupera l'azione corrispondente; un comando diverso annulla la scelta in sospeso
+ * @param {Object} session - Sessione dell'utente
+ * @param {String} command - Comando dell'utente
+ * @returns {Object|null} Azione scelta o null se il comando non è una scelta
+ * @throws {Error} Se la posizione indicata non è tra quelle proposte
+ */
+const selectEventChoice = (session, command) => {
+  const choice = session && session.pendingChoice;
+  if (!choice) return null;
+
+  const index = contextService.parseChoice(command);
+  if (index === null || Date.now() - choice.createdAt > CONFIRMATION_TTL) {
+    delete session.pendingChoice;
+    return null;
+  }
+
+  const token = choice.tokens[index < 0 ? choice.tokens.length - 1 : index];
+  if (!token) {
+    throw new Error(`L'evento ${index + 1} non è tra quelli proposti (${choice.tokens.length} disponibili)`);
+  }
+
+  return consumePendingAction(session, token);
+};
+
+module.exports = {
+  requiresConfirmation,
+  requestConfirmation,
+  consumePendingAction,
+  offerAlternatives,
+  offerContactChoices,
+  offerDateChoices,
+  offerEventChoices,
+  selectEventChoice
+};
@@ -0,0 +1,108 @@
+/**
+ * Rubrica locale letta da un file JSON o CSV
+ *
+ * JSON: [{ "name": "Mario Rossi", "email": "mario.rossi@example.org", "aliases": ["Mariolino"] }]
+ * CSV:  name,email,aliases (alias separati da ";")
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../../utils/logger');
+
+const logger = createLogger('file-contacts');
+
+/**
+ * Divide una riga CSV nei suoi campi (anche tra virgolette)
+ * @param {String} line - Riga del file
+ * @returns {Array} Valori dei campi
+ */
+const parseCsvLine = (line) => {
+  const values = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === '"' && quoted && line[i + 1] === '"') {
+      current += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  values.push(current.trim());
+  return values;
+};
+
+/**
+ * Converte il contenuto di un file CSV in contatti
+ * @param {String} content - Contenuto del file
+ * @returns {Array} Contatti { name, email, aliases }
+ */
+const parseCsv = (content) => {
+  const [header, ...rows] = content.split(/\r?\n/).filter(line => line.trim());
+  if (!header) return [];
+
+  const columns = parseCsvLine(header).map(column => column.toLowerCase());
+
+  return rows.map(row => {
+    const values = parseCsvLine(row);
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = values[index] || '';
+    });
+
+    return {
+      name: record.name || record.nome,
+      email: record.email,
+      aliases: (record.aliases || record.alias || '').split(';').map(alias => alias.trim()).filter(Boolean)
+    };
+  });
+};
+
+/**
+ * Crea una rubrica basata su file, ricaricata quando il file cambia
+ * @param {String} filePath - Percorso del file JSON o CSV
+ * @returns {Object} Rubrica con il metodo searchContacts
+ */
+const createFileProvider = (filePath) => {
+  let cache = { mtimeMs: null, contacts: [] };
+
+  const loadContacts = async () => {
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      logger.debug('Rubrica non trovata:', filePath);
+      return [];
+    }
+
+    if (stats.mtimeMs === cache.mtimeMs) {
+      return cache.contacts;
+    }
+
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    const contacts = path.extname(filePath).toLowerCase() === '.csv' ? parseCsv(content) : JSON.parse(content);
+
+    cache = { mtimeMs: stats.mtimeMs, contacts };
+    logger.info(`Rubrica caricata da ${filePath}: ${contacts.length} contatti`);
+    return contacts;
+  };
+
+  return {
+    name: 'file',
+    // Il file è piccolo: la selezione dei contatti avviene nel servizio
+    searchContacts: async () => loadContacts()
+  };
+};
+
+module.exports = {
+  createFileProvider
+};
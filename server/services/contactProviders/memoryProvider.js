@@ -0,0 +1,17 @@
+/**
+ * Rubrica in memoria, per i test e per l'uso senza rubrica configurata
+ */
+
+/**
+ * Crea una rubrica con un elenco fisso di contatti
+ * @param {Array} contacts - Contatti { name, email, aliases }
+ * @returns {Object} Rubrica con il metodo searchContacts
+ */
+const createMemoryProvider = (contacts = []) => ({
+  name: 'memory',
+  searchContacts: async () => contacts
+});
+
+module.exports = {
+  createMemoryProvider
+};
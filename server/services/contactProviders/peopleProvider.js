@@ -0,0 +1,38 @@
+/**
+ * Rubrica basata sui contatti Google (People API)
+ * Richiede lo scope https://www.googleapis.com/auth/contacts.readonly
+ */
+
+const { google } = require('googleapis');
+const { createLogger } = require('../../utils/logger');
+
+const logger = createLogger('people-contacts');
+
+/**
+ * Crea una rubrica che interroga i contatti Google dell'utente
+ * @returns {Object} Rubrica con il metodo searchContacts
+ */
+const createPeopleProvider = () => ({
+  name: 'google',
+  searchContacts: async (query, auth) => {
+    const people = google.people({ version: 'v1', auth });
+    const response = await people.people.searchContacts({
+      query,
+      readMask: 'names,emailAddresses,nicknames',
+      pageSize: 10
+    });
+
+    const results = response.data.results || [];
+    logger.debug(`Contatti Google per "${query}":`, results.length);
+
+    return results.map(({ person }) => ({
+      name: person.names?.[0]?.displayName,
+      email: person.emailAddresses?.[0]?.value,
+      aliases: (person.nicknames || []).map(nickname => nickname.value)
+    }));
+  }
+});
+
+module.exports = {
+  createPeopleProvider
+};
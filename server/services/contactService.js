@@ -0,0 +1,177 @@
+/**
+ * Servizio per la risoluzione dei partecipanti: dai nomi citati nei comandi
+ * agli indirizzi email della rubrica configurata (file locale o contatti Google),
+ * con gli alias appresi dalle scelte dell'utente e conservati nella sua sessione
+ */
+
+const { contactsConfig } = require('../config/app');
+const { createFileProvider } = require('./contactProviders/fileProvider');
+const { createPeopleProvider } = require('./contactProviders/peopleProvider');
+const { createMemoryProvider } = require('./contactProviders/memoryProvider');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('contact-service');
+
+// Numero massimo di contatti proposti quando un nome è ambiguo
+const MAX_CANDIDATES = 5;
+
+// Rubriche disponibili (CONTACTS_PROVIDER)
+const PROVIDERS = {
+  file: () => createFileProvider(contactsConfig.file),
+  google: () => createPeopleProvider(),
+  memory: () => createMemoryProvider()
+};
+
+let addressBook = null;
+
+/**
+ * Restituisce la rubrica configurata
+ * @returns {Object} Rubrica con il metodo searchContacts
+ */
+const getAddressBook = () => {
+  if (!addressBook) {
+    const createProvider = PROVIDERS[contactsConfig.provider] || PROVIDERS.file;
+    addressBook = createProvider();
+    logger.info('Rubrica dei partecipanti:', addressBook.name);
+  }
+
+  return addressBook;
+};
+
+/**
+ * Sostituisce la rubrica in uso (es. una rubrica in memoria nei test)
+ * @param {Object} provider - Rubrica con il metodo searchContacts
+ */
+const setAddressBook = (provider) => {
+  addressBook = provider;
+};
+
+/**
+ * Normalizza un nome per il confronto (minuscole, senza accenti e spazi superflui)
+ * @param {String} name - Nome da normalizzare
+ * @returns {String} Nome normalizzato
+ */
+const normalizeName = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Memorizza nella sessione il contatto scelto per un nome, così da non chiederlo
+ * di nuovo: gli alias valgono solo per l'utente che li ha scelti
+ * @param {Object} session - Sessione dell'utente
+ * @param {String} alias - Nome usato nel comando (es. "Mario")
+ * @param {Object} contact - Contatto scelto { name, email }
+ */
+const learnAlias = (session, alias, contact) => {
+  session.contactAliases = {
+    ...session.contactAliases,
+    [normalizeName(alias)]: { name: contact.name || null, email: contact.email }
+  };
+  logger.info(`Alias appreso: "${alias}" → ${contact.email}`);
+};
+
+/**
+ * Seleziona i contatti che corrispondono a un nome: prima le corrispondenze esatte
+ * (nome, alias o parte locale dell'email), poi quelle per iniziali delle parole
+ * @param {String} query - Nome citato nel comando
+ * @param {Array} contacts - Contatti della rubrica
+ * @returns {Array} Contatti corrispondenti
+ */
+const matchContacts = (query, contacts) => {
+  const target = normalizeName(query);
+  const tokens = target.split(' ');
+
+  const validContacts = contacts
+    .filter(contact => contact && contact.email)
+    .map(contact => ({ name: contact.name || contact.email, email: contact.email, aliases: contact.aliases || [] }));
+
+  const exactMatches = validContacts.filter(contact =>
+    normalizeName(contact.name) === target ||
+    contact.aliases.some(alias => normalizeName(alias) === target) ||
+    contact.email.toLowerCase().split('@')[0] === target
+  );
+
+  const matches = exactMatches.length > 0
+    ? exactMatches
+    : validContacts.filter(contact => {
+      const words = normalizeName(contact.name).split(' ');
+      return tokens.every(token => words.some(word => word.startsWith(token)));
+    });
+
+  // Un contatto può comparire più volte (es. rubrica e alias)
+  return matches.filter((contact, index) => matches.findIndex(other => other.email === contact.email) === index);
+};
+
+/**
+ * Risolve un partecipante nel suo indirizzo email
+ * @param {String} attendee - Nome o indirizzo email
+ * @param {Object} auth - Client OAuth2 autenticato (per le rubriche remote)
+ * @param {Object} learnedAliases - Alias appresi dall'utente (nome normalizzato → contatto)
+ * @returns {Object} Esito (resolved, ambiguous, unresolved) con email o contatti candidati
+ */
+const resolveAttendee = async (attendee, auth, learnedAliases) => {
+  const name = String(attendee).trim();
+
+  if (name.includes('@')) {
+    return { status: 'resolved', name, email: name };
+  }
+
+  const alias = learnedAliases[normalizeName(name)];
+  if (alias) {
+    logger.debug(`Partecipante "${name}" risolto con un alias appreso:`, alias.email);
+    return { status: 'resolved', name, email: alias.email };
+  }
+
+  const contacts = await getAddressBook().searchContacts(name, auth);
+  const matches = matchContacts(name, contacts);
+
+  if (matches.length === 1) {
+    return { status: 'resolved', name, email: matches[0].email };
+  }
+
+  if (matches.length > 1) {
+    return {
+      status: 'ambiguous',
+      name,
+      candidates: matches.slice(0, MAX_CANDIDATES).map(contact => ({ name: contact.name, email: contact.email }))
+    };
+  }
+
+  return { status: 'unresolved', name };
+};
+
+/**
+ * Risolve i partecipanti di un comando nei rispettivi indirizzi email
+ * @param {Array} attendees - Nomi o indirizzi email
+ * @param {Object} auth - Client OAuth2 autenticato
+ * @param {Object} session - Sessione dell'utente, con gli alias appresi
+ * @returns {Object} Indirizzi risolti, nomi ambigui (con i candidati) e nomi non trovati
+ */
+const resolveAttendees = async (attendees, auth, session = {}) => {
+  logger.debug('Risoluzione partecipanti:', attendees);
+
+  try {
+    const results = [];
+    for (const attendee of attendees) {
+      results.push(await resolveAttendee(attendee, auth, session.contactAliases || {}));
+    }
+
+    return {
+      attendees: results.filter(result => result.status === 'resolved').map(result => result.email),
+      ambiguous: results.filter(result => result.status === 'ambiguous'),
+      unresolved: results.filter(result => result.status === 'unresolved').map(result => result.name)
+    };
+  } catch (error) {
+    logger.error('Errore nella ricerca dei contatti:', error);
+    throw new Error(`Impossibile cercare i contatti: ${error.message}`);
+  }
+};
+
+module.exports = {
+  resolveAttendees,
+  learnAlias,
+  setAddressBook
+};
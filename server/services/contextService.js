@@ -0,0 +1,358 @@
+/**
+ * Servizio per il contesto conversazionale di ogni utente
+ * (eventi citati di recente, ultimo elenco mostrato, ultimi slot liberi proposti ed entità risolte)
+ */
+
+const dateUtils = require('../utils/dateUtils');
+const timeZoneUtils = require('../utils/timeZoneUtils');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('context-service');
+
+// Validità del contesto conversazionale
+const CONTEXT_TTL = 10 * 60 * 1000; // 10 minuti
+
+// Numero massimo di eventi citati conservati
+const MAX_REFERENCED_EVENTS = 5;
+
+// Titolo segnaposto del parser locale quando il comando non ne indica uno
+const PLACEHOLDER_TITLE = 'Nuovo evento';
+
+// Ordinali riconosciuti nei riferimenti ("il secondo", "la terza")
+const ORDINALS = {
+  'primo': 0, 'prima': 0,
+  'secondo': 1, 'seconda': 1,
+  'terzo': 2, 'terza': 2,
+  'quarto': 3, 'quarta': 3,
+  'quinto': 4, 'quinta': 4,
+  'sesto': 5, 'sesta': 5,
+  'settimo': 6, 'settima': 6,
+  'ottavo': 7, 'ottava': 7,
+  'nono': 8, 'nona': 8,
+  'decimo': 9, 'decima': 9
+};
+
+// Verbi con pronome enclitico ("spostala", "eliminali")
+const PRONOUN_PATTERN = /\b(sposta|cancella|elimina|modifica|anticipa|posticipa|aggiorna|rinomina|ritarda|cambia|rimuovi|annulla)(lo|la|li|le)\b/;
+
+// Riferimenti espliciti a un evento già citato
+const DEMONSTRATIVE_PATTERN = /\b(quell[oa] di prima|lo stesso evento|la stessa riunione|quest'evento|questo evento|quell'evento|quell'appuntamento|quella riunione)\b/;
+
+/**
+ * Restituisce il contesto della sessione, azzerandolo se scaduto
+ * @param {Object} session - Sessione dell'utente
+ * @returns {Object} Contesto conversazionale
+ */
+const getContext = (session) => {
+  const context = session && session.conversationContext;
+
+  if (!context || Date.now() - context.updatedAt > CONTEXT_TTL) {
+    return { referencedEvents: [], lastResults: [], lastSlots: [], slotSearch: null, entities: {}, updatedAt: null };
+  }
+
+  return context;
+};
+
+/**
+ * Salva il contesto nella sessione
+ * @param {Object} session - Sessione dell'utente
+ * @param {Object} context - Contesto aggiornato
+ */
+const saveContext = (session, context) => {
+  if (!session) return;
+
+  session.conversationContext = { ...context, updatedAt: Date.now() };
+  logger.debug('Contesto conversazionale aggiornato:', {
+    referencedEvents: context.referencedEvents.map(event => event.id),
+    lastResults: context.lastResults.length
+  });
+};
+
+/**
+ * Riconosce nel comando un riferimento a eventi già citati
+ * @param {String} command - Comando originale
+ * @returns {Object|null} Tipo di riferimento (ordinale, pronome, dimostrativo)
+ */
+const detectReference = (command) => {
+  const lowerCommand = command.toLowerCase();
+
+  // "il secondo", "la terza", "l'ultimo", ma non le date ("il primo dicembre", "il primo lunedì")
+  const ordinalMatch = lowerCommand.match(new RegExp(`\\b(?:il|la|lo|l')\\s*(${Object.keys(ORDINALS).join('|')}|ultimo|ultima)\\b(?!\\s+(?:settimana|giorno|mese|ora|lunedì|martedì|mercoledì|giovedì|venerdì|sabato|domenica|${dateUtils.MONTHS.join('|')}|\\d))`));
+  if (ordinalMatch) {
+    const word = ordinalMatch[1];
+    return { type: 'ordinal', index: word.startsWith('ultim') ? -1 : ORDINALS[word] };
+  }
+
+  const pronounMatch = lowerCommand.match(PRONOUN_PATTERN);
+  if (pronounMatch) {
+    return { type: 'pronoun', plural: pronounMatch[2] === 'li' || pronounMatch[2] === 'le' };
+  }
+
+  if (DEMONSTRATIVE_PATTERN.test(lowerCommand)) {
+    return { type: 'demonstrative', plural: false };
+  }
+
+  return null;
+};
+
+/**
+ * Riconosce una risposta che sceglie per posizione tra le opzioni proposte
+ * ("la seconda", "il primo", "l'ultima", "2")
+ * @param {String} text - Risposta dell'utente
+ * @returns {Number|null} Indice dell'opzione (da 0, -1 per l'ultima) o null se il testo non è una scelta
+ */
+const parseChoice = (text) => {
+  const match = String(text || '').toLowerCase().trim().replace(/[.!?]+$/, '').match(new RegExp(
+    `^(?:(?:scegli|seleziona|intendo|prendi)\\s+)?(?:(?:il|la|lo|l')\\s*)?(?:numero\\s+)?(\\d+|${Object.keys(ORDINALS).join('|')}|ultimo|ultima)(?:\\s+(?:evento|riunione|appuntamento|opzione))?$`
+  ));
+  if (!match) return null;
+
+  const word = match[1];
+  if (/^\d+$/.test(word)) {
+    return parseInt(word, 10) > 0 ? parseInt(word, 10) - 1 : null;
+  }
+
+  return word.startsWith('ultim') ? -1 : ORDINALS[word];
+};
+
+/**
+ * Risolve la prenotazione di uno degli ultimi slot liberi proposti
+ * ("prenota il secondo", "prenota lo slot 2"), impostando data e orari nei parametri
+ * @param {Object} context - Contesto conversazionale
+ * @param {String} command - Comando originale
+ * @param {Object} parameters - Parametri della creazione (modificati sul posto)
+ * @throws {Error} Se lo slot indicato non è tra quelli proposti
+ */
+const resolveSlotReference = (context, command, parameters) => {
+  if (context.lastSlots.length === 0) return;
+
+  const reference = detectReference(command);
+  const slotNumber = parseInt(parameters.slot, 10);
+  let index = null;
+
+  if (slotNumber > 0) {
+    index = slotNumber - 1;
+  } else if (reference && reference.type === 'ordinal') {
+    index = reference.index < 0 ? context.lastSlots.length - 1 : reference.index;
+  } else if (/\b(slot|prenotal[oa]|prenota quello)\b/.test(command.toLowerCase())) {
+    index = 0;
+  }
+
+  if (index === null) return;
+
+  const slot = context.lastSlots[index];
+  if (!slot) {
+    throw new Error(`Lo slot ${index + 1} non è tra quelli proposti (${context.lastSlots.length} disponibili)`);
+  }
+
+  // Data e orari dello slot nel fuso dell'utente
+  const timeZone = parameters.timeZone || timeZoneUtils.DEFAULT_TIME_ZONE;
+  const start = timeZoneUtils.formatZonedDateTime(slot.start, timeZone);
+
+  parameters.date = start.date;
+  parameters.startTime = start.time;
+  parameters.endTime = timeZoneUtils.formatZonedDateTime(slot.end, timeZone).time;
+  delete parameters.slot;
+
+  // Titolo e calendario indicati nella ricerca, se il comando non ne specifica altri
+  const slotSearch = context.slotSearch || {};
+  if ((!parameters.title || parameters.title === PLACEHOLDER_TITLE) && slotSearch.title) {
+    parameters.title = slotSearch.title;
+  }
+  if (!parameters.calendar && typeof slotSearch.calendar === 'string') {
+    parameters.calendar = slotSearch.calendar;
+  }
+
+  logger.debug('Slot proposto selezionato:', slot);
+};
+
+/**
+ * Completa una creazione che richiama il comando precedente ("crea la stessa
+ * riunione venerdì", "fissane un'altra come quella di prima") con titolo,
+ * partecipanti e giorno risolti allora, se il comando non ne indica altri
+ * @param {Object} context - Contesto conversazionale
+ * @param {String} command - Comando originale
+ * @param {Object} parameters - Parametri della creazione (modificati sul posto)
+ */
+const resolveEntityReference = (context, command, parameters) => {
+  const reference = detectReference(command);
+  if (!reference || reference.type !== 'demonstrative') return;
+
+  const { title, attendees, date } = context.entities;
+
+  if ((!parameters.title || parameters.title === PLACEHOLDER_TITLE) && title) {
+    parameters.title = title;
+  }
+  if ((!parameters.attendees || parameters.attendees.length === 0) && attendees) {
+    parameters.attendees = attendees;
+  }
+  if (!parameters.date && !parameters.startDate && date) {
+    parameters.date = date;
+  }
+
+  logger.debug('Entità del comando precedente riprese nella creazione:', context.entities);
+};
+
+/**
+ * Risolve pronomi e ordinali del comando sugli eventi (o sugli slot liberi)
+ * della conversazione dell'utente, impostando l'ID dell'evento nei parametri
+ * (in una creazione, le entità del comando richiamato)
+ * @param {Object} session - Sessione dell'utente
+ * @param {String} command - Comando originale
+ * @param {Object} parsedCommand - Comando interpretato (modificato sul posto)
+ * @throws {Error} Se il comando si riferisce a un evento che il contesto non permette di individuare
+ */
+const resolveReferences = (session, command, parsedCommand) => {
+  const { action } = parsedCommand;
+
+  if (action === 'CREATE_EVENT') {
+    const context = getContext(session);
+    parsedCommand.parameters = parsedCommand.parameters || {};
+    resolveSlotReference(context, command, parsedCommand.parameters);
+    resolveEntityReference(context, command, parsedCommand.parameters);
+    return;
+  }
+
+  if (action !== 'UPDATE_EVENT' && action !== 'DELETE_EVENT') return;
+
+  const parameters = parsedCommand.parameters = parsedCommand.parameters || {};
+  if (parameters.eventId || parameters.eventIds || parameters.deleteAll || parameters.filter) return;
+
+  // In un'eliminazione la data indica quali eventi cancellare ("cancella gli eventi di domani"),
+  // mentre in una modifica è la nuova data dell'evento citato ("spostalo a domani")
+  const selectsByDate = ['date', 'startDate', 'endDate', 'period'].some(field => parameters[field]);
+  if (action === 'DELETE_EVENT' && selectsByDate) return;
+
+  const context = getContext(session);
+  const reference = detectReference(command);
+  let resolvedEvents = [];
+
+  if (reference && reference.type === 'ordinal') {
+    const results = context.lastResults;
+    const index = reference.index < 0 ? results.length - 1 : reference.index;
+    if (results[index]) {
+      resolvedEvents = [results[index]];
+    }
+  } else if (reference && reference.plural && action === 'DELETE_EVENT') {
+    resolvedEvents = context.lastResults.length > 0 ? context.lastResults : context.referencedEvents;
+  } else if (reference) {
+    // Pronome o dimostrativo: l'ultimo evento citato
+    resolvedEvents = context.referencedEvents.slice(0, 1);
+  }
+
+  if (resolvedEvents.length === 0) {
+    if (reference) {
+      logger.warn('Riferimento non risolto nel contesto:', reference);
+      
+      // Senza un titolo utilizzabile non c'è modo di capire a quale evento ci si riferisce
+      if (!parameters.title || parameters.title === PLACEHOLDER_TITLE) {
+        throw new Error('Non è chiaro a quale evento ti riferisci: indica il titolo dell\'evento');
+      }
+    }
+    return;
+  }
+
+  if (resolvedEvents.length > 1) {
+    // Gli eventi elencati possono provenire da calendari diversi
+    parameters.eventIds = resolvedEvents.map(event => ({ eventId: event.id, calendarId: event.calendarId }));
+  } else {
+    parameters.eventId = resolvedEvents[0].id;
+    if (resolvedEvents[0].calendarId) {
+      parameters.calendarId = resolvedEvents[0].calendarId;
+    }
+  }
+
+  // Il titolo interpretato serviva solo a individuare l'evento, salvo rinomina esplicita
+  if (parameters.title && !/\b(rinomina|chiamal|titolo)/.test(command.toLowerCase())) {
+    delete parameters.title;
+  }
+
+  logger.debug('Riferimento risolto nel contesto:', resolvedEvents.map(event => event.title));
+};
+
+/**
+ * Riduce un evento alle informazioni utili per il contesto
+ * @param {Object} event - Evento formattato o risorsa API
+ * @returns {Object} Riferimento all'evento
+ */
+const toReference = (event) => ({
+  id: event.id,
+  calendarId: event.calendarId || null,
+  title: event.title || event.summary || null,
+  start: event.start && typeof event.start === 'object'
+    ? event.start.dateTime || event.start.date
+    : event.start || null
+});
+
+/**
+ * Aggiorna il contesto dopo l'esecuzione di un'azione
+ * @param {Object} session - Sessione dell'utente
+ * @param {Object} parsedCommand - Comando eseguito
+ * @param {Object} result - Risultato dell'azione
+ * @param {Array} journal - Voci del registro delle modifiche
+ */
+const updateContext = (session, parsedCommand, result, journal = []) => {
+  if (!session || !result || !result.success) return;
+
+  const context = getContext(session);
+  const parameters = parsedCommand.parameters || {};
+  let referencedEvents = [...context.referencedEvents];
+  let lastResults = context.lastResults;
+  let { lastSlots, slotSearch } = context;
+
+  // Eventi eliminati: non sono più citabili
+  const deletedIds = journal.filter(entry => entry.type === 'deleted').map(entry => entry.eventId);
+
+  // Eventi creati o modificati: diventano i più recenti
+  const touchedEvents = journal
+    .filter(entry => entry.type !== 'deleted')
+    .map(entry => ({
+      id: entry.eventId,
+      calendarId: entry.calendarId || null,
+      title: (parameters.title !== PLACEHOLDER_TITLE && parameters.title) || (entry.before && entry.before.summary) || null,
+      start: null
+    }));
+
+  if (result.events) {
+    lastResults = result.events.map(toReference);
+    if (result.events.length === 1) {
+      touchedEvents.push(toReference(result.events[0]));
+    }
+  }
+
+  referencedEvents = [
+    ...touchedEvents,
+    ...referencedEvents.filter(event => !touchedEvents.some(touched => touched.id === event.id))
+  ]
+    .filter(event => !deletedIds.includes(event.id))
+    .slice(0, MAX_REFERENCED_EVENTS);
+
+  lastResults = lastResults.filter(event => !deletedIds.includes(event.id));
+
+  // Slot liberi proposti, prenotabili con un comando successivo
+  if (result.slots) {
+    lastSlots = result.slots.map(slot => ({ start: slot.start, end: slot.end }));
+    slotSearch = {
+      title: parameters.title !== PLACEHOLDER_TITLE ? parameters.title || null : null,
+      calendar: parameters.calendar || null
+    };
+  }
+
+  // Entità risolte nell'ultimo comando, riprese da una creazione che lo richiama
+  const entities = { ...context.entities };
+  ['title', 'date', 'attendees'].forEach(key => {
+    if (parameters[key] && parameters[key] !== PLACEHOLDER_TITLE) {
+      entities[key] = parameters[key];
+    }
+  });
+
+  saveContext(session, { referencedEvents, lastResults, lastSlots, slotSearch, entities });
+};
+
+module.exports = {
+  getContext,
+  detectReference,
+  parseChoice,
+  resolveReferences,
+  updateContext
+};
@@ -1,9 +1,23 @@
 /**
- * Servizio per l'integrazione con l'API Gemini
+ * Servizio per l'interpretazione dei comandi in linguaggio naturale: prompt e
+ * schema comuni ai modelli linguistici, interprete configurabile (Gemini,
+ * server compatibile con OpenAI o parser locale) e parser locale di fallback
  */
 
-const axios = require('axios');
+const { llmConfig } = require('../config/app');
+const { createGeminiProvider } = require('./llmProviders/geminiProvider');
+const { createOpenAIProvider } = require('./llmProviders/openaiProvider');
+const { createLocalProvider } = require('./llmProviders/localProvider');
 const { createLogger } = require('../utils/logger');
+const recurrenceUtils = require('../utils/recurrenceUtils');
+const eventOptionsUtils = require('../utils/eventOptionsUtils');
+const schedulingUtils = require('../utils/schedulingUtils');
+const dateUtils = require('../utils/dateUtils');
+const commandSchema = require('../utils/commandSchema');
+const queryUtils = require('../utils/queryUtils');
+const eventFilterUtils = require('../utils/eventFilterUtils');
+const searchUtils = require('../utils/searchUtils');
+const timeZoneUtils = require('../utils/timeZoneUtils');
 
 const logger = createLogger('gemini-service');
 
@@ -26,6 +40,95 @@ Dove [AZIONE] deve essere uno di questi valori esatti:
 - "UPDATE_EVENT" (per modificare un evento esistente)
 - "VIEW_EVENTS" (per visualizzare eventi esistenti)
 - "DELETE_EVENT" (per eliminare un evento)
+- "UNDO" (per annullare l'ultima operazione eseguita, es. "annulla l'ultima modifica")
+- "FIND_SLOT" (per cercare intervalli liberi in cui fissare un impegno, es. "trovami un'ora libera giovedì")
+- "QUERY" (per rispondere a una domanda sul calendario, es. "quando ho il dentista?", "quanto tempo libero ho domani?")
+- "SEARCH_EVENTS" (per cercare eventi passati e futuri, es. "cerca le riunioni con Mario a Milano")
+
+DATE:
+- In "date" riporta l'espressione dell'utente ("domani", "il 15 marzo", "lunedì 3 novembre", "fine mese",
+  "il primo lunedì di dicembre", "tra due settimane") oppure una data AAAA-MM-GG: non correggere un giorno della settimana
+  incoerente con la data, l'ambiguità viene segnalata all'utente
+
+ORARI:
+- "startTime" ed "endTime" in formato HH:MM a 24 ore ("alle 3 del pomeriggio" → "15:00", "dalle 10 alle 11:30" → "10:00" e "11:30")
+- Se l'utente indica una durata ("per due ore") e non l'orario di fine, usa "duration" (in minuti) invece di "endTime"
+- Per una fascia della giornata senza orario ("domani pomeriggio") usa l'intera fascia: mattina 09:00-13:00, pomeriggio 14:00-18:00, sera 18:00-21:00
+
+EVENTI DI TUTTO IL GIORNO:
+- Per eventi senza orario ("tutto il giorno", ferie, vacanze, compleanni, anniversari, trasferte) usa "allDay": true
+  e ometti "startTime" ed "endTime"; se coprono più giorni ("ferie dal 10 al 14 agosto") indica "startDate" ed "endDate"
+- Per spostare un evento di alcuni giorni usa "timeModification" con "unit": "DAY"
+
+LUOGO, PROMEMORIA E ASPETTO:
+- "location": luogo dell'evento come indicato dall'utente ("presso la sede di Milano" → "Sede di Milano")
+- "reminders": promemoria come elenco di oggetti { "method": "popup" o "email", "minutes": minuti di anticipo }
+  ("avvisami 30 minuti prima" → [{ "method": "popup", "minutes": 30 }]); elenco vuoto per "senza promemoria"
+- "colorId": colore dell'evento, anche come nome italiano ("rosso", "verde", "blu", "giallo", "arancione", "viola", "rosa", "grigio", "azzurro", "lavanda", "salvia")
+- "visibility": "public", "private" o "confidential" ("evento privato" → "private")
+- "transparency": "transparent" se l'utente vuole risultare disponibile durante l'evento, "opaque" se occupato
+- "conference": true se l'utente chiede un link Google Meet o una videochiamata ("con link Meet", "in videoconferenza")
+- Includi questi parametri solo se indicati, sia nella creazione sia nella modifica ("cambia il colore della riunione in verde")
+
+PARTECIPANTI:
+- In "attendees" riporta i nomi come li indica l'utente (es. "Mario", "Anna Neri") oppure gli indirizzi email se indicati:
+  non inventare indirizzi, i nomi vengono cercati nella rubrica
+
+SOVRAPPOSIZIONI:
+- Se l'utente chiede esplicitamente di creare o spostare un evento anche se l'orario è occupato
+  ("crea comunque", "anche se sono occupato") aggiungi il parametro "force": true
+
+RICERCA SLOT LIBERI:
+- Per "FIND_SLOT" usa "duration" (durata in minuti), "date" (giorno da cui cercare), "days" (opzionale, numero di giorni da esaminare),
+  "timeOfDay" (opzionale: "MORNING", "AFTERNOON", "EVENING"), "earliestTime" e "latestTime" (opzionali, HH:MM),
+  "maxResults" (opzionale, numero di slot da proporre: 3 per "trovami 3 slot liberi") e "title" se l'utente
+  indica per quale impegno cerca lo slot
+- Per prenotare uno degli slot proposti ("prenota il secondo") usa "CREATE_EVENT" con il parametro "slot" (numero dello slot, da 1)
+
+DOMANDE SUL CALENDARIO:
+- Per "QUERY" indica in "queryType" il tipo di domanda:
+  "NEXT_OCCURRENCE" (quando è il prossimo evento, es. "quando ho il dentista?": argomento in "query"),
+  "BUSY_TIME" (quanto tempo è occupato, es. "quante ore di riunioni ho questa settimana?": argomento facoltativo in "query"),
+  "FREE_TIME" (quanto tempo libero resta, es. "quanto tempo libero ho domani?"),
+  "FIRST_FREE_SLOT" (primo momento libero, es. "qual è il primo buco libero di un'ora?": durata in "duration"),
+  "IS_FREE" (se un orario è libero, es. "sono libero giovedì alle 15?": "date", "startTime" ed eventualmente "endTime" o "duration")
+- Il periodo si indica come per la visualizzazione ("date", "startDate"/"endDate" o "period") e "timeOfDay" per una fascia della giornata
+- Le richieste di proporre orari per un nuovo impegno ("trovami un'ora libera giovedì") restano "FIND_SLOT"
+
+EVENTI RICORRENTI:
+- Per eventi che si ripetono usa il parametro "recurrence" con questi campi:
+  "frequency" ("DAILY", "WEEKLY", "MONTHLY", "YEARLY"), "interval" (opzionale, es. 2 per "ogni due settimane"),
+  "byDay" (opzionale, codici "MO", "TU", "WE", "TH", "FR", "SA", "SU"),
+  "count" (opzionale, numero di occorrenze) oppure "until" (opzionale, data di fine)
+- Per modificare o eliminare eventi ricorrenti usa "recurrenceScope":
+  "THIS" (solo questa occorrenza), "FOLLOWING" (questa e le successive), "ALL" (tutta la serie)
+
+PERIODI:
+- Per visualizzare gli eventi di più giorni usa "startDate" ed "endDate" (espressioni come "3 novembre", "venerdì" oppure date AAAA-MM-GG)
+  per intervalli espliciti ("dal 3 al 10 novembre", "fino a venerdì": in questo caso ometti "startDate")
+- Per i periodi con nome usa "period": "current_week", "next_week", "current_month", "next_month", "weekend", "next_weekend"
+- Usa "date" solo per un singolo giorno
+
+OPERAZIONI MULTIPLE:
+- Per visualizzare, eliminare o modificare un insieme di eventi ("tutte le riunioni con Mario di questo mese",
+  "tutti gli eventi di venerdì") usa il parametro "filter" con i criteri che individuano gli eventi:
+  "terms" (parole del titolo, es. ["riunione"] o ["call", "progetto X"]), "attendees" (nomi dei partecipanti),
+  "date", "startDate"/"endDate" o "period" (giorni in cui cercare) e "calendar"
+- Nel filtro non ripetere le modifiche: "sposta tutti gli eventi di venerdì a lunedì" ha "filter": { "date": "venerdì" }
+  e "date": "lunedì"; ometti "title" se non va rinominato ogni evento
+- Per aggiungere partecipanti a più eventi ("aggiungi Luca a tutte le call") indica in "attendees" solo i nuovi partecipanti
+
+RICERCA EVENTI:
+- Per "SEARCH_EVENTS" indica in "query" le parole da cercare (al singolare, es. "riunione" per "le riunioni"),
+  in "attendees" i nomi dei partecipanti, in "location" il luogo e in "description" il testo della descrizione
+- Se l'utente indica i giorni usa "date", "startDate"/"endDate" o "period"; altrimenti, per limitare la ricerca
+  agli eventi passati o futuri, usa "pastDays" e "futureDays" (giorni, es. "negli ultimi 6 mesi" → "pastDays": 180, "futureDays": 0)
+- Le domande ("quando ho il dentista?") restano "QUERY" e gli elenchi di un periodo ("mostra gli eventi di domani") "VIEW_EVENTS"
+
+CALENDARI:
+- Se il comando indica un calendario ("nel calendario Lavoro", "sul calendario Famiglia") usa il parametro "calendar" con il nome del calendario
+- Per visualizzare eventi di più calendari separa i nomi con una virgola (es. "Lavoro, Famiglia") oppure usa "tutti" per tutti i calendari
+- Se il calendario non è indicato, ometti il parametro
 
 ESEMPI SPECIFICI PER OGNI TIPO DI COMANDO:
 
@@ -108,90 +211,268 @@ Risposta:
       "unit": "MINUTE"
     }
   }
+}
+
+Comando: "Crea una call con Luca domani alle 10 con link Meet"
+Risposta:
+{
+  "action": "CREATE_EVENT",
+  "parameters": {
+    "title": "Call con Luca",
+    "date": "domani",
+    "startTime": "10:00",
+    "endTime": "11:00",
+    "attendees": ["Luca"],
+    "conference": true
+  }
+}
+
+Comando: "Ferie dal 10 al 14 agosto"
+Risposta:
+{
+  "action": "CREATE_EVENT",
+  "parameters": {
+    "title": "Ferie",
+    "allDay": true,
+    "startDate": "10 agosto",
+    "endDate": "14 agosto"
+  }
+}
+
+Comando: "Compleanno di Anna sabato"
+Risposta:
+{
+  "action": "CREATE_EVENT",
+  "parameters": {
+    "title": "Compleanno di Anna",
+    "allDay": true,
+    "date": "sabato"
+  }
+}
+
+6. EVENTI RICORRENTI:
+Comando: "Ogni lunedì alle 9 stand-up"
+Risposta:
+{
+  "action": "CREATE_EVENT",
+  "parameters": {
+    "title": "Stand-up",
+    "startTime": "09:00",
+    "endTime": "09:15",
+    "recurrence": {
+      "frequency": "WEEKLY",
+      "byDay": ["MO"]
+    }
+  }
+}
+
+Comando: "Sposta lo stand-up alle 10 da questa settimana in poi"
+Risposta:
+{
+  "action": "UPDATE_EVENT",
+  "parameters": {
+    "title": "Stand-up",
+    "startTime": "10:00",
+    "recurrenceScope": "FOLLOWING"
+  }
+}
+
+Comando: "Elimina tutta la serie dello stand-up"
+Risposta:
+{
+  "action": "DELETE_EVENT",
+  "parameters": {
+    "title": "Stand-up",
+    "recurrenceScope": "ALL"
+  }
+}
+
+7. CALENDARI:
+Comando: "Crea la cena di famiglia sabato alle 20 nel calendario Famiglia"
+Risposta:
+{
+  "action": "CREATE_EVENT",
+  "parameters": {
+    "title": "Cena di famiglia",
+    "date": "sabato",
+    "startTime": "20:00",
+    "endTime": "21:00",
+    "calendar": "Famiglia"
+  }
+}
+
+Comando: "Mostra gli eventi di domani in tutti i calendari"
+Risposta:
+{
+  "action": "VIEW_EVENTS",
+  "parameters": {
+    "date": "domani",
+    "calendar": "tutti",
+    "maxResults": 10
+  }
+}
+
+Comando: "Mostra gli eventi della prossima settimana"
+Risposta:
+{
+  "action": "VIEW_EVENTS",
+  "parameters": {
+    "period": "next_week",
+    "maxResults": 50
+  }
+}
+
+Comando: "Cosa ho dal 3 al 10 novembre?"
+Risposta:
+{
+  "action": "VIEW_EVENTS",
+  "parameters": {
+    "startDate": "3 novembre",
+    "endDate": "10 novembre",
+    "maxResults": 50
+  }
+}
+
+8. SLOT LIBERI:
+Comando: "Trovami un'ora libera giovedì pomeriggio per la revisione del budget"
+Risposta:
+{
+  "action": "FIND_SLOT",
+  "parameters": {
+    "title": "Revisione del budget",
+    "duration": 60,
+    "date": "giovedì",
+    "timeOfDay": "AFTERNOON"
+  }
+}
+
+Comando: "Prenota il secondo"
+Risposta:
+{
+  "action": "CREATE_EVENT",
+  "parameters": {
+    "slot": 2
+  }
+}
+
+9. DOMANDE:
+Comando: "Quando ho il dentista?"
+Risposta:
+{
+  "action": "QUERY",
+  "parameters": {
+    "queryType": "NEXT_OCCURRENCE",
+    "query": "dentista"
+  }
+}
+
+Comando: "Quanto tempo libero ho domani pomeriggio?"
+Risposta:
+{
+  "action": "QUERY",
+  "parameters": {
+    "queryType": "FREE_TIME",
+    "date": "domani",
+    "timeOfDay": "AFTERNOON"
+  }
+}
+
+10. OPERAZIONI MULTIPLE:
+Comando: "Cancella tutte le riunioni con Mario di questo mese"
+Risposta:
+{
+  "action": "DELETE_EVENT",
+  "parameters": {
+    "filter": {
+      "terms": ["riunione"],
+      "attendees": ["Mario"],
+      "period": "current_month"
+    }
+  }
+}
+
+Comando: "Sposta tutti gli eventi di venerdì a lunedì"
+Risposta:
+{
+  "action": "UPDATE_EVENT",
+  "parameters": {
+    "filter": {
+      "date": "venerdì"
+    },
+    "date": "lunedì"
+  }
+}
+
+Comando: "Aggiungi Luca a tutte le call del progetto X"
+Risposta:
+{
+  "action": "UPDATE_EVENT",
+  "parameters": {
+    "filter": {
+      "terms": ["call", "progetto X"]
+    },
+    "attendees": ["Luca"]
+  }
+}
+
+11. RICERCA EVENTI:
+Comando: "Cerca le riunioni con Mario a Milano negli ultimi 6 mesi"
+Risposta:
+{
+  "action": "SEARCH_EVENTS",
+  "parameters": {
+    "query": "riunione",
+    "attendees": ["Mario"],
+    "location": "Milano",
+    "pastDays": 180,
+    "futureDays": 0
+  }
+}
+
+Comando: "Trova gli eventi che parlano del budget"
+Risposta:
+{
+  "action": "SEARCH_EVENTS",
+  "parameters": {
+    "description": "budget"
+  }
 }`;
 
+// Richiesta di correzione di una risposta che non rispetta lo schema dei comandi
+const REPAIR_PROMPT = `La risposta precedente non rispetta lo schema dei comandi.
+Correggi questi errori e restituisci di nuovo il JSON completo, senza altro testo:`;
+
+// Interpreti dei comandi disponibili (LLM_PROVIDER)
+const PROVIDERS = {
+  gemini: () => createGeminiProvider(llmConfig.gemini, interpretWithModel),
+  openai: () => createOpenAIProvider(llmConfig.openai, interpretWithModel),
+  local: () => createLocalProvider(parseCommandLocally)
+};
+
+let interpreter = null;
+
+// Eventi di tutto il giorno: richiesta esplicita o impegni che di norma non hanno orario
+const ALL_DAY_PATTERN = /\b(?:tutto il giorno|tutta la giornata|giornata intera|ferie|vacanz[ae]|compleanno|anniversario|onomastico|trasferta)\b/;
+
+// Richieste di intervalli liberi ("uno slot libero", "un'ora libera", "quando sono libero")
+const FIND_SLOT_PATTERN = /\b(?:slot|spazio|buco|tempo|momento|ora|ore|mezz'ora|minuti)\s+liber[oaie]\b|\bquando (?:sono|siamo) liber[oi]\b/;
+
 /**
- * Processa un comando in linguaggio naturale usando Gemini API
+ * Processa un comando in linguaggio naturale con l'interprete configurato
+ * (Gemini, server compatibile con OpenAI o parser locale)
  * @param {String} command - Comando in linguaggio naturale
+ * @param {Object} context - Contesto dell'utente (timeZone)
  * @returns {Object} Azione e parametri interpretati
  */
-const processCommand = async (command) => {
+const processCommand = async (command, context = {}) => {
   logger.debug('Elaborazione comando:', command);
   
+  const activeInterpreter = getInterpreter();
+  
   try {
-    // Log configurazione API
-    logger.debug('Configurazione API Gemini:', { 
-      apiKeyConfigured: !!process.env.GEMINI_API_KEY,
-      apiKeyLength: process.env.GEMINI_API_KEY ? process.env.GEMINI_API_KEY.length : 0
-    });
-    
-    logger.debug('Invio richiesta a Gemini API');
-    const requestPayload = {
-      contents: [{
-        parts: [
-          { text: SYSTEM_PROMPT },
-          { text: command }
-        ]
-      }],
-      generationConfig: {
-        temperature: 0.2,
-        maxOutputTokens: 1024,
-        topP: 0.8
-      }
-    };
-    
-    // Log della richiesta (senza la chiave API)
-    logger.debug('Payload richiesta Gemini:', JSON.stringify(requestPayload));
-    
-    const response = await axios.post(
-      'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent',
-      requestPayload,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'x-goog-api-key': process.env.GEMINI_API_KEY
-        },
-        timeout: 10000 // Aggiunto timeout di 10 secondi
-      }
-    );
-
-    logger.debug('Risposta ricevuta da Gemini API con status:', response.status);
-    
-    // Verifica della struttura della risposta
-    if (!response.data) {
-      throw new Error('Risposta Gemini vuota');
-    }
-    
-    // Log strutturato della risposta
-    logger.debug('Struttura risposta Gemini', {
-      hasData: !!response.data,
-      hasCandidates: !!response.data.candidates,
-      candidatesLength: response.data.candidates ? response.data.candidates.length : 0,
-      firstCandidateHasContent: response.data.candidates && response.data.candidates[0] ? 
-                               !!response.data.candidates[0].content : false
-    });
-    
-    if (!response.data.candidates || 
-        !response.data.candidates[0] || 
-        !response.data.candidates[0].content || 
-        !response.data.candidates[0].content.parts ||
-        !response.data.candidates[0].content.parts[0]) {
-      throw new Error('Formato risposta Gemini non valido o vuoto');
-    }
-    
-    const geminiResult = response.data.candidates[0].content.parts[0].text;
-    logger.debug('Testo risposta Gemini:', geminiResult);
-    
-    // Tentativo di parsing
-    try {
-      return parseGeminiResponse(geminiResult, command);
-    } catch (parseError) {
-      logger.error('Errore nel parsing della risposta Gemini:', parseError);
-      logger.debug('Utilizzo parser locale di fallback dopo errore parsing');
-      return parseCommandLocally(command);
-    }
+    return await activeInterpreter.interpret(command, context);
   } catch (error) {
-    logger.error('Errore nella comunicazione con Gemini:', error.message);
+    logger.error(`Errore nell'interpretazione con ${activeInterpreter.name}:`, error.message);
     
     if (error.response) {
       logger.error('Dettagli errore API:', {
@@ -204,53 +485,126 @@ const processCommand = async (command) => {
     }
     
     // Fallback a un parser locale con log specifico
-    logger.debug('Utilizzo parser locale di fallback dopo errore comunicazione');
+    logger.debug('Utilizzo parser locale di fallback');
     return parseCommandLocally(command);
   }
 };
 
 /**
- * Analizza la risposta JSON di Gemini
- * @param {String} responseText - Testo della risposta da analizzare
- * @param {String} originalCommand - Comando originale dell'utente
- * @returns {Object} Oggetto risultante
+ * Restituisce l'interprete dei comandi configurato
+ * @returns {Object} Interprete con il metodo interpret
  */
-const parseGeminiResponse = (responseText, originalCommand) => {
-  try {
-    logger.debug('Inizio parsing risposta Gemini:', responseText.substring(0, 200) + '...');
-    
-    // Verifica se la risposta contiene JSON
-    if (!responseText.includes('{') || !responseText.includes('}')) {
-      logger.error('Risposta non contiene JSON valido:', responseText);
-      throw new Error('Risposta Gemini non in formato JSON');
-    }
+const getInterpreter = () => {
+  if (!interpreter) {
+    const createProvider = PROVIDERS[llmConfig.provider] || PROVIDERS.gemini;
+    interpreter = createProvider();
+    logger.info('Interprete dei comandi:', interpreter.name);
+  }
+  
+  return interpreter;
+};
+
+/**
+ * Sostituisce l'interprete in uso (es. un interprete registrato nei test)
+ * @param {Object} provider - Interprete con il metodo interpret
+ */
+const setInterpreter = (provider) => {
+  interpreter = provider;
+};
+
+/**
+ * Descrive il giorno corrente nel fuso orario dell'utente, come riferimento
+ * per le date relative del comando
+ * @param {Object} context - Contesto dell'utente (timeZone)
+ * @returns {String} Data di riferimento
+ */
+const describeReferenceDate = (context = {}) => {
+  const timeZone = context.timeZone || timeZoneUtils.DEFAULT_TIME_ZONE;
+  const today = new Intl.DateTimeFormat('it-IT', {
+    timeZone,
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+  }).format(new Date());
+  
+  return `Oggi è ${today} (fuso orario ${timeZone}).`;
+};
+
+/**
+ * Interpreta un comando con un modello linguistico: se la risposta non rispetta
+ * lo schema dei comandi chiede una sola volta al modello di correggerla,
+ * indicando gli errori trovati
+ * @param {Function} generate - Invia i messaggi al modello e ne restituisce il testo
+ * @param {String} command - Comando in linguaggio naturale
+ * @param {Object} context - Contesto dell'utente (timeZone)
+ * @returns {Object} Azione e parametri interpretati
+ */
+const interpretWithModel = async (generate, command, context) => {
+  const messages = [
+    { role: 'system', content: `${SYSTEM_PROMPT}\n\n${describeReferenceDate(context)}` },
+    { role: 'user', content: command }
+  ];
+  
+  const responseText = await generate(messages);
+  let { result, errors } = parseModelResponse(responseText);
+  
+  if (errors.length > 0) {
+    logger.warn('Risposta del modello non conforme allo schema, richiesta di correzione:', errors.map(error => error.path));
     
-    // Estrai il JSON dalla risposta (rimuovi backticks e tag json)
-    let jsonText = responseText.replace(/```json|```/g, '').trim();
+    const repairedText = await generate([
+      ...messages,
+      { role: 'assistant', content: responseText },
+      { role: 'user', content: `${REPAIR_PROMPT}\n${commandSchema.formatValidationErrors(errors)}` }
+    ]);
     
-    // Trova l'inizio e la fine del JSON
-    const startIndex = jsonText.indexOf('{');
-    const endIndex = jsonText.lastIndexOf('}') + 1;
+    ({ result, errors } = parseModelResponse(repairedText));
     
-    if (startIndex >= 0 && endIndex > startIndex) {
-      jsonText = jsonText.substring(startIndex, endIndex);
+    if (errors.length > 0) {
+      throw new Error(`Risposta del modello non valida anche dopo la correzione:\n${commandSchema.formatValidationErrors(errors)}`);
     }
     
-    // Sanitizza il JSON prima del parsing
-    // Corregge problemi come "15":00" -> "15:00"
-    jsonText = jsonText.replace(/"(\d{1,2})":(\d{2})"/g, '"$1:$2"');
-    
-    logger.debug('JSON sanitizzato:', jsonText);
-    
-    // Parsing del JSON
-    const parsedResult = JSON.parse(jsonText);
-    logger.debug('Parsing JSON completato con successo');
-    
-    return normalizeResponse(parsedResult, originalCommand);
+    logger.debug('Risposta del modello corretta');
+  }
+  
+  return normalizeResponse(result, command);
+};
+
+/**
+ * Analizza la risposta JSON del modello e la valida rispetto allo schema dei comandi
+ * @param {String} responseText - Testo della risposta da analizzare
+ * @returns {Object} { result, errors }: oggetto risultante ed errori di validazione
+ */
+const parseModelResponse = (responseText) => {
+  logger.debug('Inizio parsing risposta del modello:', responseText.substring(0, 200) + '...');
+  
+  // Estrai il JSON dalla risposta (rimuovi backticks e tag json)
+  let jsonText = responseText.replace(/```json|```/g, '').trim();
+  
+  // Trova l'inizio e la fine del JSON
+  const startIndex = jsonText.indexOf('{');
+  const endIndex = jsonText.lastIndexOf('}') + 1;
+  
+  if (startIndex >= 0 && endIndex > startIndex) {
+    jsonText = jsonText.substring(startIndex, endIndex);
+  }
+  
+  // Sanitizza il JSON prima del parsing
+  // Corregge problemi come "15":00" -> "15:00"
+  jsonText = jsonText.replace(/"(\d{1,2})":(\d{2})"/g, '"$1:$2"');
+  
+  logger.debug('JSON sanitizzato:', jsonText);
+  
+  let result;
+  try {
+    result = JSON.parse(jsonText);
   } catch (error) {
-    logger.error('Errore nel parsing della risposta:', error);
-    throw error;
+    return { result: null, errors: [{ path: '$', message: `JSON non valido (${error.message})` }] };
   }
+  
+  logger.debug('Parsing JSON completato con successo');
+  
+  return { result, errors: commandSchema.validateCommand(result) };
 };
 
 /**
@@ -357,6 +711,10 @@ const normalizeResponse = (parsedResult, originalCommand) => {
       'modifica_evento': 'UPDATE_EVENT',
       'visualizza_eventi': 'VIEW_EVENTS',
       'elimina_evento': 'DELETE_EVENT',
+      'annulla': 'UNDO',
+      'trova_slot': 'FIND_SLOT',
+      'domanda': 'QUERY',
+      'cerca_eventi': 'SEARCH_EVENTS',
     };
     
     // Crea la struttura attesa
@@ -368,7 +726,8 @@ const normalizeResponse = (parsedResult, originalCommand) => {
         date: parsedResult.data,
         startTime: parsedResult.ora_inizio,
         endTime: parsedResult.ora_fine,
-        attendees: parsedResult.partecipanti || []
+        attendees: parsedResult.partecipanti || [],
+        recurrence: recurrenceUtils.normalizeRecurrence(parsedResult.ricorrenza) || undefined
       }
     };
   }
@@ -387,6 +746,10 @@ const normalizeResponse = (parsedResult, originalCommand) => {
     'MODIFICA EVENTO': 'UPDATE_EVENT',
     'VISUALIZZA EVENTI': 'VIEW_EVENTS',
     'ELIMINA EVENTO': 'DELETE_EVENT',
+    'ANNULLA': 'UNDO',
+    'TROVA SLOT': 'FIND_SLOT',
+    'DOMANDA': 'QUERY',
+    'CERCA EVENTI': 'SEARCH_EVENTS',
   };
   
   if (actionMapping[action]) {
@@ -410,6 +773,36 @@ const normalizeResponse = (parsedResult, originalCommand) => {
     normalizedParams.description = parameters.description || parameters.descrizione;
   }
   
+  if (parameters.location || parameters.luogo) {
+    normalizedParams.location = parameters.location || parameters.luogo;
+  }
+  
+  // Promemoria, colore, visibilità e disponibilità (anche con nomi italiani)
+  const reminders = eventOptionsUtils.normalizeReminders(parameters.reminders || parameters.promemoria);
+  if (reminders) {
+    normalizedParams.reminders = reminders;
+  }
+  
+  const colorId = eventOptionsUtils.normalizeColorId(parameters.colorId || parameters.color || parameters.colore);
+  if (colorId) {
+    normalizedParams.colorId = colorId;
+  }
+  
+  const visibility = eventOptionsUtils.normalizeVisibility(parameters.visibility || parameters.visibilita);
+  if (visibility) {
+    normalizedParams.visibility = visibility;
+  }
+  
+  const transparency = eventOptionsUtils.normalizeTransparency(parameters.transparency || parameters.disponibilita);
+  if (transparency) {
+    normalizedParams.transparency = transparency;
+  }
+  
+  // Videoconferenza Google Meet
+  if (parameters.conference === true || parameters.videoconferenza === true || parameters.meet === true) {
+    normalizedParams.conference = true;
+  }
+  
   if (parameters.date || parameters.data) {
     normalizedParams.date = parameters.date || parameters.data;
   }
@@ -433,7 +826,7 @@ const normalizeResponse = (parsedResult, originalCommand) => {
     // Controllo se si tratta di aggiunta di partecipanti
     const lowerCommand = originalCommand.toLowerCase();
     if (lowerCommand.includes('aggiungi') && 
-        (lowerCommand.includes('alla riunione') || lowerCommand.includes('all\'evento'))) {
+        (lowerCommand.includes('alla riunione') || lowerCommand.includes('all\'evento') || /\ba tutt[ie]\b/.test(lowerCommand))) {
       normalizedParams.attendeesAction = 'ADD';
       logger.debug('Rilevata azione di aggiunta partecipanti');
     }
@@ -442,9 +835,10 @@ const normalizeResponse = (parsedResult, originalCommand) => {
   // Gestione della modifica temporale
   if (parameters.timeModification) {
     normalizedParams.timeModification = parameters.timeModification;
-  } else if (!parameters.startTime && !parameters.endTime) {
-    // Aggiungi modifiche temporali solo se non ci sono già orari specifici
-    const timeModification = extractTimeModification(originalCommand);
+  } else if (!parameters.startTime && !parameters.endTime && !(parameters.date && /\bsposta\b/i.test(originalCommand))) {
+    // Aggiungi modifiche temporali solo se non ci sono già orari specifici né un nuovo giorno
+    // ("sposta a lunedì"); l'anticipo di un promemoria, "30 minuti prima", non è uno spostamento
+    const timeModification = extractTimeModification(eventOptionsUtils.stripReminderText(originalCommand));
     if (timeModification) {
       normalizedParams.timeModification = timeModification;
     }
@@ -454,9 +848,104 @@ const normalizeResponse = (parsedResult, originalCommand) => {
     normalizedParams.query = parameters.query;
   }
   
+  // Tipo di domanda sul calendario
+  const queryType = queryUtils.normalizeQueryType(parameters.queryType || parameters.tipo_domanda);
+  if (queryType) {
+    normalizedParams.queryType = queryType;
+  }
+  
+  // Calendario di destinazione (nome, elenco di nomi o "tutti")
+  if (parameters.calendar || parameters.calendario || parameters.calendars) {
+    normalizedParams.calendar = parameters.calendar || parameters.calendario || parameters.calendars;
+  }
+  
+  // Creazione o spostamento anche in caso di sovrapposizioni
+  if (parameters.force === true || parameters.forza === true) {
+    normalizedParams.force = true;
+  }
+  
+  // Ricerca di slot liberi e prenotazione di uno slot proposto
+  if (parameters.duration || parameters.durata) {
+    normalizedParams.duration = parseInt(parameters.duration || parameters.durata, 10) || undefined;
+  }
+  
+  const timeOfDay = schedulingUtils.normalizeTimeOfDay(parameters.timeOfDay || parameters.fascia);
+  if (timeOfDay) {
+    normalizedParams.timeOfDay = timeOfDay;
+  }
+  
+  // Intervallo di date per la visualizzazione
+  if (parameters.startDate || parameters.data_inizio) {
+    normalizedParams.startDate = parameters.startDate || parameters.data_inizio;
+  }
+  
+  if (parameters.endDate || parameters.data_fine) {
+    normalizedParams.endDate = parameters.endDate || parameters.data_fine;
+  }
+  
+  if (parameters.period || parameters.periodo) {
+    normalizedParams.period = parameters.period || parameters.periodo;
+  }
+  
+  // Evento di tutto il giorno (senza orari)
+  if (parameters.allDay === true || parameters.tutto_il_giorno === true) {
+    normalizedParams.allDay = true;
+  }
+  
+  ['earliestTime', 'latestTime', 'days', 'slot'].forEach(key => {
+    if (parameters[key]) {
+      normalizedParams[key] = parameters[key];
+    }
+  });
+  
+  // Numero di slot liberi da proporre ("trovami 3 slot liberi")
+  const maxSlots = parseInt(parameters.maxResults, 10);
+  if (action === 'FIND_SLOT' && maxSlots > 0) {
+    normalizedParams.maxResults = maxSlots;
+  }
+  
+  // Orizzonte di una ricerca di eventi (anche 0: solo eventi passati o solo futuri)
+  ['pastDays', 'futureDays'].forEach(key => {
+    const days = parseInt(parameters[key], 10);
+    if (!Number.isNaN(days)) {
+      normalizedParams[key] = days;
+    }
+  });
+  
+  // Gestione ricorrenza ed ambito di modifica delle serie
+  const recurrence = recurrenceUtils.normalizeRecurrence(parameters.recurrence || parameters.ricorrenza);
+  if (recurrence) {
+    normalizedParams.recurrence = recurrence;
+  }
+  
+  const recurrenceScope = recurrenceUtils.normalizeRecurrenceScope(parameters.recurrenceScope || parameters.ambito)
+    || recurrenceUtils.parseRecurrenceScope(originalCommand);
+  if (recurrenceScope && (action === 'UPDATE_EVENT' || action === 'DELETE_EVENT')) {
+    normalizedParams.recurrenceScope = recurrenceScope;
+  }
+  
+  // Insieme di eventi di un'operazione multipla
+  const filter = eventFilterUtils.normalizeFilter(parameters.filter || parameters.filtro);
+  if (filter && ['VIEW_EVENTS', 'DELETE_EVENT', 'UPDATE_EVENT'].includes(action)) {
+    normalizedParams.filter = filter;
+    
+    // Elenco ed eliminazione: i giorni indicati fuori dal filtro delimitano lo stesso insieme
+    // (in una modifica sono invece la nuova data)
+    if (action !== 'UPDATE_EVENT' && Object.keys(eventFilterUtils.getRangeParams(filter)).length === 0) {
+      ['date', 'startDate', 'endDate', 'period'].forEach(key => {
+        if (normalizedParams[key]) {
+          filter[key] = normalizedParams[key];
+          delete normalizedParams[key];
+        }
+      });
+    }
+  }
+  
   // Per azioni di visualizzazione, aggiungi limiti predefiniti
+  // (più ampi per un periodo o un filtro, che ha con sé il proprio intervallo)
   if (action === 'VIEW_EVENTS' && !normalizedParams.maxResults) {
-    normalizedParams.maxResults = 10;
+    normalizedParams.maxResults = parseInt(parameters.maxResults, 10) ||
+      (normalizedParams.startDate || normalizedParams.endDate || normalizedParams.period || normalizedParams.filter ? 50 : 10);
   }
   
   return {
@@ -475,6 +964,25 @@ const parseCommandLocally = (command) => {
   const lowerCommand = command.toLowerCase().trim();
   
   // SEZIONE 1: COMANDI SPECIALI
+  // Ricerca di eventi passati e futuri ("cerca le riunioni con Mario a Milano")
+  const search = searchUtils.parseSearchFromText(command);
+  if (search) {
+    logger.debug('Rilevata ricerca di eventi:', search);
+    extractCalendar(command, search);
+    return {
+      action: 'SEARCH_EVENTS',
+      parameters: search
+    };
+  }
+  
+  // Operazioni su un insieme di eventi ("cancella tutte le riunioni con Mario di questo mese")
+  const selection = eventFilterUtils.parseFilterFromText(command);
+  const bulkOperation = selection && extractBulkOperation(selection);
+  if (bulkOperation) {
+    logger.debug('Rilevata operazione multipla:', bulkOperation.action, selection.filter);
+    return bulkOperation;
+  }
+  
   // Gestione "elimina tutto"
   if (lowerCommand === 'elimina tutto' || 
       lowerCommand.includes('elimina tutti gli eventi') || 
@@ -498,6 +1006,34 @@ const parseCommandLocally = (command) => {
     };
   }
   
+  // Gestione annullamento dell'ultima operazione
+  if (/^annulla\b.*\b(ultima|ultimo)\b/.test(lowerCommand) || lowerCommand === 'annulla') {
+    logger.debug('Rilevato comando speciale: annullamento');
+    return { 
+      action: 'UNDO', 
+      parameters: {} 
+    };
+  }
+  
+  // Domande sul calendario ("quando ho il dentista?", "quanto tempo libero ho domani?")
+  const question = queryUtils.parseQueryFromText(lowerCommand);
+  if (question) {
+    logger.debug('Rilevata domanda sul calendario:', question.queryType);
+    return {
+      action: 'QUERY',
+      parameters: extractQuery(command, question)
+    };
+  }
+  
+  // Ricerca di slot liberi ("trovami un'ora libera giovedì pomeriggio")
+  if (FIND_SLOT_PATTERN.test(lowerCommand)) {
+    logger.debug('Rilevato comando speciale: ricerca slot liberi');
+    return { 
+      action: 'FIND_SLOT', 
+      parameters: extractSlotSearch(command) 
+    };
+  }
+  
   // SEZIONE 2: DETERMINAZIONE AZIONE PRINCIPALE
   let action = determineMainAction(lowerCommand);
   let parameters = {};
@@ -506,10 +1042,72 @@ const parseCommandLocally = (command) => {
   extractTitleAndAttendees(lowerCommand, parameters);
   
   // SEZIONE 4: ESTRAZIONE DATE E ORARI
-  extractDateAndTime(lowerCommand, parameters);
+  // (l'anticipo di un promemoria, "avvisami 30 minuti prima", non è un orario né uno spostamento)
+  const temporalCommand = eventOptionsUtils.stripReminderText(lowerCommand);
+  extractDateAndTime(temporalCommand, parameters);
   
   // SEZIONE 5: GESTIONE MODIFICHE TEMPORALI
-  processTemporalModifications(lowerCommand, parameters);
+  processTemporalModifications(temporalCommand, parameters);
+  
+  // SEZIONE 5b: RICORRENZE
+  extractRecurrence(lowerCommand, parameters);
+  
+  // SEZIONE 5c: CALENDARIO
+  extractCalendar(command, parameters);
+  
+  // Eventi di tutto il giorno senza orario, anche su più giorni ("ferie dal 10 al 14 agosto");
+  // senza verbo esplicito ("compleanno di Anna sabato") sono una creazione
+  if (!parameters.startTime) {
+    const dateRange = dateUtils.parseDateRange(lowerCommand);
+    const allDay = ALL_DAY_PATTERN.test(lowerCommand) || (action === 'CREATE_EVENT' && !!dateRange);
+    
+    if (allDay && action === 'VIEW_EVENTS' && !/(mostra|visualizza|elenca|quali|trovami|cosa ho)/.test(lowerCommand)) {
+      action = 'CREATE_EVENT';
+    }
+    
+    if (allDay && action === 'CREATE_EVENT') {
+      extractAllDayEvent(command, dateRange, parameters);
+    }
+  }
+  
+  // Intervalli di più giorni ("dal 3 al 10 novembre", "fino a venerdì", "prossima settimana")
+  if (action === 'VIEW_EVENTS') {
+    const range = dateUtils.parseDateRange(lowerCommand);
+    if (range) {
+      parameters.period = range.match;
+      delete parameters.date;
+    }
+  }
+  
+  // Un comando con ricorrenza e senza verbo esplicito ("ogni lunedì alle 9 stand-up") è una creazione
+  if (parameters.recurrence && action === 'VIEW_EVENTS' &&
+      !/(mostra|visualizza|elenca|quali|trovami)/.test(lowerCommand)) {
+    action = 'CREATE_EVENT';
+  }
+  
+  if (action === 'UPDATE_EVENT' || action === 'DELETE_EVENT') {
+    const recurrenceScope = recurrenceUtils.parseRecurrenceScope(lowerCommand);
+    if (recurrenceScope) {
+      parameters.recurrenceScope = recurrenceScope;
+    }
+  }
+  
+  // Creazione o spostamento anche se l'orario è occupato
+  if ((action === 'CREATE_EVENT' || action === 'UPDATE_EVENT') &&
+      /\b(comunque|anche se (?:sono |è )?occupat[oa])\b/.test(lowerCommand)) {
+    parameters.force = true;
+  }
+  
+  // SEZIONE 5d: LUOGO, PROMEMORIA, COLORE, VISIBILITÀ, DISPONIBILITÀ E VIDEOCONFERENZA
+  if (action === 'CREATE_EVENT' || action === 'UPDATE_EVENT') {
+    extractEventOptions(command, parameters);
+  }
+  
+  // Prenotazione di uno degli slot proposti ("prenota lo slot 2")
+  const slotMatch = lowerCommand.match(/\bslot\s+(?:n\.?\s*)?(\d+)\b/);
+  if (action === 'CREATE_EVENT' && slotMatch) {
+    parameters.slot = parseInt(slotMatch[1], 10);
+  }
   
   // SEZIONE 6: RILEVAMENTO AGGIUNTA PARTECIPANTI
   if (lowerCommand.includes('aggiungi') && 
@@ -537,7 +1135,8 @@ const determineMainAction = (command) => {
       command.includes('aggiungi') || 
       command.includes('inserisci') || 
       command.includes('programma') || 
-      command.includes('organizza')) {
+      command.includes('organizza') || 
+      command.includes('prenota')) {
     return 'CREATE_EVENT';
   } 
   
@@ -578,16 +1177,18 @@ const extractTitleAndAttendees = (command, parameters) => {
   let titleMatch = null;
   let attendees = [];
   
-  // Pattern per riunioni e appuntamenti
-  if (command.includes('riunione con') || command.includes('appuntamento con')) {
-    titleMatch = command.match(/(?:riunione|appuntamento) con ([A-Za-z]+(?:\s+e\s+[A-Za-z]+)*)(?:\s|$)/i);
+  // Pattern per riunioni, appuntamenti e chiamate
+  if (/\b(?:riunione|appuntamento|call|videochiamata) con\b/.test(command)) {
+    titleMatch = command.match(/(riunione|appuntamento|call|videochiamata) con ([A-Za-z]+(?:\s+e\s+[A-Za-z]+)*)(?:\s|$)/i);
     
-    if (titleMatch && titleMatch[1]) {
+    if (titleMatch && titleMatch[2]) {
       // Gestione di più partecipanti separati da "e"
-      const participantsText = titleMatch[1].trim();
+      const participantsText = titleMatch[2].trim();
       attendees = participantsText.split(/\s+e\s+/).map(p => p.trim());
       
-      parameters.title = `Riunione con ${participantsText}`;
+      // Il titolo mantiene il tipo di chiamata ("Call con Luca"); gli appuntamenti restano riunioni
+      const kind = /call|videochiamata/.test(titleMatch[1]) ? titleMatch[1] : 'riunione';
+      parameters.title = `${kind.charAt(0).toUpperCase()}${kind.slice(1)} con ${participantsText}`;
       parameters.attendees = attendees;
     }
   } 
@@ -607,6 +1208,60 @@ const extractTitleAndAttendees = (command, parameters) => {
   }
 };
 
+/**
+ * Completa i parametri di un evento di tutto il giorno: periodo ed eventuale titolo
+ * ricavato dalla parte iniziale del comando ("Compleanno di Anna sabato")
+ * @param {String} command - Comando originale
+ * @param {Object|null} dateRange - Intervallo di date trovato nel comando
+ * @param {Object} parameters - Parametri da popolare
+ */
+const extractAllDayEvent = (command, dateRange, parameters) => {
+  parameters.allDay = true;
+  
+  if (dateRange) {
+    parameters.period = dateRange.match;
+    delete parameters.date;
+  }
+  
+  if (parameters.title && parameters.title !== 'Nuovo evento') return;
+  
+  const text = command.trim()
+    .replace(/\s*\b(?:tutto il giorno|tutta la giornata|giornata intera)\b/i, '')
+    .replace(/^(?:crea|aggiungi|inserisci|segna|programma|organizza)\s+(?:(?:il|lo|la|le|i|gli|un|uno|una)\s+|l'|un')?/i, '');
+  
+  // Il titolo precede la data ("Ferie dal 10 al 14 agosto") o segue "per" ("domani per il trasloco")
+  const purposeMatch = text.match(/\bper\s+(?:(?:il|lo|la|le|i|gli)\s+|l')?(.+)$/i);
+  const title = text
+    .split(/(?:^|\s+)(?:dal|dall'|da|fino|il|l'|oggi|domani|dopodomani|lunedì|martedì|mercoledì|giovedì|venerdì|sabato|domenica|questo|questa|prossim[oa]|tra|fra|nel|nella|per)(?=\s|\d|$)/i)[0]
+    .trim() || (purposeMatch && purposeMatch[1].trim());
+  
+  if (title) {
+    parameters.title = title.charAt(0).toUpperCase() + title.slice(1);
+  }
+};
+
+/**
+ * Estrae luogo, promemoria, colore, visibilità, disponibilità e videoconferenza dell'evento
+ * @param {String} command - Comando originale
+ * @param {Object} parameters - Parametri da popolare
+ */
+const extractEventOptions = (command, parameters) => {
+  const options = {
+    location: eventOptionsUtils.parseLocationFromText(command),
+    reminders: eventOptionsUtils.parseRemindersFromText(command),
+    colorId: eventOptionsUtils.parseColorFromText(command),
+    visibility: eventOptionsUtils.parseVisibilityFromText(command),
+    transparency: eventOptionsUtils.parseTransparencyFromText(command),
+    conference: eventOptionsUtils.parseConferenceFromText(command) || null
+  };
+  
+  Object.keys(options).forEach(key => {
+    if (options[key] !== null) {
+      parameters[key] = options[key];
+    }
+  });
+};
+
 /**
  * Estrae data e orario dal comando
  * @param {String} command - Comando in minuscolo
@@ -614,16 +1269,17 @@ const extractTitleAndAttendees = (command, parameters) => {
  */
 const extractDateAndTime = (command, parameters) => {
   // Estrazione della data
+  // ("dopodomani" contiene "domani": va verificato per primo)
   if (command.includes('oggi')) {
     parameters.date = 'oggi';
-  } else if (command.includes('domani')) {
-    parameters.date = 'domani';
   } else if (command.includes('dopodomani')) {
     parameters.date = 'dopodomani';
+  } else if (command.includes('domani')) {
+    parameters.date = 'domani';
   }
   
   // Estrazione giorni della settimana
-  const weekdayMatch = command.match(/\b(lunedì|martedì|mercoledì|giovedì|venerdì|sabato|domenica)\b/i);
+  const weekdayMatch = command.match(/\b(lunedì|martedì|mercoledì|giovedì|venerdì|sabato|domenica)(?!\w)/i);
   if (weekdayMatch) {
     parameters.date = weekdayMatch[1].toLowerCase();
     
@@ -632,28 +1288,30 @@ const extractDateAndTime = (command, parameters) => {
     }
   }
   
-  // Estrai orario
-  const timeMatch = command.match(/(\d{1,2})[:\.]?(\d{2})?\s*$/);
-  if (timeMatch) {
-    const hours = parseInt(timeMatch[1]);
-    const minutes = timeMatch[2] ? parseInt(timeMatch[2]) : 0;
-    parameters.startTime = `${hours}:${minutes < 10 ? '0' + minutes : minutes}`;
-    
-    // Calcola un'ora in più per l'orario di fine predefinito
-    const endHours = (hours + 1) % 24;
-    parameters.endTime = `${endHours}:${minutes < 10 ? '0' + minutes : minutes}`;
+  // Data di calendario ("il 3 novembre", "15/3")
+  const calendarDateMatch = command.match(/\b(\d{1,2}\s+(?:gennaio|febbraio|marzo|aprile|maggio|giugno|luglio|agosto|settembre|ottobre|novembre|dicembre)(?:\s+\d{4})?|\d{1,2}\/\d{1,2}(?:\/\d{2,4})?)\b/);
+  const dayOfMonthMatch = command.match(/\b(?:il|l')\s*(\d{1,2})(?=\s|$)/);
+  if (calendarDateMatch) {
+    parameters.date = calendarDateMatch[1];
+  } else if (dayOfMonthMatch) {
+    parameters.date = `il ${dayOfMonthMatch[1]}`;
   }
   
-  // Estrazione orari specifici "alle X"
-  const timeSpecificMatch = command.match(/alle\s+(\d{1,2})(?:[:\.](\d{2}))?/i);
-  if (timeSpecificMatch) {
-    const hours = parseInt(timeSpecificMatch[1]);
-    const minutes = timeSpecificMatch[2] ? parseInt(timeSpecificMatch[2]) : 0;
-    parameters.startTime = `${hours}:${minutes < 10 ? '0' + minutes : minutes}`;
+  // Estrai orario, intervallo o durata ("alle 3 del pomeriggio", "dalle 10 alle 11:30", "per due ore")
+  const timeExpression = dateUtils.parseTimeExpression(command);
+  if (timeExpression && timeExpression.startTime) {
+    parameters.startTime = timeExpression.startTime;
     
-    // Calcola un'ora in più per l'orario di fine predefinito
-    const endHours = (hours + 1) % 24;
-    parameters.endTime = `${endHours}:${minutes < 10 ? '0' + minutes : minutes}`;
+    // Un'ora dopo l'inizio se non è indicata né la fine né la durata
+    parameters.endTime = timeExpression.endTime || dateUtils.addMinutesToTime(timeExpression.startTime, 60);
+  } else {
+    // Orario in fondo al comando senza "alle" ("riunione domani 15"), non un giorno ("il 15")
+    const trailingTime = command.match(/(?<!\bil)\s(\d{1,2}(?:[:.]\d{2})?)\s*$/);
+    const startTime = trailingTime && dateUtils.normalizeTime(trailingTime[1]);
+    if (startTime) {
+      parameters.startTime = startTime;
+      parameters.endTime = dateUtils.addMinutesToTime(startTime, (timeExpression && timeExpression.duration) || 60);
+    }
   }
 };
 
@@ -663,6 +1321,10 @@ const extractDateAndTime = (command, parameters) => {
  * @param {Object} parameters - Parametri da popolare
  */
 const processTemporalModifications = (command, parameters) => {
+  // "per 90 minuti" è la durata dell'evento, non uno spostamento
+  const timeExpression = dateUtils.parseTimeExpression(command);
+  if (timeExpression && timeExpression.duration) return;
+  
   // Gestione modifiche temporali relative (avanti/indietro)
   if (command.includes('ora in avanti') || 
       command.includes('ore in avanti') || 
@@ -695,6 +1357,19 @@ const processTemporalModifications = (command, parameters) => {
     };
   }
   
+  // Gestione giorni ("posticipa le ferie di due giorni", "anticipa il compleanno di un giorno")
+  const dayMatch = command.match(/\bdi\s+(\d+|\w+)\s+giorn[oi]\b/i);
+  const days = dayMatch && recurrenceUtils.parseNumber(dayMatch[1]);
+  if (days && /(sposta|anticipa|posticipa|ritarda)/.test(command)) {
+    parameters.timeModification = {
+      type: "SHIFT",
+      direction: /anticipa|prima|indietro/.test(command) ? "BACKWARD" : "FORWARD",
+      amount: days,
+      unit: "DAY"
+    };
+    return;
+  }
+  
   // Gestione minuti
   const minuteMatch = command.match(/(\d+)\s*minut[oi]/i);
   if (minuteMatch) {
@@ -721,6 +1396,191 @@ const processTemporalModifications = (command, parameters) => {
   }
 };
 
+/**
+ * Estrae azione e parametri di un'operazione su un insieme di eventi: filtro
+ * e, per le modifiche, cambiamenti da applicare a ogni evento
+ * @param {Object} selection - Filtro e resto del comando ("sposta a lunedì")
+ * @returns {Object|null} Azione e parametri o null se il comando non è un'operazione multipla
+ */
+const extractBulkOperation = ({ filter, remainder }) => {
+  // Senza criteri resta l'eliminazione di tutti gli eventi ("elimina tutti gli eventi")
+  if (eventFilterUtils.isEmptyFilter(filter)) return null;
+  
+  const lowerRemainder = remainder.toLowerCase();
+  const action = determineMainAction(lowerRemainder);
+  
+  // "aggiungi Luca a tutte le call": nuovi partecipanti, non una creazione
+  if (action === 'CREATE_EVENT') {
+    const addMatch = remainder.match(/\baggiungi\s+(.+?)\s+a$/i);
+    if (!addMatch) return null;
+    
+    return {
+      action: 'UPDATE_EVENT',
+      parameters: {
+        filter,
+        attendees: addMatch[1].split(/\s*(?:,|\se\s)\s*/).filter(Boolean),
+        attendeesAction: 'ADD'
+      }
+    };
+  }
+  
+  // Un elenco senza termini né partecipanti resta una normale visualizzazione ("mostra tutti gli eventi di domani")
+  if (action === 'VIEW_EVENTS' && filter.terms.length === 0 && filter.attendees.length === 0) return null;
+  
+  const parameters = { filter };
+  
+  if (action === 'UPDATE_EVENT') {
+    extractDateAndTime(lowerRemainder, parameters);
+    
+    // Senza una fine esplicita ogni evento mantiene la propria durata
+    const timeExpression = dateUtils.parseTimeExpression(lowerRemainder);
+    if (!timeExpression || !timeExpression.endTime) {
+      delete parameters.endTime;
+    }
+    
+    processTemporalModifications(lowerRemainder, parameters);
+  }
+  
+  return { action, parameters };
+};
+
+/**
+ * Estrae i criteri di ricerca degli slot liberi (durata, giorno, fascia, orari limite, numero di slot)
+ * @param {String} command - Comando originale
+ * @returns {Object} Parametri della ricerca
+ */
+const extractSlotSearch = (command) => {
+  const lowerCommand = command.toLowerCase().trim();
+  const parameters = {};
+  
+  const duration = schedulingUtils.parseDurationFromText(lowerCommand);
+  if (duration) {
+    parameters.duration = duration;
+  }
+  
+  const timeOfDay = schedulingUtils.parseTimeOfDayFromText(lowerCommand);
+  if (timeOfDay) {
+    parameters.timeOfDay = timeOfDay;
+  }
+  
+  // Solo il giorno: gli orari del comando sono limiti della ricerca, non l'inizio di un evento
+  const dateParameters = {};
+  extractDateAndTime(lowerCommand, dateParameters);
+  if (dateParameters.date) {
+    parameters.date = dateParameters.date;
+  } else if (lowerCommand.includes('questa settimana')) {
+    parameters.days = 7;
+  }
+  
+  const earliestMatch = lowerCommand.match(/\bdopo (?:le|l')\s*(\d{1,2}(?:[:.]\d{2})?|una)/);
+  if (earliestMatch && dateUtils.normalizeTime(earliestMatch[1])) {
+    parameters.earliestTime = dateUtils.normalizeTime(earliestMatch[1]);
+  }
+  
+  const latestMatch = lowerCommand.match(/\bprima (?:delle|dell')\s*(\d{1,2}(?:[:.]\d{2})?|una)/);
+  if (latestMatch && dateUtils.normalizeTime(latestMatch[1])) {
+    parameters.latestTime = dateUtils.normalizeTime(latestMatch[1]);
+  }
+  
+  // Numero di slot da proporre ("trovami 3 slot liberi")
+  const countMatch = lowerCommand.match(/\b(\d+)\s+(?:slot|orari|momenti)\b/);
+  if (countMatch && parseInt(countMatch[1], 10) > 0) {
+    parameters.maxResults = parseInt(countMatch[1], 10);
+  }
+  
+  extractCalendar(command, parameters);
+  
+  logger.debug('Criteri di ricerca slot:', parameters);
+  return parameters;
+};
+
+/**
+ * Estrae i parametri di una domanda sul calendario: periodo, orario e durata
+ * @param {String} command - Comando originale
+ * @param {Object} question - Tipo di domanda e argomento riconosciuti
+ * @returns {Object} Parametri della domanda
+ */
+const extractQuery = (command, question) => {
+  const lowerCommand = command.toLowerCase().trim().replace(/[?!.]+$/, '');
+  const parameters = { ...question };
+  
+  // Periodo di più giorni ("questa settimana", "dal 3 al 10 novembre") o singolo giorno
+  const range = dateUtils.parseDateRange(lowerCommand);
+  const dateParameters = {};
+  extractDateAndTime(lowerCommand, dateParameters);
+  
+  if (range) {
+    parameters.period = range.period || range.match;
+  } else if (dateParameters.date) {
+    parameters.date = dateParameters.date;
+  }
+  
+  // Solo "sono libero alle 15?" riguarda un orario preciso
+  if (question.queryType === 'IS_FREE') {
+    ['startTime', 'endTime'].forEach(key => {
+      if (dateParameters[key]) parameters[key] = dateParameters[key];
+    });
+  }
+  
+  const duration = schedulingUtils.parseDurationFromText(lowerCommand);
+  if (duration && (question.queryType === 'IS_FREE' || question.queryType === 'FIRST_FREE_SLOT')) {
+    parameters.duration = duration;
+  }
+  
+  const timeOfDay = schedulingUtils.parseTimeOfDayFromText(lowerCommand);
+  if (timeOfDay) {
+    parameters.timeOfDay = timeOfDay;
+  }
+  
+  extractCalendar(command, parameters);
+  
+  logger.debug('Parametri della domanda:', parameters);
+  return parameters;
+};
+
+/**
+ * Estrae il calendario indicato nel comando ("nel calendario Lavoro", "in tutti i calendari")
+ * @param {String} command - Comando originale
+ * @param {Object} parameters - Parametri da popolare
+ */
+const extractCalendar = (command, parameters) => {
+  if (/\btutti i (?:miei )?calendari\b/i.test(command)) {
+    parameters.calendar = 'tutti';
+    return;
+  }
+  
+  const calendarMatch = command.match(/\b(?:nel|sul|dal|del|al)\s+calendario\s+(?:di\s+)?["']?(.+?)["']?(?=\s+(?:alle|per|oggi|domani|dopodomani|ogni|con|che|il|la|lo|e)\b|[,.;]|$)/i);
+  if (calendarMatch) {
+    parameters.calendar = calendarMatch[1].trim();
+    logger.debug('Rilevato calendario:', parameters.calendar);
+    
+    // Il riferimento al calendario non fa parte del titolo
+    const titleIndex = parameters.title ? parameters.title.toLowerCase().indexOf(calendarMatch[0].toLowerCase()) : -1;
+    if (titleIndex > 0) {
+      parameters.title = parameters.title.slice(0, titleIndex).trim();
+    }
+  }
+};
+
+/**
+ * Estrae la ricorrenza dal comando
+ * @param {String} command - Comando in minuscolo
+ * @param {Object} parameters - Parametri da popolare
+ */
+const extractRecurrence = (command, parameters) => {
+  const recurrence = recurrenceUtils.parseRecurrenceFromText(command);
+  
+  if (recurrence) {
+    parameters.recurrence = recurrenceUtils.normalizeRecurrence(recurrence);
+    
+    // "ogni lunedì" non indica una data specifica: la prima occorrenza viene calcolata alla creazione
+    if (recurrence.byDay && parameters.date && !parameters.date.includes('prossim')) {
+      delete parameters.date;
+    }
+  }
+};
+
 module.exports = {
-  processCommand
+  processCommand,
+  setInterpreter
 };
\ No newline at end of file
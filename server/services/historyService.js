@@ -0,0 +1,92 @@
+/**
+ * Servizio per lo storico delle azioni eseguite sul calendario
+ * (registro per sessione usato per annullare l'ultima operazione)
+ */
+
+const calendarService = require('./calendarService');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('history-service');
+
+// Numero massimo di azioni conservate per sessione
+const MAX_HISTORY_LENGTH = 20;
+
+// Descrizioni delle azioni registrate
+const ACTION_LABELS = {
+  CREATE_EVENT: 'creazione',
+  UPDATE_EVENT: 'modifica',
+  DELETE_EVENT: 'eliminazione'
+};
+
+/**
+ * Registra nello storico della sessione le modifiche prodotte da un'azione
+ * @param {Object} session - Sessione dell'utente
+ * @param {Object} parsedCommand - Comando eseguito
+ * @param {Array} journal - Voci del registro restituite dal servizio calendario
+ */
+const recordAction = (session, parsedCommand, journal) => {
+  if (!session || !journal || journal.length === 0) return;
+
+  const parameters = parsedCommand.parameters || {};
+  const snapshot = journal.find(entry => entry.before);
+  const title = parameters.title || (snapshot && snapshot.before.summary);
+  const label = ACTION_LABELS[parsedCommand.action] || 'operazione';
+
+  // Operazione multipla: conta gli eventi invece di citarne uno
+  const eventCount = new Set(journal.map(entry => `${entry.calendarId}/${entry.eventId}`)).size;
+  const subject = parameters.eventIds && eventCount > 1
+    ? ` di ${eventCount} eventi`
+    : title ? ` di "${title}"` : '';
+
+  session.actionHistory = [
+    ...(session.actionHistory || []),
+    {
+      action: parsedCommand.action,
+      description: `${label}${subject}`,
+      journal,
+      timestamp: Date.now()
+    }
+  ].slice(-MAX_HISTORY_LENGTH);
+
+  logger.debug('Azione registrata nello storico:', parsedCommand.action);
+};
+
+/**
+ * Annulla l'ultima azione registrata nella sessione
+ * @param {Object} auth - Client OAuth2 autenticato
+ * @param {Object} session - Sessione dell'utente
+ * @returns {Object} Risultato dell'operazione
+ */
+const undoLastAction = async (auth, session) => {
+  const history = (session && session.actionHistory) || [];
+
+  if (history.length === 0) {
+    return {
+      success: false,
+      message: 'Nessuna operazione da annullare'
+    };
+  }
+
+  const lastAction = history[history.length - 1];
+  logger.info('Annullamento azione:', lastAction.description);
+
+  const { failedEntries, ...result } = await calendarService.revertChanges(auth, lastAction.journal);
+
+  // Annullamento parziale: nello storico restano solo le modifiche da riprovare
+  if (failedEntries) {
+    session.actionHistory = [...history.slice(0, -1), { ...lastAction, journal: failedEntries }];
+    return result;
+  }
+
+  session.actionHistory = history.slice(0, -1);
+
+  return {
+    success: true,
+    message: `Annullata l'ultima operazione: ${lastAction.description}`
+  };
+};
+
+module.exports = {
+  recordAction,
+  undoLastAction
+};
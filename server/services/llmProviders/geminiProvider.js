@@ -0,0 +1,99 @@
+/**
+ * Interpretazione dei comandi con Gemini (API generateContent),
+ * in modalità di output strutturato conforme allo schema dei comandi
+ */
+
+const axios = require('axios');
+const commandSchema = require('../../utils/commandSchema');
+const { createLogger } = require('../../utils/logger');
+
+const logger = createLogger('gemini-provider');
+
+/**
+ * Converte i messaggi della conversazione nel formato di Gemini: le istruzioni
+ * di sistema precedono il primo messaggio dell'utente
+ * @param {Array} messages - Messaggi { role: system|user|assistant, content }
+ * @returns {Array} Contenuti della richiesta
+ */
+const toGeminiContents = (messages) => {
+  const systemParts = messages
+    .filter(message => message.role === 'system')
+    .map(message => ({ text: message.content }));
+
+  return messages
+    .filter(message => message.role !== 'system')
+    .map((message, index) => ({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: [...(index === 0 ? systemParts : []), { text: message.content }]
+    }));
+};
+
+/**
+ * Crea l'interprete basato su Gemini
+ * @param {Object} config - Configurazione (apiKey, baseUrl, model, timeout)
+ * @param {Function} interpretWithModel - Interpretazione comune ai modelli linguistici
+ * @returns {Object} Interprete con il metodo interpret
+ */
+const createGeminiProvider = ({ apiKey, baseUrl, model, timeout }, interpretWithModel) => {
+  const generate = async (messages) => {
+    // Log configurazione API
+    logger.debug('Configurazione API Gemini:', {
+      model,
+      apiKeyConfigured: !!apiKey,
+      apiKeyLength: apiKey ? apiKey.length : 0
+    });
+
+    logger.debug('Invio richiesta a Gemini API');
+    const requestPayload = {
+      contents: toGeminiContents(messages),
+      generationConfig: {
+        temperature: 0.2,
+        maxOutputTokens: 1024,
+        topP: 0.8,
+        responseMimeType: 'application/json',
+        responseSchema: commandSchema.RESPONSE_SCHEMA
+      }
+    };
+
+    // Log della richiesta (senza la chiave API)
+    logger.debug('Payload richiesta Gemini:', JSON.stringify(requestPayload));
+
+    const response = await axios.post(
+      `${baseUrl.replace(/\/+$/, '')}/${model}:generateContent`,
+      requestPayload,
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'x-goog-api-key': apiKey
+        },
+        timeout
+      }
+    );
+
+    logger.debug('Risposta ricevuta da Gemini API con status:', response.status);
+
+    // Verifica della struttura della risposta
+    if (!response.data) {
+      throw new Error('Risposta Gemini vuota');
+    }
+
+    const candidate = response.data.candidates && response.data.candidates[0];
+    if (!candidate || !candidate.content || !candidate.content.parts || !candidate.content.parts[0]) {
+      throw new Error('Formato risposta Gemini non valido o vuoto');
+    }
+
+    const geminiResult = candidate.content.parts[0].text;
+    logger.debug('Testo risposta Gemini:', geminiResult);
+
+    return geminiResult;
+  };
+
+  return {
+    name: 'gemini',
+    interpret: (command, context) => interpretWithModel(generate, command, context)
+  };
+};
+
+module.exports = {
+  createGeminiProvider
+};
@@ -0,0 +1,18 @@
+/**
+ * Interpretazione deterministica dei comandi con il parser locale, senza
+ * servizi esterni (uso offline, sviluppo e test)
+ */
+
+/**
+ * Crea l'interprete basato sul parser locale
+ * @param {Function} parseCommandLocally - Parser locale dei comandi
+ * @returns {Object} Interprete con il metodo interpret
+ */
+const createLocalProvider = (parseCommandLocally) => ({
+  name: 'local',
+  interpret: async (command) => parseCommandLocally(command)
+});
+
+module.exports = {
+  createLocalProvider
+};
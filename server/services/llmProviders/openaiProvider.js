@@ -0,0 +1,58 @@
+/**
+ * Interpretazione dei comandi con un server compatibile con l'API OpenAI
+ * (chat completions): OpenAI o server locali come llama.cpp e Ollama
+ */
+
+const axios = require('axios');
+const { createLogger } = require('../../utils/logger');
+
+const logger = createLogger('openai-provider');
+
+/**
+ * Crea l'interprete basato su un server compatibile con OpenAI
+ * @param {Object} config - Configurazione (baseUrl, apiKey, model, timeout)
+ * @param {Function} interpretWithModel - Interpretazione comune ai modelli linguistici
+ * @returns {Object} Interprete con il metodo interpret
+ */
+const createOpenAIProvider = ({ baseUrl, apiKey, model, timeout }, interpretWithModel) => {
+  const generate = async (messages) => {
+    logger.debug(`Invio richiesta a ${baseUrl} (modello ${model})`);
+
+    const headers = { 'Content-Type': 'application/json' };
+    // I server locali di norma non richiedono una chiave
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const response = await axios.post(
+      `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+      {
+        model,
+        messages,
+        temperature: 0.2,
+        max_tokens: 1024,
+        response_format: { type: 'json_object' }
+      },
+      { headers, timeout }
+    );
+
+    logger.debug('Risposta ricevuta con status:', response.status);
+
+    const choice = response.data && response.data.choices && response.data.choices[0];
+    if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+      throw new Error('Formato risposta del modello non valido o vuoto');
+    }
+
+    logger.debug('Testo risposta del modello:', choice.message.content);
+    return choice.message.content;
+  };
+
+  return {
+    name: 'openai',
+    interpret: (command, context) => interpretWithModel(generate, command, context)
+  };
+};
+
+module.exports = {
+  createOpenAIProvider
+};
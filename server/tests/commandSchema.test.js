@@ -0,0 +1,132 @@
+/**
+ * Test della validazione dei comandi interpretati da Gemini
+ * e dello schema di output strutturato (utils/commandSchema)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const commandSchema = require('../utils/commandSchema');
+
+/**
+ * Percorsi degli errori di validazione di un comando
+ * @param {Object} command - Comando da validare
+ * @returns {Array} Percorsi degli errori
+ */
+const errorPaths = (command) => commandSchema.validateCommand(command).map(error => error.path);
+
+describe('validateCommand', () => {
+  const VALID_COMMANDS = [
+    {
+      action: 'CREATE_EVENT',
+      parameters: { title: 'Riunione con Mario', date: 'domani', startTime: '15:00', endTime: '16:00', attendees: ['Mario'] }
+    },
+    {
+      action: 'CREATE_EVENT',
+      parameters: {
+        title: 'Stand-up', startTime: '9:00', recurrence: { frequency: 'WEEKLY', byDay: ['MO'] },
+        reminders: [{ method: 'popup', minutes: 10 }], colorId: 'verde', conference: true
+      }
+    },
+    {
+      action: 'UPDATE_EVENT',
+      parameters: { title: 'Riunione', timeModification: { type: 'SHIFT', direction: 'FORWARD', amount: 30, unit: 'MINUTE' } }
+    },
+    { action: 'VIEW_EVENTS', parameters: { period: 'next_week', calendar: ['Lavoro', 'Famiglia'], maxResults: 50 } },
+    {
+      action: 'DELETE_EVENT',
+      parameters: { filter: { terms: ['riunione'], attendees: ['Mario'], period: 'current_month' } }
+    },
+    { action: 'UNDO', parameters: {} },
+    { action: 'FIND_SLOT', parameters: { duration: 60, date: 'giovedì', timeOfDay: 'AFTERNOON', maxResults: 3 } },
+    { action: 'SEARCH_EVENTS', parameters: { query: 'riunione', attendees: ['Mario'], location: 'Milano', pastDays: 180, futureDays: 0 } }
+  ];
+
+  VALID_COMMANDS.forEach(command => {
+    it(`accetta ${command.action} ${JSON.stringify(command.parameters)}`, () => {
+      assert.deepEqual(commandSchema.validateCommand(command), []);
+    });
+  });
+
+  it('ignora i parametri non valorizzati', () => {
+    assert.deepEqual(errorPaths({ action: 'VIEW_EVENTS', parameters: { date: 'oggi', attendees: [], startTime: null, title: '' } }), []);
+  });
+
+  it('segnala orari, tipi e valori non ammessi con il percorso del parametro', () => {
+    assert.deepEqual(errorPaths({
+      action: 'CREATE_EVENT',
+      parameters: {
+        startTime: '15', endTime: '25:00', attendees: 'Mario', duration: '60',
+        recurrence: { frequency: 'WEEKLY', byDay: ['LU'] }, reminders: [{ minutes: -5 }]
+      }
+    }), [
+      'parameters.startTime',
+      'parameters.endTime',
+      'parameters.attendees',
+      'parameters.duration',
+      'parameters.recurrence.byDay[0]',
+      'parameters.reminders[0].minutes'
+    ]);
+  });
+
+  it('segnala i campi mancanti o non previsti degli oggetti annidati', () => {
+    assert.deepEqual(errorPaths({
+      action: 'UPDATE_EVENT',
+      parameters: { timeModification: { direction: 'AVANTI', amount: 2, extra: true } }
+    }), [
+      'parameters.timeModification.type',
+      'parameters.timeModification.direction',
+      'parameters.timeModification.extra'
+    ]);
+  });
+
+  it('segnala i parametri sconosciuti e quelli non previsti per l\'azione', () => {
+    const errors = commandSchema.validateCommand({
+      action: 'VIEW_EVENTS',
+      parameters: { titolo: 'Riunione', timeModification: { type: 'SHIFT' } }
+    });
+
+    assert.deepEqual(errors, [
+      { path: 'parameters.titolo', message: 'parametro sconosciuto' },
+      { path: 'parameters.timeModification', message: 'parametro non previsto per l\'azione VIEW_EVENTS' }
+    ]);
+  });
+
+  it('segnala azione e parametri mancanti', () => {
+    assert.deepEqual(errorPaths({ azione: 'crea_evento' }), ['action', 'parameters']);
+    assert.deepEqual(errorPaths({ action: 'CREA', parameters: {} }), ['action']);
+    assert.deepEqual(errorPaths('CREATE_EVENT'), ['$']);
+  });
+});
+
+describe('formatValidationErrors', () => {
+  it('elenca un errore per riga', () => {
+    const text = commandSchema.formatValidationErrors([
+      { path: 'action', message: 'campo obbligatorio mancante' },
+      { path: 'parameters.startTime', message: 'formato non valido "15"' }
+    ]);
+
+    assert.equal(text, '- action: campo obbligatorio mancante\n- parameters.startTime: formato non valido "15"');
+  });
+});
+
+describe('RESPONSE_SCHEMA', () => {
+  const { properties } = commandSchema.RESPONSE_SCHEMA.properties.parameters;
+
+  it('elenca le azioni ammesse', () => {
+    assert.deepEqual(commandSchema.RESPONSE_SCHEMA.properties.action.enum, commandSchema.ACTIONS);
+    assert.deepEqual(commandSchema.RESPONSE_SCHEMA.required, ['action', 'parameters']);
+  });
+
+  it('descrive tutti i parametri previsti per le azioni', () => {
+    Object.values(commandSchema.ACTION_PARAMETERS).flat().forEach(key => {
+      assert.ok(properties[key], `parametro ${key} mancante`);
+    });
+  });
+
+  it('usa solo i campi supportati dall\'output strutturato di Gemini', () => {
+    assert.deepEqual(properties.calendar, { type: 'STRING', description: properties.calendar.description });
+    assert.equal(properties.startTime.pattern, undefined);
+    assert.equal(properties.reminders.items.properties.minutes.minimum, undefined);
+    assert.deepEqual(properties.recurrence.required, ['frequency']);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Test della risoluzione dei partecipanti (services/contactService) con una rubrica
+ * in memoria: indirizzi, nomi della rubrica, omonimi e alias appresi per utente
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const contactService = require('../services/contactService');
+const { createMemoryProvider } = require('../services/contactProviders/memoryProvider');
+
+before(() => {
+  contactService.setAddressBook(createMemoryProvider([
+    { name: 'Mario Rossi', email: 'mario.rossi@example.org', aliases: ['Marietto'] },
+    { name: 'Luca Bianchi', email: 'luca.bianchi@example.org' },
+    { name: 'Luca Verdi', email: 'luca.verdi@example.org' },
+    { name: 'Élodie Martin', email: 'elodie@example.org' },
+    { name: 'Senza email' }
+  ]));
+});
+
+describe('resolveAttendees', () => {
+  it('risolve indirizzi email, nomi, alias della rubrica e iniziali', async () => {
+    const result = await contactService.resolveAttendees(['anna@example.org', 'Mario Rossi', 'marietto', 'elodie', 'Luca B'], null);
+
+    assert.deepEqual(result, {
+      attendees: ['anna@example.org', 'mario.rossi@example.org', 'mario.rossi@example.org', 'elodie@example.org', 'luca.bianchi@example.org'],
+      ambiguous: [],
+      unresolved: []
+    });
+  });
+
+  it('propone i candidati per un nome ambiguo e segnala i nomi non trovati', async () => {
+    const result = await contactService.resolveAttendees(['Luca', 'Giovanni'], null);
+
+    assert.deepEqual(result.attendees, []);
+    assert.deepEqual(result.ambiguous, [{
+      status: 'ambiguous',
+      name: 'Luca',
+      candidates: [
+        { name: 'Luca Bianchi', email: 'luca.bianchi@example.org' },
+        { name: 'Luca Verdi', email: 'luca.verdi@example.org' }
+      ]
+    }]);
+    assert.deepEqual(result.unresolved, ['Giovanni']);
+  });
+});
+
+describe('learnAlias', () => {
+  it('ricorda la scelta solo nella sessione dell\'utente che l\'ha fatta', async () => {
+    const session = {};
+    const otherSession = {};
+
+    contactService.learnAlias(session, 'Luca', { name: 'Luca Verdi', email: 'luca.verdi@example.org' });
+
+    assert.deepEqual(session.contactAliases, { luca: { name: 'Luca Verdi', email: 'luca.verdi@example.org' } });
+    assert.deepEqual((await contactService.resolveAttendees([' LUCA '], null, session)).attendees, ['luca.verdi@example.org']);
+    assert.equal((await contactService.resolveAttendees(['Luca'], null, otherSession)).ambiguous.length, 1);
+  });
+
+  it('sostituisce un alias già appreso', async () => {
+    const session = {};
+
+    contactService.learnAlias(session, 'Luca', { name: 'Luca Verdi', email: 'luca.verdi@example.org' });
+    contactService.learnAlias(session, 'Luca', { name: 'Luca Bianchi', email: 'luca.bianchi@example.org' });
+
+    assert.deepEqual((await contactService.resolveAttendees(['Luca'], null, session)).attendees, ['luca.bianchi@example.org']);
+  });
+});
+
+describe('errori della rubrica', () => {
+  it('segnala l\'impossibilità di cercare i contatti', async () => {
+    contactService.setAddressBook({ name: 'guasta', searchContacts: async () => { throw new Error('rubrica non raggiungibile'); } });
+
+    try {
+      await assert.rejects(
+        contactService.resolveAttendees(['Mario'], null),
+        { message: 'Impossibile cercare i contatti: rubrica non raggiungibile' }
+      );
+    } finally {
+      contactService.setAddressBook(createMemoryProvider([]));
+    }
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Test del contesto conversazionale (services/contextService): riferimenti
+ * agli eventi citati e alle entità dei comandi precedenti di ogni utente
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const contextService = require('../services/contextService');
+
+/**
+ * Sessione in cui è appena stata creata una riunione
+ * @returns {Object} Sessione con il contesto aggiornato
+ */
+const sessionAfterCreation = () => {
+  const session = {};
+  contextService.updateContext(session, {
+    action: 'CREATE_EVENT',
+    parameters: { title: 'Riunione budget', date: 'domani', attendees: ['mario.rossi@example.org'] }
+  }, { success: true }, [{ type: 'created', eventId: 'evt-1', calendarId: 'primary' }]);
+  return session;
+};
+
+describe('resolveReferences', () => {
+  it('risolve il pronome sull\'ultimo evento citato dall\'utente', () => {
+    const parsedCommand = { action: 'UPDATE_EVENT', parameters: { startTime: '16:00' } };
+
+    contextService.resolveReferences(sessionAfterCreation(), 'spostala alle 16', parsedCommand);
+
+    assert.deepEqual(parsedCommand.parameters, { startTime: '16:00', eventId: 'evt-1', calendarId: 'primary' });
+  });
+
+  it('non legge come ordinale il giorno di una data dopo un elenco', () => {
+    const session = {};
+    contextService.updateContext(session, { action: 'VIEW_EVENTS', parameters: {} }, {
+      success: true,
+      events: [{ id: 'evt-1', title: 'Dentista' }, { id: 'evt-2', title: 'Palestra' }]
+    });
+    const parsedCommand = { action: 'UPDATE_EVENT', parameters: { title: 'Riunione con Mario', date: '1 dicembre' } };
+
+    contextService.resolveReferences(session, 'sposta la riunione con Mario il primo dicembre', parsedCommand);
+
+    assert.deepEqual(parsedCommand.parameters, { title: 'Riunione con Mario', date: '1 dicembre' });
+  });
+
+  it('riprende titolo, partecipanti e giorno in una creazione che richiama quella di prima', () => {
+    const parsedCommand = { action: 'CREATE_EVENT', parameters: { title: 'Nuovo evento', startTime: '18:00' } };
+
+    contextService.resolveReferences(sessionAfterCreation(), 'crea un\'altra come quella di prima alle 18', parsedCommand);
+
+    assert.deepEqual(parsedCommand.parameters, {
+      title: 'Riunione budget',
+      startTime: '18:00',
+      attendees: ['mario.rossi@example.org'],
+      date: 'domani'
+    });
+  });
+
+  it('mantiene i valori indicati nel comando e ignora le creazioni senza riferimenti', () => {
+    const session = sessionAfterCreation();
+    const sameMeeting = { action: 'CREATE_EVENT', parameters: { date: 'venerdì', attendees: ['luca.bianchi@example.org'] } };
+    const unrelated = { action: 'CREATE_EVENT', parameters: { title: 'Dentista' } };
+
+    contextService.resolveReferences(session, 'crea la stessa riunione venerdì con Luca', sameMeeting);
+    contextService.resolveReferences(session, 'crea il dentista', unrelated);
+
+    assert.deepEqual(sameMeeting.parameters, { date: 'venerdì', attendees: ['luca.bianchi@example.org'], title: 'Riunione budget' });
+    assert.deepEqual(unrelated.parameters, { title: 'Dentista' });
+  });
+
+  it('non usa il contesto di un altro utente', () => {
+    const parsedCommand = { action: 'UPDATE_EVENT', parameters: { startTime: '16:00' } };
+
+    sessionAfterCreation();
+
+    assert.throws(() => contextService.resolveReferences({}, 'spostala alle 16', parsedCommand), /Non è chiaro a quale evento/);
+  });
+});
@@ -0,0 +1,300 @@
+/**
+ * Test del parser delle espressioni di data e orario in italiano (utils/dateUtils)
+ * su una data di riferimento fissa: mercoledì 14 ottobre 2026
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const dateUtils = require('../utils/dateUtils');
+
+const BASE_DATE = new Date(2026, 9, 14, 10, 30);
+
+/**
+ * Formatta una data come AAAA-MM-GG (ora locale)
+ * @param {Date} date - Data da formattare
+ * @returns {String} Data formattata
+ */
+const toIsoDay = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// Espressione → giorno atteso
+const DATE_CASES = [
+  // Giorni relativi
+  ['oggi', '2026-10-14'],
+  ['Domani', '2026-10-15'],
+  ['domani mattina', '2026-10-15'],
+  ['dopodomani', '2026-10-16'],
+  ['ieri', '2026-10-13'],
+  ['stasera', '2026-10-14'],
+  ['domani alle 15', '2026-10-15'],
+
+  // Scostamenti, anche con i numeri in lettere
+  ['tra 3 giorni', '2026-10-17'],
+  ['fra un giorno', '2026-10-15'],
+  ['tra una settimana', '2026-10-21'],
+  ['tra due settimane', '2026-10-28'],
+  ['tra tre mesi', '2027-01-14'],
+  ['fra un anno', '2027-10-14'],
+  ['tra diciotto giorni', '2026-11-01'],
+  ['tra ventuno giorni', '2026-11-04'],
+  ['tra ventitré giorni', '2026-11-06'],
+  ['fra trentotto giorni', '2026-11-21'],
+  ['tra ventun mesi', '2028-07-14'],
+
+  // Giorni della settimana
+  ['venerdì', '2026-10-16'],
+  ['venerdi', '2026-10-16'],
+  ['mercoledì', '2026-10-14'],
+  ['questo sabato', '2026-10-17'],
+  ['prossimo mercoledì', '2026-10-21'],
+  ['lunedì prossimo', '2026-10-19'],
+  ['martedì della prossima settimana', '2026-10-20'],
+  ['lunedì di questa settimana', '2026-10-12'],
+  ['prossima settimana', '2026-10-21'],
+
+  // Giorno e mese
+  ['il 15 marzo', '2027-03-15'],
+  ['3 novembre', '2026-11-03'],
+  ['3 ottobre', '2026-10-03'],
+  ['il 3 novembre 2027', '2027-11-03'],
+  ['lunedì 2 novembre', '2026-11-02'],
+  ['primo dicembre', '2026-12-01'],
+  ['1° gennaio', '2027-01-01'],
+  ['il 20 ottobre alle 9', '2026-10-20'],
+
+  // Formati numerici (giorno/mese/anno)
+  ['15/3', '2027-03-15'],
+  ['15/03/2027', '2027-03-15'],
+  ['3/11/26', '2026-11-03'],
+  ['3.11.2026', '2026-11-03'],
+  ['2026-11-03', '2026-11-03'],
+
+  // Solo il giorno del mese
+  ['il 15', '2026-10-15'],
+  ['il 10', '2026-11-10'],
+  ['il 31', '2026-10-31'],
+
+  // Inizio e fine di mese e anno
+  ['fine mese', '2026-10-31'],
+  ['fine del mese prossimo', '2026-11-30'],
+  ['inizio del prossimo mese', '2026-11-01'],
+  ['inizio mese', '2026-11-01'],
+  ['fine anno', '2026-12-31'],
+  ['inizio anno', '2027-01-01'],
+  ['fine febbraio', '2027-02-28'],
+  ['inizio dicembre', '2026-12-01'],
+
+  // N-esimo giorno della settimana del mese
+  ['il primo lunedì di dicembre', '2026-12-07'],
+  ['l\'ultimo venerdì del mese', '2026-10-30'],
+  ['il secondo martedì del mese prossimo', '2026-11-10'],
+  ['la prima domenica di gennaio', '2027-01-03'],
+  ['il quinto lunedì di novembre', '2026-11-30'],
+  ['l\'ultimo giovedì di febbraio 2028', '2028-02-24']
+];
+
+// Espressioni con giorno della settimana incoerente → date proposte
+const AMBIGUOUS_CASES = [
+  ['lunedì 3 novembre', ['2026-11-03', '2026-11-02']],
+  ['venerdì 3/11', ['2026-11-03', '2026-11-06']],
+  ['domenica il 15', ['2026-10-15', '2026-10-18']]
+];
+
+// Date inesistenti
+const INVALID_CASES = [
+  '31 novembre',
+  '29 febbraio',
+  '31/4',
+  '2026-02-30',
+  'il quinto lunedì di dicembre'
+];
+
+// Espressioni non riconosciute
+const UNRECOGNIZED_CASES = [
+  'boh',
+  'quando capita',
+  'tra qualche giorno'
+];
+
+describe('parseItalianDate', () => {
+  DATE_CASES.forEach(([text, expected]) => {
+    it(`"${text}" → ${expected}`, () => {
+      const result = dateUtils.parseItalianDate(text, BASE_DATE);
+      assert.ok(result && result.date, `data non riconosciuta: ${JSON.stringify(result)}`);
+      assert.equal(toIsoDay(result.date), expected);
+    });
+  });
+
+  AMBIGUOUS_CASES.forEach(([text, expected]) => {
+    it(`"${text}" è ambigua`, () => {
+      const result = dateUtils.parseItalianDate(text, BASE_DATE);
+      assert.equal(result.ambiguous, true);
+      assert.deepEqual(result.candidates.map(toIsoDay), expected);
+      assert.match(result.message, /^Data ambigua/);
+    });
+  });
+
+  INVALID_CASES.forEach(text => {
+    it(`"${text}" non esiste`, () => {
+      const result = dateUtils.parseItalianDate(text, BASE_DATE);
+      assert.equal(result.invalid, true);
+    });
+  });
+
+  UNRECOGNIZED_CASES.forEach(text => {
+    it(`"${text}" non è riconosciuta`, () => {
+      assert.equal(dateUtils.parseItalianDate(text, BASE_DATE), null);
+    });
+  });
+});
+
+describe('parseDateFromText', () => {
+  it('restituisce la data riconosciuta', () => {
+    assert.equal(toIsoDay(dateUtils.parseDateFromText('il primo lunedì di dicembre', BASE_DATE)), '2026-12-07');
+  });
+
+  it('accetta date e ore in formato standard', () => {
+    const date = dateUtils.parseDateFromText('2026-11-03T10:00:00', BASE_DATE);
+    assert.equal(toIsoDay(date), '2026-11-03');
+  });
+
+  it('segnala le date ambigue invece di sceglierne una', () => {
+    assert.throws(() => dateUtils.parseDateFromText('lunedì 3 novembre', BASE_DATE), /Intendi martedì 3 novembre 2026 o lunedì 2 novembre 2026\?/);
+  });
+
+  it('segnala le date inesistenti', () => {
+    assert.throws(() => dateUtils.parseDateFromText('31 novembre', BASE_DATE), /Data non valida/);
+  });
+
+  it('non ricade silenziosamente sulla data di riferimento', () => {
+    assert.throws(() => dateUtils.parseDateFromText('boh', BASE_DATE), /Data non riconosciuta: "boh"/);
+  });
+});
+
+describe('parseDateRange', () => {
+  // Espressione → [primo giorno, ultimo giorno]
+  const RANGE_CASES = [
+    ['mostra gli eventi dal 3 al 10 novembre', ['2026-11-03', '2026-11-10']],
+    ['dal 28 dicembre al 3 gennaio', ['2026-12-28', '2027-01-03']],
+    ['da lunedì a mercoledì', ['2026-10-19', '2026-10-21']],
+    ['fino a venerdì', ['2026-10-14', '2026-10-16']],
+    ['fino al 20 ottobre', ['2026-10-14', '2026-10-20']],
+    ['prossima settimana', ['2026-10-19', '2026-10-25']],
+    ['questa settimana', ['2026-10-12', '2026-10-18']],
+    ['questo mese', ['2026-10-01', '2026-10-31']],
+    ['il prossimo weekend', ['2026-10-24', '2026-10-25']],
+    ['a febbraio', ['2027-02-01', '2027-02-28']]
+  ];
+
+  RANGE_CASES.forEach(([text, [start, end]]) => {
+    it(`"${text}" → ${start} / ${end}`, () => {
+      const range = dateUtils.parseDateRange(text, BASE_DATE);
+      assert.ok(range, 'intervallo non riconosciuto');
+      assert.equal(toIsoDay(range.start), start);
+      assert.equal(toIsoDay(range.end), end);
+    });
+  });
+
+  it('riporta il nome dei periodi predefiniti', () => {
+    assert.equal(dateUtils.parseDateRange('quante ore ho la prossima settimana', BASE_DATE).period, 'next_week');
+    assert.equal(dateUtils.parseDateRange('dal 3 al 10 novembre', BASE_DATE).period, undefined);
+  });
+
+  it('ignora i testi senza intervalli', () => {
+    assert.equal(dateUtils.parseDateRange('crea una riunione domani', BASE_DATE), null);
+  });
+});
+
+describe('parseTimeExpression', () => {
+  // Espressione → orari riconosciuti
+  const TIME_CASES = [
+    ['alle 15', { startTime: '15:00' }],
+    ['alle 9:30', { startTime: '09:30' }],
+    ['alle 3', { startTime: '15:00' }],
+    ['alle 3 del pomeriggio', { startTime: '15:00' }],
+    ['alle 7 di mattina', { startTime: '07:00' }],
+    ['alle 7', { startTime: '07:00' }],
+    ['alle 6', { startTime: '18:00' }],
+    ['colazione con Anna alle 6', { startTime: '06:00' }],
+    ['sveglia alle 5 e mezza', { startTime: '05:30' }],
+    ['domani mattina alle 6', { startTime: '06:00' }],
+    ['colazione dalle 6 alle 7', { startTime: '06:00', endTime: '07:00' }],
+    ['alle 9 di sera', { startTime: '21:00' }],
+    ['alle 11 di notte', { startTime: '23:00' }],
+    ['alle tre e mezza', { startTime: '15:30' }],
+    ['alle 10 e un quarto', { startTime: '10:15' }],
+    ['alle 10 meno un quarto', { startTime: '09:45' }],
+    ['all\'una', { startTime: '13:00' }],
+    ['a mezzogiorno', { startTime: '12:00' }],
+    ['a pranzo con Mario', { startTime: '13:00' }],
+    ['15:00', { startTime: '15:00' }],
+    ['dalle 10 alle 11:30', { startTime: '10:00', endTime: '11:30' }],
+    ['tra le 14 e le 16', { startTime: '14:00', endTime: '16:00' }],
+    ['dalle 9 alle 5', { startTime: '09:00', endTime: '17:00' }],
+    ['dalle 9 alle 7', { startTime: '09:00', endTime: '19:00' }],
+    ['dalle 22 alle 1', { startTime: '22:00', endTime: '01:00' }],
+    ['dalle 14 per 2 ore', { startTime: '14:00', endTime: '16:00', duration: 120 }],
+    ['dall\'una', { startTime: '13:00' }],
+    ['riunione domani alle 15 per due ore', { startTime: '15:00', endTime: '17:00', duration: 120 }],
+    ['alle 9 per un\'ora e mezza', { startTime: '09:00', endTime: '10:30', duration: 90 }],
+    ['per 45 minuti', { duration: 45 }],
+    ['domani pomeriggio', { startTime: '14:00', endTime: '18:00', timeOfDay: 'AFTERNOON' }],
+    ['stasera', { startTime: '18:00', endTime: '21:00', timeOfDay: 'EVENING' }],
+    ['domani mattina per 30 minuti', { startTime: '09:00', endTime: '09:30', duration: 30, timeOfDay: 'MORNING' }]
+  ];
+
+  TIME_CASES.forEach(([text, expected]) => {
+    it(`"${text}"`, () => {
+      assert.deepEqual(dateUtils.parseTimeExpression(text), expected);
+    });
+  });
+
+  it('ignora i testi senza orari', () => {
+    assert.equal(dateUtils.parseTimeExpression('crea un evento per Mario'), null);
+    assert.equal(dateUtils.parseTimeExpression('posticipa di 2 ore'), null);
+  });
+});
+
+describe('normalizeTime', () => {
+  it('converte orari ed espressioni in HH:MM', () => {
+    assert.equal(dateUtils.normalizeTime('9:00'), '09:00');
+    assert.equal(dateUtils.normalizeTime('15.30'), '15:30');
+    assert.equal(dateUtils.normalizeTime('3 del pomeriggio'), '15:00');
+    assert.equal(dateUtils.normalizeTime('mezzanotte'), '00:00');
+  });
+
+  it('rifiuta gli orari non validi', () => {
+    assert.equal(dateUtils.normalizeTime('25:00'), null);
+    assert.equal(dateUtils.normalizeTime('domani'), null);
+  });
+});
+
+describe('toIsoDate', () => {
+  it('formatta il giorno locale come AAAA-MM-GG', () => {
+    assert.equal(dateUtils.toIsoDate(new Date(2026, 7, 5, 23, 30)), '2026-08-05');
+  });
+
+  it('calcola la fine esclusiva degli eventi di tutto il giorno', () => {
+    assert.equal(dateUtils.toIsoDate(dateUtils.addDays(new Date(2026, 11, 31), 1)), '2027-01-01');
+  });
+});
+
+describe('describeDay', () => {
+  // Giorno → descrizione rispetto a mercoledì 14 ottobre 2026
+  const DAY_CASES = [
+    [new Date(2026, 9, 13), 'ieri'],
+    [new Date(2026, 9, 14, 23, 59), 'oggi'],
+    [new Date(2026, 9, 15), 'domani'],
+    [new Date(2026, 9, 16), 'venerdì 16 ottobre'],
+    [new Date(2027, 0, 4), 'lunedì 4 gennaio 2027']
+  ];
+
+  DAY_CASES.forEach(([date, expected]) => {
+    it(`${toIsoDay(date)} → "${expected}"`, () => {
+      assert.equal(dateUtils.describeDay(date, BASE_DATE), expected);
+    });
+  });
+});
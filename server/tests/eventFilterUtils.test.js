@@ -0,0 +1,90 @@
+/**
+ * Test dei filtri su insiemi di eventi (utils/eventFilterUtils):
+ * riconoscimento nel comando, normalizzazione e corrispondenza degli eventi
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const eventFilterUtils = require('../utils/eventFilterUtils');
+
+describe('parseFilterFromText', () => {
+  // Comando → filtro e resto del comando
+  const FILTER_CASES = [
+    ['Cancella tutte le riunioni con Mario di questo mese', {
+      filter: { terms: ['riunione'], attendees: ['Mario'], period: 'current_month' },
+      remainder: 'Cancella'
+    }],
+    ['Sposta tutti gli eventi di venerdì a lunedì', {
+      filter: { terms: [], attendees: [], date: 'venerdì' },
+      remainder: 'Sposta a lunedì'
+    }],
+    ['Aggiungi Luca a tutte le call del progetto X', {
+      filter: { terms: ['call', 'progetto X'], attendees: [] },
+      remainder: 'Aggiungi Luca a'
+    }],
+    ['elimina tutti gli eventi della prossima settimana nel calendario Lavoro', {
+      filter: { terms: [], attendees: [], calendar: 'Lavoro', period: 'next_week' },
+      remainder: 'elimina'
+    }],
+    ['cancella tutti gli appuntamenti dal dentista dal 3 al 10 novembre', {
+      filter: { terms: ['dentista'], attendees: [], period: 'dal 3 al 10 novembre' },
+      remainder: 'cancella'
+    }],
+    ['posticipa di un\'ora tutte le call di domani', {
+      filter: { terms: ['call'], attendees: [], date: 'domani' },
+      remainder: 'posticipa di un\'ora'
+    }]
+  ];
+
+  FILTER_CASES.forEach(([text, expected]) => {
+    it(`"${text}"`, () => {
+      assert.deepEqual(eventFilterUtils.parseFilterFromText(text), expected);
+    });
+  });
+
+  it('ignora ricorrenze, ambiti delle serie e calendari', () => {
+    assert.equal(eventFilterUtils.parseFilterFromText('crea lo stand-up tutti i lunedì alle 9'), null);
+    assert.equal(eventFilterUtils.parseFilterFromText('elimina questa e tutte le successive'), null);
+    assert.equal(eventFilterUtils.parseFilterFromText('mostra gli eventi di domani in tutti i calendari'), null);
+    assert.equal(eventFilterUtils.parseFilterFromText('sposta la riunione alle 16'), null);
+  });
+});
+
+describe('normalizeFilter', () => {
+  it('riconduce termini e partecipanti a elenchi e conserva intervallo e calendario', () => {
+    assert.deepEqual(
+      eventFilterUtils.normalizeFilter({ termini: 'call, progetto X', attendees: 'Luca', period: 'next_week', calendario: 'Lavoro' }),
+      { terms: ['call', 'progetto X'], attendees: ['Luca'], period: 'next_week', calendar: 'Lavoro' }
+    );
+    assert.equal(eventFilterUtils.normalizeFilter(null), null);
+    assert.equal(eventFilterUtils.normalizeFilter(['riunione']), null);
+  });
+
+  it('riconosce i filtri senza criteri', () => {
+    assert.equal(eventFilterUtils.isEmptyFilter(eventFilterUtils.normalizeFilter({})), true);
+    assert.equal(eventFilterUtils.isEmptyFilter(eventFilterUtils.normalizeFilter({ date: 'venerdì' })), false);
+    assert.deepEqual(eventFilterUtils.getRangeParams({ terms: [], date: 'venerdì', calendar: 'Lavoro' }), { date: 'venerdì' });
+  });
+});
+
+describe('matchesFilter', () => {
+  const filter = (criteria) => eventFilterUtils.normalizeFilter(criteria);
+
+  it('cerca i termini a inizio di parola, anche al plurale', () => {
+    const event = { summary: 'Riunione di progetto', description: 'Aggiornamento sul progetto X' };
+
+    assert.equal(eventFilterUtils.matchesFilter(event, filter({ terms: ['riunione'] })), true);
+    assert.equal(eventFilterUtils.matchesFilter(event, filter({ terms: ['riunioni', 'progetto x'] })), true);
+    assert.equal(eventFilterUtils.matchesFilter(event, filter({ terms: ['unione'] })), false);
+    assert.equal(eventFilterUtils.matchesFilter(event, filter({ terms: ['riunione', 'budget'] })), false);
+  });
+
+  it('riconosce i partecipanti tra gli invitati o nel titolo', () => {
+    const invited = { summary: 'Revisione', attendees: [{ email: 'mario.rossi@example.org' }, { email: 'a@example.org', displayName: 'Anna Neri' }] };
+
+    assert.equal(eventFilterUtils.matchesFilter(invited, filter({ attendees: ['Mario'] })), true);
+    assert.equal(eventFilterUtils.matchesFilter(invited, filter({ attendees: ['Anna', 'Mario'] })), true);
+    assert.equal(eventFilterUtils.matchesFilter({ summary: 'Pranzo con Mario' }, filter({ attendees: ['mario'] })), true);
+    assert.equal(eventFilterUtils.matchesFilter(invited, filter({ attendees: ['Luca'] })), false);
+  });
+});
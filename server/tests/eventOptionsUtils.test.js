@@ -0,0 +1,74 @@
+/**
+ * Test del riconoscimento di luogo, promemoria, colore, visibilità,
+ * disponibilità e videoconferenza degli eventi (utils/eventOptionsUtils)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const eventOptionsUtils = require('../utils/eventOptionsUtils');
+
+describe('parseRemindersFromText', () => {
+  const REMINDER_CASES = [
+    ['riunione domani alle 10 e avvisami 30 minuti prima', [{ method: 'popup', minutes: 30 }]],
+    ['ricordamelo mezz\'ora prima', [{ method: 'popup', minutes: 30 }]],
+    ['promemoria via email un giorno e un\'ora prima', [{ method: 'email', minutes: 1440 }, { method: 'email', minutes: 60 }]],
+    ['avvisami 2 ore prima', [{ method: 'popup', minutes: 120 }]],
+    ['cena venerdì senza promemoria', []]
+  ];
+
+  REMINDER_CASES.forEach(([text, expected]) => {
+    it(`"${text}"`, () => {
+      assert.deepEqual(eventOptionsUtils.parseRemindersFromText(text), expected);
+    });
+  });
+
+  it('ignora i testi senza promemoria', () => {
+    assert.equal(eventOptionsUtils.parseRemindersFromText('anticipa la riunione di 30 minuti'), null);
+  });
+
+  it('toglie la richiesta dal testo da interpretare come orario', () => {
+    assert.equal(eventOptionsUtils.stripReminderText('riunione domani alle 10 e avvisami 30 minuti prima'), 'riunione domani alle 10');
+  });
+});
+
+describe('parseLocationFromText', () => {
+  it('riconosce il luogo introdotto da "presso", "in sala" o "luogo:"', () => {
+    assert.equal(eventOptionsUtils.parseLocationFromText('Riunione presso la sede di Milano domani alle 10'), 'la sede di Milano');
+    assert.equal(eventOptionsUtils.parseLocationFromText('Riunione in sala Verdi alle 15'), 'sala Verdi');
+    assert.equal(eventOptionsUtils.parseLocationFromText('Evento luogo: via Roma 1, domani'), 'via Roma 1');
+  });
+
+  it('ignora i testi senza luogo', () => {
+    assert.equal(eventOptionsUtils.parseLocationFromText('Riunione con Mario domani'), null);
+  });
+});
+
+describe('parseConferenceFromText', () => {
+  it('riconosce la richiesta di un link Google Meet', () => {
+    assert.equal(eventOptionsUtils.parseConferenceFromText('crea una call con Luca domani alle 10 con link Meet'), true);
+    assert.equal(eventOptionsUtils.parseConferenceFromText('riunione in videoconferenza giovedì'), true);
+    assert.equal(eventOptionsUtils.parseConferenceFromText('riunione con Luca domani alle 10'), false);
+  });
+});
+
+describe('buildEventOptions', () => {
+  it('converte colori, visibilità e disponibilità in italiano nei valori dell\'API', () => {
+    assert.deepEqual(eventOptionsUtils.buildEventOptions({
+      location: 'Sala A',
+      colorId: 'rosso',
+      visibility: 'privato',
+      transparency: 'libero',
+      reminders: [10, { method: 'email', minutes: '1 giorno' }]
+    }), {
+      location: 'Sala A',
+      colorId: '11',
+      visibility: 'private',
+      transparency: 'transparent',
+      reminders: { useDefault: false, overrides: [{ method: 'popup', minutes: 10 }, { method: 'email', minutes: 1440 }] }
+    });
+  });
+
+  it('include solo le opzioni indicate', () => {
+    assert.deepEqual(eventOptionsUtils.buildEventOptions({ title: 'Riunione', colorId: 'fucsia' }), {});
+  });
+});
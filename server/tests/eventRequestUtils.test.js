@@ -0,0 +1,83 @@
+/**
+ * Test delle richieste dell'API REST degli eventi (utils/eventRequestUtils):
+ * validazione dei corpi JSON e conversione nei parametri dei servizi
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const eventRequestUtils = require('../utils/eventRequestUtils');
+
+/**
+ * Campi con errori di una richiesta
+ * @param {Object} body - Corpo della richiesta
+ * @param {Object} options - Opzioni della validazione
+ * @returns {Array} Percorsi dei campi non validi
+ */
+const invalidPaths = (body, options) => eventRequestUtils.validateEventRequest(body, options).map(error => error.path);
+
+describe('validateEventRequest', () => {
+  it('accetta eventi con orari ISO con il fuso o giorni interi', () => {
+    assert.deepEqual(invalidPaths({ title: 'Call', start: '2026-10-20T15:00:00+02:00', end: '2026-10-20T16:00:00+02:00' }), []);
+    assert.deepEqual(invalidPaths({ title: 'Call', start: '2026-10-20T13:00Z', attendees: ['mario.rossi@example.org'] }), []);
+    assert.deepEqual(invalidPaths({ title: 'Ferie', start: '2026-10-20', end: '2026-10-23' }), []);
+  });
+
+  it('richiede titolo e inizio nella creazione, non nella modifica', () => {
+    assert.deepEqual(invalidPaths({}), ['body.title', 'body.start']);
+    assert.deepEqual(invalidPaths({ location: 'Sala Verde' }, { partial: true }), []);
+    assert.deepEqual(invalidPaths({}, { partial: true }), ['body']);
+    assert.deepEqual(invalidPaths(null), ['body']);
+  });
+
+  it('rifiuta orari senza fuso, formati misti e campi non previsti', () => {
+    assert.deepEqual(invalidPaths({ title: 'Call', start: '2026-10-20T15:00:00' }), ['body.start']);
+    assert.deepEqual(invalidPaths({ title: 'Call', start: '2026-10-20', end: '2026-10-20T16:00:00Z' }), ['body.end']);
+    assert.deepEqual(invalidPaths({ title: 'Call', start: '2026-10-20T15:00:00Z', allDay: true }), ['body.start']);
+    assert.deepEqual(invalidPaths({ title: 'Call', start: '2026-10-20T15:00:00Z', attendees: ['Mario'] }), ['body.attendees[0]']);
+    assert.deepEqual(invalidPaths({ title: 'Call', start: '2026-10-20T15:00:00Z', recurrenceScope: 'ALL' }), ['body.recurrenceScope']);
+    assert.deepEqual(invalidPaths({ calendarId: 'lavoro' }, { partial: true }), ['body.calendarId']);
+    assert.deepEqual(invalidPaths({ title: 'Call', start: '2026-10-20T15:00:00Z', timeZone: 'Europa/Roma' }), ['body.timeZone']);
+    assert.deepEqual(invalidPaths({ timeZone: 'Europe/Rome' }, { partial: true }), ['body']);
+  });
+
+  it('verifica che la fine segua l\'inizio, anche per gli eventi con orario su più giorni', () => {
+    assert.deepEqual(invalidPaths({ title: 'Call', start: '2026-10-20T15:00:00Z', end: '2026-10-20T15:00:00Z' }), ['body.end']);
+    assert.deepEqual(invalidPaths({ title: 'Convegno', start: '2026-10-19T08:00:00Z', end: '2026-10-21T10:00:00Z' }), []);
+    assert.deepEqual(invalidPaths({ end: '2026-10-20T16:00:00Z' }, { partial: true }), ['body.start']);
+  });
+});
+
+describe('toServiceParams', () => {
+  it('converte gli orari ISO in giorno e orari nel fuso dell\'utente', () => {
+    assert.deepEqual(
+      eventRequestUtils.toServiceParams({ title: 'Call', start: '2026-10-20T13:00:00Z', end: '2026-10-20T14:30:00Z', force: true }, 'Europe/Rome'),
+      { timeZone: 'Europe/Rome', title: 'Call', force: true, date: '2026-10-20', startTime: '15:00', endTime: '16:30' }
+    );
+  });
+
+  it('indica il giorno di fine degli eventi con orario su più giorni', () => {
+    assert.deepEqual(
+      eventRequestUtils.toServiceParams({ start: '2026-10-19T08:00:00Z', end: '2026-10-21T10:00:00Z' }, 'Europe/Rome'),
+      { timeZone: 'Europe/Rome', date: '2026-10-19', startTime: '10:00', endTime: '12:00', endDate: '2026-10-21' }
+    );
+  });
+
+  it('include l\'ultimo giorno degli eventi di tutto il giorno', () => {
+    assert.deepEqual(
+      eventRequestUtils.toServiceParams({ title: 'Ferie', start: '2026-10-20', end: '2026-10-23' }, 'Europe/Rome'),
+      { timeZone: 'Europe/Rome', title: 'Ferie', allDay: true, startDate: '2026-10-20', endDate: '2026-10-22' }
+    );
+    assert.deepEqual(
+      eventRequestUtils.toServiceParams({ start: '2026-10-20' }, 'Europe/Rome'),
+      { timeZone: 'Europe/Rome', allDay: true, date: '2026-10-20' }
+    );
+  });
+});
+
+describe('validateListRange', () => {
+  it('accetta estremi ISO in ordine', () => {
+    assert.deepEqual(eventRequestUtils.validateListRange({ timeMin: '2026-10-20T00:00:00Z', timeMax: '2026-10-27T00:00:00Z' }), []);
+    assert.deepEqual(eventRequestUtils.validateListRange({ timeMin: '2026-10-27T00:00:00Z', timeMax: '2026-10-20T00:00:00Z' }).map(error => error.path), ['query.timeMax']);
+    assert.deepEqual(eventRequestUtils.validateListRange({ timeMax: '2026-10-27' }).map(error => error.path), ['query.timeMax']);
+  });
+});
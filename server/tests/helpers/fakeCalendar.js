@@ -0,0 +1,216 @@
+/**
+ * Calendario Google in memoria per i test: sostituisce il client
+ * google.calendar con un'implementazione delle API usate dal servizio
+ * (events, calendarList, settings, freebusy)
+ */
+
+const { google } = require('googleapis');
+
+// Calendari dell'utente di prova
+const DEFAULT_CALENDARS = [
+  { id: 'primary', summary: 'Personale', primary: true, accessRole: 'owner' },
+  { id: 'lavoro@group.calendar.google.com', summary: 'Lavoro', accessRole: 'owner' },
+  { id: 'famiglia@group.calendar.google.com', summary: 'Famiglia', accessRole: 'writer' }
+];
+
+/**
+ * Crea un errore nel formato delle API Google
+ * @param {Number} code - Codice HTTP
+ * @param {String} message - Messaggio dell'errore
+ * @returns {Error} Errore con il codice
+ */
+const apiError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Copia profonda di un evento, per non condividere oggetti con il servizio
+ * @param {Object} event - Evento da copiare
+ * @returns {Object} Copia dell'evento
+ */
+const clone = (event) => JSON.parse(JSON.stringify(event));
+
+/**
+ * Istante di inizio o di fine di un evento (con orario o di tutto il giorno)
+ * @param {Object} time - Campo start o end dell'evento
+ * @returns {Number} Millisecondi
+ */
+const toTime = (time) => new Date(time.dateTime || time.date).getTime();
+
+/**
+ * Crea un calendario in memoria
+ * @param {Object} options - Opzioni (calendars, timeZone)
+ * @returns {Object} Calendario con gli eventi salvati, le chiamate ricevute e i metodi install/restore
+ */
+const createFakeCalendar = ({ calendars = DEFAULT_CALENDARS, timeZone = 'Europe/Rome' } = {}) => {
+  const events = new Map();
+  const calls = [];
+  let counter = 0;
+  let originalCalendar = null;
+
+  const key = (calendarId, eventId) => `${calendarId || 'primary'}/${eventId}`;
+
+  const findEvent = (calendarId, eventId) => {
+    const event = events.get(key(calendarId, eventId));
+    if (!event || event.status === 'cancelled') {
+      throw apiError(404, 'Not Found');
+    }
+    return event;
+  };
+
+  // Link Google Meet generato quando l'evento ne richiede uno
+  const applyConference = (params, event) => {
+    if (params.conferenceDataVersion === 1 && event.conferenceData && event.conferenceData.createRequest) {
+      event.hangoutLink = `https://meet.google.com/test-${event.id}`;
+      event.conferenceData = { entryPoints: [{ entryPointType: 'video', uri: event.hangoutLink }] };
+    }
+    return event;
+  };
+
+  const storeEvent = (calendarId, event) => {
+    events.set(key(calendarId, event.id), event);
+    return { data: clone(event) };
+  };
+
+  const listEvents = (calendarId, { timeMin, timeMax, q } = {}) => [...events.entries()]
+    .filter(([eventKey]) => eventKey.startsWith(`${calendarId || 'primary'}/`))
+    .map(([, event]) => event)
+    .filter(event => event.status !== 'cancelled')
+    .filter(event => !timeMin || toTime(event.end) > new Date(timeMin).getTime())
+    .filter(event => !timeMax || toTime(event.start) < new Date(timeMax).getTime())
+    .filter(event => !q || [event.summary, event.description, event.location]
+      .some(text => (text || '').toLowerCase().includes(q.toLowerCase())))
+    .sort((a, b) => toTime(a.start) - toTime(b.start));
+
+  const api = {
+    events: {
+      list: async (params) => {
+        calls.push({ method: 'events.list', params });
+        // Pagine come nelle API: il token indica il primo evento della pagina successiva
+        const offset = parseInt(params.pageToken, 10) || 0;
+        const pageSize = params.maxResults || 250;
+        const matching = listEvents(params.calendarId, params);
+        const items = matching.slice(offset, offset + pageSize);
+        const nextPageToken = offset + pageSize < matching.length ? String(offset + pageSize) : undefined;
+        return { data: { items: items.map(clone), nextPageToken } };
+      },
+      get: async (params) => {
+        calls.push({ method: 'events.get', params });
+        return { data: clone(findEvent(params.calendarId, params.eventId)) };
+      },
+      insert: async (params) => {
+        calls.push({ method: 'events.insert', params });
+        const id = params.resource.id || `evento${++counter}`;
+        const existing = events.get(key(params.calendarId, id));
+        if (existing && existing.status !== 'cancelled') {
+          throw apiError(409, 'The requested identifier already exists.');
+        }
+
+        const event = applyConference(params, {
+          ...clone(params.resource),
+          id,
+          status: params.resource.status || 'confirmed',
+          htmlLink: `https://calendar.google.com/event?eid=${id}`
+        });
+        return storeEvent(params.calendarId, event);
+      },
+      update: async (params) => {
+        calls.push({ method: 'events.update', params });
+        const existing = events.get(key(params.calendarId, params.eventId));
+        if (!existing) {
+          throw apiError(404, 'Not Found');
+        }
+
+        const event = applyConference(params, {
+          ...clone(params.resource),
+          id: params.eventId,
+          htmlLink: existing.htmlLink
+        });
+        return storeEvent(params.calendarId, event);
+      },
+      patch: async (params) => {
+        calls.push({ method: 'events.patch', params });
+        const event = { ...findEvent(params.calendarId, params.eventId), ...clone(params.resource) };
+        return storeEvent(params.calendarId, event);
+      },
+      delete: async (params) => {
+        calls.push({ method: 'events.delete', params });
+        findEvent(params.calendarId, params.eventId).status = 'cancelled';
+        return { data: '' };
+      },
+      instances: async (params) => {
+        calls.push({ method: 'events.instances', params });
+        return { data: { items: [] } };
+      }
+    },
+    calendarList: {
+      list: async () => ({ data: { items: calendars.map(clone) } })
+    },
+    settings: {
+      get: async () => ({ data: { value: timeZone } })
+    },
+    freebusy: {
+      query: async (params) => {
+        calls.push({ method: 'freebusy.query', params });
+        const { timeMin, timeMax, items } = params.resource;
+        const result = {};
+
+        items.forEach(({ id }) => {
+          result[id] = {
+            busy: listEvents(id, { timeMin, timeMax })
+              .filter(event => event.transparency !== 'transparent')
+              .map(event => ({ start: event.start.dateTime || event.start.date, end: event.end.dateTime || event.end.date }))
+          };
+        });
+
+        return { data: { calendars: result } };
+      }
+    }
+  };
+
+  return {
+    events,
+    calls,
+
+    /**
+     * Aggiunge un evento al calendario (senza registrare la chiamata)
+     * @param {Object} event - Evento nel formato delle API
+     * @param {String} calendarId - Calendario dell'evento
+     * @returns {Object} Evento salvato
+     */
+    addEvent: (event, calendarId = 'primary') => {
+      const stored = { id: `evento${++counter}`, status: 'confirmed', ...clone(event) };
+      events.set(key(calendarId, stored.id), stored);
+      return stored;
+    },
+
+    /**
+     * Eventi non eliminati di un calendario
+     * @param {String} calendarId - Calendario
+     * @returns {Array} Eventi ordinati per inizio
+     */
+    listEvents: (calendarId = 'primary') => listEvents(calendarId).map(clone),
+
+    // Svuota calendario e registro delle chiamate
+    reset: () => {
+      events.clear();
+      calls.length = 0;
+    },
+
+    // Sostituisce il client google.calendar con il calendario in memoria
+    install: () => {
+      originalCalendar = originalCalendar || google.calendar;
+      google.calendar = () => api;
+    },
+
+    // Ripristina il client originale
+    restore: () => {
+      if (originalCalendar) {
+        google.calendar = originalCalendar;
+        originalCalendar = null;
+      }
+    }
+  };
+};
+
+module.exports = {
+  createFakeCalendar
+};
@@ -0,0 +1,68 @@
+/**
+ * Server Gemini simulato per i test: risponde alle richieste generateContent
+ * con le risposte registrate per ciascun comando (tests/fixtures)
+ */
+
+const http = require('http');
+
+/**
+ * Testo del comando inviato a Gemini (ultima parte del primo messaggio dell'utente)
+ * @param {Object} payload - Corpo della richiesta generateContent
+ * @returns {String} Comando
+ */
+const getCommandText = (payload) => {
+  const parts = payload.contents[0].parts;
+  return parts[parts.length - 1].text;
+};
+
+/**
+ * Crea un server Gemini che riproduce risposte registrate
+ * @param {Array} fixtures - Registrazioni { command, responses }: una risposta per ogni
+ *                           tentativo (la seconda è la risposta alla richiesta di correzione)
+ * @returns {Object} Server con le richieste ricevute e i metodi start/stop
+ */
+const createFakeGemini = (fixtures) => {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      const command = getCommandText(payload);
+      const attempt = payload.contents.filter(content => content.role === 'model').length;
+      requests.push({ url: req.url, apiKey: req.headers['x-goog-api-key'], command, attempt, payload });
+
+      // Comandi senza registrazione: il servizio non è disponibile
+      const fixture = fixtures.find(candidate => command.startsWith(candidate.command));
+      const response = fixture && fixture.responses[attempt];
+
+      res.setHeader('Content-Type', 'application/json');
+      if (!response) {
+        res.statusCode = 503;
+        res.end(JSON.stringify({ error: { code: 503, message: 'The model is overloaded.', status: 'UNAVAILABLE' } }));
+        return;
+      }
+
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  return {
+    requests,
+
+    /**
+     * Avvia il server su una porta libera
+     * @returns {String} URL da usare come GEMINI_API_URL
+     */
+    start: () => new Promise(resolve => {
+      server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}/v1beta/models`));
+    }),
+
+    stop: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = {
+  createFakeGemini
+};
@@ -0,0 +1,80 @@
+/**
+ * Server di prova con le route del calendario: la sessione risulta già
+ * autenticata e le richieste conservano il cookie di sessione come un browser
+ */
+
+const express = require('express');
+const session = require('express-session');
+const calendarRoutes = require('../../routes/calendar');
+const eventRoutes = require('../../routes/events');
+
+// Token di una sessione autenticata (non scaduti: nessun rinnovo durante i test)
+const TEST_TOKENS = {
+  access_token: 'test-access-token',
+  refresh_token: 'test-refresh-token',
+  expiry_date: Date.now() + 24 * 60 * 60 * 1000
+};
+
+/**
+ * Avvia il server di prova su una porta libera
+ * @returns {Object} Server con i metodi createClient e stop
+ */
+const startTestServer = async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(session({ secret: 'lucalendar-test', resave: false, saveUninitialized: false }));
+
+  // Accesso già eseguito
+  app.use((req, res, next) => {
+    req.session.tokens = req.session.tokens || TEST_TOKENS;
+    next();
+  });
+
+  app.use('/api/events', eventRoutes);
+  app.use('/api', calendarRoutes);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  return {
+    /**
+     * Crea un client con una propria sessione (un utente diverso)
+     * @returns {Object} Client con i metodi post, get, patch e delete
+     */
+    createClient: () => {
+      let cookie = null;
+
+      const request = async (path, options) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+          ...options,
+          headers: { 'Content-Type': 'application/json', ...(cookie ? { Cookie: cookie } : {}) }
+        });
+
+        const setCookie = response.headers.get('set-cookie');
+        if (setCookie) {
+          cookie = setCookie.split(';')[0];
+        }
+
+        return { status: response.status, body: await response.json() };
+      };
+
+      return {
+        post: (path, body) => request(path, { method: 'POST', body: JSON.stringify(body) }),
+        get: (path, query = {}) => request(`${path}?${new URLSearchParams(query)}`, { method: 'GET' }),
+        patch: (path, body) => request(path, { method: 'PATCH', body: JSON.stringify(body) }),
+        delete: (path, query = {}) => request(`${path}?${new URLSearchParams(query)}`, { method: 'DELETE' })
+      };
+    },
+
+    stop: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
+
+module.exports = {
+  startTestServer
+};
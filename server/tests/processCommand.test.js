@@ -0,0 +1,978 @@
+/**
+ * Test end-to-end di /api/process-command: risposte di Gemini registrate
+ * (tests/fixtures/geminiResponses.json) e calendario Google in memoria
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fixtures = require('./fixtures/geminiResponses.json');
+const { createFakeGemini } = require('./helpers/fakeGemini');
+const { createFakeCalendar } = require('./helpers/fakeCalendar');
+
+const TIME_ZONE = 'Europe/Rome';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.LLM_PROVIDER = 'gemini';
+process.env.GEMINI_API_KEY = 'test-api-key';
+
+const gemini = createFakeGemini(fixtures);
+const calendar = createFakeCalendar({ timeZone: TIME_ZONE });
+
+let server;
+let client;
+let timeZoneUtils;
+let dateUtils;
+
+/**
+ * Invia un comando come farebbe il client web
+ * @param {String} command - Comando in linguaggio naturale
+ * @returns {Object} Stato HTTP e corpo della risposta
+ */
+const sendCommand = (command) => client.post('/process-command', { command, timeZone: TIME_ZONE });
+
+/**
+ * Conferma un'operazione in attesa di conferma
+ * @param {Object} result - Risultato con il token di conferma
+ * @returns {Object} Stato HTTP e corpo della risposta
+ */
+const confirm = (result) => client.post('/confirm-command', { confirmationToken: result.confirmationToken, timeZone: TIME_ZONE });
+
+/**
+ * Data di domani (AAAA-MM-GG) nel fuso orario dei test
+ * @returns {String} Data
+ */
+const tomorrow = () => dateUtils.toIsoDate(dateUtils.addDays(timeZoneUtils.nowInTimeZone(TIME_ZONE), 1));
+
+/**
+ * Data e orario di inizio e fine di un evento nel fuso orario dei test
+ * @param {Object} event - Evento nel formato delle API
+ * @returns {Object} Inizio e fine { date, time }
+ */
+const eventTimes = (event) => ({
+  start: timeZoneUtils.formatZonedDateTime(event.start.dateTime, TIME_ZONE),
+  end: timeZoneUtils.formatZonedDateTime(event.end.dateTime, TIME_ZONE)
+});
+
+/**
+ * Aggiunge al calendario una riunione di un'ora domani
+ * @param {String} startTime - Orario di inizio (HH:MM)
+ * @param {String} summary - Titolo della riunione
+ * @returns {Object} Evento salvato
+ */
+const addMeetingTomorrow = (startTime = '15:00', summary = 'Riunione con Mario') => {
+  const start = timeZoneUtils.fromZonedTime(new Date(`${tomorrow()}T${startTime}:00`), TIME_ZONE);
+  return calendar.addEvent({
+    summary,
+    start: { dateTime: start.toISOString(), timeZone: TIME_ZONE },
+    end: { dateTime: new Date(start.getTime() + 60 * 60 * 1000).toISOString(), timeZone: TIME_ZONE }
+  });
+};
+
+/**
+ * Aggiunge al calendario un evento di un'ora alle 10, a qualche giorno da oggi
+ * @param {Number} days - Giorni da oggi (negativi per un evento passato)
+ * @param {String} summary - Titolo dell'evento
+ * @param {Object} fields - Altri campi dell'evento (attendees, location, description)
+ * @returns {Object} Evento salvato
+ */
+const addEventInDays = (days, summary, fields = {}) => {
+  const day = dateUtils.toIsoDate(dateUtils.addDays(timeZoneUtils.nowInTimeZone(TIME_ZONE), days));
+  const start = timeZoneUtils.fromZonedTime(new Date(`${day}T10:00:00`), TIME_ZONE);
+  return calendar.addEvent({
+    summary,
+    ...fields,
+    start: { dateTime: start.toISOString(), timeZone: TIME_ZONE },
+    end: { dateTime: new Date(start.getTime() + 60 * 60 * 1000).toISOString(), timeZone: TIME_ZONE }
+  });
+};
+
+/**
+ * Richieste ricevute dal server Gemini simulato per un comando
+ * @param {String} command - Comando
+ * @returns {Array} Richieste
+ */
+const geminiRequestsFor = (command) => gemini.requests.filter(request => request.command.startsWith(command));
+
+before(async () => {
+  process.env.GEMINI_API_URL = await gemini.start();
+  calendar.install();
+
+  // I moduli leggono la configurazione al caricamento
+  timeZoneUtils = require('../utils/timeZoneUtils');
+  dateUtils = require('../utils/dateUtils');
+  const { createMemoryProvider } = require('../services/contactProviders/memoryProvider');
+  require('../services/contactService').setAddressBook(createMemoryProvider([
+    { name: 'Mario Rossi', email: 'mario.rossi@example.org', aliases: [] },
+    { name: 'Luca Bianchi', email: 'luca.bianchi@example.org', aliases: [] },
+    { name: 'Luca Verdi', email: 'luca.verdi@example.org', aliases: [] }
+  ]));
+
+  const { startTestServer } = require('./helpers/testServer');
+  server = await startTestServer();
+});
+
+after(async () => {
+  calendar.restore();
+  await server.stop();
+  await gemini.stop();
+});
+
+beforeEach(() => {
+  calendar.reset();
+  client = server.createClient();
+});
+
+describe('CREATE_EVENT', () => {
+  it('crea l\'evento interpretato da Gemini con i partecipanti della rubrica', async () => {
+    const { status, body } = await sendCommand('Crea una riunione con Mario domani alle 15');
+
+    assert.equal(status, 200);
+    assert.equal(body.result.success, true);
+
+    const [event] = calendar.listEvents();
+    assert.equal(event.summary, 'Riunione con Mario');
+    assert.deepEqual(eventTimes(event), {
+      start: { date: tomorrow(), time: '15:00' },
+      end: { date: tomorrow(), time: '16:00' }
+    });
+    assert.deepEqual(event.attendees.map(attendee => attendee.email), ['mario.rossi@example.org']);
+  });
+
+  it('invia a Gemini il comando con lo schema di output strutturato', async () => {
+    await sendCommand('Crea una riunione con Mario domani alle 15');
+
+    const [request] = geminiRequestsFor('Crea una riunione con Mario domani alle 15');
+    assert.equal(request.url, '/v1beta/models/gemini-2.0-flash:generateContent');
+    assert.equal(request.apiKey, 'test-api-key');
+    assert.equal(request.payload.generationConfig.responseMimeType, 'application/json');
+    assert.ok(request.payload.generationConfig.responseSchema.properties.action);
+  });
+
+  it('chiede a Gemini di correggere una risposta non conforme allo schema', async () => {
+    gemini.requests.length = 0;
+    const { body } = await sendCommand('Crea la cena di compleanno domani alle 20');
+
+    const requests = geminiRequestsFor('Crea la cena di compleanno domani alle 20');
+    assert.equal(requests.length, 2);
+    assert.match(requests[1].payload.contents[2].parts[0].text, /parameters\.startTime: formato non valido "20"/);
+
+    assert.equal(body.result.success, true);
+    const [event] = calendar.listEvents();
+    assert.equal(event.summary, 'Cena di compleanno');
+    assert.deepEqual(eventTimes(event).start, { date: tomorrow(), time: '20:00' });
+  });
+
+  it('propone le date possibili quando giorno della settimana e data non coincidono', async () => {
+    const { status, body } = await sendCommand('Fissa la visita medica lunedì 3 novembre alle 10');
+
+    assert.equal(status, 200);
+    assert.equal(body.result.ambiguousDate, true);
+    assert.match(body.result.message, /^Data ambigua "lunedì 3 novembre"/);
+    assert.equal(body.result.dateChoices.candidates.length, 2);
+    assert.deepEqual(calendar.listEvents(), []);
+
+    const [chosen] = body.result.dateChoices.candidates;
+    const { body: created } = await confirm(chosen);
+
+    assert.equal(created.result.success, true);
+    assert.deepEqual(eventTimes(calendar.listEvents()[0]).start, { date: chosen.date, time: '10:00' });
+  });
+
+  it('sospende un comando composto sulla data ambigua e lo riprende con la data scelta', async () => {
+    const { body } = await sendCommand('Fissa la visita medica lunedì 3 novembre alle 10; Crea una riunione con Mario domani alle 15');
+
+    assert.equal(body.result.ambiguousDate, true);
+    assert.equal(body.result.dateChoices.candidates.length, 2);
+    assert.deepEqual(body.result.steps.map(step => !!step.pending), [false, true]);
+    assert.deepEqual(calendar.listEvents(), []);
+
+    const [chosen] = body.result.dateChoices.candidates;
+    const { body: resumed } = await confirm(chosen);
+
+    assert.equal(resumed.result.message, 'Eseguiti 2 passi su 2');
+    assert.deepEqual(calendar.listEvents().map(event => [event.summary, eventTimes(event).start.date]), [
+      ['Riunione con Mario', tomorrow()],
+      ['Visita medica', chosen.date]
+    ]);
+  });
+
+  it('ricorda il contatto scelto tra più omonimi solo per l\'utente che l\'ha scelto', async () => {
+    const other = server.createClient();
+    const command = { command: 'Crea una call con Luca domani alle 11', timeZone: TIME_ZONE };
+
+    const { body: choice } = await client.post('/process-command', command);
+    assert.deepEqual(choice.result.contactChoices.candidates.map(candidate => candidate.email),
+      ['luca.bianchi@example.org', 'luca.verdi@example.org']);
+    await confirm(choice.result.contactChoices.candidates[1]);
+    assert.equal(calendar.listEvents()[0].attendees[0].email, 'luca.verdi@example.org');
+    calendar.reset();
+
+    // Lo stesso utente non deve scegliere di nuovo
+    const { body: again } = await client.post('/process-command', command);
+    assert.equal(again.result.success, true);
+    assert.equal(calendar.listEvents()[0].attendees[0].email, 'luca.verdi@example.org');
+    calendar.reset();
+
+    // Un altro utente sceglie per conto suo
+    const { body: otherChoice } = await other.post('/process-command', command);
+    assert.equal(otherChoice.result.contactChoices.candidates.length, 2);
+    assert.deepEqual(calendar.listEvents(), []);
+  });
+});
+
+describe('VIEW_EVENTS', () => {
+  it('elenca gli eventi del giorno richiesto', async () => {
+    addMeetingTomorrow();
+
+    const { status, body } = await sendCommand('Mostra gli eventi di domani');
+
+    assert.equal(status, 200);
+    assert.equal(body.result.success, true);
+    assert.deepEqual(body.result.events.map(event => event.title), ['Riunione con Mario']);
+  });
+
+  it('elenca tutti gli eventi del filtro, oltre i 10 dell\'elenco di un giorno', async () => {
+    for (let hour = 8; hour < 20; hour++) {
+      addMeetingTomorrow(`${String(hour).padStart(2, '0')}:00`, `Riunione con Mario ${hour}`);
+    }
+    addMeetingTomorrow('20:00', 'Riunione team');
+
+    const { body } = await sendCommand('Mostrami tutte le riunioni con Mario di domani');
+
+    assert.equal(body.result.success, true);
+    assert.equal(body.result.message, 'Trovati 12 eventi');
+    assert.equal(body.result.events.length, 12);
+  });
+});
+
+describe('UPDATE_EVENT', () => {
+  it('sposta l\'evento individuato per titolo dopo la conferma', async () => {
+    const meeting = addMeetingTomorrow();
+
+    const { body: preview } = await sendCommand('Sposta la riunione con Mario alle 16');
+    assert.equal(preview.result.requiresConfirmation, true);
+    assert.deepEqual(eventTimes(calendar.listEvents()[0]).start, { date: tomorrow(), time: '15:00' });
+
+    const { body } = await confirm(preview.result);
+
+    assert.equal(body.result.success, true);
+    const [event] = calendar.listEvents();
+    assert.equal(event.id, meeting.id);
+    assert.deepEqual(eventTimes(event), {
+      start: { date: tomorrow(), time: '16:00' },
+      end: { date: tomorrow(), time: '17:00' }
+    });
+  });
+});
+
+describe('Eventi ambigui', () => {
+  it('propone i candidati e sposta quello scelto scrivendo "la seconda"', async () => {
+    addMeetingTomorrow('09:00', 'Riunione budget');
+    const teamMeeting = addMeetingTomorrow('11:00', 'Riunione team');
+
+    const { body: choice } = await sendCommand('Sposta la riunione alle 17');
+
+    assert.equal(choice.result.needsDisambiguation, true);
+    assert.deepEqual(choice.result.candidates.map(candidate => candidate.title), ['Riunione budget', 'Riunione team']);
+    assert.ok(choice.result.candidates.every(candidate => candidate.score > 0 && candidate.confirmationToken));
+
+    gemini.requests.length = 0;
+    const { body } = await sendCommand('la seconda');
+
+    assert.equal(body.result.success, true);
+    assert.equal(gemini.requests.length, 0);
+    const moved = calendar.listEvents().find(event => event.id === teamMeeting.id);
+    assert.equal(moved.summary, 'Riunione team');
+    assert.deepEqual(eventTimes(moved).start, { date: tomorrow(), time: '17:00' });
+  });
+
+  it('mostra l\'anteprima da confermare prima di eliminare l\'evento scelto', async () => {
+    addMeetingTomorrow('09:00', 'Riunione budget');
+    const teamMeeting = addMeetingTomorrow('11:00', 'Riunione team');
+
+    const { body: choice } = await sendCommand('Elimina la riunione');
+    assert.equal(choice.result.needsDisambiguation, true);
+
+    const { body: preview } = await sendCommand('la seconda');
+
+    assert.equal(preview.result.requiresConfirmation, true);
+    assert.deepEqual(preview.result.plan.events.map(event => event.id), [teamMeeting.id]);
+    assert.equal(calendar.listEvents().length, 2);
+
+    const { body } = await confirm(preview.result);
+
+    assert.equal(body.result.success, true);
+    assert.deepEqual(calendar.listEvents().map(event => event.summary), ['Riunione budget']);
+  });
+
+  it('accetta un solo candidato per scelta', async () => {
+    addMeetingTomorrow('09:00', 'Riunione budget');
+    addMeetingTomorrow('11:00', 'Riunione team');
+
+    const { body: choice } = await sendCommand('Sposta la riunione alle 17');
+    const [first, second] = choice.result.candidates;
+
+    const { body } = await confirm(first);
+    assert.equal(body.result.success, true);
+
+    const { status } = await confirm(second);
+    assert.equal(status, 404);
+    assert.deepEqual(calendar.listEvents().map(event => eventTimes(event).start.time), ['11:00', '17:00']);
+  });
+
+  it('non modifica né elimina un candidato scelto a caso quando il titolo è ambiguo', async () => {
+    const calendarService = require('../services/calendarService');
+    addMeetingTomorrow('09:00', 'Riunione budget');
+    addMeetingTomorrow('11:00', 'Riunione team');
+
+    const update = await calendarService.updateEvent({}, { title: 'riunione', startTime: '17:00', timeZone: TIME_ZONE });
+    const removal = await calendarService.deleteEvent({}, { title: 'riunione' });
+
+    for (const result of [update, removal]) {
+      assert.equal(result.success, false);
+      assert.deepEqual(result.candidates.map(candidate => candidate.title), ['Riunione budget', 'Riunione team']);
+    }
+    assert.deepEqual(calendar.listEvents().map(event => eventTimes(event).start.time), ['09:00', '11:00']);
+  });
+
+  it('riprende i passi successivi di un comando composto dopo la scelta dell\'evento', async () => {
+    addMeetingTomorrow('09:00', 'Riunione budget');
+    const teamMeeting = addMeetingTomorrow('11:00', 'Riunione team');
+
+    const { body: choice } = await sendCommand('Sposta la riunione alle 17; Crea una riunione con Mario domani alle 15');
+
+    assert.equal(choice.result.needsDisambiguation, true);
+    assert.deepEqual(choice.result.steps.map(step => !!step.pending), [false, true]);
+
+    const { body } = await sendCommand('la seconda');
+
+    assert.equal(body.result.success, true);
+    assert.equal(body.result.message, 'Eseguiti 2 passi su 2');
+    assert.deepEqual(eventTimes(calendar.listEvents().find(event => event.id === teamMeeting.id)).start, { date: tomorrow(), time: '17:00' });
+    assert.ok(calendar.listEvents().some(event => event.summary === 'Riunione con Mario'));
+  });
+});
+
+describe('DELETE_EVENT', () => {
+  it('elimina l\'evento solo dopo la conferma', async () => {
+    addMeetingTomorrow();
+
+    const { body: preview } = await sendCommand('Elimina la riunione con Mario');
+    assert.equal(preview.result.requiresConfirmation, true);
+    assert.equal(calendar.listEvents().length, 1);
+
+    const { body } = await confirm(preview.result);
+
+    assert.equal(body.result.success, true);
+    assert.deepEqual(calendar.listEvents(), []);
+  });
+
+  it('elimina gli eventi di una data anche dopo aver citato un evento', async () => {
+    addMeetingTomorrow('10:00', 'Dentista');
+    await sendCommand('Crea una riunione con Mario domani alle 15');
+    assert.equal(calendar.listEvents().length, 2);
+
+    const { body: preview } = await sendCommand('Cancella gli eventi di domani');
+    assert.equal(preview.result.requiresConfirmation, true);
+
+    const { body } = await confirm(preview.result);
+
+    assert.equal(body.result.success, true);
+    assert.deepEqual(calendar.listEvents(), []);
+  });
+});
+
+describe('Operazioni multiple', () => {
+  it('elimina gli eventi del filtro con una sola conferma e li ripristina con l\'annullamento', async () => {
+    addMeetingTomorrow('10:00', 'Riunione con Mario');
+    const budget = addMeetingTomorrow('11:00', 'Riunione budget');
+    calendar.events.get(`primary/${budget.id}`).attendees = [{ email: 'mario.rossi@example.org' }];
+    addMeetingTomorrow('12:00', 'Riunione team');
+    addMeetingTomorrow('13:00', 'Pranzo con Mario');
+
+    const { body: preview } = await sendCommand('Cancella tutte le riunioni con Mario di domani');
+
+    assert.equal(preview.result.requiresConfirmation, true);
+    assert.equal(preview.result.message, 'Verranno eliminati 2 eventi. Confermi?');
+    assert.deepEqual(preview.result.plan.events.map(event => event.title), ['Riunione con Mario', 'Riunione budget']);
+
+    const { body } = await confirm(preview.result);
+
+    assert.equal(body.result.success, true);
+    assert.equal(body.result.message, 'Eliminati 2 eventi');
+    assert.deepEqual(body.result.results.map(result => [result.title, result.success]), [['Riunione con Mario', true], ['Riunione budget', true]]);
+    assert.deepEqual(calendar.listEvents().map(event => event.summary), ['Riunione team', 'Pranzo con Mario']);
+
+    const { body: undo } = await client.post('/undo', {});
+    assert.equal(undo.result.message, 'Annullata l\'ultima operazione: eliminazione di 2 eventi');
+    assert.equal(calendar.listEvents().length, 4);
+  });
+
+  it('sposta tutti gli eventi di un giorno mantenendo gli orari', async () => {
+    addMeetingTomorrow('09:30', 'Stand-up');
+    addMeetingTomorrow('15:00', 'Revisione');
+
+    const { body: preview } = await sendCommand('Sposta tutti gli eventi di domani a dopodomani');
+
+    assert.equal(preview.result.message, 'Verranno modificati 2 eventi. Confermi?');
+    assert.equal(preview.result.plan.changes.length, 2);
+
+    const { body } = await confirm(preview.result);
+
+    assert.equal(body.result.success, true);
+    const dayAfterTomorrow = dateUtils.toIsoDate(dateUtils.addDays(timeZoneUtils.nowInTimeZone(TIME_ZONE), 2));
+    assert.deepEqual(calendar.listEvents().map(event => eventTimes(event).start), [
+      { date: dayAfterTomorrow, time: '09:30' },
+      { date: dayAfterTomorrow, time: '15:00' }
+    ]);
+  });
+
+  it('aggiunge il partecipante a ogni evento del filtro mantenendo gli invitati', async () => {
+    const callX = addMeetingTomorrow('10:00', 'Call progetto X');
+    calendar.events.get(`primary/${callX.id}`).attendees = [{ email: 'anna@example.org' }];
+    addMeetingTomorrow('11:00', 'Call progetto Y');
+
+    const { body: preview } = await sendCommand('Aggiungi Mario a tutte le call del progetto X');
+    assert.deepEqual(preview.result.plan.changes[0].attendees, ['anna@example.org', 'mario.rossi@example.org']);
+
+    const { body } = await confirm(preview.result);
+
+    assert.equal(body.result.success, true);
+    const [updatedX, callY] = calendar.listEvents();
+    assert.deepEqual(updatedX.attendees.map(attendee => attendee.email), ['anna@example.org', 'mario.rossi@example.org']);
+    assert.equal(callY.attendees, undefined);
+  });
+
+  it('chiede quale contatto si intende prima dell\'anteprima da confermare', async () => {
+    addMeetingTomorrow('10:00', 'Call progetto X');
+
+    const { body: choice } = await sendCommand('Aggiungi Luca a tutte le call del progetto X');
+
+    assert.equal(choice.result.requiresConfirmation, undefined);
+    assert.deepEqual(choice.result.contactChoices.candidates.map(candidate => candidate.email), ['luca.bianchi@example.org', 'luca.verdi@example.org']);
+
+    const { body: preview } = await confirm(choice.result.contactChoices.candidates[1]);
+
+    assert.equal(preview.result.requiresConfirmation, true);
+    assert.deepEqual(preview.result.plan.changes[0].attendees, ['luca.verdi@example.org']);
+    assert.equal(calendar.listEvents()[0].attendees, undefined);
+
+    const { body } = await confirm(preview.result);
+
+    assert.equal(body.result.success, true);
+    assert.deepEqual(calendar.listEvents()[0].attendees.map(attendee => attendee.email), ['luca.verdi@example.org']);
+  });
+
+  it('segue le pagine dell\'API e segnala l\'anteprima incompleta oltre i 2500 eventi', async () => {
+    for (let i = 0; i < 300; i++) {
+      addMeetingTomorrow('10:00', `Riunione ${i}`);
+    }
+
+    const { body: preview } = await sendCommand('Cancella gli eventi di domani');
+
+    assert.equal(preview.result.message, 'Verranno eliminati 300 eventi. Confermi?');
+    assert.equal(preview.result.plan.truncated, undefined);
+    assert.ok(calendar.calls.some(call => call.method === 'events.list' && call.params.pageToken));
+
+    for (let i = 300; i < 2600; i++) {
+      addMeetingTomorrow('10:00', `Riunione ${i}`);
+    }
+
+    const { body: truncated } = await sendCommand('Cancella gli eventi di domani');
+
+    assert.equal(truncated.result.plan.truncated, true);
+    assert.equal(truncated.result.plan.events.length, 2500);
+    assert.match(truncated.result.message, /^Verranno eliminati 2500 eventi \(esaminati solo i primi eventi del periodo/);
+  });
+
+  it('riporta l\'esito di ogni evento quando alcuni non si possono elaborare', async () => {
+    addMeetingTomorrow('10:00', 'Riunione con Mario');
+    const removed = addMeetingTomorrow('11:00', 'Riunione con Mario e Anna');
+
+    const { body: preview } = await sendCommand('Cancella tutte le riunioni con Mario di domani');
+    calendar.events.get(`primary/${removed.id}`).status = 'cancelled';
+
+    const { body } = await confirm(preview.result);
+
+    assert.equal(body.result.success, false);
+    assert.equal(body.result.message, 'Eliminati 1 eventi su 2: 1 non elaborati');
+    assert.deepEqual(body.result.results.map(result => [result.eventId, result.success]), [[preview.result.plan.events[0].id, true], [removed.id, false]]);
+  });
+});
+
+describe('FIND_SLOT', () => {
+  it('propone gli slot liberi escludendo gli impegni del calendario', async () => {
+    const meeting = addMeetingTomorrow('14:00');
+
+    const { body } = await sendCommand('Trovami un\'ora libera domani pomeriggio');
+
+    assert.equal(body.result.success, true);
+    assert.ok(body.result.slots.length > 0);
+
+    body.result.slots.forEach(slot => {
+      assert.equal(timeZoneUtils.formatZonedDateTime(slot.start, TIME_ZONE).date, tomorrow());
+      assert.ok(new Date(slot.end) <= new Date(meeting.start.dateTime) || new Date(slot.start) >= new Date(meeting.end.dateTime));
+    });
+  });
+
+  it('propone il numero di slot richiesto', async () => {
+    const { body } = await sendCommand('Trovami 2 slot liberi di mezz\'ora domani');
+
+    assert.equal(body.result.success, true);
+    assert.equal(body.result.slots.length, 2);
+    assert.equal(geminiRequestsFor('Trovami 2 slot liberi').length, 1);
+  });
+});
+
+describe('QUERY', () => {
+  it('risponde con il tempo libero al netto degli impegni e gli eventi considerati', async () => {
+    addMeetingTomorrow('14:00');
+
+    const { status, body } = await sendCommand('Quanto tempo libero ho domani pomeriggio?');
+
+    assert.equal(status, 200);
+    assert.equal(body.result.success, true);
+    assert.equal(body.result.queryType, 'FREE_TIME');
+    assert.equal(body.result.minutes, 180);
+    assert.equal(body.result.message, 'Domani hai 3 ore di tempo libero nel pomeriggio');
+    assert.deepEqual(body.result.events.map(event => event.title), ['Riunione con Mario']);
+  });
+});
+
+describe('SEARCH_EVENTS', () => {
+  it('cerca negli eventi passati dell\'orizzonte indicato e li ordina per pertinenza', async () => {
+    addEventInDays(-100, 'Riunione di progetto', { attendees: [{ email: 'mario.rossi@example.org' }] });
+    addEventInDays(-3, 'Riunione con Mario');
+    addEventInDays(-10, 'Pranzo con Mario');
+    addEventInDays(-200, 'Riunione con Mario');
+    addEventInDays(1, 'Riunione con Mario');
+
+    const { body } = await sendCommand('Cerca le riunioni con Mario negli ultimi 6 mesi');
+
+    assert.equal(body.result.success, true);
+    assert.equal(body.result.total, 2);
+    assert.equal(body.result.nextPageToken, null);
+    assert.deepEqual(body.result.events.map(event => event.title), ['Riunione con Mario', 'Riunione di progetto']);
+    assert.ok(body.result.events[0].relevance > body.result.events[1].relevance);
+  });
+
+  it('restituisce i risultati di GET /api/events/search una pagina alla volta', async () => {
+    [-40, -5, 2, 20, 90].forEach(days => addEventInDays(days, 'Call progetto X', { location: 'Sala Verde' }));
+    addEventInDays(3, 'Call progetto Y', { location: 'Sala Verde' });
+
+    const seen = [];
+    let pageToken = '';
+    do {
+      const { status, body } = await client.get('/events/search', { q: 'call progetto x', location: 'sala verde', maxResults: 2, pageToken });
+
+      assert.equal(status, 200);
+      assert.equal(body.result.total, 5);
+      assert.ok(body.result.events.length <= 2);
+      seen.push(...body.result.events.map(event => event.id));
+      pageToken = body.result.nextPageToken;
+    } while (pageToken);
+
+    assert.equal(new Set(seen).size, 5);
+  });
+
+  it('segue le pagine dell\'API del calendario', async () => {
+    for (let days = 1; days <= 260; days++) {
+      addEventInDays(-days, days === 255 ? 'Cena di gala' : 'Allenamento');
+    }
+
+    const { body } = await client.get('/events/search', { q: 'cena' });
+
+    assert.deepEqual(body.result.events.map(event => event.title), ['Cena di gala']);
+    assert.ok(calendar.calls.some(call => call.method === 'events.list' && call.params.pageToken));
+  });
+
+  it('esamina al massimo 2500 eventi e segnala la ricerca incompleta', async () => {
+    for (let i = 0; i < 2600; i++) {
+      addEventInDays(-1 - (i % 300), 'Allenamento');
+    }
+
+    const { body } = await client.get('/events/search', { q: 'allenamento' });
+    const listCalls = calendar.calls.filter(call => call.method === 'events.list');
+
+    assert.equal(body.result.truncated, true);
+    assert.equal(body.result.total, 2500);
+    assert.match(body.result.message, /esaminati solo i primi 2500 eventi/);
+    assert.equal(listCalls.reduce((sum, call) => sum + call.params.maxResults, 0), 2500);
+  });
+
+  it('rifiuta le ricerche senza criteri o con un token di pagina non valido', async () => {
+    assert.equal((await client.get('/events/search', {})).status, 400);
+    assert.equal((await client.get('/events/search', { q: 'call', pageToken: 'non-valido' })).status, 400);
+  });
+});
+
+describe('API REST degli eventi', () => {
+  /**
+   * Istante ISO di un orario di domani nel fuso orario dei test
+   * @param {String} time - Orario (HH:MM)
+   * @returns {String} Data e ora ISO
+   */
+  const tomorrowAt = (time) => timeZoneUtils.fromZonedTime(new Date(`${tomorrow()}T${time}:00`), TIME_ZONE).toISOString();
+
+  it('crea un evento da orari ISO e lo restituisce con GET /api/events/:eventId', async () => {
+    const { status, body } = await client.post('/events', {
+      title: 'Revisione budget',
+      start: tomorrowAt('15:00'),
+      end: tomorrowAt('16:30'),
+      attendees: ['mario.rossi@example.org'],
+      location: 'Sala Verde'
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.result.event.title, 'Revisione budget');
+    assert.equal(body.result.event.start, tomorrowAt('15:00'));
+    assert.equal(body.result.event.end, tomorrowAt('16:30'));
+    assert.deepEqual(body.result.event.attendees, ['mario.rossi@example.org']);
+    assert.equal(body.result.journal, undefined);
+
+    const fetched = await client.get(`/events/${body.result.eventId}`);
+    assert.equal(fetched.status, 200);
+    assert.deepEqual(fetched.body.result.event, body.result.event);
+  });
+
+  it('crea eventi di tutto il giorno con la fine esclusa, come nelle API', async () => {
+    const start = tomorrow();
+    const end = dateUtils.toIsoDate(dateUtils.addDays(dateUtils.parseDateFromText(start), 3));
+
+    const { status, body } = await client.post('/events', { title: 'Ferie', start, end });
+
+    assert.equal(status, 201);
+    assert.deepEqual(calendar.listEvents()[0].start, { date: start });
+    assert.deepEqual(calendar.listEvents()[0].end, { date: end });
+    assert.equal(body.result.event.allDay, true);
+  });
+
+  it('rifiuta i corpi non validi indicando i campi', async () => {
+    const invalid = async (request) => {
+      const { status, body } = await request;
+      assert.equal(status, 400);
+      return body.details.map(detail => detail.path);
+    };
+
+    assert.deepEqual(await invalid(client.post('/events', { start: tomorrowAt('15:00') })), ['body.title']);
+    assert.deepEqual(await invalid(client.post('/events', { title: 'Call', start: `${tomorrow()} 15:00` })), ['body.start']);
+    assert.deepEqual(await invalid(client.post('/events', { title: 'Call', start: tomorrowAt('15:00'), end: tomorrowAt('14:00') })), ['body.end']);
+    assert.deepEqual(await invalid(client.post('/events', { title: 'Call', start: tomorrowAt('15:00'), colore: 'rosso' })), ['body.colore']);
+    assert.deepEqual(await invalid(client.patch('/events/qualsiasi', { end: tomorrowAt('16:00') })), ['body.start']);
+    assert.deepEqual(await invalid(client.get('/events', { timeMin: 'domani' })), ['query.timeMin']);
+    assert.equal(calendar.listEvents().length, 0);
+  });
+
+  it('modifica un evento mantenendo la durata e la modifica si annulla con /api/undo', async () => {
+    const meeting = addMeetingTomorrow('15:00');
+
+    const { status, body } = await client.patch(`/events/${meeting.id}`, { start: tomorrowAt('17:00'), title: 'Riunione spostata' });
+
+    assert.equal(status, 200);
+    assert.equal(body.result.event.title, 'Riunione spostata');
+    assert.deepEqual(eventTimes(calendar.listEvents()[0]), {
+      start: { date: tomorrow(), time: '17:00' },
+      end: { date: tomorrow(), time: '18:00' }
+    });
+
+    await client.post('/undo', {});
+    assert.equal(calendar.listEvents()[0].summary, 'Riunione con Mario');
+    assert.equal(eventTimes(calendar.listEvents()[0]).start.time, '15:00');
+  });
+
+  it('crea e modifica eventi con orario su più giorni senza accorciarli', async () => {
+    const inDaysAt = (days, time) => {
+      const day = dateUtils.toIsoDate(dateUtils.addDays(timeZoneUtils.nowInTimeZone(TIME_ZONE), days));
+      return timeZoneUtils.fromZonedTime(new Date(`${day}T${time}:00`), TIME_ZONE).toISOString();
+    };
+
+    const { body: created } = await client.post('/events', { title: 'Convegno', start: inDaysAt(1, '10:00'), end: inDaysAt(3, '12:00') });
+
+    assert.equal(created.result.event.end, inDaysAt(3, '12:00'));
+
+    const { status } = await client.patch(`/events/${created.result.eventId}`, { start: inDaysAt(2, '09:00'), end: inDaysAt(4, '18:00') });
+
+    assert.equal(status, 200);
+    assert.equal(calendar.listEvents()[0].start.dateTime, inDaysAt(2, '09:00'));
+    assert.equal(calendar.listEvents()[0].end.dateTime, inDaysAt(4, '18:00'));
+  });
+
+  it('usa il fuso della modifica solo per l\'evento, senza cambiare quello della sessione', async () => {
+    const meeting = addMeetingTomorrow('10:00', 'Call con New York');
+    await sendCommand('Mostra gli eventi di domani');
+
+    const { status } = await client.patch(`/events/${meeting.id}`, { start: tomorrowAt('17:00'), timeZone: 'America/New_York' });
+
+    assert.equal(status, 200);
+    assert.equal(calendar.listEvents()[0].start.timeZone, 'America/New_York');
+
+    const { body } = await client.post('/process-command', { command: 'Crea una riunione con Mario domani alle 15' });
+
+    assert.equal(body.result.success, true);
+    const created = calendar.listEvents().find(event => event.summary === 'Riunione con Mario');
+    assert.deepEqual(eventTimes(created).start, { date: tomorrow(), time: '15:00' });
+    assert.equal(created.start.timeZone, TIME_ZONE);
+  });
+
+  it('risponde 409 alle sovrapposizioni, salvo con force', async () => {
+    addMeetingTomorrow('15:00');
+
+    const request = { title: 'Call con Luca', start: tomorrowAt('15:30') };
+    const { status, body } = await client.post('/events', request);
+
+    assert.equal(status, 409);
+    assert.equal(body.conflicts.length, 1);
+    assert.equal(calendar.listEvents().length, 1);
+
+    assert.equal((await client.post('/events', { ...request, force: true })).status, 201);
+    assert.equal(calendar.listEvents().length, 2);
+  });
+
+  it('elimina un evento e risponde 404 agli eventi inesistenti', async () => {
+    const meeting = addMeetingTomorrow('15:00');
+
+    const { status, body } = await client.delete(`/events/${meeting.id}`);
+
+    assert.equal(status, 200);
+    assert.equal(body.result.success, true);
+    assert.equal(calendar.listEvents().length, 0);
+    assert.equal((await client.get(`/events/${meeting.id}`)).status, 404);
+    assert.equal((await client.patch(`/events/${meeting.id}`, { title: 'Nuovo titolo' })).status, 404);
+    assert.equal((await client.delete(`/events/${meeting.id}`)).status, 404);
+  });
+
+  it('risponde 404, non 409 né 200, se l\'evento sparisce durante la modifica', async () => {
+    const { google } = require('googleapis');
+    const api = google.calendar();
+    const meeting = addMeetingTomorrow('15:00');
+    const { update, delete: remove } = api.events;
+    const gone = async () => {
+      throw Object.assign(new Error('Resource has been deleted'), { code: 410 });
+    };
+    api.events.update = gone;
+    api.events.delete = gone;
+
+    try {
+      const patched = await client.patch(`/events/${meeting.id}`, { title: 'Nuovo titolo' });
+      const deleted = await client.delete(`/events/${meeting.id}`);
+
+      assert.deepEqual([patched.status, patched.body.error], [404, 'Evento non trovato']);
+      assert.deepEqual([deleted.status, deleted.body.error], [404, 'Evento non trovato']);
+    } finally {
+      Object.assign(api.events, { update, delete: remove });
+    }
+  });
+
+  it('elenca gli eventi tra timeMin e timeMax', async () => {
+    addMeetingTomorrow('09:00', 'Colazione di lavoro');
+    addMeetingTomorrow('15:00');
+    addEventInDays(5, 'Dentista');
+
+    const { status, body } = await client.get('/events', { timeMin: tomorrowAt('08:00'), timeMax: tomorrowAt('20:00') });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.result.events.map(event => event.title), ['Colazione di lavoro', 'Riunione con Mario']);
+  });
+
+  it('elenca gli eventi di tutti i calendari nel periodo della griglia', async () => {
+    addMeetingTomorrow('15:00');
+    calendar.addEvent({
+      summary: 'Stand-up',
+      start: { dateTime: tomorrowAt('11:00'), timeZone: TIME_ZONE },
+      end: { dateTime: tomorrowAt('11:15'), timeZone: TIME_ZONE }
+    }, 'lavoro@group.calendar.google.com');
+
+    const { body } = await client.get('/events', {
+      timeMin: timeZoneUtils.fromZonedTime(new Date(`${tomorrow()}T00:00:00`), TIME_ZONE).toISOString(),
+      timeMax: tomorrowAt('23:59'),
+      calendar: 'tutti',
+      maxResults: 2500
+    });
+
+    assert.deepEqual(body.result.events.map(event => [event.title, event.calendar]), [
+      ['Stand-up', 'Lavoro'],
+      ['Riunione con Mario', 'Personale']
+    ]);
+  });
+});
+
+describe('Serie ricorrenti', () => {
+  /**
+   * Data (AAAA-MM-GG) a qualche giorno da oggi nel fuso orario dei test
+   * @param {Number} days - Giorni da oggi
+   * @returns {String} Data
+   */
+  const dayIn = (days) => dateUtils.toIsoDate(dateUtils.addDays(timeZoneUtils.nowInTimeZone(TIME_ZONE), days));
+
+  /**
+   * Aggiunge una serie settimanale di tutto il giorno e la sua occorrenza della settimana dopo
+   * @returns {Object} Evento principale e occorrenza { master, instance }
+   */
+  const addAllDaySeries = () => {
+    const master = calendar.addEvent({
+      summary: 'Turno',
+      start: { date: dayIn(1) },
+      end: { date: dayIn(2) },
+      recurrence: ['RRULE:FREQ=WEEKLY']
+    });
+    const instance = calendar.addEvent({
+      summary: 'Turno',
+      recurringEventId: master.id,
+      originalStartTime: { date: dayIn(8) },
+      start: { date: dayIn(8) },
+      end: { date: dayIn(9) }
+    });
+    return { master, instance };
+  };
+
+  it('sposta una serie di tutto il giorno (ALL) mantenendo le date', async () => {
+    const { master, instance } = addAllDaySeries();
+
+    const { status } = await client.patch(`/events/${instance.id}`, { start: dayIn(9), recurrenceScope: 'ALL' });
+
+    assert.equal(status, 200);
+    const updated = calendar.listEvents().find(event => event.id === master.id);
+    assert.deepEqual(updated.start, { date: dayIn(2) });
+    assert.deepEqual(updated.end, { date: dayIn(3) });
+  });
+
+  it('divide una serie di tutto il giorno (FOLLOWING) senza renderla con orario', async () => {
+    const { master, instance } = addAllDaySeries();
+
+    const { status } = await client.patch(`/events/${instance.id}`, { title: 'Turno festivo', recurrenceScope: 'FOLLOWING' });
+
+    assert.equal(status, 200);
+    const following = calendar.listEvents().find(event => event.summary === 'Turno festivo' && event.recurrence);
+    assert.deepEqual(following.start, { date: dayIn(8) });
+    assert.deepEqual(following.end, { date: dayIn(9) });
+    assert.equal(calendar.listEvents().find(event => event.id === master.id).recurrence[0], `RRULE:FREQ=WEEKLY;UNTIL=${dayIn(7).replace(/-/g, '')}`);
+  });
+
+  it('applica a tutta la serie luogo, colore, promemoria, visibilità, disponibilità e Meet', async () => {
+    const start = timeZoneUtils.fromZonedTime(new Date(`${dayIn(1)}T09:00:00`), TIME_ZONE);
+    const times = {
+      start: { dateTime: start.toISOString(), timeZone: TIME_ZONE },
+      end: { dateTime: new Date(start.getTime() + 15 * 60 * 1000).toISOString(), timeZone: TIME_ZONE }
+    };
+    const master = calendar.addEvent({ summary: 'Stand-up', ...times, recurrence: ['RRULE:FREQ=DAILY'] });
+    const instance = calendar.addEvent({ summary: 'Stand-up', ...times, recurringEventId: master.id, originalStartTime: times.start });
+
+    const { status } = await client.patch(`/events/${instance.id}`, {
+      location: 'Sala Verde',
+      colorId: '5',
+      visibility: 'private',
+      transparency: 'transparent',
+      reminders: [{ method: 'popup', minutes: 10 }],
+      conference: true,
+      recurrenceScope: 'ALL'
+    });
+
+    assert.equal(status, 200);
+    const updated = calendar.listEvents().find(event => event.id === master.id);
+    assert.equal(updated.location, 'Sala Verde');
+    assert.equal(updated.colorId, '5');
+    assert.equal(updated.visibility, 'private');
+    assert.equal(updated.transparency, 'transparent');
+    assert.deepEqual(updated.reminders, { useDefault: false, overrides: [{ method: 'popup', minutes: 10 }] });
+    assert.ok(updated.hangoutLink);
+    assert.equal(eventTimes(updated).start.time, '09:00');
+  });
+});
+
+describe('Annullamento', () => {
+  it('annulla una creazione anche se l\'evento è già stato eliminato altrove', async () => {
+    const { body: created } = await sendCommand('Crea una riunione con Mario domani alle 15');
+    calendar.events.get(`primary/${created.result.eventId}`).status = 'cancelled';
+
+    const { status, body } = await client.post('/undo', {});
+
+    assert.equal(status, 200);
+    assert.equal(body.result.success, true);
+    assert.equal((await client.post('/undo', {})).body.result.message, 'Nessuna operazione da annullare');
+  });
+
+  it('prosegue dopo un errore e conserva nello storico solo le modifiche non annullate', async () => {
+    const { google } = require('googleapis');
+    const api = google.calendar();
+    const standUp = addMeetingTomorrow('09:30', 'Stand-up');
+    addMeetingTomorrow('15:00', 'Revisione');
+
+    const { body: preview } = await sendCommand('Sposta tutti gli eventi di domani a dopodomani');
+    await confirm(preview.result);
+
+    // Il ripristino dello stand-up non riesce
+    const update = api.events.update;
+    api.events.update = async (params) => {
+      if (params.eventId === standUp.id) {
+        throw Object.assign(new Error('Backend Error'), { code: 500 });
+      }
+      return update(params);
+    };
+
+    try {
+      const { body } = await client.post('/undo', {});
+
+      assert.equal(body.result.success, false);
+      assert.deepEqual(body.result.results.map(result => [result.title, result.error]), [['Stand-up', 'Backend Error']]);
+      const startDay = (summary) => eventTimes(calendar.listEvents().find(event => event.summary === summary)).start.date;
+      assert.equal(startDay('Revisione'), tomorrow());
+      assert.notEqual(startDay('Stand-up'), tomorrow());
+    } finally {
+      api.events.update = update;
+    }
+
+    const { body: retry } = await client.post('/undo', {});
+    assert.equal(retry.result.success, true);
+    assert.deepEqual(calendar.listEvents().map(event => eventTimes(event).start), [
+      { date: tomorrow(), time: '09:30' },
+      { date: tomorrow(), time: '15:00' }
+    ]);
+  });
+});
+
+describe('Scorciatoie del preprocessore', () => {
+  it('annulla l\'ultima operazione senza interpellare Gemini', async () => {
+    await sendCommand('Crea una riunione con Mario domani alle 15');
+    assert.equal(calendar.listEvents().length, 1);
+    gemini.requests.length = 0;
+
+    const { body } = await sendCommand('annulla');
+
+    assert.equal(body.result.success, true);
+    assert.deepEqual(calendar.listEvents(), []);
+    assert.equal(gemini.requests.length, 0);
+  });
+
+  it('chiede conferma prima di eliminare tutti gli eventi del giorno', async () => {
+    addMeetingTomorrow('10:00');
+    addMeetingTomorrow('15:00');
+    gemini.requests.length = 0;
+
+    const { body: preview } = await sendCommand('Elimina tutti gli eventi per domani');
+
+    assert.equal(preview.result.requiresConfirmation, true);
+    assert.equal(gemini.requests.length, 0);
+    assert.equal(calendar.listEvents().length, 2);
+
+    const { body } = await confirm(preview.result);
+
+    assert.equal(body.result.success, true);
+    assert.deepEqual(calendar.listEvents(), []);
+  });
+});
+
+describe('Parser locale di fallback', () => {
+  it('interpreta il comando quando Gemini non è disponibile', async () => {
+    const { status, body } = await sendCommand('Crea il corso di inglese dopodomani alle 9 per due ore');
+
+    assert.equal(status, 200);
+    assert.equal(body.result.success, true);
+    assert.equal(geminiRequestsFor('Crea il corso di inglese').length, 1);
+
+    const [event] = calendar.listEvents();
+    const { start, end } = eventTimes(event);
+    assert.equal(start.date, dateUtils.toIsoDate(dateUtils.addDays(timeZoneUtils.nowInTimeZone(TIME_ZONE), 2)));
+    assert.equal(new Date(event.end.dateTime) - new Date(event.start.dateTime), 2 * 60 * 60 * 1000);
+    assert.notEqual(start.time, end.time);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Test del riconoscimento delle domande sul calendario e delle risposte
+ * in italiano (utils/queryUtils), con data di riferimento mercoledì 14 ottobre 2026
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const queryUtils = require('../utils/queryUtils');
+
+const TIME_ZONE = 'Europe/Rome';
+const TODAY = new Date(2026, 9, 14, 10, 30);
+const OPTIONS = { timeZone: TIME_ZONE, today: TODAY };
+
+describe('parseQueryFromText', () => {
+  // Domanda → tipo e argomento riconosciuti
+  const QUERY_CASES = [
+    ['quando ho il dentista?', { queryType: 'NEXT_OCCURRENCE', query: 'dentista' }],
+    ['quando è la prossima riunione con mario?', { queryType: 'NEXT_OCCURRENCE', query: 'riunione con mario' }],
+    ['quando ho la palestra la prossima settimana', { queryType: 'NEXT_OCCURRENCE', query: 'palestra' }],
+    ['quanto tempo libero ho domani?', { queryType: 'FREE_TIME' }],
+    ['quante ore libere ho questa settimana?', { queryType: 'FREE_TIME' }],
+    ['quante ore di riunioni ho questa settimana?', { queryType: 'BUSY_TIME', query: 'riunione' }],
+    ['quanto sono occupato domani?', { queryType: 'BUSY_TIME' }],
+    ['qual è il primo momento libero di un\'ora?', { queryType: 'FIRST_FREE_SLOT' }],
+    ['sono libero giovedì alle 15?', { queryType: 'IS_FREE' }],
+    ['ho impegni domani alle 10?', { queryType: 'IS_FREE' }]
+  ];
+
+  QUERY_CASES.forEach(([text, expected]) => {
+    it(`"${text}" → ${expected.queryType}`, () => {
+      assert.deepEqual(queryUtils.parseQueryFromText(text), expected);
+    });
+  });
+
+  it('ignora i comandi che non sono domande sul calendario', () => {
+    assert.equal(queryUtils.parseQueryFromText('crea una riunione domani alle 15'), null);
+    assert.equal(queryUtils.parseQueryFromText('trovami un\'ora libera giovedì'), null);
+    assert.equal(queryUtils.parseQueryFromText('quando sono libero domani?'), null);
+  });
+});
+
+describe('normalizeQueryType', () => {
+  it('accetta i tipi in inglese e in italiano', () => {
+    assert.equal(queryUtils.normalizeQueryType('free_time'), 'FREE_TIME');
+    assert.equal(queryUtils.normalizeQueryType('tempo libero'), 'FREE_TIME');
+    assert.equal(queryUtils.normalizeQueryType('disponibile'), 'IS_FREE');
+    assert.equal(queryUtils.normalizeQueryType('MEETINGS'), null);
+  });
+});
+
+describe('formatMinutes', () => {
+  it('descrive ore e minuti', () => {
+    assert.equal(queryUtils.formatMinutes(45), '45 minuti');
+    assert.equal(queryUtils.formatMinutes(60), '1 ora');
+    assert.equal(queryUtils.formatMinutes(150), '2 ore e 30 minuti');
+    assert.equal(queryUtils.formatMinutes(0), '0 minuti');
+  });
+});
+
+describe('describePeriod', () => {
+  it('descrive periodi con nome, giorni e intervalli', () => {
+    assert.equal(queryUtils.describePeriod({ start: TODAY, end: TODAY, period: 'next_week' }, TODAY), 'la prossima settimana');
+    assert.equal(queryUtils.describePeriod({ start: new Date(2026, 9, 15), end: new Date(2026, 9, 15) }, TODAY), 'domani');
+    assert.equal(
+      queryUtils.describePeriod({ start: new Date(2026, 10, 3), end: new Date(2026, 10, 10) }, TODAY),
+      'dal martedì 3 novembre al martedì 10 novembre'
+    );
+  });
+});
+
+describe('risposte', () => {
+  const meeting = {
+    title: 'Dentista',
+    start: '2026-10-16T08:00:00.000Z',
+    end: '2026-10-16T09:00:00.000Z',
+    allDay: false
+  };
+
+  it('indica giorno e orario del prossimo evento nel fuso dell\'utente', () => {
+    assert.equal(queryUtils.describeNextOccurrence('dentista', meeting, OPTIONS), '"Dentista" è venerdì 16 ottobre alle 10:00');
+    assert.equal(
+      queryUtils.describeNextOccurrence('palestra', null, OPTIONS),
+      'Non ho trovato "palestra" nel calendario nei prossimi 12 mesi'
+    );
+  });
+
+  it('somma il tempo occupato e libero', () => {
+    assert.equal(
+      queryUtils.describeBusyTime(150, 3, { period: 'questa settimana', query: 'riunione' }),
+      'Questa settimana hai 2 ore e 30 minuti di "riunione" (3 eventi)'
+    );
+    assert.equal(queryUtils.describeBusyTime(0, 0, { period: 'domani' }), 'Domani non hai impegni');
+    assert.equal(
+      queryUtils.describeFreeTime(300, { period: 'domani', scope: 'nell\'orario di lavoro' }),
+      'Domani hai 5 ore di tempo libero nell\'orario di lavoro'
+    );
+  });
+
+  it('indica il primo momento libero', () => {
+    const gap = { start: new Date('2026-10-15T12:00:00Z'), end: new Date('2026-10-15T14:00:00Z') };
+    assert.equal(
+      queryUtils.describeFirstFreeSlot(gap, { ...OPTIONS, period: 'questa settimana', duration: 60 }),
+      'Il primo momento libero di almeno 1 ora è domani dalle 14:00 alle 16:00'
+    );
+    assert.equal(
+      queryUtils.describeFirstFreeSlot(null, { ...OPTIONS, period: 'domani' }),
+      'Domani non hai momenti liberi'
+    );
+  });
+
+  it('risponde sulla disponibilità citando l\'impegno in conflitto', () => {
+    const interval = { start: new Date(meeting.start), end: new Date(meeting.end) };
+    assert.equal(queryUtils.describeAvailability(interval, [], OPTIONS), 'Sì, venerdì 16 ottobre dalle 10:00 alle 11:00 sei libero');
+    assert.equal(
+      queryUtils.describeAvailability(interval, [meeting], OPTIONS),
+      'No, venerdì 16 ottobre dalle 10:00 alle 11:00 hai "Dentista" (10:00-11:00)'
+    );
+  });
+});
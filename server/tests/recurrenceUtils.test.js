@@ -0,0 +1,110 @@
+/**
+ * Test degli eventi ricorrenti (utils/recurrenceUtils): riconoscimento nel comando,
+ * regole RRULE e modifiche alle serie
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const recurrenceUtils = require('../utils/recurrenceUtils');
+
+describe('parseRecurrenceFromText', () => {
+  const RECURRENCE_CASES = [
+    ['riunione ogni lunedì e mercoledì alle 10', { frequency: 'WEEKLY', byDay: ['MO', 'WE'] }],
+    ['stand-up nei giorni feriali', { frequency: 'WEEKLY', byDay: ['MO', 'TU', 'WE', 'TH', 'FR'] }],
+    ['palestra ogni due settimane per 10 volte', { frequency: 'WEEKLY', interval: 2, count: 10 }],
+    ['pillola tutti i giorni fino al 20 dicembre', { frequency: 'DAILY', until: '20 dicembre' }],
+    ['pillola tutti i giorni fino all\'8 dicembre', { frequency: 'DAILY', until: '8 dicembre' }],
+    ['corso ogni lunedì fino alla fine di dicembre', { frequency: 'WEEKLY', byDay: ['MO'], until: 'fine di dicembre' }],
+    ['palestra ogni martedì fino a venerdì', { frequency: 'WEEKLY', byDay: ['TU'], until: 'venerdì' }],
+    ['affitto ogni mese', { frequency: 'MONTHLY' }]
+  ];
+
+  RECURRENCE_CASES.forEach(([text, expected]) => {
+    it(`"${text}"`, () => {
+      assert.deepEqual(recurrenceUtils.parseRecurrenceFromText(text), expected);
+    });
+  });
+
+  it('ignora i testi senza ricorrenza', () => {
+    assert.equal(recurrenceUtils.parseRecurrenceFromText('riunione domani alle 10'), null);
+  });
+});
+
+describe('normalizeRecurrence', () => {
+  it('accetta campi in italiano e scarta i giorni non validi', () => {
+    assert.deepEqual(
+      recurrenceUtils.normalizeRecurrence({ frequenza: 'settimanale', giorni: ['lunedì', 'festivo'], intervallo: '2' }),
+      { frequency: 'WEEKLY', interval: 2, byDay: ['MO'] }
+    );
+  });
+
+  it('accetta le regole RRULE e rifiuta le frequenze non valide', () => {
+    assert.deepEqual(recurrenceUtils.normalizeRecurrence('FREQ=DAILY;COUNT=3'), { rrule: 'RRULE:FREQ=DAILY;COUNT=3' });
+    assert.equal(recurrenceUtils.normalizeRecurrence({ frequency: 'HOURLY' }), null);
+  });
+});
+
+describe('buildRRule', () => {
+  it('costruisce la regola con intervallo, giorni e occorrenze', () => {
+    assert.equal(
+      recurrenceUtils.buildRRule({ frequency: 'WEEKLY', interval: 2, byDay: ['MO'], count: 5 }),
+      'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO;COUNT=5'
+    );
+  });
+
+  it('termina la serie alla fine del giorno indicato, nel fuso dell\'utente', () => {
+    const rule = recurrenceUtils.buildRRule(
+      { frequency: 'DAILY', until: new Date('2026-12-20T12:00:00Z') },
+      new Date('2026-10-19T08:00:00Z'),
+      'Europe/Rome'
+    );
+
+    assert.equal(rule, 'RRULE:FREQ=DAILY;UNTIL=20261220T225959Z');
+  });
+});
+
+describe('truncateRecurrence', () => {
+  it('termina una serie con orario un secondo prima dell\'occorrenza esclusa', () => {
+    assert.deepEqual(
+      recurrenceUtils.truncateRecurrence(['RRULE:FREQ=DAILY;COUNT=10', 'EXDATE:20261021T080000Z'], new Date('2026-10-20T08:00:00Z')),
+      ['RRULE:FREQ=DAILY;UNTIL=20261020T075959Z', 'EXDATE:20261021T080000Z']
+    );
+  });
+
+  it('termina una serie di tutto il giorno con una data, il giorno prima dell\'occorrenza esclusa', () => {
+    assert.deepEqual(
+      recurrenceUtils.truncateRecurrence(['RRULE:FREQ=WEEKLY;UNTIL=20261231'], new Date('2026-10-27'), true),
+      ['RRULE:FREQ=WEEKLY;UNTIL=20261026']
+    );
+  });
+});
+
+describe('modifiche alle serie', () => {
+  it('riduce le occorrenze della continuazione di una serie divisa', () => {
+    assert.deepEqual(recurrenceUtils.continueRecurrence(['RRULE:FREQ=WEEKLY;COUNT=10'], 4), ['RRULE:FREQ=WEEKLY;COUNT=6']);
+    assert.deepEqual(recurrenceUtils.continueRecurrence(['RRULE:FREQ=WEEKLY;COUNT=10'], 12), ['RRULE:FREQ=WEEKLY;COUNT=1']);
+  });
+
+  it('sposta i giorni BYDAY mantenendo i prefissi ordinali', () => {
+    assert.deepEqual(recurrenceUtils.shiftRecurrenceWeekdays(['RRULE:FREQ=MONTHLY;BYDAY=1MO'], 1), ['RRULE:FREQ=MONTHLY;BYDAY=1TU']);
+    assert.deepEqual(recurrenceUtils.shiftRecurrenceWeekdays(['RRULE:FREQ=WEEKLY;BYDAY=MO,FR'], -1), ['RRULE:FREQ=WEEKLY;BYDAY=SU,TH']);
+    assert.deepEqual(recurrenceUtils.shiftRecurrenceWeekdays(['RRULE:FREQ=WEEKLY;BYDAY=MO'], 7), ['RRULE:FREQ=WEEKLY;BYDAY=MO']);
+  });
+
+  it('porta l\'inizio al primo giorno compatibile con la ricorrenza', () => {
+    const wednesday = new Date(2026, 9, 21, 10, 0);
+
+    assert.deepEqual(recurrenceUtils.alignDateToRecurrence(wednesday, { frequency: 'WEEKLY', byDay: ['MO'] }), new Date(2026, 9, 26, 10, 0));
+    assert.equal(recurrenceUtils.alignDateToRecurrence(wednesday, { frequency: 'DAILY' }), wednesday);
+  });
+});
+
+describe('ambito della modifica', () => {
+  it('riconosce l\'ambito nel testo e nei valori dell\'API', () => {
+    assert.equal(recurrenceUtils.parseRecurrenceScope('sposta questa e le successive alle 11'), 'FOLLOWING');
+    assert.equal(recurrenceUtils.parseRecurrenceScope('cancella tutta la serie'), 'ALL');
+    assert.equal(recurrenceUtils.parseRecurrenceScope('solo questa volta'), 'THIS');
+    assert.equal(recurrenceUtils.normalizeRecurrenceScope('all'), 'ALL');
+    assert.equal(recurrenceUtils.normalizeRecurrenceScope('sposta la riunione'), null);
+  });
+});
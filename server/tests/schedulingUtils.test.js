@@ -0,0 +1,149 @@
+/**
+ * Test della ricerca di intervalli liberi (utils/schedulingUtils): durate e fasce
+ * nei comandi, intervalli di ricerca, slot proposti e intervalli liberi
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const schedulingUtils = require('../utils/schedulingUtils');
+
+// Lunedì 19 ottobre 2026 (ora "da parete")
+const MONDAY = new Date(2026, 9, 19);
+
+/**
+ * Orario di lunedì 19 ottobre 2026
+ * @param {Number} hours - Ore
+ * @param {Number} minutes - Minuti
+ * @returns {Date} Data
+ */
+const at = (hours, minutes = 0) => new Date(2026, 9, 19, hours, minutes);
+
+/**
+ * Intervallo di lunedì 19 ottobre 2026 tra due orari HH:MM
+ * @param {String} start - Inizio
+ * @param {String} end - Fine
+ * @returns {Object} Intervallo { start, end }
+ */
+const interval = (start, end) => {
+  const [startHours, startMinutes] = start.split(':').map(Number);
+  const [endHours, endMinutes] = end.split(':').map(Number);
+  return { start: at(startHours, startMinutes), end: at(endHours, endMinutes) };
+};
+
+describe('parseDurationFromText', () => {
+  const DURATION_CASES = [
+    ['un\'ora libera', 60],
+    ['mezz\'ora', 30],
+    ['un\'ora e mezza', 90],
+    ['due ore e mezza', 150],
+    ['1,5 ore', 90],
+    ['45 minuti', 45]
+  ];
+
+  DURATION_CASES.forEach(([text, expected]) => {
+    it(`"${text}"`, () => {
+      assert.equal(schedulingUtils.parseDurationFromText(text), expected);
+    });
+  });
+
+  it('ignora i testi senza durata', () => {
+    assert.equal(schedulingUtils.parseDurationFromText('giovedì pomeriggio'), null);
+  });
+});
+
+describe('fasce della giornata', () => {
+  it('normalizza le fasce in italiano e in inglese', () => {
+    assert.equal(schedulingUtils.normalizeTimeOfDay('pomeriggio'), 'AFTERNOON');
+    assert.equal(schedulingUtils.normalizeTimeOfDay('evening'), 'EVENING');
+    assert.equal(schedulingUtils.normalizeTimeOfDay('notte'), null);
+  });
+
+  it('riconosce la fascia nel testo', () => {
+    assert.equal(schedulingUtils.parseTimeOfDayFromText('trovami un\'ora giovedì mattina'), 'MORNING');
+    assert.equal(schedulingUtils.parseTimeOfDayFromText('in serata'), 'EVENING');
+    assert.equal(schedulingUtils.parseTimeOfDayFromText('domani'), null);
+  });
+});
+
+describe('buildSearchWindows', () => {
+  it('usa l\'orario di lavoro dei soli giorni lavorativi nelle ricerche su più giorni', () => {
+    const windows = schedulingUtils.buildSearchWindows(MONDAY, 7);
+
+    assert.equal(windows.length, 5);
+    assert.deepEqual(windows[0], interval(schedulingUtils.WORKING_HOURS.start, schedulingUtils.WORKING_HOURS.end));
+  });
+
+  it('accetta un giorno festivo indicato esplicitamente', () => {
+    const sunday = new Date(2026, 9, 18);
+
+    assert.equal(schedulingUtils.buildSearchWindows(sunday, 1).length, 1);
+    assert.equal(schedulingUtils.buildSearchWindows(sunday, 2).length, 1);
+  });
+
+  it('limita la ricerca alla fascia richiesta e non propone orari passati', () => {
+    assert.deepEqual(schedulingUtils.buildSearchWindows(MONDAY, 1, { timeOfDay: 'AFTERNOON' }), [interval('14:00', '18:00')]);
+    assert.deepEqual(schedulingUtils.buildSearchWindows(MONDAY, 1, { timeOfDay: 'AFTERNOON', now: at(15, 10) }), [interval('15:30', '18:00')]);
+    assert.deepEqual(schedulingUtils.buildSearchWindows(MONDAY, 1, { now: at(19) }), []);
+  });
+
+  it('preferisce gli orari espliciti alla fascia', () => {
+    assert.deepEqual(schedulingUtils.buildSearchWindows(MONDAY, 1, { timeOfDay: 'MORNING', earliestTime: '10:00', latestTime: '11:00' }), [interval('10:00', '11:00')]);
+  });
+});
+
+describe('findFreeSlots', () => {
+  it('propone prima gli slot distanti dagli impegni, senza sovrapposizioni tra loro', () => {
+    const slots = schedulingUtils.findFreeSlots([interval('09:00', '13:00')], [interval('10:00', '11:00')], 60);
+
+    assert.deepEqual(slots, [
+      { ...interval('11:30', '12:30'), buffered: true },
+      { ...interval('09:00', '10:00'), buffered: false }
+    ]);
+  });
+
+  it('rispetta il numero massimo di slot', () => {
+    assert.equal(schedulingUtils.findFreeSlots([interval('09:00', '18:00')], [], 30, 3).length, 3);
+  });
+
+  it('non trova slot in un intervallo occupato', () => {
+    assert.deepEqual(schedulingUtils.findFreeSlots([interval('09:00', '10:00')], [interval('08:00', '12:00')], 30), []);
+  });
+});
+
+describe('findNextFreeSlot', () => {
+  it('trova il primo intervallo libero dopo gli impegni', () => {
+    assert.deepEqual(
+      schedulingUtils.findNextFreeSlot(interval('09:00', '13:00'), [interval('09:00', '10:30')], 60),
+      interval('10:30', '11:30')
+    );
+  });
+
+  it('restituisce null se l\'intervallo è tutto occupato', () => {
+    assert.equal(schedulingUtils.findNextFreeSlot(interval('09:00', '10:00'), [interval('09:00', '10:00')], 60), null);
+  });
+});
+
+describe('intervalli liberi', () => {
+  it('unisce gli impegni sovrapposti o contigui e scarta quelli vuoti', () => {
+    const merged = schedulingUtils.mergeIntervals([
+      interval('14:00', '15:00'),
+      interval('09:00', '10:00'),
+      interval('09:30', '11:00'),
+      interval('11:00', '12:00'),
+      interval('16:00', '16:00')
+    ]);
+
+    assert.deepEqual(merged, [interval('09:00', '12:00'), interval('14:00', '15:00')]);
+  });
+
+  it('calcola gli intervalli liberi e la loro durata', () => {
+    const gaps = schedulingUtils.findFreeGaps([interval('09:00', '18:00')], [
+      interval('10:00', '11:00'),
+      interval('10:30', '12:00'),
+      interval('17:00', '19:00')
+    ]);
+
+    assert.deepEqual(gaps, [interval('09:00', '10:00'), interval('12:00', '17:00')]);
+    assert.equal(schedulingUtils.sumMinutes(gaps), 360);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Test della ricerca di eventi (utils/searchUtils): riconoscimento nel comando,
+ * criteri, pertinenza dei risultati e token di pagina
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const searchUtils = require('../utils/searchUtils');
+
+const NOW = new Date('2026-10-18T10:00:00Z');
+
+/**
+ * Evento di prova nel formato delle API
+ * @param {String} summary - Titolo
+ * @param {String} start - Inizio (ISO)
+ * @param {Object} fields - Altri campi (attendees, location, description)
+ * @returns {Object} Evento
+ */
+const event = (summary, start, fields = {}) => ({ summary, start: { dateTime: start }, end: { dateTime: start }, ...fields });
+
+describe('parseSearchFromText', () => {
+  // Comando → criteri della ricerca
+  const SEARCH_CASES = [
+    ['Cerca le riunioni con Mario a Milano negli ultimi 6 mesi', {
+      pastDays: 180, futureDays: 0, location: 'Milano', attendees: ['Mario'], query: 'riunione'
+    }],
+    ['cerca gli eventi presso la sede di Milano', { location: 'sede di Milano' }],
+    ['trova la riunione del progetto X', { query: 'riunione progetto X' }],
+    ['cerca gli appuntamenti dal dentista passati', { futureDays: 0, query: 'dentista' }],
+    ['cerca le call che parlano di budget a novembre', { period: 'a novembre', description: 'budget', query: 'call' }],
+    ['cerca gli eventi con Anna e Luca nel calendario Lavoro', { attendees: ['Anna', 'Luca'] }],
+    ['cerca le riunioni di venerdì in Sala Verde', { date: 'venerdì', location: 'Sala Verde', query: 'riunione' }]
+  ];
+
+  SEARCH_CASES.forEach(([text, expected]) => {
+    it(`"${text}"`, () => {
+      assert.deepEqual(searchUtils.parseSearchFromText(text), expected);
+    });
+  });
+
+  it('ignora i comandi che non sono ricerche di eventi', () => {
+    assert.equal(searchUtils.parseSearchFromText('trovami un\'ora libera giovedì'), null);
+    assert.equal(searchUtils.parseSearchFromText('cerca uno slot libero domani'), null);
+    assert.equal(searchUtils.parseSearchFromText('mostra gli eventi di domani'), null);
+  });
+});
+
+describe('normalizeSearch', () => {
+  it('riconduce i partecipanti a un elenco e limita l\'orizzonte', () => {
+    assert.deepEqual(
+      searchUtils.normalizeSearch({ query: ' call ', attendees: 'Mario, Luca', pastDays: '30', futureDays: -5, location: '' }),
+      { attendees: ['Mario', 'Luca'], query: 'call', pastDays: 30, futureDays: 0 }
+    );
+    assert.equal(searchUtils.normalizeSearch({ pastDays: 100000 }).pastDays, searchUtils.MAX_HORIZON_DAYS);
+  });
+
+  it('riconosce le ricerche senza criteri', () => {
+    assert.equal(searchUtils.hasCriteria(searchUtils.normalizeSearch({ pastDays: 30, calendar: 'Lavoro' })), false);
+    assert.equal(searchUtils.hasCriteria(searchUtils.normalizeSearch({ attendees: ['Mario'] })), true);
+    assert.equal(searchUtils.hasCriteria(searchUtils.normalizeSearch({ period: 'next_week' })), true);
+  });
+});
+
+describe('matchesSearch', () => {
+  const search = (criteria) => searchUtils.normalizeSearch(criteria);
+  const budget = event('Riunione di progetto', '2026-10-20T09:00:00Z', {
+    description: 'Revisione del budget trimestrale',
+    location: 'Sede di Milano, Sala Verde',
+    attendees: [{ email: 'mario.rossi@example.org' }]
+  });
+
+  it('cerca ogni parola in titolo, descrizione, luogo e invitati', () => {
+    assert.equal(searchUtils.matchesSearch(budget, search({ query: 'riunioni budget' })), true);
+    assert.equal(searchUtils.matchesSearch(budget, search({ query: 'milano mario' })), true);
+    assert.equal(searchUtils.matchesSearch(budget, search({ query: 'riunione marketing' })), false);
+  });
+
+  it('applica partecipanti, luogo e descrizione ai rispettivi campi', () => {
+    assert.equal(searchUtils.matchesSearch(budget, search({ attendees: ['Mario'], location: 'sala verde', description: 'budget' })), true);
+    assert.equal(searchUtils.matchesSearch(budget, search({ location: 'budget' })), false);
+    assert.equal(searchUtils.matchesSearch(budget, search({ description: 'Milano' })), false);
+    assert.equal(searchUtils.matchesSearch(budget, search({ attendees: ['Luca'] })), false);
+  });
+});
+
+describe('rankResults', () => {
+  it('ordina per corrispondenza del titolo e, a parità, per vicinanza alla data corrente', () => {
+    const results = [
+      event('Pranzo', '2026-10-19T10:00:00Z', { description: 'dopo la riunione' }),
+      event('Riunione di progetto', '2026-06-01T10:00:00Z'),
+      event('Riunione', '2026-04-01T10:00:00Z'),
+      event('Riunione di progetto', '2026-10-25T10:00:00Z')
+    ].map(item => ({ event: item }));
+
+    const ranked = searchUtils.rankResults(results, searchUtils.normalizeSearch({ query: 'riunione' }), NOW);
+
+    assert.deepEqual(ranked.map(({ event: item }) => `${item.summary} ${item.start.dateTime.slice(0, 10)}`), [
+      'Riunione 2026-04-01',
+      'Riunione di progetto 2026-10-25',
+      'Riunione di progetto 2026-06-01',
+      'Pranzo 2026-10-19'
+    ]);
+  });
+});
+
+describe('Token di pagina', () => {
+  it('codifica la posizione della pagina successiva', () => {
+    assert.equal(searchUtils.decodePageToken(searchUtils.encodePageToken(40)), 40);
+    assert.equal(searchUtils.decodePageToken(undefined), 0);
+    assert.equal(searchUtils.decodePageToken('non-valido'), null);
+    assert.equal(searchUtils.decodePageToken(searchUtils.encodePageToken(-1)), null);
+  });
+});
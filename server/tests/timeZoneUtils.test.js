@@ -0,0 +1,66 @@
+/**
+ * Test del fuso orario dell'utente (utils/timeZoneUtils): conversioni tra istanti
+ * e ora "da parete", anche nei giorni del cambio dell'ora legale
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const timeZoneUtils = require('../utils/timeZoneUtils');
+
+describe('isValidTimeZone', () => {
+  it('riconosce i fusi orari IANA', () => {
+    assert.equal(timeZoneUtils.isValidTimeZone('Europe/Rome'), true);
+    assert.equal(timeZoneUtils.isValidTimeZone('Europe/Atlantide'), false);
+    assert.equal(timeZoneUtils.isValidTimeZone(''), false);
+  });
+});
+
+describe('conversioni', () => {
+  it('converte l\'ora da parete nell\'istante, con e senza ora legale', () => {
+    assert.equal(timeZoneUtils.fromZonedTime(new Date(2026, 6, 1, 15, 0), 'Europe/Rome').toISOString(), '2026-07-01T13:00:00.000Z');
+    assert.equal(timeZoneUtils.fromZonedTime(new Date(2026, 0, 15, 15, 0), 'Europe/Rome').toISOString(), '2026-01-15T14:00:00.000Z');
+    assert.equal(timeZoneUtils.fromZonedTime(new Date(2026, 2, 29, 12, 0), 'Europe/Rome').toISOString(), '2026-03-29T10:00:00.000Z');
+  });
+
+  it('converte l\'istante nell\'ora da parete', () => {
+    const zoned = timeZoneUtils.toZonedTime(new Date('2026-07-01T13:00:00Z'), 'America/New_York');
+
+    assert.deepEqual([zoned.getDate(), zoned.getHours()], [1, 9]);
+  });
+
+  it('formatta data e orario nel fuso dell\'utente', () => {
+    assert.deepEqual(timeZoneUtils.formatZonedDateTime('2026-10-18T22:30:00Z', 'Europe/Rome'), { date: '2026-10-19', time: '00:30' });
+  });
+});
+
+describe('formatZonedIsoString', () => {
+  const ISO_CASES = [
+    ['2026-07-01T13:00:00Z', 'Europe/Rome', '2026-07-01T15:00:00+02:00'],
+    ['2026-01-15T14:00:00Z', 'Europe/Rome', '2026-01-15T15:00:00+01:00'],
+    ['2026-07-01T13:00:00Z', 'America/New_York', '2026-07-01T09:00:00-04:00'],
+    ['2026-07-01T13:00:00Z', 'Asia/Kolkata', '2026-07-01T18:30:00+05:30'],
+    ['2026-10-25T00:30:00Z', 'Europe/Rome', '2026-10-25T02:30:00+02:00'],
+    ['2026-10-25T01:30:00Z', 'Europe/Rome', '2026-10-25T02:30:00+01:00']
+  ];
+
+  ISO_CASES.forEach(([instant, timeZone, expected]) => {
+    it(`${instant} in ${timeZone}`, () => {
+      assert.equal(timeZoneUtils.formatZonedIsoString(instant, timeZone), expected);
+    });
+  });
+
+  it('indica lo stesso istante formattato', () => {
+    const instant = new Date('2026-10-18T08:15:00Z');
+
+    assert.equal(new Date(timeZoneUtils.formatZonedIsoString(instant, 'Europe/Rome')).getTime(), instant.getTime());
+  });
+});
+
+describe('getDayRange', () => {
+  it('copre le 25 ore del giorno in cui finisce l\'ora legale', () => {
+    assert.deepEqual(timeZoneUtils.getDayRange(new Date(2026, 9, 25, 12, 0), 'Europe/Rome'), {
+      timeMin: '2026-10-24T22:00:00.000Z',
+      timeMax: '2026-10-25T22:59:59.999Z'
+    });
+  });
+});
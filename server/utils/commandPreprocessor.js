@@ -2,6 +2,8 @@
  * Preprocessore dei comandi prima dell'invio a Gemini
  */
 const dateUtils = require('./dateUtils');
+const eventOptionsUtils = require('./eventOptionsUtils');
+const eventFilterUtils = require('./eventFilterUtils');
 const { createLogger } = require('./logger');
 
 const logger = createLogger('command-preprocessor');
@@ -22,8 +24,13 @@ const preprocessCommand = (command) => {
     detectedEntities: {}
   };
   
-  // Rileva comandi speciali
-  if (lowerCommand === 'elimina tutto' || lowerCommand.includes('elimina tutti gli eventi')) {
+  // Rileva comandi speciali: tutti gli eventi, eventualmente di un giorno o di un periodo
+  // ("elimina tutti gli eventi con Mario" è invece un'eliminazione con filtro)
+  const selection = eventFilterUtils.parseFilterFromText(command);
+  const filter = selection && selection.filter;
+  const selectsByDateOnly = !filter || (filter.terms.length === 0 && filter.attendees.length === 0 && !filter.calendar);
+  
+  if (lowerCommand === 'elimina tutto' || (lowerCommand.includes('elimina tutti gli eventi') && selectsByDateOnly)) {
     metadata.isSpecialCommand = true;
     metadata.specialCommandType = 'DELETE_ALL';
     
@@ -31,45 +38,67 @@ const preprocessCommand = (command) => {
     metadata.directResponse = {
       action: 'DELETE_EVENT',
       parameters: {
-        deleteAll: true
+        deleteAll: true,
+        ...eventFilterUtils.getRangeParams(filter)
       }
     };
     
-    // Controlla se c'è una data specifica
-    const dateMatch = lowerCommand.match(/per (oggi|domani|questa settimana)/i);
-    if (dateMatch) {
-      metadata.directResponse.parameters.date = dateMatch[1].toLowerCase();
-    }
-    
     return { 
       command: command,
       metadata 
     };
   }
   
-  // Rileva comandi di modifica temporale
-  if (lowerCommand.includes('sposta') || 
-      lowerCommand.includes('anticipa') || 
-      lowerCommand.includes('posticipa')) {
+  // Rileva richieste di annullamento dell'ultima operazione
+  // ("annulla la riunione" resta invece un'eliminazione, gestita da Gemini)
+  if (/^(annulla|annulla l'ultima (operazione|azione|modifica)|annulla ultima (operazione|azione|modifica)|torna indietro)[.!]?$/.test(lowerCommand)) {
+    metadata.isSpecialCommand = true;
+    metadata.specialCommandType = 'UNDO';
+    metadata.directResponse = {
+      action: 'UNDO',
+      parameters: {}
+    };
     
+    return { 
+      command: command,
+      metadata 
+    };
+  }
+  
+  // Rileva orari, intervalli e durate ("alle 3 del pomeriggio", "dalle 10 alle 11:30", "per due ore");
+  // le fasce della giornata ("domani pomeriggio") restano all'interpretazione del comando
+  // e gli anticipi dei promemoria ("avvisami 30 minuti prima") non sono orari
+  const temporalCommand = eventOptionsUtils.stripReminderText(lowerCommand);
+  const timeExpression = dateUtils.parseTimeExpression(temporalCommand);
+  if (timeExpression && !timeExpression.timeOfDay) {
     metadata.hasTemporalContext = true;
     
-    // Estrai potenziale orario specifico
-    const timeMatch = lowerCommand.match(/alle (\d{1,2})[:\.]?(\d{2})?/i);
-    if (timeMatch) {
-      const hours = parseInt(timeMatch[1]);
-      const minutes = timeMatch[2] ? parseInt(timeMatch[2]) : 0;
-      metadata.detectedEntities.specificTime = `${hours}:${minutes < 10 ? '0' + minutes : minutes}`;
+    if (timeExpression.startTime) {
+      metadata.detectedEntities.specificTime = timeExpression.startTime;
+    }
+    if (timeExpression.endTime) {
+      metadata.detectedEntities.specificEndTime = timeExpression.endTime;
+    }
+    if (timeExpression.duration) {
+      metadata.detectedEntities.durationMinutes = timeExpression.duration;
     }
+  }
+  
+  // Rileva comandi di modifica temporale (una durata, "per 90 minuti", non è uno spostamento)
+  if ((lowerCommand.includes('sposta') || 
+      lowerCommand.includes('anticipa') || 
+      lowerCommand.includes('posticipa')) && !metadata.detectedEntities.durationMinutes) {
+    
+    metadata.hasTemporalContext = true;
     
     // Estrai modificatori temporali (ore, minuti)
-    const hourModMatch = lowerCommand.match(/(\d+)\s*or[ae]/i);
+    const hourModMatch = temporalCommand.match(/(\d+)\s*or[ae]/i);
     if (hourModMatch) {
       metadata.detectedEntities.hourModifier = parseInt(hourModMatch[1]);
       metadata.detectedEntities.modifier = 'hour';
     }
     
-    const minuteModMatch = lowerCommand.match(/(\d+)\s*minut[oi]/i);
+    const minuteModMatch = temporalCommand.match(/(\d+)\s*minut[oi]/i);
     if (minuteModMatch) {
       metadata.detectedEntities.minuteModifier = parseInt(minuteModMatch[1]);
       metadata.detectedEntities.modifier = 'minute';
@@ -121,13 +150,13 @@ const preprocessCommand = (command) => {
 const extractDateReferences = (text) => {
   const references = {};
   
-  // Date specifiche
+  // Date specifiche ("dopodomani" contiene "domani": va verificato per primo)
   if (text.includes('oggi')) {
     references.specificDate = 'oggi';
-  } else if (text.includes('domani')) {
-    references.specificDate = 'domani';
   } else if (text.includes('dopodomani')) {
     references.specificDate = 'dopodomani';
+  } else if (text.includes('domani')) {
+    references.specificDate = 'domani';
   }
   
   // Giorni della settimana
@@ -143,6 +172,12 @@ const extractDateReferences = (text) => {
     references.period = 'next_week';
   } else if (text.includes('questo mese')) {
     references.period = 'current_month';
+  } else if (text.includes('prossimo mese') || text.includes('mese prossimo')) {
+    references.period = 'next_month';
+  } else if (text.includes('prossimo weekend') || text.includes('weekend prossimo')) {
+    references.period = 'next_weekend';
+  } else if (text.includes('weekend') || text.includes('fine settimana')) {
+    references.period = 'weekend';
   }
   
   return references;
@@ -0,0 +1,360 @@
+/**
+ * Schema dei comandi interpretati da Gemini: azioni ammesse e parametri di
+ * ciascuna azione, validazione con il percorso preciso di ogni errore e
+ * conversione nello schema di output strutturato (responseSchema) di Gemini
+ */
+
+const eventOptionsUtils = require('./eventOptionsUtils');
+const queryUtils = require('./queryUtils');
+const searchUtils = require('./searchUtils');
+
+// Azioni riconosciute
+const ACTIONS = ['CREATE_EVENT', 'UPDATE_EVENT', 'VIEW_EVENTS', 'DELETE_EVENT', 'UNDO', 'FIND_SLOT', 'QUERY', 'SEARCH_EVENTS'];
+
+// Tipi di base (nella notazione OpenAPI usata da Gemini)
+const STRING = { type: 'STRING' };
+const BOOLEAN = { type: 'BOOLEAN' };
+const TIME = {
+  type: 'STRING',
+  description: 'Orario HH:MM a 24 ore',
+  pattern: '^([01]?\\d|2[0-3]):[0-5]\\d$'
+};
+const DAY = {
+  type: 'STRING',
+  description: 'Espressione dell\'utente ("domani", "il 15 marzo") o data AAAA-MM-GG'
+};
+const PERIOD = {
+  type: 'STRING',
+  description: 'Periodo con nome (current_week, next_week, current_month, next_month, weekend, next_weekend) o espressione ("dal 3 al 10 novembre")'
+};
+
+// Definizione di ogni parametro
+const PARAMETER_SCHEMAS = {
+  title: { type: 'STRING', description: 'Titolo dell\'evento' },
+  description: STRING,
+  date: DAY,
+  startTime: TIME,
+  endTime: TIME,
+  duration: { type: 'INTEGER', description: 'Durata in minuti', minimum: 1 },
+  attendees: { type: 'ARRAY', description: 'Nomi o indirizzi email dei partecipanti', items: STRING },
+  calendar: {
+    anyOf: [
+      { type: 'STRING', description: 'Nome del calendario, più nomi separati da virgola o "tutti"' },
+      { type: 'ARRAY', items: STRING }
+    ]
+  },
+  force: BOOLEAN,
+  allDay: BOOLEAN,
+  startDate: DAY,
+  endDate: DAY,
+  period: PERIOD,
+  maxResults: { type: 'INTEGER', minimum: 1, maximum: 250 },
+  query: STRING,
+  pastDays: { type: 'INTEGER', description: 'Giorni nel passato in cui cercare', minimum: 0, maximum: searchUtils.MAX_HORIZON_DAYS },
+  futureDays: { type: 'INTEGER', description: 'Giorni nel futuro in cui cercare', minimum: 0, maximum: searchUtils.MAX_HORIZON_DAYS },
+  queryType: {
+    type: 'STRING',
+    description: 'Tipo di domanda: prossimo evento, tempo occupato, tempo libero, primo momento libero, disponibilità in un orario',
+    enum: queryUtils.QUERY_TYPES
+  },
+  deleteAll: BOOLEAN,
+  filter: {
+    type: 'OBJECT',
+    description: 'Insieme di eventi di un\'operazione multipla ("tutte le riunioni con Mario di questo mese")',
+    properties: {
+      terms: { type: 'ARRAY', description: 'Parole che devono comparire nel titolo', items: STRING },
+      attendees: { type: 'ARRAY', description: 'Nomi dei partecipanti', items: STRING },
+      date: DAY,
+      startDate: DAY,
+      endDate: DAY,
+      period: PERIOD,
+      calendar: { type: 'STRING', description: 'Nome del calendario' }
+    }
+  },
+  timeModification: {
+    type: 'OBJECT',
+    properties: {
+      type: { type: 'STRING', enum: ['SHIFT', 'EXACT'] },
+      direction: { type: 'STRING', enum: ['FORWARD', 'BACKWARD'] },
+      amount: { type: 'INTEGER', minimum: 1 },
+      unit: { type: 'STRING', enum: ['MINUTE', 'HOUR', 'DAY'] },
+      time: TIME
+    },
+    required: ['type']
+  },
+  recurrence: {
+    type: 'OBJECT',
+    properties: {
+      frequency: { type: 'STRING', enum: ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'] },
+      interval: { type: 'INTEGER', minimum: 1 },
+      byDay: { type: 'ARRAY', items: { type: 'STRING', enum: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'] } },
+      count: { type: 'INTEGER', minimum: 1 },
+      until: DAY
+    },
+    required: ['frequency']
+  },
+  recurrenceScope: { type: 'STRING', enum: ['THIS', 'FOLLOWING', 'ALL'] },
+  timeOfDay: { type: 'STRING', enum: ['MORNING', 'AFTERNOON', 'EVENING'] },
+  earliestTime: TIME,
+  latestTime: TIME,
+  days: { type: 'INTEGER', minimum: 1, maximum: 31 },
+  slot: { type: 'INTEGER', minimum: 1 },
+  location: STRING,
+  reminders: {
+    type: 'ARRAY',
+    items: {
+      type: 'OBJECT',
+      properties: {
+        method: { type: 'STRING', enum: ['popup', 'email'] },
+        minutes: { type: 'INTEGER', minimum: 0, maximum: 40320 }
+      },
+      required: ['minutes']
+    }
+  },
+  colorId: {
+    type: 'STRING',
+    enum: [...Array.from({ length: 11 }, (_, index) => String(index + 1)), ...Object.keys(eventOptionsUtils.EVENT_COLORS)]
+  },
+  visibility: { type: 'STRING', enum: ['default', 'public', 'private', 'confidential'] },
+  transparency: { type: 'STRING', enum: ['opaque', 'transparent'] },
+  conference: BOOLEAN
+};
+
+// Opzioni di un evento valide in creazione e in modifica
+const EVENT_FIELDS = [
+  'title', 'description', 'date', 'startTime', 'endTime', 'duration', 'attendees', 'calendar', 'force',
+  'allDay', 'startDate', 'endDate', 'period', 'recurrence', 'location', 'reminders', 'colorId',
+  'visibility', 'transparency', 'conference'
+];
+
+// Parametri ammessi per ogni azione
+const ACTION_PARAMETERS = {
+  CREATE_EVENT: [...EVENT_FIELDS, 'slot'],
+  UPDATE_EVENT: [...EVENT_FIELDS, 'recurrenceScope', 'timeModification', 'filter'],
+  VIEW_EVENTS: ['title', 'date', 'startDate', 'endDate', 'period', 'maxResults', 'query', 'calendar', 'filter'],
+  DELETE_EVENT: ['title', 'date', 'startDate', 'endDate', 'period', 'deleteAll', 'recurrenceScope', 'calendar', 'filter'],
+  UNDO: [],
+  FIND_SLOT: ['title', 'date', 'duration', 'days', 'timeOfDay', 'earliestTime', 'latestTime', 'maxResults', 'calendar'],
+  QUERY: [
+    'queryType', 'query', 'date', 'startDate', 'endDate', 'period', 'startTime', 'endTime', 'duration',
+    'timeOfDay', 'calendar'
+  ],
+  SEARCH_EVENTS: [
+    'query', 'attendees', 'location', 'description', 'date', 'startDate', 'endDate', 'period',
+    'pastDays', 'futureDays', 'maxResults', 'calendar'
+  ]
+};
+
+// Nomi italiani dei tipi, per i messaggi di errore
+const TYPE_NAMES = {
+  STRING: 'una stringa',
+  INTEGER: 'un numero intero',
+  NUMBER: 'un numero',
+  BOOLEAN: 'un valore booleano',
+  ARRAY: 'un elenco',
+  OBJECT: 'un oggetto'
+};
+
+// Campi dello schema supportati dall'output strutturato di Gemini
+const RESPONSE_SCHEMA_FIELDS = ['type', 'description', 'enum', 'items', 'properties', 'required', 'nullable', 'format'];
+
+/**
+ * Verifica che un valore sia del tipo indicato dallo schema
+ * @param {*} value - Valore da verificare
+ * @param {String} type - Tipo dello schema (STRING, INTEGER, ...)
+ * @returns {Boolean} True se il tipo corrisponde
+ */
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'STRING': return typeof value === 'string';
+    case 'INTEGER': return Number.isInteger(value);
+    case 'NUMBER': return typeof value === 'number' && Number.isFinite(value);
+    case 'BOOLEAN': return typeof value === 'boolean';
+    case 'ARRAY': return Array.isArray(value);
+    case 'OBJECT': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default: return true;
+  }
+};
+
+/**
+ * Valida un valore rispetto al suo schema, accumulando gli errori
+ * @param {*} value - Valore da validare
+ * @param {Object} schema - Schema del valore
+ * @param {String} path - Percorso del valore nella risposta (es. "parameters.startTime")
+ * @param {Array} errors - Errori trovati finora
+ * @returns {Array} Errori { path, message }
+ */
+const validateValue = (value, schema, path, errors = []) => {
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(alternative => validateValue(value, alternative, path).length === 0);
+    if (!matches) {
+      errors.push({ path, message: `deve essere ${schema.anyOf.map(alternative => TYPE_NAMES[alternative.type]).join(' o ')}` });
+    }
+    return errors;
+  }
+
+  if (value === null && schema.nullable) {
+    return errors;
+  }
+
+  if (!matchesType(value, schema.type)) {
+    errors.push({ path, message: `deve essere ${TYPE_NAMES[schema.type]}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `valore "${value}" non ammesso (valori ammessi: ${schema.enum.join(', ')})` });
+  }
+
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path, message: `formato non valido "${value}"${schema.description ? ` (atteso: ${schema.description})` : ''}` });
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `deve essere almeno ${schema.minimum}` });
+  }
+
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ path, message: `deve essere al massimo ${schema.maximum}` });
+  }
+
+  if (schema.type === 'ARRAY' && schema.items) {
+    value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+  }
+
+  if (schema.type === 'OBJECT' && schema.properties) {
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push({ path: `${path}.${key}`, message: 'campo obbligatorio mancante' }));
+
+    Object.keys(value).forEach(key => {
+      if (!schema.properties[key]) {
+        errors.push({ path: `${path}.${key}`, message: 'campo non previsto' });
+      } else if (value[key] !== undefined) {
+        validateValue(value[key], schema.properties[key], `${path}.${key}`, errors);
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Verifica se un parametro è vuoto (l'output strutturato può includere campi non valorizzati)
+ * @param {*} value - Valore del parametro
+ * @returns {Boolean} True se il parametro non è valorizzato
+ */
+const isEmptyValue = (value) => {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+};
+
+/**
+ * Valida un comando interpretato: azione ammessa e parametri previsti per
+ * quell'azione, ciascuno del tipo e nel formato atteso
+ * @param {Object} command - Risposta di Gemini già convertita da JSON
+ * @returns {Array} Errori { path, message } (vuoto se il comando è valido)
+ */
+const validateCommand = (command) => {
+  if (typeof command !== 'object' || command === null || Array.isArray(command)) {
+    return [{ path: '$', message: 'la risposta deve essere un oggetto JSON' }];
+  }
+
+  const errors = [];
+
+  if (!ACTIONS.includes(command.action)) {
+    errors.push({
+      path: 'action',
+      message: command.action === undefined
+        ? 'campo obbligatorio mancante'
+        : `valore "${command.action}" non ammesso (valori ammessi: ${ACTIONS.join(', ')})`
+    });
+  }
+
+  if (command.parameters === undefined) {
+    errors.push({ path: 'parameters', message: 'campo obbligatorio mancante' });
+    return errors;
+  }
+
+  if (!matchesType(command.parameters, 'OBJECT')) {
+    errors.push({ path: 'parameters', message: `deve essere ${TYPE_NAMES.OBJECT}` });
+    return errors;
+  }
+
+  Object.keys(command).filter(key => key !== 'action' && key !== 'parameters').forEach(key => {
+    errors.push({ path: key, message: 'campo non previsto' });
+  });
+
+  const allowedParameters = ACTION_PARAMETERS[command.action] || Object.keys(PARAMETER_SCHEMAS);
+
+  Object.entries(command.parameters).forEach(([key, value]) => {
+    if (isEmptyValue(value)) return;
+
+    const path = `parameters.${key}`;
+    if (!PARAMETER_SCHEMAS[key]) {
+      errors.push({ path, message: 'parametro sconosciuto' });
+    } else if (!allowedParameters.includes(key)) {
+      errors.push({ path, message: `parametro non previsto per l'azione ${command.action}` });
+    } else {
+      validateValue(value, PARAMETER_SCHEMAS[key], path, errors);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Descrive gli errori di validazione, uno per riga
+ * @param {Array} errors - Errori { path, message }
+ * @returns {String} Elenco degli errori
+ */
+const formatValidationErrors = (errors) => {
+  return errors.map(error => `- ${error.path}: ${error.message}`).join('\n');
+};
+
+/**
+ * Converte uno schema nel sottoinsieme supportato dall'output strutturato di Gemini:
+ * le alternative (anyOf) si riducono alla prima, i vincoli non supportati restano
+ * alla validazione
+ * @param {Object} schema - Schema da convertire
+ * @returns {Object} Schema per responseSchema
+ */
+const toResponseSchema = (schema) => {
+  const source = schema.anyOf ? schema.anyOf[0] : schema;
+  const result = {};
+
+  RESPONSE_SCHEMA_FIELDS.filter(field => source[field] !== undefined).forEach(field => {
+    result[field] = source[field];
+  });
+
+  if (source.items) {
+    result.items = toResponseSchema(source.items);
+  }
+
+  if (source.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(source.properties).map(([key, value]) => [key, toResponseSchema(value)])
+    );
+  }
+
+  return result;
+};
+
+// Schema della risposta per l'output strutturato di Gemini
+const RESPONSE_SCHEMA = toResponseSchema({
+  type: 'OBJECT',
+  properties: {
+    action: { type: 'STRING', enum: ACTIONS },
+    parameters: { type: 'OBJECT', properties: PARAMETER_SCHEMAS }
+  },
+  required: ['action', 'parameters']
+});
+
+module.exports = {
+  ACTIONS,
+  ACTION_PARAMETERS,
+  PARAMETER_SCHEMAS,
+  RESPONSE_SCHEMA,
+  validateValue,
+  validateCommand,
+  formatValidationErrors
+};
@@ -2,138 +2,769 @@
  * Utility per la manipolazione delle date
  */
 
+const schedulingUtils = require('./schedulingUtils');
 const { createLogger } = require('./logger');
 const logger = createLogger('date-utils');
 
+// Giorni della settimana nell'ordine di Date.getDay()
+const WEEKDAYS = ['domenica', 'lunedì', 'martedì', 'mercoledì', 'giovedì', 'venerdì', 'sabato'];
+
+// Mesi nell'ordine di Date.getMonth()
+const MONTHS = ['gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno',
+  'luglio', 'agosto', 'settembre', 'ottobre', 'novembre', 'dicembre'];
+
+// Periodi con nome e relative espressioni (l'ordine conta: "prossimo weekend" prima di "weekend")
+const PERIOD_PATTERNS = [
+  { period: 'next_weekend', pattern: /\b(?:next_weekend|prossimo (?:weekend|fine settimana)|(?:weekend|fine settimana) prossimo)\b/ },
+  { period: 'weekend', pattern: /\b(?:weekend|fine settimana)\b/ },
+  { period: 'next_week', pattern: /\b(?:next_week|prossima settimana|settimana prossima)\b/ },
+  { period: 'current_week', pattern: /\b(?:current_week|questa settimana|settimana corrente)\b/ },
+  { period: 'next_month', pattern: /\b(?:next_month|prossimo mese|mese prossimo)\b/ },
+  { period: 'current_month', pattern: /\b(?:current_month|questo mese|mese corrente)\b/ }
+];
+
+const MONTH_PATTERN = MONTHS.join('|');
+const WEEKDAY_PATTERN = 'lunedì|lunedi|martedì|martedi|mercoledì|mercoledi|giovedì|giovedi|venerdì|venerdi|sabato|domenica';
+
+// Numeri in lettere nelle espressioni relative ("tra due settimane")
+const NUMBER_WORDS = {
+  'un': 1, 'uno': 1, 'una': 1, 'due': 2, 'tre': 3, 'quattro': 4, 'cinque': 5,
+  'sei': 6, 'sette': 7, 'otto': 8, 'nove': 9, 'dieci': 10, 'undici': 11, 'dodici': 12,
+  'tredici': 13, 'quattordici': 14, 'quindici': 15, 'sedici': 16, 'diciassette': 17,
+  'diciotto': 18, 'diciannove': 19
+};
+
+// Decine in lettere, composte con le unità ("ventuno", "trentadue", "quarantotto")
+const TENS_WORDS = {
+  'venti': 20, 'trenta': 30, 'quaranta': 40, 'cinquanta': 50,
+  'sessanta': 60, 'settanta': 70, 'ottanta': 80, 'novanta': 90
+};
+
+// Ordinali per "il primo lunedì di dicembre" (-1: l'ultimo del mese)
+const ORDINAL_WORDS = {
+  'primo': 1, 'prima': 1, 'secondo': 2, 'seconda': 2, 'terzo': 3, 'terza': 3,
+  'quarto': 4, 'quarta': 4, 'quinto': 5, 'quinta': 5, 'ultimo': -1, 'ultima': -1
+};
+
+// Giorni relativi a oggi
+const RELATIVE_DAYS = {
+  'ieri': -1, 'oggi': 0, 'stamattina': 0, 'stamani': 0, 'stasera': 0, 'stanotte': 0,
+  'domani': 1, 'dopodomani': 2
+};
+
+const DAY_NAMES = WEEKDAYS.join('|');
+
+// Ore in lettere ("alle tre", "all'una")
+const HOUR_WORDS = ['undici', 'dodici', 'quattro', 'cinque', 'sette', 'dieci', 'otto', 'nove', 'due', 'tre', 'sei', 'una', 'uno'];
+
+// Minuti in lettere ("alle tre e mezza", "alle dieci meno un quarto")
+const CLOCK_MINUTES = { 'mezza': 30, 'mezzo': 30, 'un quarto': 15, 'tre quarti': 45 };
+
+// Orari associati ai pasti ("a pranzo", "a cena")
+const MEAL_TIMES = { 'pranzo': '13:00', 'cena': '20:00' };
+
+// Parole che collocano un orario senza fascia al mattino ("colazione alle 6", "sveglia alle 5")
+const MORNING_CUES = /\b(?:colazione|sveglia|mattin[ao]|stamattina|stamani|alba)\b/;
+
+// Espressioni che introducono un orario ("alle 15", "all'una", "ore 9"), anche solo
+// l'inizio di un intervallo senza la fine ("dalle 14 per 2 ore")
+const TIME_MARKERS = "alle ore|alle|all'|dalle|dall'|ore|verso le|verso l'";
+
+// Orario: ora (cifre, lettere, mezzogiorno), minuti aggiunti o sottratti e fascia ("alle 3 e mezza del pomeriggio")
+const CLOCK_SOURCE = `(mezzogiorno|mezzanotte|\\d{1,2}(?:[:.]\\d{2})?|${HOUR_WORDS.join('|')})` +
+  `(?: e (mezza|mezzo|un quarto|tre quarti|\\d{1,2}))?` +
+  `(?: meno (un quarto|\\d{1,2}))?` +
+  `(?: ?(?:del |di |della )?(mattino|mattina|pomeriggio|sera|notte|am|pm))?`;
+
+/**
+ * Normalizza un'espressione di data: minuscole, giorni della settimana accentati,
+ * senza punteggiatura superflua né l'orario che segue ("domani alle 15")
+ * @param {String} text - Espressione da normalizzare
+ * @returns {String} Espressione normalizzata
+ */
+const normalizeDateText = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/\b(lune|marte|mercole|giove|vener)di\b/g, '$1dì')
+  .replace(/\s+(?:alle|all'|ore|dalle)\s.*$/, '')
+  .replace(/[,;]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Crea una data verificando che giorno e mese esistano (es. non il 31 novembre)
+ * @param {Number} year - Anno
+ * @param {Number} month - Mese (0-11)
+ * @param {Number} day - Giorno del mese
+ * @returns {Date|null} Data o null se inesistente
+ */
+const createValidDate = (year, month, day) => {
+  const date = new Date(year, month, day);
+  return date.getFullYear() === year && date.getMonth() === month && date.getDate() === day ? date : null;
+};
+
+/**
+ * Descrive una data in italiano (es. "martedì 3 novembre 2026")
+ * @param {Date} date - Data da descrivere
+ * @returns {String} Descrizione della data
+ */
+const describeDate = (date) => `${WEEKDAYS[date.getDay()]} ${date.getDate()} ${MONTHS[date.getMonth()]} ${date.getFullYear()}`;
+
+/**
+ * Aggiunge mesi a una data, fermandosi all'ultimo giorno del mese di arrivo
+ * (31 gennaio + 1 mese = 28 o 29 febbraio)
+ * @param {Date} date - Data di partenza
+ * @param {Number} months - Mesi da aggiungere
+ * @returns {Date} Nuova data
+ */
+const addMonths = (date, months) => {
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+  return new Date(date.getFullYear(), date.getMonth() + months, Math.min(date.getDate(), lastDay));
+};
+
+/**
+ * Anno di un mese indicato senza anno: un mese già trascorso è quello dell'anno successivo
+ * @param {Number} month - Mese (0-11)
+ * @param {Date} today - Data corrente
+ * @returns {Number} Anno
+ */
+const resolveYear = (month, today) => today.getFullYear() + (month < today.getMonth() ? 1 : 0);
+
+/**
+ * Verifica che il giorno della settimana indicato corrisponda alla data,
+ * proponendo in caso contrario la data indicata e il giorno più vicino con quel nome
+ * @param {Date} date - Data indicata
+ * @param {String} weekday - Giorno della settimana indicato (opzionale)
+ * @param {String} text - Espressione originale
+ * @returns {Object} Risultato del parsing
+ */
+const checkWeekday = (date, weekday, text) => {
+  const weekdayIndex = WEEKDAYS.indexOf(weekday);
+  if (!weekday || date.getDay() === weekdayIndex) {
+    return { date };
+  }
+
+  const diff = (weekdayIndex - date.getDay() + 7) % 7;
+  const nearest = addDays(date, diff <= 3 ? diff : diff - 7);
+
+  return {
+    ambiguous: true,
+    candidates: [date, nearest],
+    message: `Data ambigua "${text}": il ${date.getDate()} ${MONTHS[date.getMonth()]} ${date.getFullYear()} è ${WEEKDAYS[date.getDay()]}. ` +
+      `Intendi ${describeDate(date)} o ${describeDate(nearest)}?`
+  };
+};
+
+/**
+ * "oggi", "domani", "dopodomani", "ieri", "stasera", "domani mattina"
+ */
+const parseRelativeDay = (text, today) => {
+  const match = text.match(/^(ieri|oggi|stamattina|stamani|stasera|stanotte|domani|dopodomani)(?: (?:mattina|pomeriggio|sera|notte))?$/);
+  return match ? { date: addDays(today, RELATIVE_DAYS[match[1]]) } : null;
+};
+
+/**
+ * Converte un numero in lettere fino a novantanove ("tre", "diciotto", "ventuno", "trentatré")
+ * @param {String} word - Numero in lettere
+ * @returns {Number|null} Valore o null se la parola non è un numero
+ */
+const parseNumberWord = (word) => {
+  if (NUMBER_WORDS[word]) return NUMBER_WORDS[word];
+
+  for (const [tens, value] of Object.entries(TENS_WORDS)) {
+    if (word === tens) return value;
+
+    // La vocale finale della decina cade davanti a "uno" e "otto" ("ventuno", "trentotto")
+    const stem = tens.slice(0, -1);
+    if (!word.startsWith(stem)) continue;
+
+    const rest = word.slice(stem.length);
+    const unit = rest.startsWith(tens.slice(-1)) ? rest.slice(1) : rest;
+    const units = unit === 'tré' ? 3 : NUMBER_WORDS[unit];
+    if (units && units < 10) {
+      return value + units;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * "tra 3 giorni", "fra due settimane", "tra ventuno giorni", "tra un mese", "tra un anno"
+ */
+const parseOffset = (text, today) => {
+  const match = text.match(/^(?:tra|fra) (\d+|[a-zàèéìòù]+) (giorn[oi]|settiman[ae]|mes[ei]|ann[oi])$/);
+  if (!match) return null;
+
+  const amount = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : parseNumberWord(match[1]);
+  if (!amount) return null;
+  const unit = match[2];
+
+  if (unit.startsWith('giorn')) return { date: addDays(today, amount) };
+  if (unit.startsWith('settiman')) return { date: addDays(today, amount * 7) };
+  if (unit.startsWith('mes')) return { date: addMonths(today, amount) };
+  return { date: addMonths(today, amount * 12) };
+};
+
+/**
+ * "fine mese", "inizio del prossimo mese", "fine anno", "fine novembre"
+ */
+const parseBoundary = (text, today) => {
+  const relativeMatch = text.match(/^(?:a |alla |all')?(fine|inizio) (?:del |dell')?(prossimo )?(mese|anno)( prossimo)?$/);
+  if (relativeMatch) {
+    const [, boundary, nextPrefix, unit, nextSuffix] = relativeMatch;
+    const next = !!(nextPrefix || nextSuffix);
+
+    if (unit === 'anno') {
+      const year = today.getFullYear() + (next || boundary === 'inizio' ? 1 : 0);
+      return { date: boundary === 'fine' ? new Date(year, 11, 31) : new Date(year, 0, 1) };
+    }
+
+    // "inizio mese": il primo giorno del mese, se non è già trascorso
+    const month = today.getMonth() + (next || (boundary === 'inizio' && today.getDate() > 1) ? 1 : 0);
+    return {
+      date: boundary === 'fine'
+        ? new Date(today.getFullYear(), month + 1, 0)
+        : new Date(today.getFullYear(), month, 1)
+    };
+  }
+
+  const monthMatch = text.match(new RegExp(`^(?:a |alla |all')?(fine|inizio) (?:di )?(${MONTH_PATTERN})(?: (\\d{4}))?$`));
+  if (monthMatch) {
+    const month = MONTHS.indexOf(monthMatch[2]);
+    const year = monthMatch[3] ? parseInt(monthMatch[3], 10) : resolveYear(month, today);
+    return { date: monthMatch[1] === 'fine' ? new Date(year, month + 1, 0) : new Date(year, month, 1) };
+  }
+
+  return null;
+};
+
+/**
+ * "il primo lunedì di dicembre", "l'ultimo venerdì del mese", "il secondo martedì del mese prossimo"
+ */
+const parseNthWeekday = (text, today) => {
+  const match = text.match(new RegExp(
+    `^(?:il |la |l')?(${Object.keys(ORDINAL_WORDS).join('|')}) (${DAY_NAMES}) (?:di|del|d') ?(?:(prossimo )?mese( prossimo)?|(${MONTH_PATTERN})(?: (\\d{4}))?)$`
+  ));
+  if (!match) return null;
+
+  const [, ordinal, weekday, nextPrefix, nextSuffix, monthName, yearText] = match;
+  const weekdayIndex = WEEKDAYS.indexOf(weekday);
+  const nth = ORDINAL_WORDS[ordinal];
+
+  let monthStart = new Date(today.getFullYear(), today.getMonth() + (nextPrefix || nextSuffix ? 1 : 0), 1);
+  if (monthName) {
+    const month = MONTHS.indexOf(monthName);
+    monthStart = new Date(yearText ? parseInt(yearText, 10) : resolveYear(month, today), month, 1);
+  }
+
+  const year = monthStart.getFullYear();
+  const month = monthStart.getMonth();
+  let day;
+  if (nth > 0) {
+    day = 1 + (weekdayIndex - monthStart.getDay() + 7) % 7 + (nth - 1) * 7;
+  } else {
+    const last = new Date(year, month + 1, 0);
+    day = last.getDate() - (last.getDay() - weekdayIndex + 7) % 7;
+  }
+
+  const date = createValidDate(year, month, day);
+  if (!date) {
+    return { invalid: true, message: `${MONTHS[month]} ${year} non ha un ${ordinal} ${weekday}` };
+  }
+
+  return { date };
+};
+
+/**
+ * "venerdì", "questo venerdì", "prossimo lunedì", "lunedì prossimo", "martedì della prossima settimana"
+ */
+const parseWeekday = (text, today) => {
+  const match = text.match(new RegExp(
+    `^(?:(questo|questa|prossimo|prossima) )?(${DAY_NAMES})(?: (prossimo|prossima|della prossima settimana|della settimana prossima|di questa settimana))?$`
+  ));
+  if (!match) return null;
+
+  const [, prefix, weekday, suffix] = match;
+  const weekdayIndex = WEEKDAYS.indexOf(weekday);
+
+  // Giorno di una settimana precisa (le settimane iniziano il lunedì)
+  if (suffix && suffix.includes('settimana')) {
+    const weekStart = addDays(getCurrentWeekStart(today), suffix.includes('prossima') ? 7 : 0);
+    return { date: addDays(weekStart, (weekdayIndex + 6) % 7) };
+  }
+
+  // "prossimo lunedì": mai oggi; "lunedì": la prima occorrenza a partire da oggi
+  let daysToAdd = (weekdayIndex + 7 - today.getDay()) % 7;
+  if (daysToAdd === 0 && ((prefix && prefix.startsWith('prossim')) || suffix)) {
+    daysToAdd = 7;
+  }
+
+  return { date: addDays(today, daysToAdd) };
+};
+
+/**
+ * "15 marzo", "il 3 novembre 2026", "lunedì 3 novembre", "primo dicembre", "15/3", "15/03/2027", "il 15"
+ */
+const parseCalendarDate = (text, today) => {
+  let weekday = null;
+  let day;
+  let month = null;
+  let year = null;
+
+  const textualMatch = text.match(new RegExp(
+    `^(?:(${DAY_NAMES}) )?(?:il |l')?(\\d{1,2}|primo)°? (${MONTH_PATTERN})(?: (\\d{4}))?$`
+  ));
+  const numericMatch = text.match(new RegExp(
+    `^(?:(${DAY_NAMES}) )?(?:il )?(\\d{1,2})[/.-](\\d{1,2})(?:[/.-](\\d{4}|\\d{2}))?$`
+  ));
+  const dayOnlyMatch = text.match(new RegExp(`^(?:(${DAY_NAMES}) )?(?:il )?(\\d{1,2})°?$`));
+
+  if (textualMatch) {
+    weekday = textualMatch[1];
+    day = textualMatch[2] === 'primo' ? 1 : parseInt(textualMatch[2], 10);
+    month = MONTHS.indexOf(textualMatch[3]);
+    year = textualMatch[4] ? parseInt(textualMatch[4], 10) : null;
+  } else if (numericMatch) {
+    // Ordine italiano: giorno/mese/anno
+    weekday = numericMatch[1];
+    day = parseInt(numericMatch[2], 10);
+    month = parseInt(numericMatch[3], 10) - 1;
+    year = numericMatch[4] ? parseInt(numericMatch[4], 10) : null;
+    if (year !== null && year < 100) {
+      year += 2000;
+    }
+  } else if (dayOnlyMatch) {
+    weekday = dayOnlyMatch[1];
+    day = parseInt(dayOnlyMatch[2], 10);
+  } else {
+    return null;
+  }
+
+  // Solo il giorno: la prima occorrenza a partire da oggi, nei mesi in cui esiste
+  if (month === null) {
+    for (let offset = 0; offset < 12; offset++) {
+      const monthStart = new Date(today.getFullYear(), today.getMonth() + offset, 1);
+      const date = createValidDate(monthStart.getFullYear(), monthStart.getMonth(), day);
+      if (date && date >= today) {
+        return checkWeekday(date, weekday, text);
+      }
+    }
+    return { invalid: true, message: `Data non valida: "${text}"` };
+  }
+
+  const date = month >= 0 && month < 12
+    ? createValidDate(year !== null ? year : resolveYear(month, today), month, day)
+    : null;
+
+  if (!date) {
+    return { invalid: true, message: `Data non valida: "${text}"` };
+  }
+
+  return checkWeekday(date, weekday, text);
+};
+
+/**
+ * "2026-11-03" (giorno di calendario, non istante UTC)
+ */
+const parseIsoDate = (text) => {
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+
+  const date = createValidDate(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+  return date ? { date } : { invalid: true, message: `Data non valida: "${text}"` };
+};
+
+/**
+ * "prossima settimana": lo stesso giorno della settimana successiva
+ */
+const parseNextWeek = (text, today) => (
+  /^(?:la )?(?:prossima settimana|settimana prossima)$/.test(text) ? { date: addDays(today, 7) } : null
+);
+
+// Espressioni riconosciute, in ordine di verifica
+const DATE_PARSERS = [
+  parseRelativeDay,
+  parseOffset,
+  parseBoundary,
+  parseNthWeekday,
+  parseWeekday,
+  parseCalendarDate,
+  parseIsoDate,
+  parseNextWeek
+];
+
+/**
+ * Interpreta un'espressione di data in italiano, segnalando le date ambigue
+ * (es. "lunedì 3 novembre" se il 3 novembre è martedì) e quelle inesistenti
+ * @param {String} dateText - Espressione della data
+ * @param {Date} baseDate - Data di riferimento (default: oggi)
+ * @returns {Object|null} { date } se riconosciuta, { ambiguous, candidates, message } se ambigua,
+ *   { invalid, message } se inesistente, null se non riconosciuta
+ */
+const parseItalianDate = (dateText, baseDate = new Date()) => {
+  const today = new Date(baseDate);
+  today.setHours(0, 0, 0, 0);
+
+  const text = normalizeDateText(dateText);
+
+  for (const parser of DATE_PARSERS) {
+    const result = parser(text, today);
+    if (result) {
+      logger.debug(`Data "${text}" interpretata con ${parser.name}:`, result.date ? result.date.toLocaleDateString() : result.message);
+      return result;
+    }
+  }
+
+  return null;
+};
+
 /**
  * Converte una descrizione in linguaggio naturale in un oggetto data
  * @param {String} dateText - Descrizione della data in linguaggio naturale
  * @param {Date} baseDate - Data di riferimento (default: oggi)
  * @returns {Date} Data risultante
+ * @throws {Error} Se la data è ambigua, inesistente o non riconosciuta
  */
 const parseDateFromText = (dateText, baseDate = new Date()) => {
-  const today = new Date(baseDate);
-  today.setHours(0, 0, 0, 0);
-
   logger.debug('Parsing data da testo:', dateText);
-  logger.debug('Data di base:', today.toLocaleDateString());
 
-  // Normalizza il testo della data
-  const text = dateText.toLowerCase().trim();
-  
-  // Gestione date relative
-  if (text === 'oggi') {
-    logger.debug('Data identificata come oggi');
-    return today;
-  } else if (text === 'domani') {
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    logger.debug('Data identificata come domani:', tomorrow.toLocaleDateString());
-    return tomorrow;
-  } else if (text === 'dopodomani') {
-    const dayAfterTomorrow = new Date(today);
-    dayAfterTomorrow.setDate(dayAfterTomorrow.getDate() + 2);
-    logger.debug('Data identificata come dopodomani:', dayAfterTomorrow.toLocaleDateString());
-    return dayAfterTomorrow;
-  } else if (text.includes('prossimo') || text.includes('prossima')) {
-    // Gestione "prossimo lunedì", "prossima settimana", etc.
-    return parseNextDay(text, today);
-  } else if (text.match(/tra\s+(\d+)\s+(giorn[oi]|settiman[ae])/i)) {
-    // Gestione "tra X giorni/settimane"
-    return parseInDays(text, today);
+  const result = parseItalianDate(dateText, baseDate);
+  if (result && result.date) {
+    return result.date;
   }
-  
-  // Tentativo di parse diretto per date in formato standard
+  if (result) {
+    throw new Error(result.message);
+  }
+
+  // Date in formato standard con l'anno (es. "2026-11-03T10:00:00")
   const directDate = new Date(dateText);
-  if (!isNaN(directDate.getTime())) {
+  if (/\d{4}/.test(dateText) && !isNaN(directDate.getTime())) {
     logger.debug('Data parsata direttamente dal formato standard:', directDate.toLocaleDateString());
     return directDate;
   }
-  
-  logger.debug('Impossibile parsare la data, ritorno data base:', baseDate.toLocaleDateString());
-  // Fallback: restituisci la data base
-  return baseDate;
+
+  throw new Error(`Data non riconosciuta: "${dateText}"`);
 };
 
 /**
- * Analizza date del tipo "prossimo lunedì"
- * @param {String} text - Testo da analizzare
- * @param {Date} baseDate - Data di riferimento
+ * Costruisce una data da giorno e nome del mese; senza anno, un mese già
+ * trascorso si riferisce all'anno successivo
+ * @param {String|Number} day - Giorno del mese
+ * @param {String} monthName - Nome del mese in italiano
+ * @param {String|Number} year - Anno (opzionale)
+ * @param {Date} today - Data corrente
  * @returns {Date} Data risultante
  */
-const parseNextDay = (text, baseDate) => {
-  const dayMapping = {
-    'lunedì': 1, 'lunedi': 1, 
-    'martedì': 2, 'martedi': 2,
-    'mercoledì': 3, 'mercoledi': 3,
-    'giovedì': 4, 'giovedi': 4,
-    'venerdì': 5, 'venerdi': 5,
-    'sabato': 6, 
-    'domenica': 0
-  };
+const buildDayMonthDate = (day, monthName, year, today) => {
+  const month = MONTHS.indexOf(monthName);
+  const resolvedYear = year ? parseInt(year) : resolveYear(month, today);
   
-  logger.debug('Parsing data relativa:', text);
-  logger.debug('Data di base:', baseDate.toLocaleDateString());
+  const result = new Date(resolvedYear, month, parseInt(day));
+  logger.debug('Data identificata come giorno e mese:', result.toLocaleDateString());
+  return result;
+};
+
+/**
+ * Aggiunge giorni a una data (senza modificarla)
+ * @param {Date} date - Data di partenza
+ * @param {Number} days - Giorni da aggiungere
+ * @returns {Date} Nuova data
+ */
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * Formatta una data come giorno di calendario AAAA-MM-GG (es. per gli eventi di tutto il giorno)
+ * @param {Date} date - Data da formattare (ora locale)
+ * @returns {String} Data in formato AAAA-MM-GG
+ */
+const toIsoDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Descrive un giorno rispetto a oggi: "oggi", "domani", "ieri" oppure
+ * "martedì 21 ottobre" (con l'anno se diverso da quello corrente)
+ * @param {Date} date - Giorno da descrivere (ora locale)
+ * @param {Date} today - Data di riferimento
+ * @returns {String} Descrizione del giorno
+ */
+const describeDay = (date, today = new Date()) => {
+  const dayNumber = (day) => Date.UTC(day.getFullYear(), day.getMonth(), day.getDate()) / (24 * 60 * 60 * 1000);
+  const relative = { '-1': 'ieri', '0': 'oggi', '1': 'domani' }[dayNumber(date) - dayNumber(today)];
+  if (relative) return relative;
+
+  const description = `${WEEKDAYS[date.getDay()]} ${date.getDate()} ${MONTHS[date.getMonth()]}`;
+  return date.getFullYear() === today.getFullYear() ? description : `${description} ${date.getFullYear()}`;
+};
+
+/**
+ * Calcola primo e ultimo giorno di un periodo con nome
+ * @param {String} period - current_week, next_week, current_month, next_month, weekend, next_weekend
+ * @param {Date} baseDate - Data di riferimento (default: oggi)
+ * @returns {Object|null} Primo e ultimo giorno del periodo (start, end)
+ */
+const getPeriodRange = (period, baseDate = new Date()) => {
+  const today = new Date(baseDate);
+  today.setHours(0, 0, 0, 0);
   
-  for (const [day, dayNum] of Object.entries(dayMapping)) {
-    if (text.includes(day)) {
-      logger.debug('Giorno trovato:', day, 'numero:', dayNum);
-      const result = new Date(baseDate);
-      const currentDay = result.getDay();
-      logger.debug('Giorno attuale:', currentDay);
-      
-      // Calcola giorni da aggiungere
-      let daysToAdd = (dayNum + 7 - currentDay) % 7;
-      if (daysToAdd === 0) daysToAdd = 7; // Se siamo già al giorno target, vai alla prossima settimana
-      
-      logger.debug('Giorni da aggiungere:', daysToAdd);
-      result.setDate(result.getDate() + daysToAdd);
-      
-      logger.debug('Nuova data calcolata:', result.toLocaleDateString(), 'giorno:', result.getDay());
-      return result;
-    }
-  }
+  const weekStart = getCurrentWeekStart(today);
   
-  // Se include "prossima settimana" ma non specifica il giorno
-  if (text.includes('settimana')) {
-    const result = new Date(baseDate);
-    result.setDate(result.getDate() + 7);
-    logger.debug('Data identificata come prossima settimana:', result.toLocaleDateString());
-    return result;
+  switch (period) {
+    case 'current_week':
+      return { start: weekStart, end: addDays(weekStart, 6) };
+    case 'next_week':
+      return { start: addDays(weekStart, 7), end: addDays(weekStart, 13) };
+    case 'weekend':
+      return { start: addDays(weekStart, 5), end: addDays(weekStart, 6) };
+    case 'next_weekend':
+      return { start: addDays(weekStart, 12), end: addDays(weekStart, 13) };
+    case 'current_month':
+      return {
+        start: new Date(today.getFullYear(), today.getMonth(), 1),
+        end: new Date(today.getFullYear(), today.getMonth() + 1, 0)
+      };
+    case 'next_month':
+      return {
+        start: new Date(today.getFullYear(), today.getMonth() + 1, 1),
+        end: new Date(today.getFullYear(), today.getMonth() + 2, 0)
+      };
+    default:
+      return null;
   }
-  
-  logger.debug('Nessun giorno specifico trovato, ritorno data base:', baseDate.toLocaleDateString());
-  return baseDate;
 };
 
 /**
- * Analizza date del tipo "tra X giorni"
- * @param {String} text - Testo da analizzare
- * @param {Date} baseDate - Data di riferimento
- * @returns {Date} Data risultante
+ * Riconosce in un testo un intervallo di date: periodi con nome ("prossima settimana",
+ * "questo mese", "weekend"), intervalli espliciti ("dal 3 al 10 novembre",
+ * "da lunedì a mercoledì"), scadenze ("fino a venerdì") e mesi ("a novembre")
+ * @param {String} text - Testo da analizzare (anche un comando completo)
+ * @param {Date} baseDate - Data di riferimento (default: oggi)
+ * @returns {Object|null} Primo e ultimo giorno (start, end), espressione riconosciuta (match) e periodo con nome (period)
  */
-const parseInDays = (text, baseDate) => {
-  const match = text.match(/tra\s+(\d+)\s+(giorn[oi]|settiman[ae])/i);
-  if (match) {
-    const amount = parseInt(match[1]);
-    const unit = match[2].toLowerCase();
-    
-    logger.debug(`Parsing "tra X ${unit}"`, {amount, unit});
+const parseDateRange = (text, baseDate = new Date()) => {
+  const lowerText = String(text || '').toLowerCase().trim();
+  const today = new Date(baseDate);
+  today.setHours(0, 0, 0, 0);
+  
+  // "dal 3 al 10 novembre", "dal 28 ottobre al 3 novembre 2026"
+  const dayRangeMatch = lowerText.match(new RegExp(
+    `\\b(?:dal|dall')\\s*(\\d{1,2})(?:\\s+(${MONTH_PATTERN}))?\\s+(?:al|all')\\s*(\\d{1,2})\\s+(${MONTH_PATTERN})(?:\\s+(\\d{4}))?`
+  ));
+  if (dayRangeMatch) {
+    const [match, startDay, startMonth, endDay, endMonth, year] = dayRangeMatch;
+    const end = buildDayMonthDate(endDay, endMonth, year, today);
+    const start = new Date(end.getFullYear(), MONTHS.indexOf(startMonth || endMonth), parseInt(startDay));
     
-    const result = new Date(baseDate);
-    if (unit.startsWith('giorn')) {
-      result.setDate(result.getDate() + amount);
-      logger.debug(`Aggiungendo ${amount} giorni a ${baseDate.toLocaleDateString()}, risultato:`, result.toLocaleDateString());
-    } else if (unit.startsWith('settiman')) {
-      result.setDate(result.getDate() + (amount * 7));
-      logger.debug(`Aggiungendo ${amount} settimane a ${baseDate.toLocaleDateString()}, risultato:`, result.toLocaleDateString());
+    // "dal 28 dicembre al 3 gennaio": l'inizio cade nell'anno precedente
+    if (start > end) {
+      start.setFullYear(start.getFullYear() - 1);
     }
     
-    return result;
+    return { start, end, match };
+  }
+  
+  // "da lunedì a mercoledì"
+  const weekdayRangeMatch = lowerText.match(new RegExp(`\\bda\\s+(${WEEKDAY_PATTERN})\\s+a\\s+(${WEEKDAY_PATTERN})(?![a-zà-ù])`));
+  if (weekdayRangeMatch) {
+    const start = parseDateFromText(weekdayRangeMatch[1], today);
+    let end = parseDateFromText(weekdayRangeMatch[2], today);
+    if (end < start) {
+      end = addDays(end, 7);
+    }
+    return { start, end, match: weekdayRangeMatch[0] };
+  }
+  
+  // "fino a venerdì", "fino al 10 novembre", "fino a domani"
+  const untilMatch = lowerText.match(new RegExp(
+    `\\bfino (?:a|al|all'|alla)\\s*((?:\\d{1,2}\\s+(?:${MONTH_PATTERN})(?:\\s+\\d{4})?)|${WEEKDAY_PATTERN}|domani|dopodomani)(?![a-zà-ù])`
+  ));
+  if (untilMatch) {
+    return { start: today, end: parseDateFromText(untilMatch[1], today), match: untilMatch[0] };
+  }
+  
+  // Periodi con nome
+  const namedPeriod = PERIOD_PATTERNS.find(({ pattern }) => pattern.test(lowerText));
+  if (namedPeriod) {
+    return {
+      ...getPeriodRange(namedPeriod.period, today),
+      period: namedPeriod.period,
+      match: lowerText.match(namedPeriod.pattern)[0]
+    };
   }
   
-  logger.debug('Pattern "tra X giorni/settimane" non trovato, ritorno data base');
-  return baseDate;
+  // Mese intero ("a novembre", "nel mese di dicembre 2026"), senza un giorno che lo preceda
+  const monthMatch = lowerText.match(new RegExp(`(?:^|\\s)(?:a|ad|in|di|nel mese di)?\\s*(${MONTH_PATTERN})(?:\\s+(\\d{4}))?\\b`));
+  if (monthMatch && !new RegExp(`\\d\\s+${monthMatch[1]}`).test(lowerText)) {
+    const start = buildDayMonthDate(1, monthMatch[1], monthMatch[2], new Date(today.getFullYear(), today.getMonth(), 1));
+    return {
+      start,
+      end: new Date(start.getFullYear(), start.getMonth() + 1, 0),
+      match: monthMatch[0].trim()
+    };
+  }
+  
+  return null;
+};
+
+/**
+ * Formatta ore e minuti come HH:MM
+ * @param {Number} hours - Ore (0-23)
+ * @param {Number} minutes - Minuti (0-59)
+ * @returns {String} Orario formattato
+ */
+const formatClock = (hours, minutes) => `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+
+/**
+ * Aggiunge minuti a un orario HH:MM (oltre la mezzanotte riparte da 00:00)
+ * @param {String} time - Orario di partenza
+ * @param {Number} minutes - Minuti da aggiungere
+ * @returns {String} Nuovo orario
+ */
+const addMinutesToTime = (time, minutes) => {
+  const [hours, mins] = time.split(':').map(Number);
+  const total = (hours * 60 + mins + minutes) % (24 * 60);
+  return formatClock(Math.floor(total / 60), total % 60);
+};
+
+/**
+ * Converte i gruppi di CLOCK_SOURCE in un orario HH:MM. Le ore da 1 a 6 scritte
+ * senza minuti né fascia ("alle 3") sono del pomeriggio, salvo che il testo parli
+ * del mattino ("colazione alle 6"); l'orario che chiude un intervallo segue invece
+ * l'inizio ("dalle 9 alle 7", "dalle 0:30 alle 2")
+ * @param {Array} groups - Ora, minuti aggiunti ("e mezza"), minuti sottratti ("meno un quarto"), fascia
+ * @param {String} after - Inizio dell'intervallo chiuso da questo orario (opzionale, HH:MM)
+ * @param {Boolean} morning - Se il testo parla del mattino (opzionale)
+ * @returns {String|null} Orario o null se non valido
+ */
+const buildClockTime = ([base, plus, minus, qualifier], after = null, morning = false) => {
+  let hours;
+  let minutes = 0;
+  let literal = false;
+
+  if (base === 'mezzogiorno' || base === 'mezzanotte') {
+    hours = base === 'mezzogiorno' ? 12 : 0;
+    literal = true;
+  } else if (/^\d/.test(base)) {
+    const [hourText, minuteText] = base.split(/[:.]/);
+    hours = parseInt(hourText, 10);
+    minutes = minuteText ? parseInt(minuteText, 10) : 0;
+    literal = !!minuteText || hourText.length === 2;
+  } else {
+    hours = NUMBER_WORDS[base];
+  }
+
+  if (plus) {
+    minutes += CLOCK_MINUTES[plus] !== undefined ? CLOCK_MINUTES[plus] : parseInt(plus, 10);
+  }
+
+  if (qualifier === 'pomeriggio' || qualifier === 'sera' || qualifier === 'pm') {
+    hours += hours < 12 ? 12 : 0;
+  } else if (qualifier === 'notte') {
+    hours = hours === 12 ? 0 : hours + (hours >= 6 && hours < 12 ? 12 : 0);
+  } else if (qualifier === 'am' && hours === 12) {
+    hours = 0;
+  } else if (!qualifier && !literal && hours >= 1 && hours <= 7) {
+    const afternoon = formatClock(hours + 12, minutes);
+    if (after ? formatClock(hours, minutes) <= after && afternoon > after : hours <= 6 && !morning) {
+      hours += 12;
+    }
+  }
+
+  if (minus) {
+    hours -= 1;
+    minutes = 60 - (CLOCK_MINUTES[minus] !== undefined ? CLOCK_MINUTES[minus] : parseInt(minus, 10));
+  }
+
+  if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59) {
+    return null;
+  }
+
+  return formatClock(hours, minutes);
+};
+
+/**
+ * Converte un orario in formato HH:MM ("15", "15.30", "3 del pomeriggio", "alle tre e mezza", "mezzogiorno")
+ * @param {String} timeText - Orario da convertire
+ * @returns {String|null} Orario HH:MM o null se non riconosciuto
+ */
+const normalizeTime = (timeText) => {
+  const text = String(timeText || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const match = text.match(new RegExp(`^(?:(?:${TIME_MARKERS})\\s*)?${CLOCK_SOURCE}$`));
+  return match ? buildClockTime(match.slice(1, 5)) : null;
+};
+
+/**
+ * Riconosce in un testo l'orario di un evento: orario singolo ("alle 3 del pomeriggio"),
+ * intervallo ("dalle 10 alle 11:30"), durata ("per due ore") e fascia della giornata
+ * ("domani pomeriggio", intesa come intervallo)
+ * @param {String} text - Testo da analizzare (anche un comando completo o un singolo orario)
+ * @returns {Object|null} Orari di inizio e fine (HH:MM), durata in minuti e fascia, se riconosciuti
+ */
+const parseTimeExpression = (text) => {
+  const lowerText = String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const result = {};
+
+  const rangeMatch = lowerText.match(new RegExp(`\\b(?:dalle|dall'|tra le|fra le|tra l'|fra l')\\s*${CLOCK_SOURCE}\\s+(?:alle|all'|a|e le|e l')\\s*${CLOCK_SOURCE}`));
+  const clockMatch = lowerText.match(new RegExp(`\\b(?:${TIME_MARKERS})\\s*${CLOCK_SOURCE}(?![\\w:])`));
+  const mealMatch = lowerText.match(/\b(?:a|per|all'ora di) (pranzo|cena)\b/);
+  const morning = MORNING_CUES.test(lowerText);
+
+  if (rangeMatch) {
+    result.startTime = buildClockTime(rangeMatch.slice(1, 5), null, morning);
+    result.endTime = result.startTime && buildClockTime(rangeMatch.slice(5, 9), result.startTime);
+  } else if (clockMatch) {
+    result.startTime = buildClockTime(clockMatch.slice(1, 5), null, morning);
+  } else if (normalizeTime(lowerText)) {
+    result.startTime = normalizeTime(lowerText);
+  } else if (/\b(?:a )?(mezzogiorno|mezzanotte)\b/.test(lowerText)) {
+    result.startTime = lowerText.includes('mezzogiorno') ? '12:00' : '00:00';
+  } else if (mealMatch) {
+    result.startTime = MEAL_TIMES[mealMatch[1]];
+  }
+
+  // Durata ("per due ore", "della durata di 45 minuti")
+  const durationMatch = lowerText.match(/\b(?:per|durata di)\s+(?:circa\s+)?(\S+(?:\s+\S+){0,3})/);
+  const duration = durationMatch && /^(?:\d|un|una|mezz|due|tre|quattro|cinque|sei|sette|otto)/.test(durationMatch[1])
+    ? schedulingUtils.parseDurationFromText(durationMatch[1])
+    : null;
+  if (duration) {
+    result.duration = duration;
+  }
+
+  // Fascia della giornata, senza un orario preciso: tutta la fascia
+  if (!result.startTime) {
+    const timeOfDay = /\bstasera\b/.test(lowerText) ? 'EVENING'
+      : /\b(?:stamattina|stamani)\b/.test(lowerText) ? 'MORNING'
+        : schedulingUtils.parseTimeOfDayFromText(lowerText);
+
+    if (timeOfDay) {
+      const window = schedulingUtils.TIME_OF_DAY_WINDOWS[timeOfDay];
+      result.timeOfDay = timeOfDay;
+      result.startTime = window.start;
+      result.endTime = duration ? null : window.end;
+    }
+  }
+
+  if (!result.startTime && !result.duration) {
+    return null;
+  }
+
+  if (result.startTime && !result.endTime && result.duration) {
+    result.endTime = addMinutesToTime(result.startTime, result.duration);
+  }
+
+  Object.keys(result).forEach(key => {
+    if (!result[key]) delete result[key];
+  });
+
+  logger.debug('Orario riconosciuto:', result);
+  return result;
 };
 
 /**
@@ -146,51 +777,10 @@ const parseTimeFromText = (timeText, baseDate = new Date()) => {
   const result = new Date(baseDate);
   logger.debug('Parsing orario da testo:', timeText);
   
-  // Formato HH:MM
-  const timeMatch = timeText.match(/(\d{1,2})[:\.](\d{2})/);
-  if (timeMatch) {
-    const hours = parseInt(timeMatch[1]);
-    const minutes = parseInt(timeMatch[2]);
+  const time = (parseTimeExpression(timeText) || {}).startTime;
+  if (time) {
+    const [hours, minutes] = time.split(':').map(Number);
     result.setHours(hours, minutes, 0, 0);
-    logger.debug(`Orario in formato HH:MM trovato: ${hours}:${minutes}`);
-    return result;
-  }
-  
-  // Formato "alle X" o "X am/pm"
-  const hourMatch = timeText.match(/\b(\d{1,2})\s*(am|pm|del mattino|del pomeriggio|di sera|di notte)?/i);
-  if (hourMatch) {
-    let hour = parseInt(hourMatch[1]);
-    const period = hourMatch[2]?.toLowerCase() || '';
-    
-    logger.debug('Formato orario semplice trovato:', {hour, period});
-    
-    // Converti in formato 24 ore
-    if ((period === 'pm' || period.includes('pomeriggio') || period.includes('sera')) && hour < 12) {
-      hour += 12;
-      logger.debug(`Convertito in formato 24h: ${hour}:00`);
-    } else if ((period === 'am' || period.includes('mattino')) && hour === 12) {
-      hour = 0;
-      logger.debug(`Convertito in formato 24h: ${hour}:00`);
-    }
-    
-    result.setHours(hour, 0, 0, 0);
-    return result;
-  }
-  
-  // Gestione orari testuali
-  const lowerTimeText = timeText.toLowerCase();
-  if (lowerTimeText.includes('mezzogiorno')) {
-    result.setHours(12, 0, 0, 0);
-    logger.debug('Orario testuale riconosciuto: mezzogiorno (12:00)');
-  } else if (lowerTimeText.includes('mezzanotte')) {
-    result.setHours(0, 0, 0, 0);
-    logger.debug('Orario testuale riconosciuto: mezzanotte (00:00)');
-  } else if (lowerTimeText.includes('pranzo')) {
-    result.setHours(13, 0, 0, 0);
-    logger.debug('Orario testuale riconosciuto: pranzo (13:00)');
-  } else if (lowerTimeText.includes('cena')) {
-    result.setHours(20, 0, 0, 0);
-    logger.debug('Orario testuale riconosciuto: cena (20:00)');
   } else {
     logger.debug('Nessun pattern di orario riconosciuto');
   }
@@ -279,10 +869,11 @@ const isToday = (date) => {
 
 /**
  * Ottiene l'inizio della settimana corrente (lunedì)
+ * @param {Date} baseDate - Data di riferimento (default: oggi)
  * @returns {Date} Data di inizio settimana
  */
-const getCurrentWeekStart = () => {
-  const date = new Date();
+const getCurrentWeekStart = (baseDate = new Date()) => {
+  const date = new Date(baseDate);
   const day = date.getDay(); // 0 = domenica, 1 = lunedì, ...
   const diff = date.getDate() - day + (day === 0 ? -6 : 1);
   
@@ -295,10 +886,11 @@ const getCurrentWeekStart = () => {
 
 /**
  * Ottiene la fine della settimana corrente (domenica)
+ * @param {Date} baseDate - Data di riferimento (default: oggi)
  * @returns {Date} Data di fine settimana
  */
-const getCurrentWeekEnd = () => {
-  const date = new Date();
+const getCurrentWeekEnd = (baseDate = new Date()) => {
+  const date = new Date(baseDate);
   const day = date.getDay(); // 0 = domenica, 1 = lunedì, ...
   const diff = date.getDate() - day + (day === 0 ? 0 : 7);
   
@@ -310,8 +902,18 @@ const getCurrentWeekEnd = () => {
 };
 
 module.exports = {
+  MONTHS,
   parseDateFromText,
+  parseItalianDate,
+  parseDateRange,
+  getPeriodRange,
+  addDays,
+  toIsoDate,
+  describeDay,
   parseTimeFromText,
+  parseTimeExpression,
+  normalizeTime,
+  addMinutesToTime,
   formatDate,
   formatTime,
   formatDateTime,
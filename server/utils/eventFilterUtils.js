@@ -0,0 +1,244 @@
+/**
+ * Utility per i filtri su insiemi di eventi ("tutte le riunioni con Mario
+ * di questo mese"): termini del titolo, partecipanti, intervallo di date e
+ * calendario, condivisi da elenco, eliminazione e modifica multipla
+ */
+
+const dateUtils = require('./dateUtils');
+const { toSingular } = require('./queryUtils');
+
+// Campi del filtro che indicano l'intervallo di date (come nei parametri dei comandi)
+const RANGE_FIELDS = ['date', 'startDate', 'endDate', 'period'];
+
+// Insieme di eventi indicato nel comando ("tutte le riunioni ...", "tutti gli eventi ...")
+const BULK_PATTERN = /\btutt[ie]\s+(?:gli|le|i)\s+(.+)$/i;
+
+// Soggetti che non indicano eventi: ricorrenze ("tutti i lunedì", "tutte le successive"),
+// parti di un evento e calendari ("in tutti i calendari")
+const NON_EVENT_SUBJECTS = /^(?:occorrenze|ripetizioni|successive|seguenti|partecipanti|invitati|promemoria|calendari|giorni|settimane|mesi|lunedì|martedì|mercoledì|giovedì|venerdì|sabati|domeniche)(?![a-zà-ù])/i;
+
+// Soggetti generici, che non restringono il titolo
+const GENERIC_SUBJECTS = ['eventi', 'impegni', 'appuntamenti', 'evento', 'impegno', 'appuntamento'];
+
+// Inizio della modifica richiesta, dopo l'insieme di eventi ("a lunedì", "alle 15", "di un'ora")
+const CHANGE_START = /\s(?:(?:a|ad|al|alle|allo)\s|all'|di\s+(?:un'|un|una|mezz'|\d+\s*)(?:or[ae]|minut[oi]|giorn[oi]|settiman[ae])\b|(?:in avanti|indietro)\b)/i;
+
+// Giorno singolo dell'insieme ("di venerdì", "di domani", "del 3 novembre")
+const DAY_PATTERN = /\b(?:(?:di|del|per|dell')\s*)?(oggi|dopodomani|domani|(?:lunedì|martedì|mercoledì|giovedì|venerdì|sabato|domenica)(?:\s+prossim[oa])?|\d{1,2}\s+(?:gennaio|febbraio|marzo|aprile|maggio|giugno|luglio|agosto|settembre|ottobre|novembre|dicembre)(?:\s+\d{4})?)(?![a-zà-ù])/i;
+
+// Calendario dell'insieme ("nel calendario Lavoro")
+const CALENDAR_PATTERN = /\b(?:nel|del|dal|sul)\s+calendario\s+(\S+)/i;
+
+// Partecipanti ("con Mario", "con Mario e Luca")
+const ATTENDEES_PATTERN = /\bcon\s+([A-Za-zÀ-ÿ]+(?:\s*(?:,|\se\s)\s*[A-Za-zÀ-ÿ]+)*)/;
+
+/**
+ * Normalizza un elenco indicato come array o come testo separato da virgole
+ * @param {Array|String} value - Elenco
+ * @returns {Array} Voci non vuote
+ */
+const toList = (value) => {
+  if (!value) return [];
+
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+};
+
+/**
+ * Normalizza un filtro: termini e partecipanti come elenchi, intervallo e calendario
+ * @param {Object} filter - Filtro interpretato (terms, attendees, date, startDate, endDate, period, calendar)
+ * @returns {Object|null} Filtro normalizzato o null se assente
+ */
+const normalizeFilter = (filter) => {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) return null;
+
+  const normalized = {
+    terms: toList(filter.terms || filter.termini),
+    attendees: toList(filter.attendees || filter.partecipanti)
+  };
+
+  RANGE_FIELDS.forEach(field => {
+    if (filter[field]) {
+      normalized[field] = String(filter[field]);
+    }
+  });
+
+  const calendar = filter.calendar || filter.calendario;
+  if (calendar) {
+    normalized.calendar = calendar;
+  }
+
+  return normalized;
+};
+
+/**
+ * Verifica se un filtro non pone alcun criterio (e quindi includerebbe ogni evento)
+ * @param {Object} filter - Filtro normalizzato
+ * @returns {Boolean} True se il filtro è vuoto
+ */
+const isEmptyFilter = (filter) => {
+  if (!filter) return true;
+
+  return filter.terms.length === 0 && filter.attendees.length === 0 &&
+    !filter.calendar && !RANGE_FIELDS.some(field => filter[field]);
+};
+
+/**
+ * Parametri di intervallo del filtro, nel formato dei parametri dei comandi
+ * @param {Object} filter - Filtro normalizzato
+ * @returns {Object} date, startDate, endDate e period indicati
+ */
+const getRangeParams = (filter) => {
+  const range = {};
+
+  RANGE_FIELDS.forEach(field => {
+    if (filter && filter[field]) {
+      range[field] = filter[field];
+    }
+  });
+
+  return range;
+};
+
+/**
+ * Riduce un testo a parole minuscole separate da spazi, per confronti per parola
+ * @param {String} text - Testo da normalizzare
+ * @returns {String} Testo con uno spazio iniziale e finale
+ */
+const normalizeText = (text) => ` ${String(text || '').toLowerCase().replace(/[^\p{L}\d]+/gu, ' ').trim()} `;
+
+/**
+ * Verifica se un testo contiene un termine a inizio di parola
+ * ("riunione" in "Riunione di progetto", non in "Preriunione")
+ * @param {String} text - Testo in cui cercare
+ * @param {String} term - Termine cercato
+ * @returns {Boolean} True se il termine è presente
+ */
+const containsTerm = (text, term) => {
+  const normalizedText = normalizeText(text);
+  const normalizedTerm = normalizeText(term).trim();
+
+  return normalizedTerm.length > 0 && [normalizedTerm, toSingular(normalizedTerm)]
+    .some(candidate => normalizedText.includes(` ${candidate}`));
+};
+
+/**
+ * Cerca nel testo un singolo giorno ("di venerdì", "del 3 novembre")
+ * @param {String} text - Testo in cui cercare
+ * @returns {Array|null} Corrispondenza (con il giorno nel primo gruppo) o null
+ */
+const matchDay = (text) => text.match(DAY_PATTERN);
+
+/**
+ * Verifica se un evento soddisfa termini e partecipanti del filtro
+ * (l'intervallo di date e il calendario si applicano alla ricerca)
+ * @param {Object} event - Evento nel formato delle API o formattato per la risposta
+ * @param {Object} filter - Filtro normalizzato
+ * @returns {Boolean} True se l'evento è incluso
+ */
+const matchesFilter = (event, filter) => {
+  if (!filter) return true;
+
+  const title = event.summary || event.title || '';
+  const text = [title, event.description, event.location].filter(Boolean).join(' ');
+
+  // Ogni termine deve comparire nel titolo, nella descrizione o nel luogo
+  if (!filter.terms.every(term => containsTerm(text, term))) {
+    return false;
+  }
+
+  // Ogni partecipante deve essere tra gli invitati (nome o email) o citato nel titolo
+  return filter.attendees.every(name => containsTerm(title, name) ||
+    (event.attendees || []).some(attendee => typeof attendee === 'string'
+      ? containsTerm(attendee, name)
+      : containsTerm(attendee.displayName, name) || containsTerm(attendee.email, name)));
+};
+
+/**
+ * Riconosce nel comando un insieme di eventi ("tutte le riunioni con Mario di questo mese")
+ * e lo separa dal resto del comando: azione e modifica richiesta ("sposta tutti gli eventi
+ * di venerdì a lunedì" → "sposta a lunedì")
+ * @param {String} text - Comando originale
+ * @returns {Object|null} { filter, remainder } o null se il comando non indica un insieme di eventi
+ */
+const parseFilterFromText = (text) => {
+  const command = String(text || '').replace(/[?!.]+\s*$/, '');
+  const bulkMatch = command.match(BULK_PATTERN);
+  if (!bulkMatch || NON_EVENT_SUBJECTS.test(bulkMatch[1])) return null;
+
+  const filter = { terms: [], attendees: [] };
+  let scope = bulkMatch[1];
+  let changeText = '';
+
+  const removeMatch = (match) => {
+    scope = `${scope.slice(0, match.index)} ${scope.slice(match.index + match[0].length)}`;
+  };
+  const findRange = () => {
+    const range = dateUtils.parseDateRange(scope.toLowerCase());
+    return range && { ...range, index: scope.toLowerCase().indexOf(range.match), 0: range.match };
+  };
+
+  // Un intervallo esplicito ("dal 3 al 10 novembre") non va confuso con la modifica ("al 10 novembre")
+  const explicitRange = findRange();
+  if (explicitRange && /^da/.test(explicitRange.match)) {
+    filter.period = explicitRange.match;
+    removeMatch(explicitRange);
+  }
+
+  const changeMatch = scope.match(CHANGE_START);
+  if (changeMatch) {
+    changeText = scope.slice(changeMatch.index).trim();
+    scope = scope.slice(0, changeMatch.index);
+  }
+
+  const calendarMatch = scope.match(CALENDAR_PATTERN);
+  if (calendarMatch) {
+    filter.calendar = calendarMatch[1];
+    removeMatch(calendarMatch);
+  }
+
+  // Periodo ("di questo mese", "fino a venerdì") o singolo giorno ("di venerdì")
+  const range = !filter.period && findRange();
+  const dayMatch = !filter.period && !range && matchDay(scope);
+  if (range) {
+    filter.period = range.period || range.match;
+    removeMatch(range);
+  } else if (dayMatch) {
+    filter.date = dayMatch[1].toLowerCase();
+    removeMatch(dayMatch);
+  }
+
+  scope = scope.replace(/\s(?:di|del|della|per|nel|nella)\s*$/i, ' ');
+
+  const attendeesMatch = scope.match(ATTENDEES_PATTERN);
+  if (attendeesMatch) {
+    filter.attendees = attendeesMatch[1].split(/\s*(?:,|\se\s)\s*/).filter(Boolean);
+    removeMatch(attendeesMatch);
+  }
+
+  // Soggetto ("riunioni" → "riunione") ed eventuale specificazione ("del progetto X")
+  const [subject, ...rest] = scope.trim().split(/\s+/);
+  if (subject && !GENERIC_SUBJECTS.includes(subject.toLowerCase())) {
+    filter.terms.push(toSingular(subject.toLowerCase()));
+  }
+
+  const detail = rest.join(' ')
+    .replace(/^(?:di|del|della|dello|dei|degli|delle|dal|dalla|dallo|per|sul|sulla|su)\s+/i, '')
+    .replace(/\s+(?:di|del|della|nel|nella)$/i, '')
+    .trim();
+  if (detail) {
+    filter.terms.push(detail);
+  }
+
+  return { filter, remainder: `${command.slice(0, bulkMatch.index)}${changeText}`.trim() };
+};
+
+module.exports = {
+  normalizeFilter,
+  isEmptyFilter,
+  getRangeParams,
+  containsTerm,
+  matchDay,
+  matchesFilter,
+  parseFilterFromText
+};
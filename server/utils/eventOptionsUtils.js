@@ -0,0 +1,318 @@
+/**
+ * Utility per le opzioni di un evento oltre a data e orario:
+ * luogo, promemoria, colore, visibilità, disponibilità e videoconferenza
+ */
+
+const { createLogger } = require('./logger');
+const logger = createLogger('event-options-utils');
+
+// Colori degli eventi di Google Calendar (colorId) per nome italiano
+const EVENT_COLORS = {
+  'lavanda': '1',
+  'salvia': '2',
+  'viola': '3',
+  'uva': '3',
+  'rosa': '4',
+  'fenicottero': '4',
+  'giallo': '5',
+  'banana': '5',
+  'arancione': '6',
+  'mandarino': '6',
+  'azzurro': '7',
+  'pavone': '7',
+  'grigio': '8',
+  'grafite': '8',
+  'blu': '9',
+  'mirtillo': '9',
+  'verde': '10',
+  'basilico': '10',
+  'rosso': '11',
+  'pomodoro': '11'
+};
+
+// Visibilità dell'evento per gli altri utenti del calendario
+const VISIBILITY_VALUES = ['default', 'public', 'private', 'confidential'];
+const VISIBILITY_ALIASES = {
+  'predefinita': 'default',
+  'pubblico': 'public',
+  'pubblica': 'public',
+  'privato': 'private',
+  'privata': 'private',
+  'riservato': 'confidential',
+  'riservata': 'confidential'
+};
+
+// Disponibilità: un evento "trasparente" non rende occupato l'utente
+const TRANSPARENCY_VALUES = ['opaque', 'transparent'];
+const TRANSPARENCY_ALIASES = {
+  'occupato': 'opaque',
+  'occupata': 'opaque',
+  'libero': 'transparent',
+  'libera': 'transparent',
+  'disponibile': 'transparent'
+};
+
+// Modalità dei promemoria
+const REMINDER_METHODS = ['popup', 'email'];
+
+// Limiti dell'API per i promemoria personalizzati
+const MAX_REMINDERS = 5;
+const MAX_REMINDER_MINUTES = 40320; // 4 settimane
+
+// Minuti per unità di anticipo dei promemoria
+const REMINDER_UNITS = { 'minut': 1, 'or': 60, 'giorn': 24 * 60, 'settiman': 7 * 24 * 60 };
+
+// Numeri in lettere negli anticipi ("due ore prima")
+const NUMBER_WORDS = {
+  'un': 1, 'uno': 1, 'una': 1, 'due': 2, 'tre': 3, 'quattro': 4, 'cinque': 5,
+  'sei': 6, 'dieci': 10, 'quindici': 15, 'venti': 20, 'trenta': 30
+};
+
+// Singolo anticipo: "30 minuti", "un'ora", "mezz'ora", "2 giorni"
+const REMINDER_AMOUNT_SOURCE = `(?:mezz'ora|mezzora|un'ora|(?:\\d+|${Object.keys(NUMBER_WORDS).join('|')})\\s*(?:minut[oi]|min|or[ae]|giorn[oi]|settiman[ae]))`;
+
+// Richiesta di promemoria: "avvisami 30 minuti prima", "promemoria via email un giorno e un'ora prima"
+const REMINDER_PATTERN = new RegExp(
+  `\\b(?:avvisami|avvisarmi|ricordamelo|ricordami|promemoria|notificami|notifica|avviso)` +
+  `(?:\\s+(?:via|per|con)\\s+(e-?mail|mail|notifica|popup))?` +
+  `\\s+(?:(?:di|a|con)\\s+)?(${REMINDER_AMOUNT_SOURCE}(?:\\s*(?:,|e)\\s*${REMINDER_AMOUNT_SOURCE})*)\\s+prima\\b`,
+  'i'
+);
+
+// Richiesta esplicita di nessun promemoria
+const NO_REMINDERS_PATTERN = /\b(?:senza|nessun) (?:promemoria|avvis[oi]|notifich[ea])\b/i;
+
+/**
+ * Converte un anticipo in minuti ("30 minuti", "un'ora", "2 giorni")
+ * @param {String} text - Anticipo in italiano
+ * @returns {Number|null} Minuti di anticipo
+ */
+const parseReminderAmount = (text) => {
+  const value = text.toLowerCase().trim();
+
+  if (/^mezz'?ora$/.test(value)) return 30;
+  if (value === "un'ora") return 60;
+
+  const match = value.match(/^(\d+|[a-z]+)\s*(minut|min|or|giorn|settiman)/);
+  if (!match) return null;
+
+  const amount = NUMBER_WORDS[match[1]] || parseInt(match[1], 10);
+  const unit = REMINDER_UNITS[match[2] === 'min' ? 'minut' : match[2]];
+
+  return amount && unit ? amount * unit : null;
+};
+
+/**
+ * Normalizza il colore di un evento (colorId da 1 a 11 o nome italiano)
+ * @param {String|Number} color - Colore indicato
+ * @returns {String|null} colorId per l'API Calendar
+ */
+const normalizeColorId = (color) => {
+  if (color === undefined || color === null || color === '') return null;
+
+  const value = String(color).toLowerCase().trim();
+  if (/^\d+$/.test(value)) {
+    const id = parseInt(value, 10);
+    return id >= 1 && id <= 11 ? String(id) : null;
+  }
+
+  return EVENT_COLORS[value] || null;
+};
+
+/**
+ * Normalizza la visibilità di un evento (in inglese o in italiano)
+ * @param {String} visibility - Visibilità indicata
+ * @returns {String|null} Visibilità per l'API Calendar
+ */
+const normalizeVisibility = (visibility) => {
+  if (!visibility) return null;
+
+  const value = String(visibility).toLowerCase().trim();
+  const normalized = VISIBILITY_ALIASES[value] || value;
+
+  return VISIBILITY_VALUES.includes(normalized) ? normalized : null;
+};
+
+/**
+ * Normalizza la disponibilità durante un evento (in inglese o in italiano)
+ * @param {String} transparency - Disponibilità indicata
+ * @returns {String|null} Trasparenza per l'API Calendar
+ */
+const normalizeTransparency = (transparency) => {
+  if (!transparency) return null;
+
+  const value = String(transparency).toLowerCase().trim();
+  const normalized = TRANSPARENCY_ALIASES[value] || value;
+
+  return TRANSPARENCY_VALUES.includes(normalized) ? normalized : null;
+};
+
+/**
+ * Normalizza i promemoria di un evento: elenco di minuti di anticipo,
+ * di oggetti { method, minutes } o di espressioni ("30 minuti")
+ * @param {Array|Object|Number|String} reminders - Promemoria indicati
+ * @returns {Array|null} Promemoria { method, minutes } (vuoto per nessun promemoria)
+ */
+const normalizeReminders = (reminders) => {
+  if (reminders === undefined || reminders === null) return null;
+
+  // Formato dell'API ({ useDefault, overrides })
+  const list = Array.isArray(reminders)
+    ? reminders
+    : (reminders.overrides || (reminders.useDefault === false ? [] : [reminders]));
+
+  const normalized = list
+    .map(reminder => {
+      const value = typeof reminder === 'object' && reminder !== null ? reminder.minutes : reminder;
+      const minutes = typeof value === 'string' && !/^\d+$/.test(value.trim())
+        ? parseReminderAmount(value)
+        : parseInt(value, 10);
+      const method = typeof reminder === 'object' && reminder !== null && REMINDER_METHODS.includes(reminder.method)
+        ? reminder.method
+        : 'popup';
+
+      return { method, minutes };
+    })
+    .filter(reminder => Number.isInteger(reminder.minutes) && reminder.minutes >= 0 && reminder.minutes <= MAX_REMINDER_MINUTES);
+
+  if (normalized.length < list.length) {
+    logger.warn('Promemoria non validi ignorati:', list.length - normalized.length);
+  }
+
+  if (list.length > 0 && normalized.length === 0) return null;
+
+  return normalized.slice(0, MAX_REMINDERS);
+};
+
+/**
+ * Estrae dal testo i promemoria richiesti ("avvisami 30 minuti prima",
+ * "promemoria via email un giorno prima", "senza promemoria")
+ * @param {String} text - Testo da analizzare
+ * @returns {Array|null} Promemoria { method, minutes } (vuoto per nessun promemoria)
+ */
+const parseRemindersFromText = (text) => {
+  if (NO_REMINDERS_PATTERN.test(text)) return [];
+
+  const match = text.match(REMINDER_PATTERN);
+  if (!match) return null;
+
+  const method = match[1] && /mail/i.test(match[1]) ? 'email' : 'popup';
+  const amounts = match[2].split(/\s*(?:,|\be\b)\s*/).map(parseReminderAmount).filter(Boolean);
+
+  return amounts.length > 0 ? normalizeReminders(amounts.map(minutes => ({ method, minutes }))) : null;
+};
+
+/**
+ * Rimuove dal testo le richieste di promemoria, perché i loro anticipi
+ * ("30 minuti prima") non vanno letti come spostamenti o durate
+ * @param {String} text - Testo da ripulire
+ * @returns {String} Testo senza richieste di promemoria
+ */
+const stripReminderText = (text) => {
+  return text
+    .replace(new RegExp(`(?:\\s+e)?\\s*${REMINDER_PATTERN.source}`, 'i'), ' ')
+    .replace(NO_REMINDERS_PATTERN, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Riconosce nel testo il colore dell'evento ("in rosso", "colore verde")
+ * @param {String} text - Testo da analizzare
+ * @returns {String|null} colorId per l'API Calendar
+ */
+const parseColorFromText = (text) => {
+  const match = text.toLowerCase().match(new RegExp(`\\b(?:in|colore|di colore|colora(?:lo|la)? di|colorat[oa] di)\\s+(${Object.keys(EVENT_COLORS).join('|')})\\b`));
+  return match ? EVENT_COLORS[match[1]] : null;
+};
+
+/**
+ * Riconosce nel testo la visibilità richiesta ("evento privato", "rendilo pubblico")
+ * @param {String} text - Testo da analizzare
+ * @returns {String|null} Visibilità per l'API Calendar
+ */
+const parseVisibilityFromText = (text) => {
+  const match = text.toLowerCase().match(/\b(privat[oa]|pubblic[oa]|riservat[oa])\b/);
+  return match ? normalizeVisibility(match[1]) : null;
+};
+
+/**
+ * Riconosce nel testo la disponibilità richiesta ("segnami come disponibile", "mostrami occupato")
+ * @param {String} text - Testo da analizzare
+ * @returns {String|null} Trasparenza per l'API Calendar
+ */
+const parseTransparencyFromText = (text) => {
+  const match = text.toLowerCase().match(/\b(?:come|mostrami|segnami|risulto|risultare)\s+(libero|libera|disponibile|occupato|occupata)\b/);
+  return match ? normalizeTransparency(match[1]) : null;
+};
+
+/**
+ * Riconosce nel testo la richiesta di una videoconferenza ("con link Meet", "in videochiamata")
+ * @param {String} text - Testo da analizzare
+ * @returns {Boolean} True se l'utente chiede un link Google Meet
+ */
+const parseConferenceFromText = (text) => {
+  return /\b(?:google meet|meet|videochiamata|videoconferenza|link (?:della |per la )?(?:call|chiamata|riunione))\b/i.test(text);
+};
+
+/**
+ * Riconosce nel testo il luogo dell'evento ("presso la sede di Milano", "in sala Verdi", "luogo: via Roma 1")
+ * @param {String} text - Testo originale (con maiuscole)
+ * @returns {String|null} Luogo dell'evento
+ */
+const parseLocationFromText = (text) => {
+  const match = text.match(/\b(?:presso|luogo:?|indirizzo:?|in (?=sala\b|via\b|piazza\b|ufficio\b)|nella (?=sala\b))\s*(.+?)(?=\s+(?:oggi|domani|dopodomani|il|lo|l'|alle|all'|dalle|dal|da|per|con|lunedì|martedì|mercoledì|giovedì|venerdì|sabato|domenica|ogni|e avvisami|avvisami|promemoria|nel calendario|sul calendario)\b|[,;]|$)/i);
+  return match && match[1].trim() ? match[1].trim() : null;
+};
+
+/**
+ * Prepara i campi della risorsa evento per le opzioni indicate nei parametri
+ * (solo quelle presenti, così da poterli usare anche nelle modifiche)
+ * @param {Object} params - Parametri con location, reminders, colorId, visibility, transparency
+ * @returns {Object} Campi della risorsa evento per l'API Calendar
+ */
+const buildEventOptions = (params) => {
+  const options = {};
+
+  if (params.location !== undefined && params.location !== null) {
+    options.location = String(params.location).trim();
+  }
+
+  const colorId = normalizeColorId(params.colorId);
+  if (colorId) {
+    options.colorId = colorId;
+  }
+
+  const visibility = normalizeVisibility(params.visibility);
+  if (visibility) {
+    options.visibility = visibility;
+  }
+
+  const transparency = normalizeTransparency(params.transparency);
+  if (transparency) {
+    options.transparency = transparency;
+  }
+
+  const reminders = normalizeReminders(params.reminders);
+  if (reminders) {
+    options.reminders = { useDefault: false, overrides: reminders };
+  }
+
+  return options;
+};
+
+module.exports = {
+  EVENT_COLORS,
+  normalizeColorId,
+  normalizeVisibility,
+  normalizeTransparency,
+  normalizeReminders,
+  parseRemindersFromText,
+  stripReminderText,
+  parseColorFromText,
+  parseVisibilityFromText,
+  parseTransparencyFromText,
+  parseConferenceFromText,
+  parseLocationFromText,
+  buildEventOptions
+};
@@ -0,0 +1,206 @@
+/**
+ * Utility per l'API REST degli eventi (/api/events): validazione dei corpi JSON
+ * con orari ISO 8601 e conversione nei parametri dei servizi del calendario
+ */
+
+const dateUtils = require('./dateUtils');
+const timeZoneUtils = require('./timeZoneUtils');
+const { PARAMETER_SCHEMAS, validateValue } = require('./commandSchema');
+
+// Data e ora con il fuso esplicito ("2026-10-20T15:00:00+02:00", "2026-10-20T13:00:00Z")
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})$/;
+
+// Giorno di un evento di tutto il giorno
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Istante di inizio o di fine
+const INSTANT = {
+  type: 'STRING',
+  description: 'Data e ora ISO 8601 con il fuso (es. 2026-10-20T15:00:00+02:00) o giorno AAAA-MM-GG per gli eventi di tutto il giorno'
+};
+
+// Corpo di una richiesta di creazione o modifica
+const EVENT_REQUEST_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    title: PARAMETER_SCHEMAS.title,
+    description: PARAMETER_SCHEMAS.description,
+    location: PARAMETER_SCHEMAS.location,
+    start: INSTANT,
+    end: { ...INSTANT, description: `${INSTANT.description}; per gli eventi di tutto il giorno il giorno successivo all'ultimo` },
+    allDay: PARAMETER_SCHEMAS.allDay,
+    attendees: {
+      type: 'ARRAY',
+      description: 'Indirizzi email dei partecipanti',
+      items: { type: 'STRING', description: 'Indirizzo email', pattern: '^[^\\s@]+@[^\\s@]+$' }
+    },
+    calendar: { type: 'STRING', description: 'Nome del calendario' },
+    calendarId: { type: 'STRING', description: 'ID del calendario' },
+    reminders: PARAMETER_SCHEMAS.reminders,
+    colorId: PARAMETER_SCHEMAS.colorId,
+    visibility: PARAMETER_SCHEMAS.visibility,
+    transparency: PARAMETER_SCHEMAS.transparency,
+    conference: PARAMETER_SCHEMAS.conference,
+    recurrence: PARAMETER_SCHEMAS.recurrence,
+    recurrenceScope: PARAMETER_SCHEMAS.recurrenceScope,
+    force: PARAMETER_SCHEMAS.force,
+    timeZone: { type: 'STRING', description: 'Fuso orario IANA dell\'evento (es. Europe/Rome), solo per questa richiesta' }
+  }
+};
+
+// Campi copiati senza conversione nei parametri dei servizi
+const PASSTHROUGH_FIELDS = [
+  'title', 'description', 'location', 'attendees', 'calendar', 'calendarId', 'reminders', 'colorId',
+  'visibility', 'transparency', 'conference', 'recurrence', 'recurrenceScope', 'force'
+];
+
+/**
+ * Verifica se una richiesta riguarda un evento di tutto il giorno
+ * @param {Object} body - Corpo della richiesta
+ * @returns {Boolean} True se indicato esplicitamente o se l'inizio è un giorno senza orario
+ */
+const isAllDayRequest = (body) => body.allDay === true || DATE_PATTERN.test(body.start || '');
+
+/**
+ * Valida un istante della richiesta nel formato atteso (giorno o data e ora con il fuso)
+ * @param {String} value - Valore indicato
+ * @param {Boolean} allDay - Se l'evento è di tutto il giorno
+ * @param {String} path - Campo della richiesta
+ * @param {Array} errors - Errori trovati finora
+ */
+const validateInstant = (value, allDay, path, errors) => {
+  const pattern = allDay ? DATE_PATTERN : DATE_TIME_PATTERN;
+
+  if (!pattern.test(value) || Number.isNaN(new Date(value).getTime())) {
+    errors.push({
+      path,
+      message: allDay
+        ? `formato non valido "${value}" (atteso un giorno AAAA-MM-GG per un evento di tutto il giorno)`
+        : `formato non valido "${value}" (attesa una data e ora ISO 8601 con il fuso, es. 2026-10-20T15:00:00+02:00)`
+    });
+  }
+};
+
+/**
+ * Valida il corpo di una richiesta di creazione o modifica: campi previsti e
+ * del tipo atteso, inizio e fine nel formato ISO e fine successiva all'inizio
+ * @param {Object} body - Corpo della richiesta
+ * @param {Object} options - Opzioni (partial: modifica, in cui ogni campo è facoltativo)
+ * @returns {Array} Errori { path, message } (vuoto se la richiesta è valida)
+ */
+const validateEventRequest = (body, { partial = false } = {}) => {
+  // In modifica il calendario dell'evento si indica nell'indirizzo, l'ambito della serie solo lì ha senso
+  const excluded = partial ? ['calendar', 'calendarId'] : ['recurrenceScope'];
+  const properties = Object.fromEntries(Object.entries(EVENT_REQUEST_SCHEMA.properties)
+    .filter(([key]) => !excluded.includes(key)));
+
+  const errors = validateValue(body, {
+    ...EVENT_REQUEST_SCHEMA,
+    properties,
+    required: partial ? [] : ['title', 'start']
+  }, 'body');
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  if (body.timeZone !== undefined && !timeZoneUtils.isValidTimeZone(body.timeZone)) {
+    return [{ path: 'body.timeZone', message: `fuso orario non riconosciuto "${body.timeZone}"` }];
+  }
+
+  if (partial && Object.keys(body).filter(key => key !== 'timeZone').length === 0) {
+    return [{ path: 'body', message: 'nessuna modifica indicata' }];
+  }
+
+  const allDay = isAllDayRequest(body);
+  ['start', 'end'].filter(field => body[field] !== undefined)
+    .forEach(field => validateInstant(body[field], allDay, `body.${field}`, errors));
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  if (body.end !== undefined && body.start === undefined) {
+    errors.push({ path: 'body.start', message: 'obbligatorio quando si indica la fine' });
+  } else if (body.end !== undefined) {
+    const duration = new Date(body.end) - new Date(body.start);
+
+    if (duration <= 0) {
+      errors.push({ path: 'body.end', message: 'deve essere successiva all\'inizio' });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Converte il corpo di una richiesta nei parametri dei servizi del calendario:
+ * gli istanti ISO diventano giorno e orario nel fuso dell'evento (quello della
+ * richiesta o, in mancanza, quello dell'utente salvato nella sessione)
+ * @param {Object} body - Corpo della richiesta già validato
+ * @param {String} timeZone - Fuso orario dell'evento
+ * @returns {Object} Parametri per createEvent o updateEvent
+ */
+const toServiceParams = (body, timeZone = timeZoneUtils.DEFAULT_TIME_ZONE) => {
+  const params = { timeZone };
+
+  PASSTHROUGH_FIELDS.filter(field => body[field] !== undefined).forEach(field => {
+    params[field] = body[field];
+  });
+
+  if (body.start === undefined) {
+    return params;
+  }
+
+  if (isAllDayRequest(body)) {
+    // Nei servizi l'ultimo giorno è incluso, nella richiesta (come nelle API) è escluso
+    params.allDay = true;
+    if (body.end) {
+      params.startDate = body.start;
+      params.endDate = dateUtils.toIsoDate(dateUtils.addDays(dateUtils.parseDateFromText(body.end), -1));
+    } else {
+      params.date = body.start;
+    }
+    return params;
+  }
+
+  const start = timeZoneUtils.formatZonedDateTime(body.start, timeZone);
+  params.date = start.date;
+  params.startTime = start.time;
+
+  if (body.end) {
+    const end = timeZoneUtils.formatZonedDateTime(body.end, timeZone);
+    params.endTime = end.time;
+
+    // Evento con orario su più giorni ("dal lunedì alle 10 al mercoledì alle 12")
+    if (end.date !== start.date) {
+      params.endDate = end.date;
+    }
+  }
+
+  return params;
+};
+
+/**
+ * Valida gli estremi ISO di un elenco di eventi (timeMin, timeMax)
+ * @param {Object} query - Parametri della richiesta
+ * @returns {Array} Errori { path, message } (vuoto se gli estremi sono validi)
+ */
+const validateListRange = (query) => {
+  const errors = [];
+
+  ['timeMin', 'timeMax'].filter(field => query[field] !== undefined)
+    .forEach(field => validateInstant(query[field], false, `query.${field}`, errors));
+
+  if (errors.length === 0 && query.timeMin && query.timeMax && new Date(query.timeMax) <= new Date(query.timeMin)) {
+    errors.push({ path: 'query.timeMax', message: 'deve essere successivo a timeMin' });
+  }
+
+  return errors;
+};
+
+module.exports = {
+  validateEventRequest,
+  validateListRange,
+  toServiceParams
+};
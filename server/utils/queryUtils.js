@@ -0,0 +1,276 @@
+/**
+ * Utility per le domande sul calendario ("quando ho il dentista?",
+ * "quanto tempo libero ho domani?"): riconoscimento del tipo di domanda
+ * e formulazione della risposta in italiano
+ */
+
+const dateUtils = require('./dateUtils');
+const timeZoneUtils = require('./timeZoneUtils');
+
+// Tipi di domanda
+const QUERY_TYPES = ['NEXT_OCCURRENCE', 'BUSY_TIME', 'FREE_TIME', 'FIRST_FREE_SLOT', 'IS_FREE'];
+
+// Sinonimi italiani dei tipi di domanda
+const QUERY_TYPE_ALIASES = {
+  'prossimo': 'NEXT_OCCURRENCE',
+  'prossimo_evento': 'NEXT_OCCURRENCE',
+  'occupato': 'BUSY_TIME',
+  'tempo_occupato': 'BUSY_TIME',
+  'libero': 'FREE_TIME',
+  'tempo_libero': 'FREE_TIME',
+  'primo_libero': 'FIRST_FREE_SLOT',
+  'disponibile': 'IS_FREE',
+  'disponibilita': 'IS_FREE'
+};
+
+// Periodi con nome, come soggetto della risposta ("Questa settimana hai...")
+const PERIOD_LABELS = {
+  current_week: 'questa settimana',
+  next_week: 'la prossima settimana',
+  current_month: 'questo mese',
+  next_month: 'il prossimo mese',
+  weekend: 'questo weekend',
+  next_weekend: 'il prossimo weekend'
+};
+
+// Domande riconosciute nel testo, nell'ordine in cui verificarle
+const QUERY_PATTERNS = [
+  { queryType: 'IS_FREE', pattern: /(?:^|\s)(?:sono|sarò|sei|è) liber[oa]\b.*\b(?:alle|all'|dalle)\b|\bho (?:impegni|qualcosa|un impegno)\b.*\b(?:alle|all'|dalle)\b/ },
+  { queryType: 'FIRST_FREE_SLOT', pattern: /\bprim[oa] (?:momento|buco|spazio|slot|ora|orario|intervallo|mezz'ora) liber[oa]\b/ },
+  { queryType: 'FREE_TIME', pattern: /\bquant[oaie] (?:tempo|ore|minuti) liber[oaie]\b|\bquanto (?:sono|sarò) liber[oa]\b/ },
+  { queryType: 'BUSY_TIME', pattern: /\bquant[oaie] (?:tempo|ore|minuti)\b.*\b(?:occupat[oaie]|impegn\w*|di)\b|\bquanto (?:sono|sarò) (?:occupat[oa]|impegnat[oa])\b/ },
+  { queryType: 'NEXT_OCCURRENCE', pattern: /^(?:quando|quand')\s*(?:ho|è|e'|sarà|c'è|ci sono|avrò|devo andare (?:a|al|dal|dalla))(?=\s|$)/ }
+];
+
+// Espressioni di data che chiudono l'argomento della domanda ("il dentista la prossima settimana")
+const QUERY_SUBJECT_END = /\s+(?:(?:di|del|della|nel|nella|per)\s+)?(?:oggi|domani|dopodomani|stasera|lunedì|martedì|mercoledì|giovedì|venerdì|sabato|domenica|questa|questo|prossima settimana|prossimo mese|la prossima settimana|il prossimo mese|entro|tra|fra|dal|dall'|fino)\b.*$/;
+
+// Plurali comuni degli impegni, ricondotti al singolare usato nei titoli ("riunioni" → "riunione")
+const PLURAL_ENDINGS = [
+  [/ioni$/, 'ione'],
+  [/menti$/, 'mento'],
+  [/([cg])he$/, '$1a'],
+  [/ate$/, 'ata'],
+  [/ite$/, 'ita'],
+  [/ze$/, 'za']
+];
+
+/**
+ * Normalizza il tipo di domanda (NEXT_OCCURRENCE, BUSY_TIME, FREE_TIME, FIRST_FREE_SLOT, IS_FREE)
+ * @param {String} queryType - Tipo in inglese o in italiano
+ * @returns {String|null} Tipo normalizzato
+ */
+const normalizeQueryType = (queryType) => {
+  if (!queryType) return null;
+
+  const value = String(queryType).trim();
+  const normalized = QUERY_TYPE_ALIASES[value.toLowerCase().replace(/\s+/g, '_')] || value.toUpperCase();
+
+  return QUERY_TYPES.includes(normalized) ? normalized : null;
+};
+
+/**
+ * Riconosce una domanda sul calendario e l'argomento cercato
+ * ("quando ho il dentista?" → NEXT_OCCURRENCE, "dentista")
+ * @param {String} text - Testo in minuscolo
+ * @returns {Object|null} { queryType, query } o null se il testo non è una domanda
+ */
+const parseQueryFromText = (text) => {
+  const question = text.replace(/[?!.]+\s*$/, '').trim();
+  const match = QUERY_PATTERNS.find(({ pattern }) => pattern.test(question));
+  if (!match) return null;
+
+  const result = { queryType: match.queryType };
+
+  if (match.queryType === 'NEXT_OCCURRENCE') {
+    const subject = question
+      .replace(match.pattern, '')
+      .replace(/^\s*(?:il|lo|la|l'|i|gli|le|un|uno|una|un')?\s*/, '')
+      .replace(/^(?:prossim[oaie])\s+/, '')
+      .replace(QUERY_SUBJECT_END, '')
+      .trim();
+
+    // "quando ho tempo?" non riguarda un evento
+    if (!subject || /^(?:tempo|un momento|libero|libera)$/.test(subject)) return null;
+    result.query = subject;
+  }
+
+  if (match.queryType === 'BUSY_TIME') {
+    const subjectMatch = question.match(/\bquant[oaie] (?:tempo|ore|minuti) (?:di|in|per) (?!impegn)(.+?)(?:\s+(?:ho|avrò|ci sono|ci saranno|sono previst[ie])\b|$)/);
+    if (subjectMatch) {
+      result.query = toSingular(subjectMatch[1].replace(QUERY_SUBJECT_END, '').trim());
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Riconduce al singolare l'ultima parola di un argomento ("riunioni" → "riunione"),
+ * perché la ricerca nel calendario confronta parole intere
+ * @param {String} subject - Argomento della domanda
+ * @returns {String} Argomento al singolare
+ */
+const toSingular = (subject) => {
+  const ending = PLURAL_ENDINGS.find(([pattern]) => pattern.test(subject));
+  return ending ? subject.replace(ending[0], ending[1]) : subject;
+};
+
+/**
+ * Descrive una durata in italiano ("2 ore e 30 minuti", "45 minuti")
+ * @param {Number} minutes - Durata in minuti
+ * @returns {String} Durata descritta
+ */
+const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  const parts = [];
+
+  if (hours > 0) parts.push(hours === 1 ? '1 ora' : `${hours} ore`);
+  if (rest > 0 || hours === 0) parts.push(rest === 1 ? '1 minuto' : `${rest} minuti`);
+
+  return parts.join(' e ');
+};
+
+/**
+ * Rende maiuscola la prima lettera di una frase
+ * @param {String} text - Frase
+ * @returns {String} Frase con l'iniziale maiuscola
+ */
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Descrive il periodo di una domanda ("domani", "questa settimana", "dal 3 al 10 novembre")
+ * @param {Object} range - Primo e ultimo giorno { start, end } (date nel fuso dell'utente) ed eventuale periodo con nome
+ * @param {Date} today - Data di riferimento nel fuso dell'utente
+ * @returns {String} Periodo descritto
+ */
+const describePeriod = (range, today) => {
+  if (range.period && PERIOD_LABELS[range.period]) {
+    return PERIOD_LABELS[range.period];
+  }
+
+  if (dateUtils.toIsoDate(range.start) === dateUtils.toIsoDate(range.end)) {
+    return dateUtils.describeDay(range.start, today);
+  }
+
+  return `dal ${dateUtils.describeDay(range.start, today)} al ${dateUtils.describeDay(range.end, today)}`;
+};
+
+/**
+ * Descrive giorno e orario di un istante nel fuso dell'utente ("domani alle 15:00")
+ * @param {String|Date} instant - Istante
+ * @param {Object} options - Fuso orario (timeZone) e data di riferimento (today)
+ * @returns {Object} Giorno (day) e orario (time)
+ */
+const describeInstant = (instant, { timeZone, today }) => ({
+  day: dateUtils.describeDay(timeZoneUtils.toZonedTime(new Date(instant), timeZone), today),
+  time: timeZoneUtils.formatZonedDateTime(instant, timeZone).time
+});
+
+/**
+ * Risposta alla domanda sul prossimo evento ("quando ho il dentista?")
+ * @param {String} query - Argomento cercato
+ * @param {Object|null} event - Prossimo evento trovato (formato della risposta)
+ * @param {Object} options - Fuso orario (timeZone), data di riferimento (today), periodo cercato (period)
+ * @returns {String} Risposta
+ */
+const describeNextOccurrence = (query, event, options) => {
+  if (!event) {
+    return `Non ho trovato "${query}" nel calendario ${options.period || 'nei prossimi 12 mesi'}`;
+  }
+
+  if (event.allDay) {
+    const day = dateUtils.describeDay(new Date(`${event.start}T00:00:00`), options.today);
+    return `"${event.title}" è ${day}, tutto il giorno`;
+  }
+
+  const { day, time } = describeInstant(event.start, options);
+  return `"${event.title}" è ${day} alle ${time}`;
+};
+
+/**
+ * Risposta alla domanda sul tempo occupato ("quante ore di riunioni ho questa settimana?")
+ * @param {Number} minutes - Tempo occupato in minuti
+ * @param {Number} count - Numero di impegni
+ * @param {Object} options - Periodo descritto (period) ed eventuale argomento (query)
+ * @returns {String} Risposta
+ */
+const describeBusyTime = (minutes, count, { period, query }) => {
+  if (count === 0) {
+    return `${capitalize(period)} non hai ${query ? `"${query}"` : 'impegni'}`;
+  }
+
+  const events = count === 1 ? '1 evento' : `${count} eventi`;
+  return `${capitalize(period)} hai ${formatMinutes(minutes)} di ${query ? `"${query}"` : 'impegni'} (${events})`;
+};
+
+/**
+ * Risposta alla domanda sul tempo libero ("quanto tempo libero ho domani?")
+ * @param {Number} minutes - Tempo libero in minuti
+ * @param {Object} options - Periodo descritto (period) e fascia considerata (scope)
+ * @returns {String} Risposta
+ */
+const describeFreeTime = (minutes, { period, scope }) => {
+  if (minutes === 0) {
+    return `${capitalize(period)} non hai tempo libero ${scope}`;
+  }
+
+  return `${capitalize(period)} hai ${formatMinutes(minutes)} di tempo libero ${scope}`;
+};
+
+/**
+ * Risposta alla domanda sul primo momento libero ("quando ho il primo buco libero domani?")
+ * @param {Object|null} gap - Primo intervallo libero { start, end }
+ * @param {Object} options - Fuso orario (timeZone), data di riferimento (today), periodo descritto (period), durata minima (duration)
+ * @returns {String} Risposta
+ */
+const describeFirstFreeSlot = (gap, options) => {
+  const minimum = options.duration ? ` di almeno ${formatMinutes(options.duration)}` : '';
+
+  if (!gap) {
+    return `${capitalize(options.period)} non hai momenti liberi${minimum}`;
+  }
+
+  const start = describeInstant(gap.start, options);
+  const end = describeInstant(gap.end, options);
+  return `Il primo momento libero${minimum} è ${start.day} dalle ${start.time} alle ${end.time}`;
+};
+
+/**
+ * Risposta alla domanda sulla disponibilità in un orario ("sono libero giovedì alle 15?")
+ * @param {Object} interval - Intervallo richiesto { start, end }
+ * @param {Array} conflicts - Impegni nell'intervallo (formato della risposta)
+ * @param {Object} options - Fuso orario (timeZone) e data di riferimento (today)
+ * @returns {String} Risposta
+ */
+const describeAvailability = (interval, conflicts, options) => {
+  const start = describeInstant(interval.start, options);
+  const end = describeInstant(interval.end, options);
+  const when = `${start.day} dalle ${start.time} alle ${end.time}`;
+
+  if (conflicts.length === 0) {
+    return `Sì, ${when} sei libero`;
+  }
+
+  if (conflicts.length === 1) {
+    const conflict = conflicts[0];
+    return `No, ${when} hai "${conflict.title}" (${describeInstant(conflict.start, options).time}-${describeInstant(conflict.end, options).time})`;
+  }
+
+  return `No, ${when} hai ${conflicts.length} impegni`;
+};
+
+module.exports = {
+  QUERY_TYPES,
+  normalizeQueryType,
+  parseQueryFromText,
+  toSingular,
+  formatMinutes,
+  describePeriod,
+  describeNextOccurrence,
+  describeBusyTime,
+  describeFreeTime,
+  describeFirstFreeSlot,
+  describeAvailability
+};
@@ -0,0 +1,393 @@
+/**
+ * Utility per la gestione degli eventi ricorrenti (regole RRULE, RFC 5545)
+ */
+
+const dateUtils = require('./dateUtils');
+const timeZoneUtils = require('./timeZoneUtils');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('recurrence-utils');
+
+// Frequenze supportate dall'API Calendar
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Ambiti di modifica/eliminazione di un evento ricorrente
+const RECURRENCE_SCOPES = {
+  THIS: 'THIS',           // Solo questa occorrenza
+  FOLLOWING: 'FOLLOWING', // Questa e le successive
+  ALL: 'ALL'              // Tutta la serie
+};
+
+// Mapping frequenze in italiano
+const FREQUENCY_MAPPING = {
+  'giornaliera': 'DAILY', 'giornaliero': 'DAILY', 'quotidiana': 'DAILY', 'quotidiano': 'DAILY',
+  'settimanale': 'WEEKLY',
+  'mensile': 'MONTHLY',
+  'annuale': 'YEARLY'
+};
+
+// Mapping giorni della settimana -> codici BYDAY
+const WEEKDAY_CODES = {
+  'lunedì': 'MO', 'lunedi': 'MO',
+  'martedì': 'TU', 'martedi': 'TU',
+  'mercoledì': 'WE', 'mercoledi': 'WE',
+  'giovedì': 'TH', 'giovedi': 'TH',
+  'venerdì': 'FR', 'venerdi': 'FR',
+  'sabato': 'SA', 'sabati': 'SA',
+  'domenica': 'SU', 'domeniche': 'SU'
+};
+
+// Ordine dei codici BYDAY secondo Date.getDay()
+const BYDAY_ORDER = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Numeri in lettere usati negli intervalli ("ogni due settimane")
+const NUMBER_WORDS = {
+  'un': 1, 'uno': 1, 'una': 1, 'due': 2, 'tre': 3, 'quattro': 4, 'cinque': 5,
+  'sei': 6, 'sette': 7, 'otto': 8, 'nove': 9, 'dieci': 10
+};
+
+/**
+ * Converte un numero espresso in cifre o in lettere
+ * @param {String} value - Numero in cifre o in lettere
+ * @returns {Number|null} Numero convertito
+ */
+const parseNumber = (value) => {
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return NUMBER_WORDS[value.toLowerCase()] || null;
+};
+
+/**
+ * Normalizza una ricorrenza proveniente da Gemini o dal parser locale
+ * @param {Object|String} recurrence - Ricorrenza (oggetto o stringa RRULE)
+ * @returns {Object|null} Ricorrenza normalizzata o null se non valida
+ */
+const normalizeRecurrence = (recurrence) => {
+  if (!recurrence) return null;
+
+  // Regola già in formato RRULE
+  if (typeof recurrence === 'string') {
+    const rule = recurrence.toUpperCase().startsWith('RRULE:') ? recurrence : `RRULE:${recurrence}`;
+    return /FREQ=(DAILY|WEEKLY|MONTHLY|YEARLY)/i.test(rule) ? { rrule: rule.toUpperCase() } : null;
+  }
+
+  if (recurrence.rrule) {
+    return normalizeRecurrence(recurrence.rrule);
+  }
+
+  let frequency = (recurrence.frequency || recurrence.frequenza || '').toString().toUpperCase();
+  if (FREQUENCY_MAPPING[frequency.toLowerCase()]) {
+    frequency = FREQUENCY_MAPPING[frequency.toLowerCase()];
+  }
+
+  if (!FREQUENCIES.includes(frequency)) {
+    logger.warn('Frequenza di ricorrenza non valida:', frequency);
+    return null;
+  }
+
+  const normalized = { frequency };
+
+  const interval = parseInt(recurrence.interval || recurrence.intervallo);
+  if (interval > 1) {
+    normalized.interval = interval;
+  }
+
+  let byDay = recurrence.byDay || recurrence.giorni;
+  if (byDay) {
+    byDay = (Array.isArray(byDay) ? byDay : [byDay])
+      .map(day => WEEKDAY_CODES[day.toString().toLowerCase()] || day.toString().toUpperCase())
+      .filter(day => BYDAY_ORDER.includes(day));
+
+    if (byDay.length > 0) {
+      normalized.byDay = byDay;
+    }
+  }
+
+  const count = parseInt(recurrence.count || recurrence.occorrenze);
+  if (count > 0) {
+    normalized.count = count;
+  } else if (recurrence.until || recurrence.fino_al) {
+    normalized.until = recurrence.until || recurrence.fino_al;
+  }
+
+  return normalized;
+};
+
+/**
+ * Normalizza l'ambito di modifica di un evento ricorrente
+ * @param {String} scope - Ambito indicato (THIS, FOLLOWING, ALL o equivalenti)
+ * @returns {String|null} Ambito normalizzato
+ */
+const normalizeRecurrenceScope = (scope) => {
+  if (!scope) return null;
+
+  const value = scope.toString().toUpperCase();
+  if (RECURRENCE_SCOPES[value]) {
+    return value;
+  }
+
+  return parseRecurrenceScope(scope);
+};
+
+/**
+ * Formatta una data nel formato UTC richiesto da UNTIL (es. 20250131T235959Z)
+ * @param {Date} date - Data da formattare
+ * @returns {String} Data formattata
+ */
+const formatUntil = (date) => {
+  return date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+};
+
+/**
+ * Costruisce la stringa RRULE per l'API Calendar
+ * @param {Object} recurrence - Ricorrenza normalizzata
+ * @param {Date} startDate - Inizio della prima occorrenza
+ * @param {String} timeZone - Fuso orario dell'utente (per la data di fine)
+ * @returns {String|null} Regola nel formato "RRULE:FREQ=...;..."
+ */
+const buildRRule = (recurrence, startDate = new Date(), timeZone = timeZoneUtils.DEFAULT_TIME_ZONE) => {
+  const normalized = normalizeRecurrence(recurrence);
+  if (!normalized) return null;
+
+  if (normalized.rrule) {
+    return normalized.rrule;
+  }
+
+  const parts = [`FREQ=${normalized.frequency}`];
+
+  if (normalized.interval) {
+    parts.push(`INTERVAL=${normalized.interval}`);
+  }
+
+  if (normalized.byDay) {
+    parts.push(`BYDAY=${normalized.byDay.join(',')}`);
+  }
+
+  if (normalized.count) {
+    parts.push(`COUNT=${normalized.count}`);
+  } else if (normalized.until) {
+    // La ricorrenza termina alla fine del giorno indicato, nel fuso dell'utente
+    const zonedUntil = normalized.until instanceof Date
+      ? timeZoneUtils.toZonedTime(normalized.until, timeZone)
+      : dateUtils.parseDateFromText(normalized.until.toString(), timeZoneUtils.toZonedTime(startDate, timeZone));
+    zonedUntil.setHours(23, 59, 59, 0);
+    const untilDate = timeZoneUtils.fromZonedTime(zonedUntil, timeZone);
+
+    if (untilDate > startDate) {
+      parts.push(`UNTIL=${formatUntil(untilDate)}`);
+    } else {
+      logger.warn('Data di fine ricorrenza non valida, ignorata:', normalized.until);
+    }
+  }
+
+  const rule = `RRULE:${parts.join(';')}`;
+  logger.debug('Regola di ricorrenza generata:', rule);
+  return rule;
+};
+
+/**
+ * Riconosce una ricorrenza in un comando in linguaggio naturale
+ * (es. "ogni lunedì", "tutti i giorni", "ogni due settimane per 10 volte")
+ * @param {String} text - Testo da analizzare
+ * @returns {Object|null} Ricorrenza riconosciuta
+ */
+const parseRecurrenceFromText = (text) => {
+  const lowerText = text.toLowerCase();
+  let recurrence = null;
+
+  const weekdayPattern = Object.keys(WEEKDAY_CODES).join('|');
+  const weekdaysMatch = lowerText.match(new RegExp(`\\b(?:ogni|tutti i|tutte le)\\s+((?:${weekdayPattern})(?:(?:\\s*,\\s*|\\s+e\\s+)(?:${weekdayPattern}))*)`, 'i'));
+
+  if (lowerText.includes('giorni feriali') || lowerText.includes('dal lunedì al venerdì')) {
+    recurrence = { frequency: 'WEEKLY', byDay: ['MO', 'TU', 'WE', 'TH', 'FR'] };
+  } else if (weekdaysMatch) {
+    const days = weekdaysMatch[1].match(new RegExp(weekdayPattern, 'gi'));
+    recurrence = {
+      frequency: 'WEEKLY',
+      byDay: [...new Set(days.map(day => WEEKDAY_CODES[day.toLowerCase()]))]
+    };
+  } else if (/\b(ogni giorno|tutti i giorni|quotidianamente)\b/.test(lowerText)) {
+    recurrence = { frequency: 'DAILY' };
+  } else if (/\b(ogni settimana|settimanalmente)\b/.test(lowerText)) {
+    recurrence = { frequency: 'WEEKLY' };
+  } else if (/\b(ogni mese|mensilmente)\b/.test(lowerText)) {
+    recurrence = { frequency: 'MONTHLY' };
+  } else if (/\b(ogni anno|annualmente)\b/.test(lowerText)) {
+    recurrence = { frequency: 'YEARLY' };
+  } else {
+    // Intervalli: "ogni 2 giorni", "ogni due settimane"
+    const intervalMatch = lowerText.match(/\bogni\s+(\d+|\w+)\s+(giorni|settimane|mesi|anni)\b/);
+    const interval = intervalMatch ? parseNumber(intervalMatch[1]) : null;
+
+    if (interval) {
+      const unitMapping = { giorni: 'DAILY', settimane: 'WEEKLY', mesi: 'MONTHLY', anni: 'YEARLY' };
+      recurrence = { frequency: unitMapping[intervalMatch[2]], interval };
+    }
+  }
+
+  if (!recurrence) {
+    return null;
+  }
+
+  // Numero di occorrenze: "per 10 volte", "per 6 settimane"
+  const countMatch = lowerText.match(/\bper\s+(\d+|\w+)\s+(volte|giorni|settimane|mesi|anni)\b/);
+  const count = countMatch ? parseNumber(countMatch[1]) : null;
+
+  // Data di fine: "fino al 20 dicembre", "fino a venerdì"
+  const untilMatch = lowerText.match(/\bfino\s+(?:alla\b|all'|al\b|a\b)\s*([^,;]+?)(?:\s+alle\s+.*)?$/);
+
+  if (count) {
+    recurrence.count = count;
+  } else if (untilMatch) {
+    recurrence.until = untilMatch[1].trim();
+  }
+
+  logger.debug('Ricorrenza riconosciuta dal testo:', recurrence);
+  return recurrence;
+};
+
+/**
+ * Riconosce l'ambito di modifica di un evento ricorrente nel testo
+ * @param {String} text - Testo da analizzare
+ * @returns {String|null} Ambito riconosciuto
+ */
+const parseRecurrenceScope = (text) => {
+  const lowerText = text.toLowerCase();
+
+  if (/\b(e (?:le|tutte le) successive|e successive|da questa in poi|da ora in poi|d'ora in poi|in poi)\b/.test(lowerText)) {
+    return RECURRENCE_SCOPES.FOLLOWING;
+  }
+
+  if (/\b(tutta la serie|l'intera serie|intera serie|tutte le occorrenze|tutte le ripetizioni|la serie)\b/.test(lowerText)) {
+    return RECURRENCE_SCOPES.ALL;
+  }
+
+  if (/\b(solo questa|solo quest'|soltanto questa|solo per questa)\b/.test(lowerText)) {
+    return RECURRENCE_SCOPES.THIS;
+  }
+
+  return null;
+};
+
+/**
+ * Scompone una riga RRULE nelle sue parti
+ * @param {String} line - Riga "RRULE:..."
+ * @returns {Array} Coppie [chiave, valore]
+ */
+const parseRRuleLine = (line) => {
+  return line.replace(/^RRULE:/i, '').split(';')
+    .filter(part => part.includes('='))
+    .map(part => part.split('='));
+};
+
+/**
+ * Applica una trasformazione alle righe RRULE di una ricorrenza
+ * @param {Array} rules - Righe di ricorrenza dell'evento (RRULE, EXDATE, ...)
+ * @param {Function} transform - Funzione che riceve e restituisce le coppie [chiave, valore]
+ * @returns {Array} Righe di ricorrenza aggiornate
+ */
+const transformRRules = (rules, transform) => {
+  return (rules || []).map(line => {
+    if (!line.toUpperCase().startsWith('RRULE:')) {
+      return line;
+    }
+
+    const parts = transform(parseRRuleLine(line));
+    return `RRULE:${parts.map(([key, value]) => `${key}=${value}`).join(';')}`;
+  });
+};
+
+/**
+ * Termina una serie prima di una data (usato per "questa e le successive").
+ * Le serie di tutto il giorno hanno un UNTIL di tipo data (es. 20250131), il giorno
+ * prima dell'occorrenza esclusa, come richiesto da RFC 5545 per inizi di tipo data
+ * @param {Array} rules - Righe di ricorrenza della serie
+ * @param {Date} beforeDate - Inizio della prima occorrenza da escludere (mezzanotte UTC per le serie di tutto il giorno)
+ * @param {Boolean} allDay - Se la serie è di tutto il giorno
+ * @returns {Array} Righe di ricorrenza con UNTIL impostato
+ */
+const truncateRecurrence = (rules, beforeDate, allDay = false) => {
+  const until = allDay
+    ? new Date(beforeDate.getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10).replace(/-/g, '')
+    : formatUntil(new Date(beforeDate.getTime() - 1000));
+
+  return transformRRules(rules, parts => [
+    ...parts.filter(([key]) => key !== 'COUNT' && key !== 'UNTIL'),
+    ['UNTIL', until]
+  ]);
+};
+
+/**
+ * Prepara la ricorrenza per la continuazione di una serie divisa
+ * @param {Array} rules - Righe di ricorrenza della serie originale
+ * @param {Number} elapsedCount - Occorrenze già avvenute prima della divisione
+ * @returns {Array} Righe di ricorrenza con COUNT ridotto
+ */
+const continueRecurrence = (rules, elapsedCount) => {
+  return transformRRules(rules, parts => parts.map(([key, value]) => (
+    key === 'COUNT' ? [key, Math.max(parseInt(value) - elapsedCount, 1)] : [key, value]
+  )));
+};
+
+/**
+ * Sposta i giorni BYDAY di una ricorrenza settimanale
+ * (quando la serie viene spostata a un altro giorno della settimana)
+ * @param {Array} rules - Righe di ricorrenza
+ * @param {Number} dayShift - Giorni di spostamento
+ * @returns {Array} Righe di ricorrenza aggiornate
+ */
+const shiftRecurrenceWeekdays = (rules, dayShift) => {
+  const shift = ((dayShift % 7) + 7) % 7;
+  if (shift === 0) return rules;
+
+  return transformRRules(rules, parts => parts.map(([key, value]) => {
+    if (key !== 'BYDAY') return [key, value];
+
+    const days = value.split(',').map(day => {
+      // Mantieni eventuali prefissi ordinali (es. "1MO")
+      const match = day.match(/^([+-]?\d*)([A-Z]{2})$/);
+      if (!match) return day;
+      return match[1] + BYDAY_ORDER[(BYDAY_ORDER.indexOf(match[2]) + shift) % 7];
+    });
+
+    return [key, days.join(',')];
+  }));
+};
+
+/**
+ * Porta una data alla prima occorrenza compatibile con la ricorrenza
+ * (es. "ogni lunedì" creato di mercoledì parte dal lunedì successivo)
+ * @param {Date} date - Data di partenza
+ * @param {Object} recurrence - Ricorrenza normalizzata
+ * @returns {Date} Data allineata
+ */
+const alignDateToRecurrence = (date, recurrence) => {
+  const normalized = normalizeRecurrence(recurrence);
+  if (!normalized || !normalized.byDay) return date;
+
+  const targetDays = normalized.byDay.map(day => BYDAY_ORDER.indexOf(day));
+  const result = new Date(date);
+
+  for (let i = 0; i < 7; i++) {
+    if (targetDays.includes(result.getDay())) {
+      return result;
+    }
+    result.setDate(result.getDate() + 1);
+  }
+
+  return date;
+};
+
+module.exports = {
+  RECURRENCE_SCOPES,
+  parseNumber,
+  normalizeRecurrence,
+  normalizeRecurrenceScope,
+  buildRRule,
+  parseRecurrenceFromText,
+  parseRecurrenceScope,
+  truncateRecurrence,
+  continueRecurrence,
+  shiftRecurrenceWeekdays,
+  alignDateToRecurrence
+};
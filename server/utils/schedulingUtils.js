@@ -0,0 +1,308 @@
+/**
+ * Utility per la ricerca di intervalli liberi nel calendario
+ * (orario di lavoro, fasce della giornata, calcolo e ordinamento degli slot)
+ */
+
+const { createLogger } = require('./logger');
+const logger = createLogger('scheduling-utils');
+
+// Orario di lavoro predefinito (nel fuso orario dell'utente)
+const WORKING_HOURS = {
+  start: process.env.WORKING_HOURS_START || '09:00',
+  end: process.env.WORKING_HOURS_END || '18:00',
+  // Giorni lavorativi secondo Date.getDay() (lunedì-venerdì)
+  days: [1, 2, 3, 4, 5]
+};
+
+// Fasce della giornata riconosciute nei comandi ("giovedì pomeriggio")
+const TIME_OF_DAY_WINDOWS = {
+  MORNING: { start: '09:00', end: '13:00' },
+  AFTERNOON: { start: '14:00', end: '18:00' },
+  EVENING: { start: '18:00', end: '21:00' }
+};
+
+// Sinonimi italiani delle fasce della giornata
+const TIME_OF_DAY_ALIASES = {
+  'mattina': 'MORNING',
+  'mattino': 'MORNING',
+  'pomeriggio': 'AFTERNOON',
+  'sera': 'EVENING',
+  'serata': 'EVENING'
+};
+
+// Numeri in lettere nelle durate ("due ore")
+const DURATION_WORDS = {
+  'due': 2, 'tre': 3, 'quattro': 4, 'cinque': 5, 'sei': 6, 'sette': 7, 'otto': 8
+};
+
+// Granularità degli orari di inizio proposti
+const SLOT_STEP_MINUTES = 30;
+
+// Margine minimo da altri impegni per considerare uno slot "comodo"
+const BUFFER_MINUTES = 15;
+
+/**
+ * Normalizza la fascia della giornata (MORNING, AFTERNOON, EVENING)
+ * @param {String} timeOfDay - Fascia in inglese o in italiano
+ * @returns {String|null} Fascia normalizzata
+ */
+const normalizeTimeOfDay = (timeOfDay) => {
+  if (!timeOfDay) return null;
+
+  const value = String(timeOfDay).toLowerCase().trim();
+  const normalized = TIME_OF_DAY_ALIASES[value] || value.toUpperCase();
+
+  return TIME_OF_DAY_WINDOWS[normalized] ? normalized : null;
+};
+
+/**
+ * Estrae dal testo la durata richiesta in minuti ("un'ora", "mezz'ora", "2 ore", "due ore e mezza", "45 minuti")
+ * @param {String} text - Testo da analizzare
+ * @returns {Number|null} Durata in minuti
+ */
+const parseDurationFromText = (text) => {
+  const lowerText = text.toLowerCase();
+
+  if (/\bun'ora e mezz[ao]\b/.test(lowerText)) return 90;
+  if (/\bmezz'ora\b|\bmezzora\b/.test(lowerText)) return 30;
+  if (/\bun'ora\b|\bun ora\b|\buna ora\b/.test(lowerText)) return 60;
+
+  const hoursMatch = lowerText.match(new RegExp(`\\b(\\d+(?:[.,]\\d+)?|${Object.keys(DURATION_WORDS).join('|')})\\s*or[ae](\\s+e\\s+mezz[ao])?\\b`));
+  if (hoursMatch) {
+    const hours = DURATION_WORDS[hoursMatch[1]] || parseFloat(hoursMatch[1].replace(',', '.'));
+    return Math.round(hours * 60) + (hoursMatch[2] ? 30 : 0);
+  }
+
+  const minutesMatch = lowerText.match(/\b(\d+)\s*min(?:uti|uto)?\b/);
+  if (minutesMatch) {
+    return parseInt(minutesMatch[1], 10);
+  }
+
+  return null;
+};
+
+/**
+ * Riconosce nel testo la fascia della giornata
+ * @param {String} text - Testo da analizzare
+ * @returns {String|null} Fascia normalizzata
+ */
+const parseTimeOfDayFromText = (text) => {
+  const match = text.toLowerCase().match(/\b(mattin[ao]|pomeriggio|sera(?:ta)?)\b/);
+  return match ? normalizeTimeOfDay(match[1]) : null;
+};
+
+/**
+ * Imposta un orario HH:MM su una copia della data
+ * @param {Date} date - Giorno di riferimento
+ * @param {String} time - Orario in formato HH:MM
+ * @returns {Date} Data con l'orario impostato
+ */
+const setTime = (date, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const result = new Date(date);
+  result.setHours(hours, minutes || 0, 0, 0);
+  return result;
+};
+
+/**
+ * Costruisce gli intervalli in cui cercare, giorno per giorno
+ * (le date sono "da parete", nel fuso dell'utente)
+ * @param {Date} firstDay - Primo giorno della ricerca
+ * @param {Number} days - Numero di giorni da esaminare
+ * @param {Object} options - Fascia (timeOfDay), orari espliciti (earliestTime, latestTime), now
+ * @returns {Array} Intervalli { start, end } in cui cercare
+ */
+const buildSearchWindows = (firstDay, days, options = {}) => {
+  const windowTimes = options.timeOfDay ? TIME_OF_DAY_WINDOWS[options.timeOfDay] : null;
+
+  // Orari espliciti o fascia richiesta prevalgono sull'orario di lavoro
+  const startTime = options.earliestTime || (windowTimes ? windowTimes.start : WORKING_HOURS.start);
+  const endTime = options.latestTime || (windowTimes ? windowTimes.end : WORKING_HOURS.end);
+
+  // Un giorno esplicito vale anche se festivo; nelle ricerche su più giorni solo i lavorativi
+  const workingDaysOnly = days > 1 && !options.includeWeekends;
+
+  const windows = [];
+  for (let i = 0; i < days; i++) {
+    const day = new Date(firstDay);
+    day.setDate(day.getDate() + i);
+
+    if (workingDaysOnly && !WORKING_HOURS.days.includes(day.getDay())) continue;
+
+    let start = setTime(day, startTime);
+    const end = setTime(day, endTime);
+
+    // Niente slot nel passato
+    if (options.now && start < options.now) {
+      start = roundUpToStep(options.now);
+    }
+
+    if (start < end) {
+      windows.push({ start, end });
+    }
+  }
+
+  return windows;
+};
+
+/**
+ * Arrotonda una data al successivo multiplo della granularità degli slot
+ * @param {Date} date - Data da arrotondare
+ * @returns {Date} Data arrotondata
+ */
+const roundUpToStep = (date) => {
+  const stepMs = SLOT_STEP_MINUTES * 60 * 1000;
+  return new Date(Math.ceil(date.getTime() / stepMs) * stepMs);
+};
+
+/**
+ * Calcola gli slot liberi negli intervalli di ricerca, ordinati per preferenza:
+ * prima quelli distanti da altri impegni, poi i più vicini nel tempo.
+ * Gli slot proposti non si sovrappongono tra loro.
+ * @param {Array} windows - Intervalli di ricerca { start, end } (istanti)
+ * @param {Array} busy - Intervalli occupati { start, end } (istanti)
+ * @param {Number} durationMinutes - Durata richiesta
+ * @param {Number} maxResults - Numero massimo di slot
+ * @returns {Array} Slot { start, end, buffered }
+ */
+const findFreeSlots = (windows, busy, durationMinutes, maxResults = 5) => {
+  const durationMs = durationMinutes * 60 * 1000;
+  const stepMs = SLOT_STEP_MINUTES * 60 * 1000;
+  const bufferMs = BUFFER_MINUTES * 60 * 1000;
+
+  const busyIntervals = busy
+    .map(interval => ({ start: new Date(interval.start), end: new Date(interval.end) }))
+    .sort((a, b) => a.start - b.start);
+
+  const overlaps = (start, end, margin = 0) => busyIntervals.some(interval =>
+    start.getTime() - margin < interval.end.getTime() && end.getTime() + margin > interval.start.getTime());
+
+  // Tutti gli inizi possibili, a passi regolari
+  const candidates = [];
+  windows.forEach(window => {
+    for (let time = window.start.getTime(); time + durationMs <= window.end.getTime(); time += stepMs) {
+      const start = new Date(time);
+      const end = new Date(time + durationMs);
+
+      if (!overlaps(start, end)) {
+        candidates.push({ start, end, buffered: !overlaps(start, end, bufferMs) });
+      }
+    }
+  });
+
+  candidates.sort((a, b) => (b.buffered - a.buffered) || (a.start - b.start));
+
+  // Selezione di slot distinti
+  const slots = [];
+  for (const candidate of candidates) {
+    if (slots.length >= maxResults) break;
+
+    const overlapsSelected = slots.some(slot => candidate.start < slot.end && candidate.end > slot.start);
+    if (!overlapsSelected) {
+      slots.push(candidate);
+    }
+  }
+
+  logger.debug(`Slot liberi trovati: ${slots.length} su ${candidates.length} candidati`);
+  return slots;
+};
+
+/**
+ * Cerca il primo intervallo libero della durata richiesta a partire dall'inizio
+ * di un intervallo di ricerca (alternativa a un orario già occupato)
+ * @param {Object} window - Intervallo di ricerca { start, end } (istanti)
+ * @param {Array} busy - Intervalli occupati { start, end }
+ * @param {Number} durationMinutes - Durata richiesta
+ * @returns {Object|null} Primo slot libero { start, end }
+ */
+const findNextFreeSlot = (window, busy, durationMinutes) => {
+  const durationMs = durationMinutes * 60 * 1000;
+  const stepMs = SLOT_STEP_MINUTES * 60 * 1000;
+  const busyIntervals = busy.map(interval => ({
+    start: new Date(interval.start).getTime(),
+    end: new Date(interval.end).getTime()
+  }));
+
+  for (let time = window.start.getTime(); time + durationMs <= window.end.getTime(); time += stepMs) {
+    const end = time + durationMs;
+    if (!busyIntervals.some(interval => time < interval.end && end > interval.start)) {
+      return { start: new Date(time), end: new Date(end) };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Unisce gli intervalli occupati che si sovrappongono o si toccano
+ * @param {Array} busy - Intervalli { start, end } (istanti o stringhe ISO)
+ * @returns {Array} Intervalli { start, end } disgiunti, in ordine cronologico
+ */
+const mergeIntervals = (busy) => {
+  const intervals = busy
+    .map(interval => ({ start: new Date(interval.start), end: new Date(interval.end) }))
+    .filter(interval => interval.end > interval.start)
+    .sort((a, b) => a.start - b.start);
+
+  return intervals.reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = new Date(Math.max(last.end.getTime(), interval.end.getTime()));
+    } else {
+      merged.push(interval);
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Calcola gli intervalli liberi degli intervalli di ricerca, al netto degli impegni
+ * @param {Array} windows - Intervalli di ricerca { start, end } (istanti)
+ * @param {Array} busy - Intervalli occupati { start, end }
+ * @returns {Array} Intervalli liberi { start, end }, in ordine cronologico
+ */
+const findFreeGaps = (windows, busy) => {
+  const busyIntervals = mergeIntervals(busy);
+  const gaps = [];
+
+  windows.forEach(window => {
+    let cursor = window.start;
+
+    busyIntervals
+      .filter(interval => interval.start < window.end && interval.end > window.start)
+      .forEach(interval => {
+        if (interval.start > cursor) {
+          gaps.push({ start: cursor, end: interval.start });
+        }
+        cursor = new Date(Math.max(cursor.getTime(), interval.end.getTime()));
+      });
+
+    if (cursor < window.end) {
+      gaps.push({ start: cursor, end: window.end });
+    }
+  });
+
+  return gaps;
+};
+
+/**
+ * Durata complessiva di un insieme di intervalli disgiunti
+ * @param {Array} intervals - Intervalli { start, end }
+ * @returns {Number} Minuti
+ */
+const sumMinutes = (intervals) => Math.round(intervals
+  .reduce((total, interval) => total + (new Date(interval.end) - new Date(interval.start)), 0) / 60000);
+
+module.exports = {
+  WORKING_HOURS,
+  TIME_OF_DAY_WINDOWS,
+  normalizeTimeOfDay,
+  parseDurationFromText,
+  parseTimeOfDayFromText,
+  buildSearchWindows,
+  findFreeSlots,
+  findNextFreeSlot,
+  mergeIntervals,
+  findFreeGaps,
+  sumMinutes
+};
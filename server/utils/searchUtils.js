@@ -0,0 +1,328 @@
+/**
+ * Utility per la ricerca di eventi ("cerca le riunioni con Mario a Milano"):
+ * criteri di ricerca, pertinenza dei risultati e paginazione
+ */
+
+const dateUtils = require('./dateUtils');
+const { toSingular } = require('./queryUtils');
+const { containsTerm, matchDay, matchesFilter } = require('./eventFilterUtils');
+
+// Campi che delimitano i giorni della ricerca (come nei parametri dei comandi)
+const RANGE_FIELDS = ['date', 'startDate', 'endDate', 'period'];
+
+// Orizzonte massimo della ricerca, nel passato e nel futuro (in giorni)
+const MAX_HORIZON_DAYS = 3650;
+
+// Parole della ricerca da non cercare negli eventi
+const STOP_WORDS = ['di', 'del', 'della', 'dello', 'dei', 'degli', 'delle', 'e', 'il', 'lo', 'la', 'i', 'gli', 'le', 'un', 'una', 'per', 'su', 'con'];
+
+// Soggetti generici, che non restringono la ricerca
+const GENERIC_SUBJECTS = ['eventi', 'impegni', 'appuntamenti', 'evento', 'impegno', 'appuntamento'];
+
+// Comando di ricerca ("cerca le riunioni con Mario", "trovami gli eventi a Milano")
+const SEARCH_PATTERN = /^\s*(?:cerca(?:mi)?|ricerca|trova(?:mi)?)\s+(.+)$/i;
+
+// Richieste di tempo libero, che restano ricerche di slot ("cerca un'ora libera")
+const FREE_TIME_PATTERN = /\b(?:liber[oaie]|slot|buco)\b/i;
+
+// Orizzonte indicato nel comando ("negli ultimi 6 mesi", "nei prossimi 30 giorni")
+const HORIZON_PATTERN = /\s(?:nei|negli|entro i)\s+(prossimi|ultimi)\s+(\d+)\s+(giorni|settimane|mesi|anni)\b/i;
+const HORIZON_UNITS = { giorni: 1, settimane: 7, mesi: 30, anni: 365 };
+
+// Solo eventi passati o solo eventi futuri
+const PAST_PATTERN = /\s(?:passat[ie]|nel passato|già svolt[ie])(?![a-zà-ù])/i;
+const FUTURE_PATTERN = /\s(?:futur[ie]|in programma)(?![a-zà-ù])/i;
+
+// Descrizione ("che parlano di budget", "con descrizione budget")
+const DESCRIPTION_PATTERN = /\s(?:che\s+(?:parla|parlano|riguarda|riguardano)(?:\s+(?:di|del|della|dei|degli|delle))?|(?:con|nella)\s+(?:la\s+)?descrizione)\s+(.+)$/i;
+
+// Calendario, indicato a parte nei parametri del comando ("nel calendario Lavoro")
+const CALENDAR_PATTERN = /\s(?:(?:nel|sul|dal)\s+calendario\s+\S+|in\s+tutti\s+i\s+calendari)/i;
+
+// Luogo ("presso la sede di Milano") o città e sala con l'iniziale maiuscola ("a Milano", "in Sala Verde")
+const PLACE_PATTERN = /\spresso\s+(?:(?:il|lo|la|i|gli|le)\s+|l')?(.+?)(?=\s+(?:con|che|nel|nella|nei|negli)\s|$)/i;
+const CITY_PATTERN = /\s(?:a|ad|in)\s+([A-ZÀ-Ý][\wÀ-ÿ']*(?:\s+[A-ZÀ-Ý][\wÀ-ÿ']*)*)/;
+
+// Partecipanti ("con Mario", "con Mario e Luca")
+const ATTENDEES_PATTERN = /\scon\s+([A-Za-zÀ-ÿ]+(?:\s*(?:,|\se\s)\s*[A-Za-zÀ-ÿ]+)*)/;
+
+/**
+ * Normalizza un elenco indicato come array o come testo separato da virgole
+ * @param {Array|String} value - Elenco
+ * @returns {Array} Voci non vuote
+ */
+const toList = (value) => {
+  if (!value) return [];
+
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+};
+
+/**
+ * Normalizza un orizzonte di ricerca in giorni
+ * @param {Number|String} value - Numero di giorni indicato
+ * @returns {Number|undefined} Giorni (da 0 al massimo consentito) o undefined se non indicato
+ */
+const toHorizon = (value) => {
+  const days = parseInt(value, 10);
+  return Number.isNaN(days) ? undefined : Math.min(Math.max(days, 0), MAX_HORIZON_DAYS);
+};
+
+/**
+ * Normalizza i criteri di una ricerca: testo, partecipanti, luogo, descrizione,
+ * giorni e orizzonte nel passato e nel futuro
+ * @param {Object} params - Parametri della ricerca (query, attendees, location, description, date,
+ * startDate, endDate, period, pastDays, futureDays)
+ * @returns {Object} Criteri normalizzati (solo quelli indicati, partecipanti sempre come elenco)
+ */
+const normalizeSearch = (params = {}) => {
+  const search = { attendees: toList(params.attendees) };
+
+  ['query', 'location', 'description', ...RANGE_FIELDS].forEach(field => {
+    const value = params[field] && String(params[field]).trim();
+    if (value) {
+      search[field] = value;
+    }
+  });
+
+  ['pastDays', 'futureDays'].forEach(field => {
+    const days = toHorizon(params[field]);
+    if (days !== undefined) {
+      search[field] = days;
+    }
+  });
+
+  return search;
+};
+
+/**
+ * Verifica se una ricerca indica almeno un criterio (testo, partecipanti, luogo, descrizione o giorni)
+ * @param {Object} search - Criteri normalizzati
+ * @returns {Boolean} True se la ricerca restringe gli eventi
+ */
+const hasCriteria = (search) => !!(search.query || search.attendees.length > 0 || search.location ||
+  search.description || RANGE_FIELDS.some(field => search[field]));
+
+/**
+ * Parole significative di un testo di ricerca
+ * @param {String} text - Testo cercato
+ * @returns {Array} Parole minuscole, senza articoli e preposizioni
+ */
+const getWords = (text) => String(text || '').toLowerCase()
+  .split(/[^\p{L}\d]+/u)
+  .filter(word => word && !STOP_WORDS.includes(word));
+
+/**
+ * Nomi e indirizzi degli invitati di un evento
+ * @param {Object} event - Evento nel formato delle API
+ * @returns {Array} Nomi e indirizzi email
+ */
+const getAttendeeNames = (event) => (event.attendees || [])
+  .flatMap(attendee => typeof attendee === 'string' ? [attendee] : [attendee.displayName, attendee.email])
+  .filter(Boolean);
+
+/**
+ * Verifica se un evento soddisfa i criteri di una ricerca: ogni parola del testo
+ * nel titolo, nella descrizione, nel luogo o tra gli invitati; i partecipanti tra gli
+ * invitati o nel titolo; luogo e descrizione nei rispettivi campi
+ * @param {Object} event - Evento nel formato delle API
+ * @param {Object} search - Criteri normalizzati
+ * @returns {Boolean} True se l'evento è un risultato della ricerca
+ */
+const matchesSearch = (event, search) => {
+  const text = [event.summary, event.description, event.location, ...getAttendeeNames(event)].filter(Boolean).join(' ');
+
+  return getWords(search.query).every(word => containsTerm(text, word)) &&
+    matchesFilter(event, { terms: [], attendees: search.attendees }) &&
+    getWords(search.location).every(word => containsTerm(event.location, word)) &&
+    getWords(search.description).every(word => containsTerm(event.description, word));
+};
+
+/**
+ * Pertinenza di un risultato: corrispondenza del testo nel titolo (esatta, come frase
+ * o per parola) e, con minor peso, nel luogo, nella descrizione o tra gli invitati;
+ * partecipanti tra gli invitati; infine vicinanza alla data corrente
+ * @param {Object} event - Evento nel formato delle API
+ * @param {Object} search - Criteri normalizzati
+ * @param {Date} now - Istante di riferimento
+ * @returns {Number} Punteggio (più alto = più pertinente)
+ */
+const scoreEvent = (event, search, now = new Date()) => {
+  const title = event.summary || '';
+  let score = 0;
+
+  if (search.query) {
+    if (title.trim().toLowerCase() === search.query.toLowerCase()) {
+      score += 60;
+    } else if (containsTerm(title, search.query)) {
+      score += 40;
+    }
+
+    getWords(search.query).forEach(word => {
+      if (containsTerm(title, word)) {
+        score += 20;
+      } else if (containsTerm(event.location, word)) {
+        score += 10;
+      } else {
+        score += 5;
+      }
+    });
+  }
+
+  // Partecipante tra gli invitati (più pertinente di un nome citato solo nel titolo)
+  search.attendees.forEach(name => {
+    score += getAttendeeNames(event).some(attendee => containsTerm(attendee, name)) ? 15 : 10;
+  });
+
+  // A parità di corrispondenza, prima gli eventi delle settimane vicine
+  const weeksAway = Math.abs(new Date(event.start.dateTime || event.start.date) - now) / (7 * 24 * 60 * 60 * 1000);
+  return score + Math.max(0, 10 - Math.floor(weeksAway));
+};
+
+/**
+ * Ordina i risultati per pertinenza e, a parità, per vicinanza alla data corrente
+ * @param {Array} results - Risultati { event, ... }
+ * @param {Object} search - Criteri normalizzati
+ * @param {Date} now - Istante di riferimento
+ * @returns {Array} Risultati con il punteggio (score), in ordine di pertinenza
+ */
+const rankResults = (results, search, now = new Date()) => {
+  const distance = ({ event }) => Math.abs(new Date(event.start.dateTime || event.start.date) - now);
+
+  return results
+    .map(result => ({ ...result, score: scoreEvent(result.event, search, now) }))
+    .sort((a, b) => b.score - a.score || distance(a) - distance(b));
+};
+
+/**
+ * Codifica la posizione della pagina successiva dei risultati
+ * @param {Number} offset - Indice del primo risultato della pagina
+ * @returns {String} Token da indicare nella richiesta successiva
+ */
+const encodePageToken = (offset) => Buffer.from(JSON.stringify({ offset })).toString('base64url');
+
+/**
+ * Decodifica il token di una pagina di risultati
+ * @param {String} token - Token ricevuto (assente per la prima pagina)
+ * @returns {Number|null} Indice del primo risultato della pagina o null se il token non è valido
+ */
+const decodePageToken = (token) => {
+  if (!token) return 0;
+
+  try {
+    const { offset } = JSON.parse(Buffer.from(String(token), 'base64url').toString());
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Riconosce una ricerca di eventi nel comando ("cerca le riunioni con Mario a Milano
+ * negli ultimi 6 mesi") e ne estrae i criteri; il calendario si indica a parte
+ * @param {String} text - Comando originale
+ * @returns {Object|null} Criteri (query, attendees, location, description, date o period,
+ * pastDays, futureDays) o null se il comando non è una ricerca
+ */
+const parseSearchFromText = (text) => {
+  const searchMatch = String(text || '').replace(/[?!.]+\s*$/, '').match(SEARCH_PATTERN);
+  if (!searchMatch || FREE_TIME_PATTERN.test(searchMatch[1])) return null;
+
+  const search = {};
+  let scope = ` ${searchMatch[1]}`;
+
+  const removeMatch = (match) => {
+    scope = `${scope.slice(0, match.index)} ${scope.slice(match.index + match[0].length)}`;
+  };
+
+  // Orizzonte ("negli ultimi 6 mesi") o solo eventi passati o futuri
+  const horizonMatch = scope.match(HORIZON_PATTERN);
+  const pastMatch = scope.match(PAST_PATTERN);
+  const futureMatch = scope.match(FUTURE_PATTERN);
+  if (horizonMatch) {
+    const days = parseInt(horizonMatch[2], 10) * HORIZON_UNITS[horizonMatch[3].toLowerCase()];
+    Object.assign(search, horizonMatch[1].toLowerCase() === 'ultimi'
+      ? { pastDays: days, futureDays: 0 }
+      : { pastDays: 0, futureDays: days });
+    removeMatch(horizonMatch);
+  } else if (pastMatch) {
+    search.futureDays = 0;
+    removeMatch(pastMatch);
+  } else if (futureMatch) {
+    search.pastDays = 0;
+    removeMatch(futureMatch);
+  }
+
+  const calendarMatch = scope.match(CALENDAR_PATTERN);
+  if (calendarMatch) {
+    removeMatch(calendarMatch);
+  }
+
+  // Periodo ("di novembre", "dal 3 al 10 novembre") o singolo giorno ("di venerdì")
+  const range = dateUtils.parseDateRange(scope.toLowerCase());
+  const dayMatch = !range && matchDay(scope);
+  if (range) {
+    search.period = range.period || range.match;
+    removeMatch({ index: scope.toLowerCase().indexOf(range.match), 0: range.match });
+  } else if (dayMatch) {
+    search.date = dayMatch[1].toLowerCase();
+    removeMatch(dayMatch);
+  }
+
+  // Descrizione, dopo aver tolto giorni e calendario che la seguono
+  const descriptionMatch = scope.match(DESCRIPTION_PATTERN);
+  if (descriptionMatch) {
+    search.description = descriptionMatch[1].trim();
+    removeMatch(descriptionMatch);
+  }
+
+  const placeMatch = scope.match(PLACE_PATTERN) || scope.match(CITY_PATTERN);
+  if (placeMatch) {
+    search.location = placeMatch[1].trim();
+    removeMatch(placeMatch);
+  }
+
+  const attendeesMatch = scope.match(ATTENDEES_PATTERN);
+  if (attendeesMatch) {
+    search.attendees = attendeesMatch[1].split(/\s*(?:,|\se\s)\s*/).filter(Boolean);
+    removeMatch(attendeesMatch);
+  }
+
+  // Soggetto ("riunioni" → "riunione") ed eventuale specificazione ("del progetto X")
+  const [subject, ...rest] = scope
+    .replace(/\s(?:di|del|della|per|nel|nella)\s*$/i, ' ')
+    .trim()
+    .replace(/^(?:tutt[ie]\s+)?(?:(?:gli|le|i|il|lo|la|un|uno|una)\s+|l')?/i, '')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const terms = [];
+  if (subject && !GENERIC_SUBJECTS.includes(subject.toLowerCase())) {
+    terms.push(toSingular(subject.toLowerCase()));
+  }
+
+  const detail = rest.join(' ')
+    .replace(/^(?:di|del|della|dello|dei|degli|delle|dal|dalla|dallo|per|sul|sulla|su)\s+/i, '')
+    .trim();
+  if (detail) {
+    terms.push(detail);
+  }
+
+  if (terms.length > 0) {
+    search.query = terms.join(' ');
+  }
+
+  return search;
+};
+
+module.exports = {
+  MAX_HORIZON_DAYS,
+  normalizeSearch,
+  hasCriteria,
+  matchesSearch,
+  scoreEvent,
+  rankResults,
+  encodePageToken,
+  decodePageToken,
+  parseSearchFromText
+};
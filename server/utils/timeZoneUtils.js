@@ -0,0 +1,163 @@
+/**
+ * Utility per la gestione del fuso orario dell'utente
+ * (il server può girare in un fuso diverso, ad es. UTC)
+ */
+
+const { createLogger } = require('./logger');
+const logger = createLogger('time-zone-utils');
+
+// Fuso orario usato quando quello dell'utente non è disponibile
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'Europe/Rome';
+
+/**
+ * Verifica che un fuso orario IANA sia valido (es. "Europe/Rome")
+ * @param {String} timeZone - Fuso orario da verificare
+ * @returns {Boolean} True se il fuso orario è riconosciuto
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    logger.debug('Fuso orario non valido:', timeZone);
+    return false;
+  }
+};
+
+/**
+ * Calcola lo scostamento di un fuso orario da UTC in un dato istante
+ * @param {Date} date - Istante di riferimento
+ * @param {String} timeZone - Fuso orario
+ * @returns {Number} Scostamento in millisecondi
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach(part => {
+    values[part.type] = parseInt(part.value, 10);
+  });
+
+  const asUtc = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Converte un istante nell'ora "da parete" del fuso indicato: la data restituita
+ * ha come campi locali (getHours, getDate, getDay...) quelli visti dall'utente
+ * @param {Date} date - Istante da convertire
+ * @param {String} timeZone - Fuso orario dell'utente
+ * @returns {Date} Data con i campi locali nel fuso dell'utente
+ */
+const toZonedTime = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const instant = new Date(date);
+  const wallTime = new Date(instant.getTime() + getTimeZoneOffset(instant, timeZone));
+
+  // I campi UTC di wallTime sono l'ora dell'utente: riportali nei campi locali
+  return new Date(
+    wallTime.getUTCFullYear(), wallTime.getUTCMonth(), wallTime.getUTCDate(),
+    wallTime.getUTCHours(), wallTime.getUTCMinutes(), wallTime.getUTCSeconds(), wallTime.getUTCMilliseconds()
+  );
+};
+
+/**
+ * Converte un'ora "da parete" del fuso indicato nell'istante corrispondente
+ * (operazione inversa di toZonedTime)
+ * @param {Date} zonedDate - Data con i campi locali nel fuso dell'utente
+ * @param {String} timeZone - Fuso orario dell'utente
+ * @returns {Date} Istante corrispondente
+ */
+const fromZonedTime = (zonedDate, timeZone = DEFAULT_TIME_ZONE) => {
+  const wallAsUtc = Date.UTC(
+    zonedDate.getFullYear(), zonedDate.getMonth(), zonedDate.getDate(),
+    zonedDate.getHours(), zonedDate.getMinutes(), zonedDate.getSeconds(), zonedDate.getMilliseconds()
+  );
+
+  // Lo scostamento dipende dall'istante (ora legale): una seconda stima corregge i passaggi
+  let instant = wallAsUtc - getTimeZoneOffset(new Date(wallAsUtc), timeZone);
+  instant = wallAsUtc - getTimeZoneOffset(new Date(instant), timeZone);
+
+  return new Date(instant);
+};
+
+/**
+ * Data e ora correnti nel fuso dell'utente
+ * @param {String} timeZone - Fuso orario dell'utente
+ * @returns {Date} Data con i campi locali nel fuso dell'utente
+ */
+const nowInTimeZone = (timeZone = DEFAULT_TIME_ZONE) => {
+  return toZonedTime(new Date(), timeZone);
+};
+
+/**
+ * Formatta un istante come data (AAAA-MM-GG) e orario (HH:MM) nel fuso dell'utente,
+ * nel formato accettato dai parametri dei comandi
+ * @param {Date|String} date - Istante da formattare
+ * @param {String} timeZone - Fuso orario dell'utente
+ * @returns {Object} Data e orario (date, time)
+ */
+const formatZonedDateTime = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const zoned = toZonedTime(new Date(date), timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return {
+    date: `${zoned.getFullYear()}-${pad(zoned.getMonth() + 1)}-${pad(zoned.getDate())}`,
+    time: `${pad(zoned.getHours())}:${pad(zoned.getMinutes())}`
+  };
+};
+
+/**
+ * Formatta un istante come data e ora ISO 8601 con lo scostamento del fuso
+ * (es. "2026-10-20T15:00:00+02:00"), come l'ora vista dall'utente
+ * @param {Date|String} date - Istante da formattare
+ * @param {String} timeZone - Fuso orario dell'utente
+ * @returns {String} Data e ora con lo scostamento
+ */
+const formatZonedIsoString = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const instant = new Date(date);
+  const zoned = toZonedTime(instant, timeZone);
+  const offsetMinutes = Math.round(getTimeZoneOffset(instant, timeZone) / 60000);
+  const pad = (value) => String(value).padStart(2, '0');
+  const sign = offsetMinutes < 0 ? '-' : '+';
+
+  return `${zoned.getFullYear()}-${pad(zoned.getMonth() + 1)}-${pad(zoned.getDate())}` +
+    `T${pad(zoned.getHours())}:${pad(zoned.getMinutes())}:${pad(zoned.getSeconds())}` +
+    `${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+};
+
+/**
+ * Calcola inizio e fine di un giorno nel fuso dell'utente
+ * @param {Date} zonedDate - Giorno (campi locali nel fuso dell'utente)
+ * @param {String} timeZone - Fuso orario dell'utente
+ * @returns {Object} Estremi del giorno (timeMin, timeMax) in formato ISO
+ */
+const getDayRange = (zonedDate, timeZone = DEFAULT_TIME_ZONE) => {
+  const dayStart = new Date(zonedDate);
+  dayStart.setHours(0, 0, 0, 0);
+
+  const dayEnd = new Date(zonedDate);
+  dayEnd.setHours(23, 59, 59, 999);
+
+  return {
+    timeMin: fromZonedTime(dayStart, timeZone).toISOString(),
+    timeMax: fromZonedTime(dayEnd, timeZone).toISOString()
+  };
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  toZonedTime,
+  fromZonedTime,
+  nowInTimeZone,
+  formatZonedDateTime,
+  formatZonedIsoString,
+  getDayRange
+};